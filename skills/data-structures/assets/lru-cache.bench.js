@@ -0,0 +1,93 @@
+/**
+ * Example benchmark suite: an LRU cache built on Map against a plain Map
+ *
+ * Usage:
+ *   node ../scripts/benchmark-data-structures.js --suite lru-cache.bench.js
+ *
+ * Copy it as a starting point for a suite of your own hot paths.
+ */
+
+class LRUCache {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.map = new Map();
+  }
+
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+    // Re-inserting moves the key to the end: Map keeps insertion order
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.capacity) {
+      this.map.delete(this.map.keys().next().value);
+    }
+    return this;
+  }
+}
+
+const LOOKUPS = 1000;
+
+module.exports = {
+  name: 'LRU cache',
+
+  // Every case runs for each combination; size comes from --size unless listed here
+  params: {
+    hitRate: [0.5, 0.9]
+  },
+
+  // Keys to look up, of which hitRate are in the cache
+  setup({ size, hitRate }) {
+    const keys = Array.from({ length: LOOKUPS }, (_, i) => (
+      i / LOOKUPS < hitRate ? `key${i % size}` : `miss${i}`
+    ));
+    return { keys };
+  },
+
+  cases: {
+    'Map: get': {
+      setup(context, { size }) {
+        const map = new Map();
+        for (let i = 0; i < size; i++) map.set(`key${i}`, i);
+        return { ...context, map };
+      },
+      fn({ keys, map }) {
+        let found = 0;
+        for (const key of keys) if (map.get(key) !== undefined) found++;
+        return found;
+      }
+    },
+
+    'LRU: get': {
+      setup(context, { size }) {
+        const cache = new LRUCache(size);
+        for (let i = 0; i < size; i++) cache.set(`key${i}`, i);
+        return { ...context, cache };
+      },
+      fn({ keys, cache }) {
+        let found = 0;
+        for (const key of keys) if (cache.get(key) !== undefined) found++;
+        return found;
+      },
+      teardown({ cache }) {
+        cache.map.clear();
+      }
+    },
+
+    'LRU: set with eviction': {
+      setup(context, { size }) {
+        return { ...context, cache: new LRUCache(Math.max(1, size / 10)) };
+      },
+      fn({ keys, cache }) {
+        for (const key of keys) cache.set(key, key);
+        return cache.map.size;
+      }
+    }
+  }
+};
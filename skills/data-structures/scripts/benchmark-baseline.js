@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Baselines
+ * Saves benchmark results with the environment they were measured in, and
+ * compares a later run against them: per-benchmark change in mean time,
+ * whether the change is statistically significant (Welch's t-test), and
+ * which slowdowns count as regressions.
+ *
+ * The samples of one run miss what changes between runs (JIT decisions,
+ * heap layout, CPU frequency), which alone can move a mean by 30%. So
+ * results can combine several runs: the test then compares run means, and
+ * a change no larger than the spread of either side's runs is not
+ * significant whatever the test says.
+ *
+ * Usage:
+ *   const { saveBaseline, loadBaseline, compareResults } = require('./benchmark-baseline');
+ *   const results = combineRuns([run1, run2, run3, run4, run5]);
+ *   saveBaseline('baseline.json', results, { size: 10000 });
+ *   const comparison = compareResults(loadBaseline('baseline.json'), results, { threshold: 10 });
+ *
+ * A result is { group, name, size? } plus the statistics of
+ * benchmark-harness.js; group, name and size identify it across runs.
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { summarize, welchTest } = require('./benchmark-harness');
+
+const BASELINE_VERSION = 1;
+
+// Slowdown in percent beyond which a significant change is a regression
+const DEFAULT_THRESHOLD = 10;
+
+// Runs that --save and --compare measure unless told otherwise
+const DEFAULT_RUNS = 5;
+
+// Statistics kept per result; the raw sample times are left out
+const SAVED_FIELDS = ['mean', 'median', 'p95', 'min', 'max', 'sd', 'moe', 'rme', 'opsPerSec', 'samples', 'batch', 'memory', 'runMeans'];
+
+// A sweep runs each case at several sizes, so there the size is part of the key
+const resultKey = result => `${result.group}: ${result.name}${result.size === undefined ? '' : ` (n=${result.size})`}`;
+
+/**
+ * What the timings depend on besides the code: runtime, flags and hardware
+ */
+function environment() {
+  const cpus = os.cpus();
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    v8Flags: [...process.execArgv, ...(process.env.NODE_OPTIONS || '').split(/\s+/).filter(Boolean)],
+    cpu: cpus.length > 0 ? cpus[0].model.trim() : 'unknown',
+    cores: cpus.length,
+    platform: `${process.platform} ${os.release()}`,
+    arch: process.arch
+  };
+}
+
+/**
+ * Combine repeated runs of the same benchmarks into one result each
+ * @param {Array<Array<Object>>} runs - Each run's results
+ * @returns {Array<Object>} Per benchmark, the run whose mean is the median,
+ *   with runMeans: the mean of every run, in run order
+ */
+function combineRuns(runs) {
+  const byKey = new Map();
+  runs.flat().forEach(result => {
+    const key = resultKey(result);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(result);
+  });
+
+  return [...byKey.values()].map(results => {
+    const sorted = [...results].sort((a, b) => a.mean - b.mean);
+    return { ...sorted[Math.floor((sorted.length - 1) / 2)], runMeans: results.map(result => result.mean) };
+  });
+}
+
+// Several runs on each side are compared by their run means; a single run
+// only has its samples to go on
+const differs = (current, base) => {
+  const [a, b] = [current, base].map(result => result.runMeans || [result.mean]);
+  if (a.length > 1 && b.length > 1) {
+    return welchTest({ ...summarize(a), samples: a.length }, { ...summarize(b), samples: b.length }).significant;
+  }
+  return welchTest(current, base).significant;
+};
+
+// How far apart a result's own runs are, in percent of its mean
+const spreadOf = (result) => {
+  const means = result.runMeans || [result.mean];
+  return (Math.max(...means) - Math.min(...means)) / result.mean * 100;
+};
+
+/**
+ * Write results as a baseline file
+ * @param {string} filePath
+ * @param {Array<Object>} results - { group, name, size?, ...statistics },
+ *   with runMeans when combineRuns() merged several runs
+ * @param {Object} [meta] - Run settings to keep alongside, e.g. { size } or { sizes }
+ */
+function saveBaseline(filePath, results, meta = {}) {
+  const baseline = {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    environment: environment(),
+    ...meta,
+    results: results.map(result => ({
+      group: result.group,
+      name: result.name,
+      size: result.size,
+      ...Object.fromEntries(SAVED_FIELDS.map(field => [field, result[field]]))
+    }))
+  };
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Read a baseline file
+ * @throws {Error} When it cannot be read or is not a baseline
+ */
+function loadBaseline(filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${filePath}: ${error.message}`);
+  }
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.results)) {
+    throw new Error(`${filePath} is not a version ${BASELINE_VERSION} benchmark baseline`);
+  }
+  return baseline;
+}
+
+/**
+ * Compare results with a baseline
+ * @param {Object} baseline - From loadBaseline()
+ * @param {Array<Object>} results - This run's results
+ * @param {Object} [options] - { threshold }: slowdown in percent that fails
+ * @returns {Object} { rows, regressions, environmentChanges, threshold } — rows are
+ *   { key, base, current, delta, spread, significant, status } where delta is
+ *   the change in mean time in percent, spread how far apart the runs of
+ *   either side are in percent, and status is one of regression, slower, faster,
+ *   unchanged, new or missing
+ */
+function compareResults(baseline, results, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+  const saved = new Map(baseline.results.map(result => [resultKey(result), result]));
+  const rows = [];
+
+  results.forEach(current => {
+    const key = resultKey(current);
+    const base = saved.get(key);
+    saved.delete(key);
+    if (!base) {
+      rows.push({ key, base: null, current, delta: null, spread: null, significant: false, status: 'new' });
+      return;
+    }
+
+    const delta = (current.mean - base.mean) / base.mean * 100;
+    const spread = Math.max(spreadOf(base), spreadOf(current));
+    const significant = differs(current, base) && Math.abs(delta) > spread;
+    let status = 'unchanged';
+    if (significant && delta > threshold) status = 'regression';
+    else if (significant && delta > 0) status = 'slower';
+    else if (significant && delta < 0) status = 'faster';
+    rows.push({ key, base, current, delta, spread, significant, status });
+  });
+  saved.forEach((base, key) => rows.push({ key, base, current: null, delta: null, spread: null, significant: false, status: 'missing' }));
+
+  const now = environment();
+  const environmentChanges = Object.keys(now)
+    .filter(field => JSON.stringify(now[field]) !== JSON.stringify(baseline.environment[field]))
+    .map(field => ({ field, before: baseline.environment[field], after: now[field] }));
+
+  return { rows, regressions: rows.filter(row => row.status === 'regression'), environmentChanges, threshold };
+}
+
+module.exports = { saveBaseline, loadBaseline, compareResults, combineRuns, environment, DEFAULT_THRESHOLD, DEFAULT_RUNS };
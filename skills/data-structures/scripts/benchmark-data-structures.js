@@ -2,20 +2,62 @@
 
 /**
  * JavaScript Data Structures Benchmark
- * Compare performance of different data structures and operations
+ * Compare performance of different data structures and operations. Each
+ * case runs in calibrated batches and returns its result so the optimizer
+ * cannot drop it (see benchmark-harness.js).
  *
  * Usage:
  *   node benchmark-data-structures.js
  *   node benchmark-data-structures.js --size 10000
  *   node benchmark-data-structures.js --type array
+ *   node benchmark-data-structures.js --sizes 100,1000,10000,100000
+ *   node benchmark-data-structures.js --sizes 100..100000x10
+ *   node benchmark-data-structures.js --memory --expose-gc
+ *   node benchmark-data-structures.js --suite ../assets/lru-cache.bench.js
+ *   node benchmark-data-structures.js --save baseline.json
+ *   node benchmark-data-structures.js --compare baseline.json --threshold 15
+ *   node benchmark-data-structures.js --compare baseline.json --runs 5
+ *
+ * --compare exits with status 1 when a benchmark got significantly slower
+ * than the baseline by more than the threshold (10% by default), and
+ * refuses a baseline measured at other sizes; see benchmark-baseline.js.
+ * --save and --compare measure every case in 5 runs (--runs to change it),
+ * each in a process of its own, so a change has to stand out from how much
+ * separate processes differ.
+ *
+ * --sizes runs every case at each size (a list, or from..to with a growth
+ * factor, 10 by default) and fits the timings to a complexity class; see
+ * complexity-fit.js.
+ *
+ * --memory adds a line per case with the heap retained per element of what
+ * it returns, bytes allocated per call and per second, and the GCs it
+ * caused; --expose-gc also collects garbage around each measurement, which
+ * makes the retained heap exact (see memory-profile.js).
+ *
+ * --suite runs the cases of a suite module of your own instead of the
+ * built-in ones (add --type to run both); it can be given more than once.
+ * See benchmark-suite.js for the module format.
  *
  * @author Dr. Umit Kacar & Muhsin Elcicek
  * @version 1.0.0
  */
 
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { benchmark, formatResult, formatTime, measureResolution, DEFAULT_SAMPLES } = require('./benchmark-harness');
+const { saveBaseline, loadBaseline, compareResults, combineRuns, DEFAULT_THRESHOLD, DEFAULT_RUNS } = require('./benchmark-baseline');
+const { loadSuite, runSuite } = require('./benchmark-suite');
+const { fitComplexity } = require('./complexity-fit');
+const { exposeGc } = require('./memory-profile');
+
 // Configuration
 const DEFAULT_SIZE = 10000;
-const ITERATIONS = 100;
+const DEFAULT_SWEEP_FACTOR = 10;
+
+// Set in the process of one of several runs, which hands its results back
+// on file descriptor 3 instead of reporting them
+const RUN_ENV = 'BENCHMARK_RUN';
+const RESULTS_FD = 3;
 
 // Colors
 const COLORS = {
@@ -25,41 +67,17 @@ const COLORS = {
   blue: '\x1b[34m',
   cyan: '\x1b[36m',
   magenta: '\x1b[35m',
+  red: '\x1b[31m',
   gray: '\x1b[90m'
 };
 
-/**
- * Measure execution time of a function
- */
-function benchmark(name, fn, iterations = ITERATIONS) {
-  // Warmup
-  for (let i = 0; i < 10; i++) fn();
-
-  const times = [];
-  for (let i = 0; i < iterations; i++) {
-    const start = performance.now();
-    fn();
-    times.push(performance.now() - start);
-  }
-
-  const avg = times.reduce((a, b) => a + b, 0) / times.length;
-  const min = Math.min(...times);
-  const max = Math.max(...times);
-
-  return { name, avg, min, max, iterations };
-}
-
-/**
- * Format benchmark result
- */
-function formatResult(result) {
-  return `${result.name.padEnd(40)} Avg: ${result.avg.toFixed(3).padStart(8)}ms | Min: ${result.min.toFixed(3).padStart(8)}ms | Max: ${result.max.toFixed(3).padStart(8)}ms`;
-}
-
 /**
  * Array Benchmarks
+ * @param {number} size
+ * @param {Object} [options] - benchmark() options, such as memory
+ * @returns {Array<Object>} Results, each with group 'array'
  */
-function runArrayBenchmarks(size) {
+function runArrayBenchmarks(size, options = {}) {
   console.log(`\n${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}`);
   console.log(`${COLORS.cyan}  ARRAY BENCHMARKS (size: ${size})${COLORS.reset}`);
   console.log(`${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
@@ -67,102 +85,107 @@ function runArrayBenchmarks(size) {
   const arr = Array.from({ length: size }, (_, i) => i);
 
   const results = [];
+  const measure = (name, fn) => benchmark(name, fn, options);
+  const measureFixed = (name, fn) => ({ ...measure(name, fn), sizeIndependent: true });
 
-  // Push vs Unshift
-  results.push(benchmark('push (add to end)', () => {
+  // Push vs Unshift, on 1000 elements whatever the size
+  results.push(measureFixed('push (add to end)', () => {
     const a = [];
     for (let i = 0; i < 1000; i++) a.push(i);
+    return a;
   }));
 
-  results.push(benchmark('unshift (add to start)', () => {
+  results.push(measureFixed('unshift (add to start)', () => {
     const a = [];
     for (let i = 0; i < 1000; i++) a.unshift(i);
+    return a;
+  }));
+
+  // Pop vs Shift, emptying a 1000-element array whatever the size
+  const thousand = Array.from({ length: 1000 }, (_, i) => i);
+  results.push(measureFixed('pop (remove from end)', () => {
+    const a = [...thousand];
+    let last;
+    while (a.length) last = a.pop();
+    return last;
   }));
 
-  // Pop vs Shift
-  results.push(benchmark('pop (remove from end)', () => {
-    const a = [...arr.slice(0, 1000)];
-    while (a.length) a.pop();
+  results.push(measureFixed('shift (remove from start)', () => {
+    const a = [...thousand];
+    let first;
+    while (a.length) first = a.shift();
+    return first;
   }));
 
-  results.push(benchmark('shift (remove from start)', () => {
-    const a = [...arr.slice(0, 1000)];
-    while (a.length) a.shift();
+  // One operation on an array of the full size, which keeps its length
+  const work = arr.slice();
+
+  results.push(measure('push + pop (at size)', () => {
+    work.push(-1);
+    return work.pop();
+  }));
+
+  results.push(measure('unshift + shift (at size)', () => {
+    work.unshift(-1);
+    return work.shift();
   }));
 
   // Access patterns
-  results.push(benchmark('direct index access', () => {
+  results.push(measure('direct index access', () => {
     let sum = 0;
     for (let i = 0; i < arr.length; i++) sum += arr[i];
+    return sum;
   }));
 
-  results.push(benchmark('for...of iteration', () => {
+  results.push(measure('for...of iteration', () => {
     let sum = 0;
     for (const item of arr) sum += item;
+    return sum;
   }));
 
-  results.push(benchmark('forEach', () => {
+  results.push(measure('forEach', () => {
     let sum = 0;
-    arr.forEach(x => sum += x);
+    arr.forEach(x => { sum += x; });
+    return sum;
   }));
 
-  results.push(benchmark('reduce', () => {
-    arr.reduce((acc, x) => acc + x, 0);
-  }));
+  results.push(measure('reduce', () => arr.reduce((acc, x) => acc + x, 0)));
 
   // Search operations
-  results.push(benchmark('indexOf (first element)', () => {
-    arr.indexOf(0);
-  }));
+  results.push(measure('indexOf (first element)', () => arr.indexOf(0)));
 
-  results.push(benchmark('indexOf (last element)', () => {
-    arr.indexOf(size - 1);
-  }));
+  results.push(measure('indexOf (last element)', () => arr.indexOf(size - 1)));
 
-  results.push(benchmark('includes (first element)', () => {
-    arr.includes(0);
-  }));
+  results.push(measure('includes (first element)', () => arr.includes(0)));
 
-  results.push(benchmark('includes (last element)', () => {
-    arr.includes(size - 1);
-  }));
+  results.push(measure('includes (last element)', () => arr.includes(size - 1)));
 
-  results.push(benchmark('find (first match)', () => {
-    arr.find(x => x === 0);
-  }));
+  results.push(measure('find (first match)', () => arr.find(x => x === 0)));
 
-  results.push(benchmark('find (last match)', () => {
-    arr.find(x => x === size - 1);
-  }));
+  results.push(measure('find (last match)', () => arr.find(x => x === size - 1)));
 
   // Transformation
-  results.push(benchmark('map (double values)', () => {
-    arr.map(x => x * 2);
-  }));
+  results.push(measure('map (double values)', () => arr.map(x => x * 2)));
 
-  results.push(benchmark('filter (even numbers)', () => {
-    arr.filter(x => x % 2 === 0);
-  }));
+  results.push(measure('filter (even numbers)', () => arr.filter(x => x % 2 === 0)));
 
-  results.push(benchmark('slice (copy)', () => {
-    arr.slice();
-  }));
+  results.push(measure('slice (copy)', () => arr.slice()));
 
-  results.push(benchmark('spread (copy)', () => {
-    [...arr];
-  }));
+  results.push(measure('spread (copy)', () => [...arr]));
 
-  results.push(benchmark('Array.from (copy)', () => {
-    Array.from(arr);
-  }));
+  results.push(measure('Array.from (copy)', () => Array.from(arr)));
 
   results.forEach(r => console.log(formatResult(r)));
+  return results.map(r => ({ group: 'array', ...r }));
 }
 
 /**
  * Object vs Map Benchmarks
+ * @param {number} size
+ * @param {Object} [options] - benchmark() options, such as memory
+ * @returns {Array<Object>} Results, each with group 'map'
  */
-function runMapBenchmarks(size) {
+function runMapBenchmarks(size, options = {}) {
   console.log(`\n${COLORS.magenta}═══════════════════════════════════════════════════════════${COLORS.reset}`);
   console.log(`${COLORS.magenta}  OBJECT vs MAP BENCHMARKS (size: ${size})${COLORS.reset}`);
   console.log(`${COLORS.magenta}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
@@ -171,16 +194,20 @@ function runMapBenchmarks(size) {
   const numKeys = Array.from({ length: size }, (_, i) => i);
 
   const results = [];
+  const measure = (name, fn) => benchmark(name, fn, options);
+  const measureFixed = (name, fn) => ({ ...measure(name, fn), sizeIndependent: true });
 
-  // Object operations
-  results.push(benchmark('Object: set string keys', () => {
+  // Object operations; setting 1000 keys is the same work at any size
+  results.push(measureFixed('Object: set string keys', () => {
     const obj = {};
     for (let i = 0; i < 1000; i++) obj[`key${i}`] = i;
+    return obj;
   }));
 
-  results.push(benchmark('Map: set string keys', () => {
+  results.push(measureFixed('Map: set string keys', () => {
     const map = new Map();
     for (let i = 0; i < 1000; i++) map.set(`key${i}`, i);
+    return map;
   }));
 
   // Pre-populated for get/delete tests
@@ -191,59 +218,71 @@ function runMapBenchmarks(size) {
     map.set(`key${i}`, i);
   }
 
-  results.push(benchmark('Object: get existing key', () => {
+  results.push(measure('Object: get existing key', () => {
+    let sum = 0;
     for (let i = 0; i < 1000; i++) {
-      const val = obj[`key${i % size}`];
+      sum += obj[`key${i % size}`];
     }
+    return sum;
   }));
 
-  results.push(benchmark('Map: get existing key', () => {
+  results.push(measure('Map: get existing key', () => {
+    let sum = 0;
     for (let i = 0; i < 1000; i++) {
-      map.get(`key${i % size}`);
+      sum += map.get(`key${i % size}`);
     }
+    return sum;
   }));
 
-  results.push(benchmark('Object: hasOwnProperty', () => {
+  results.push(measure('Object: hasOwnProperty', () => {
+    let found = 0;
     for (let i = 0; i < 1000; i++) {
-      obj.hasOwnProperty(`key${i % size}`);
+      if (obj.hasOwnProperty(`key${i % size}`)) found++;
     }
+    return found;
   }));
 
-  results.push(benchmark('Map: has', () => {
+  results.push(measure('Map: has', () => {
+    let found = 0;
     for (let i = 0; i < 1000; i++) {
-      map.has(`key${i % size}`);
+      if (map.has(`key${i % size}`)) found++;
     }
+    return found;
   }));
 
-  results.push(benchmark('Object: iterate keys', () => {
+  results.push(measure('Object: iterate keys', () => {
+    let sum = 0;
     for (const key in obj) {
       if (obj.hasOwnProperty(key)) {
-        const val = obj[key];
+        sum += obj[key];
       }
     }
+    return sum;
   }));
 
-  results.push(benchmark('Map: iterate entries', () => {
+  results.push(measure('Map: iterate entries', () => {
+    let sum = 0;
     for (const [key, val] of map) {
-      // access both
+      sum += val + key.length;
     }
+    return sum;
   }));
 
-  results.push(benchmark('Object.keys().length', () => {
-    Object.keys(obj).length;
-  }));
+  results.push(measure('Object.keys().length', () => Object.keys(obj).length));
 
-  results.push(benchmark('Map.size', () => {
-    map.size;
-  }));
+  results.push(measure('Map.size', () => map.size));
 
   results.forEach(r => console.log(formatResult(r)));
+  return results.map(r => ({ group: 'map', ...r }));
 }
 
 /**
  * Set Benchmarks
+ * @param {number} size
+ * @param {Object} [options] - benchmark() options, such as memory
+ * @returns {Array<Object>} Results, each with group 'set'
  */
-function runSetBenchmarks(size) {
+function runSetBenchmarks(size, options = {}) {
   console.log(`\n${COLORS.yellow}═══════════════════════════════════════════════════════════${COLORS.reset}`);
   console.log(`${COLORS.yellow}  SET vs ARRAY BENCHMARKS (size: ${size})${COLORS.reset}`);
   console.log(`${COLORS.yellow}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
@@ -252,59 +291,52 @@ function runSetBenchmarks(size) {
   const set = new Set(arr);
 
   const results = [];
+  const measure = (name, fn) => benchmark(name, fn, options);
+  const measureFixed = (name, fn) => ({ ...measure(name, fn), sizeIndependent: true });
 
-  // Add operations
-  results.push(benchmark('Array: push (add)', () => {
+  // Add operations, 1000 values whatever the size
+  results.push(measureFixed('Array: push (add)', () => {
     const a = [];
     for (let i = 0; i < 1000; i++) a.push(i);
+    return a;
   }));
 
-  results.push(benchmark('Set: add', () => {
+  results.push(measureFixed('Set: add', () => {
     const s = new Set();
     for (let i = 0; i < 1000; i++) s.add(i);
+    return s;
   }));
 
   // Search operations
-  results.push(benchmark('Array: includes (first)', () => {
-    arr.includes(0);
-  }));
+  results.push(measure('Array: includes (first)', () => arr.includes(0)));
 
-  results.push(benchmark('Set: has (first)', () => {
-    set.has(0);
-  }));
+  results.push(measure('Set: has (first)', () => set.has(0)));
 
-  results.push(benchmark('Array: includes (last)', () => {
-    arr.includes(size - 1);
-  }));
+  results.push(measure('Array: includes (last)', () => arr.includes(size - 1)));
 
-  results.push(benchmark('Set: has (last)', () => {
-    set.has(size - 1);
-  }));
+  results.push(measure('Set: has (last)', () => set.has(size - 1)));
 
-  results.push(benchmark('Array: includes (not found)', () => {
-    arr.includes(-1);
-  }));
+  results.push(measure('Array: includes (not found)', () => arr.includes(-1)));
 
-  results.push(benchmark('Set: has (not found)', () => {
-    set.has(-1);
-  }));
+  results.push(measure('Set: has (not found)', () => set.has(-1)));
 
-  // Unique values
-  results.push(benchmark('Array: filter unique (indexOf)', () => {
-    arr.slice(0, 100).filter((v, i, a) => a.indexOf(v) === i);
-  }));
+  // Unique values of a 100-element array whatever the size
+  const hundred = Array.from({ length: 100 }, (_, i) => i);
+  results.push(measureFixed('Array: filter unique (indexOf)', () => hundred.slice().filter((v, i, a) => a.indexOf(v) === i)));
 
-  results.push(benchmark('Array: unique with Set', () => {
-    [...new Set(arr.slice(0, 100))];
-  }));
+  results.push(measureFixed('Array: unique with Set', () => [...new Set(hundred.slice())]));
 
   results.forEach(r => console.log(formatResult(r)));
+  return results.map(r => ({ group: 'set', ...r }));
 }
 
 /**
  * Print recommendations based on benchmarks
+ * @param {Map<string, Object>} [fits] - From printScaling(); when given, each
+ *   recommendation shows the complexity measured for the cases behind it,
+ *   where the fit is conclusive
  */
-function printRecommendations() {
+function printRecommendations(fits = new Map()) {
   console.log(`\n${COLORS.green}═══════════════════════════════════════════════════════════${COLORS.reset}`);
   console.log(`${COLORS.green}  RECOMMENDATIONS${COLORS.reset}`);
   console.log(`${COLORS.green}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
@@ -314,13 +346,15 @@ function printRecommendations() {
       scenario: 'Frequent lookups by key',
       use: 'Map or Set',
       avoid: 'Array.includes() or Array.find()',
-      reason: 'O(1) vs O(n) lookup time'
+      reason: 'O(1) vs O(n) lookup time',
+      evidence: ['set: Set: has (last)', 'set: Array: includes (last)']
     },
     {
       scenario: 'Add/remove from start of collection',
       use: 'Linked list or reassign array',
       avoid: 'Array.unshift() / Array.shift()',
-      reason: 'O(n) reindexing cost'
+      reason: 'O(n) reindexing cost',
+      evidence: ['array: unshift + shift (at size)', 'array: push + pop (at size)']
     },
     {
       scenario: 'Need unique values',
@@ -338,7 +372,8 @@ function printRecommendations() {
       scenario: 'Need to know collection size frequently',
       use: 'Map.size or Set.size',
       avoid: 'Object.keys().length',
-      reason: 'O(1) vs O(n)'
+      reason: 'O(1) vs O(n)',
+      evidence: ['map: Map.size', 'map: Object.keys().length']
     },
     {
       scenario: 'Ordered iteration of keys',
@@ -352,43 +387,347 @@ function printRecommendations() {
     console.log(`${COLORS.blue}${i + 1}. ${rec.scenario}${COLORS.reset}`);
     console.log(`   ${COLORS.green}Use:${COLORS.reset} ${rec.use}`);
     console.log(`   ${COLORS.yellow}Avoid:${COLORS.reset} ${rec.avoid}`);
-    console.log(`   ${COLORS.gray}Reason:${COLORS.reset} ${rec.reason}\n`);
+    console.log(`   ${COLORS.gray}Reason:${COLORS.reset} ${rec.reason}`);
+    // Only fits that tell the classes apart back a recommendation
+    const measured = (rec.evidence || []).filter(key => fits.has(key) && fits.get(key).conclusive);
+    if (measured.length > 0) {
+      const classes = measured.map(key => `${key.slice(key.indexOf(': ') + 2)} ${fits.get(key).best.name}`);
+      console.log(`   ${COLORS.gray}Measured:${COLORS.reset} ${classes.join(', ')}`);
+    }
+    console.log('');
   });
 }
 
+/**
+ * Run a user-defined suite from loadSuite(), printing each case as it finishes
+ * @param {Object} [options] - benchmark() options, such as memory
+ * @returns {Array<Object>} Results, each with the suite name as group
+ */
+function runSuiteBenchmarks(suite, size, options = {}) {
+  console.log(`\n${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}`);
+  console.log(`${COLORS.cyan}  ${suite.name.toUpperCase()} (${suite.cases.length} cases)${COLORS.reset}`);
+  console.log(`${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
+
+  return runSuite(suite, { ...options, size, onResult: r => console.log(formatResult(r)) });
+}
+
+const CLASS_COLORS = {
+  'O(1)': COLORS.green,
+  'O(log n)': COLORS.green,
+  'O(n)': COLORS.yellow,
+  'O(n log n)': COLORS.yellow,
+  'O(n²)': COLORS.red
+};
+
+/**
+ * Print each case's median time per size and the complexity class that fits;
+ * cases marked sizeIndependent do the same work at every size, so fitting
+ * them would only label them O(1)
+ * @param {Array<Object>} results - From all sizes, each with its size
+ * @param {Array<number>} sizes
+ * @returns {Map<string, Object>} "group: name" → fitComplexity() result
+ */
+function printScaling(results, sizes) {
+  console.log(`\n${COLORS.blue}═══════════════════════════════════════════════════════════${COLORS.reset}`);
+  console.log(`${COLORS.blue}  SCALING (median per call)${COLORS.reset}`);
+  console.log(`${COLORS.blue}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
+
+  const byCase = new Map();
+  results.forEach(r => {
+    const key = `${r.group}: ${r.name}`;
+    if (!byCase.has(key)) byCase.set(key, []);
+    byCase.get(key).push(r);
+  });
+
+  console.log(`${''.padEnd(46)} ${sizes.map(n => `n=${n}`.padStart(10)).join(' ')}  Best fit`);
+  const fits = new Map();
+  byCase.forEach((caseResults, key) => {
+    const times = sizes.map(n => {
+      const r = caseResults.find(result => result.size === n);
+      return r ? formatTime(r.median).padStart(10) : '-'.padStart(10);
+    });
+    if (caseResults[0].sizeIndependent) {
+      console.log(`${key.padEnd(46)} ${times.join(' ')}  ${COLORS.gray}not size-dependent${COLORS.reset}`);
+      return;
+    }
+    const fit = fitComplexity(caseResults.map(r => ({ n: r.size, time: r.median, rme: r.rme })));
+    fits.set(key, fit);
+    const verdict = fit.conclusive
+      ? `${CLASS_COLORS[fit.best.name]}${fit.best.name}${COLORS.reset} ${COLORS.gray}(±${(fit.best.error * 100).toFixed(0)}%)${COLORS.reset}`
+      : `inconclusive ${COLORS.gray}(${fit.reason})${COLORS.reset}`;
+    console.log(`${key.padEnd(46)} ${times.join(' ')}  ${verdict}`);
+  });
+  return fits;
+}
+
+/**
+ * Sizes from --sizes: "100,1000,10000" or a geometric "100..100000x10"
+ * @returns {Array<number>} Distinct sizes, ascending
+ * @throws {Error} When the text is not either form or gives fewer than three sizes
+ */
+function parseSizes(text) {
+  const range = /^([\d.e+]+)\.\.([\d.e+]+)(?:x([\d.]+))?$/i.exec(text);
+  let sizes;
+  if (range) {
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    const factor = range[3] ? Number(range[3]) : DEFAULT_SWEEP_FACTOR;
+    if (!(factor > 1)) throw new Error(`--sizes ${text}: the growth factor must be greater than 1`);
+    sizes = [];
+    for (let n = from; n <= to * 1.0001; n *= factor) sizes.push(Math.round(n));
+  } else {
+    sizes = text.split(',').map(Number);
+  }
+
+  sizes = [...new Set(sizes)].sort((a, b) => a - b);
+  if (sizes.some(n => !Number.isInteger(n) || n < 1)) {
+    throw new Error(`--sizes ${text}: expected sizes like 100,1000,10000,100000 or 100..100000x10`);
+  }
+  if (sizes.length < 3) {
+    throw new Error(`--sizes ${text}: fitting complexity needs three or more sizes`);
+  }
+  return sizes;
+}
+
+/**
+ * Parse the number given to an option
+ * @param {string} flag - Option name, for the error message
+ * @param {string} text - Its value as given
+ * @param {Function} isValid - Whether the parsed number is acceptable
+ * @param {string} expected - What isValid() accepts, for the error message
+ * @returns {number}
+ * @throws {Error} On anything else, e.g. "10%" for a threshold
+ */
+function parseNumber(flag, text, isValid, expected) {
+  const value = Number(text);
+  if (text === '' || text.startsWith('--')) throw new Error(`${flag} needs a value`);
+  if (text.trim() === '' || !isValid(value)) {
+    throw new Error(`${flag} ${text}: expected ${expected}`);
+  }
+  return value;
+}
+
+const STATUS_COLORS = {
+  regression: COLORS.red,
+  slower: COLORS.yellow,
+  faster: COLORS.green,
+  unchanged: COLORS.gray,
+  new: COLORS.blue,
+  missing: COLORS.gray
+};
+
+/**
+ * Print a comparison with a baseline, from compareResults()
+ */
+function printComparison(comparison, baseline) {
+  console.log(`\n${COLORS.blue}═══════════════════════════════════════════════════════════${COLORS.reset}`);
+  console.log(`${COLORS.blue}  COMPARED WITH BASELINE (${baseline.createdAt})${COLORS.reset}`);
+  console.log(`${COLORS.blue}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
+
+  // A different runtime or machine explains a change as well as the code does
+  comparison.environmentChanges.forEach(({ field, before, after }) => {
+    console.log(`${COLORS.yellow}  ${field} changed: ${JSON.stringify(before)} → ${JSON.stringify(after)}${COLORS.reset}`);
+  });
+  if (comparison.environmentChanges.length > 0) console.log('');
+
+  comparison.rows.forEach(row => {
+    const color = STATUS_COLORS[row.status];
+    const times = row.base && row.current
+      ? `${formatTime(row.base.mean).padStart(9)} → ${formatTime(row.current.mean).padStart(9)}  ${`${row.delta > 0 ? '+' : ''}${row.delta.toFixed(1)}%`.padStart(8)}`
+      : ''.padStart(32);
+    // A change within the spread of the runs is noise, whatever its size
+    const spread = row.spread > 0 ? ` ${COLORS.gray}(runs ±${(row.spread / 2).toFixed(0)}%)${COLORS.reset}` : '';
+    console.log(`${row.key.padEnd(46)} ${times}  ${color}${row.status}${COLORS.reset}${spread}`);
+  });
+
+  const { regressions, threshold } = comparison;
+  console.log('');
+  if (regressions.length > 0) {
+    console.log(`${COLORS.red}${regressions.length} significant regression(s) beyond ${threshold}%${COLORS.reset}`);
+  } else {
+    console.log(`${COLORS.green}No significant regressions beyond ${threshold}%${COLORS.reset}`);
+  }
+}
+
 // Main
 function main() {
   const args = process.argv.slice(2);
   let size = DEFAULT_SIZE;
-  let type = 'all';
+  let sizeText = null;
+  let sizesText = null;
+  let type = null;
+  const suitePaths = [];
+  let savePath = null;
+  let comparePath = null;
+  let threshold = DEFAULT_THRESHOLD;
+  let thresholdText = null;
+  let runsText = null;
+  let memory = false;
+  let forceGc = false;
 
   // Parse arguments
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--size' && args[i + 1]) {
-      size = parseInt(args[i + 1], 10);
+    if (args[i] === '--size') {
+      sizeText = args[i + 1] || '';
+      i++;
+    } else if (args[i] === '--sizes' && args[i + 1]) {
+      sizesText = args[i + 1];
       i++;
     } else if (args[i] === '--type' && args[i + 1]) {
       type = args[i + 1];
       i++;
+    } else if (args[i] === '--suite' && args[i + 1]) {
+      suitePaths.push(args[i + 1]);
+      i++;
+    } else if (args[i] === '--save' && args[i + 1]) {
+      savePath = args[i + 1];
+      i++;
+    } else if (args[i] === '--compare' && args[i + 1]) {
+      comparePath = args[i + 1];
+      i++;
+    } else if (args[i] === '--threshold') {
+      thresholdText = args[i + 1] || '';
+      i++;
+    } else if (args[i] === '--runs') {
+      runsText = args[i + 1] || '';
+      i++;
+    } else if (args[i] === '--memory') {
+      memory = true;
+    } else if (args[i] === '--expose-gc') {
+      memory = true;
+      forceGc = true;
     }
   }
 
-  console.log(`${COLORS.cyan}JavaScript Data Structures Benchmark${COLORS.reset}`);
-  console.log(`${COLORS.gray}Size: ${size} | Iterations: ${ITERATIONS}${COLORS.reset}`);
+  // Built-in cases run unless suites replace them
+  if (!type) type = suitePaths.length > 0 ? 'none' : 'all';
+
+  // Read numbers, sizes, suites and the baseline first, so a mistake fails before the run, not after
+  let sizes;
+  let suites;
+  let baseline = null;
+  let runCount = savePath || comparePath ? DEFAULT_RUNS : 1;
+  try {
+    if (sizeText !== null) size = parseNumber('--size', sizeText, n => Number.isInteger(n) && n >= 1, 'a whole number of 1 or more');
+    if (thresholdText !== null) threshold = parseNumber('--threshold', thresholdText, n => Number.isFinite(n) && n >= 0, 'a percentage as a plain number, e.g. 10');
+    if (runsText !== null) runCount = parseNumber('--runs', runsText, n => Number.isInteger(n) && n >= 1, 'a whole number of 1 or more');
+    sizes = sizesText ? parseSizes(sizesText) : [size];
+    suites = suitePaths.map(loadSuite);
+    if (comparePath) baseline = loadBaseline(comparePath);
+  } catch (error) {
+    console.error(`${COLORS.red}${error.message}${COLORS.reset}`);
+    process.exit(1);
+  }
+  const sweep = sizes.length > 1;
+  const sizeLabel = sweep ? sizes.join(', ') : size;
+
+  // Timings at another size are not comparable, and would pass or fail the gate by chance
+  const baselineSizes = baseline && (baseline.sizes || (baseline.size === undefined ? null : [baseline.size]));
+  if (baselineSizes && baselineSizes.join() !== sizes.join()) {
+    console.error(`${COLORS.red}${comparePath} was measured at size ${baselineSizes.join(', ')}; this run uses ${sizeLabel}. ` +
+      `Run with the same --size or --sizes, or --save a new baseline${COLORS.reset}`);
+    process.exit(1);
+  }
 
-  if (type === 'all' || type === 'array') {
-    runArrayBenchmarks(size);
+  const runProcess = process.env[RUN_ENV];
+  if (runProcess) {
+    console.log(`\n${COLORS.gray}Run ${runProcess}${COLORS.reset}`);
+  } else {
+    console.log(`${COLORS.cyan}JavaScript Data Structures Benchmark${COLORS.reset}`);
+    console.log(`${COLORS.gray}Size: ${sizeLabel} | Samples: ${DEFAULT_SAMPLES} | Runs: ${runCount} | Timer resolution: ${formatTime(measureResolution())}${COLORS.reset}`);
   }
 
-  if (type === 'all' || type === 'map') {
-    runMapBenchmarks(size);
+  // Memory is profiled after each case's timing, so it does not skew the timing
+  const options = memory ? { memory: { gc: forceGc ? exposeGc() : null } } : {};
+  if (memory) {
+    const mode = forceGc ? 'exact, GC forced around each measurement' : '~ approximate; --expose-gc makes it exact';
+    console.log(`${COLORS.gray}Memory: retained heap ${mode}${COLORS.reset}`);
   }
 
-  if (type === 'all' || type === 'set') {
-    runSetBenchmarks(size);
+  const measureRun = () => {
+    const results = [];
+
+    sizes.forEach(n => {
+      const sizeResults = [];
+
+      if (type === 'all' || type === 'array') {
+        sizeResults.push(...runArrayBenchmarks(n, options));
+      }
+
+      if (type === 'all' || type === 'map') {
+        sizeResults.push(...runMapBenchmarks(n, options));
+      }
+
+      if (type === 'all' || type === 'set') {
+        sizeResults.push(...runSetBenchmarks(n, options));
+      }
+
+      try {
+        suites.forEach(suite => {
+          sizeResults.push(...runSuiteBenchmarks(suite, n, options));
+        });
+      } catch (error) {
+        console.error(`${COLORS.red}${error.message}${COLORS.reset}`);
+        process.exit(1);
+      }
+
+      // In a sweep the same case runs at every size; the size tells them apart
+      results.push(...(sweep ? sizeResults.map(r => ({ ...r, size: n })) : sizeResults));
+    });
+    return results;
+  };
+
+  if (runProcess) {
+    fs.writeSync(RESULTS_FD, JSON.stringify(measureRun().map(({ times, ...result }) => result)));
+    return;
+  }
+
+  // Runs in one process share its JIT decisions and heap layout, so they
+  // differ less than runs on another day would; each gets a process of its own
+  let results;
+  if (runCount > 1) {
+    const runs = [];
+    for (let run = 1; run <= runCount; run++) {
+      const child = spawnSync(process.execPath, [...process.execArgv, __filename, ...args], {
+        env: { ...process.env, [RUN_ENV]: `${run} of ${runCount}` },
+        stdio: ['ignore', 'inherit', 'inherit', 'pipe'],
+        maxBuffer: Infinity
+      });
+      if (child.status !== 0) process.exit(child.status === null ? 1 : child.status);
+      runs.push(JSON.parse(child.output[RESULTS_FD]));
+    }
+    results = combineRuns(runs);
+  } else {
+    results = measureRun();
+  }
+
+  const fits = sweep ? printScaling(results, sizes) : new Map();
+
+  if (type !== 'none') printRecommendations(fits);
+
+  if (savePath) {
+    const sizeMeta = sweep ? { sizes } : { size };
+    saveBaseline(savePath, results, { ...sizeMeta, type, suites: suites.map(suite => suite.name) });
+    console.log(`${COLORS.green}Baseline saved to ${savePath}${COLORS.reset}`);
   }
 
-  printRecommendations();
+  if (baseline) {
+    const comparison = compareResults(baseline, results, { threshold });
+    printComparison(comparison, baseline);
+    if (comparison.regressions.length > 0) process.exit(1);
+  }
 }
 
-main();
+// Export for module usage
+module.exports = {
+  benchmark,
+  formatResult,
+  runArrayBenchmarks,
+  runMapBenchmarks,
+  runSetBenchmarks,
+  runSuiteBenchmarks
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
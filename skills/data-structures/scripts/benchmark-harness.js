@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Harness
+ * Times a function in calibrated batches, so every sample runs long enough
+ * for the timer to resolve it, and summarizes the samples statistically.
+ * Each call's return value goes to a sink the optimizer cannot see through,
+ * so a case is never eliminated as dead code; return what you compute.
+ *
+ * Usage:
+ *   const { benchmark, formatResult } = require('./benchmark-harness');
+ *   const result = benchmark('Map.size', () => map.size);
+ *   console.log(formatResult(result));
+ *   // result: { name, mean, median, p95, min, max, sd, moe, rme, opsPerSec, samples, batch }
+ *
+ *   // With { memory: {} } (or { memory: { gc } }) the result also has memory,
+ *   // from memory-profile.js, and formatResult() prints it on a second line
+ *   benchmark('new Map', () => new Map(entries), { memory: { gc: exposeGc() } });
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const { profileMemory, formatMemory } = require('./memory-profile');
+
+// Samples taken per case once the batch size is calibrated
+const DEFAULT_SAMPLES = 50;
+
+// Samples run and thrown away after calibration, while the JIT settles
+const WARMUP_SAMPLES = 5;
+
+// Shortest sample in milliseconds, however fine the timer is
+const MIN_SAMPLE_MS = 1;
+
+// A sample lasts this many timer ticks at least, which keeps the timer's
+// own rounding under 1% of every sample
+const RESOLUTION_MULTIPLE = 100;
+
+// Student's t for a two-sided 95% interval, by degrees of freedom; from
+// 30 on the normal distribution's 1.96 is close enough
+const T_TABLE = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045
+];
+const T_NORMAL = 1.96;
+
+// Every result is written here. A store to a module variable is a side
+// effect V8 must keep, so the work that produced the value is kept too.
+let sink;
+
+// Nanoseconds since an origin fit a double exactly; since boot they do not
+const origin = process.hrtime.bigint();
+const now = () => Number(process.hrtime.bigint() - origin) / 1e6;
+
+let timerResolution = null;
+
+/**
+ * Smallest step the timer takes, in milliseconds, measured once
+ */
+function measureResolution() {
+  if (timerResolution !== null) return timerResolution;
+
+  let smallest = Infinity;
+  for (let i = 0; i < 100; i++) {
+    const start = now();
+    let next = now();
+    while (next === start) next = now();
+    smallest = Math.min(smallest, next - start);
+  }
+  timerResolution = smallest;
+  return timerResolution;
+}
+
+/**
+ * Time `batch` calls of fn
+ * @returns {number} Elapsed milliseconds
+ */
+function runBatch(fn, batch) {
+  const start = now();
+  for (let i = 0; i < batch; i++) sink = fn();
+  return now() - start;
+}
+
+/**
+ * Calls per sample so a sample lasts at least minSampleTime. Doubles the
+ * batch until it is long enough to measure, then scales it in one step.
+ */
+function calibrate(fn, minSampleTime, batch = 1) {
+  for (;;) {
+    const elapsed = runBatch(fn, batch);
+    if (elapsed >= minSampleTime) return batch;
+    batch = elapsed < minSampleTime / 10 ? batch * 2 : Math.ceil(batch * minSampleTime / elapsed * 1.1);
+  }
+}
+
+// Two-sided 95% critical value of Student's t
+const tCritical = df => (df >= 1 ? T_TABLE[Math.round(df) - 1] || T_NORMAL : Infinity);
+
+const percentile = (sorted, p) => {
+  const rank = (sorted.length - 1) * p;
+  const below = Math.floor(rank);
+  return sorted[below] + (sorted[Math.min(below + 1, sorted.length - 1)] - sorted[below]) * (rank - below);
+};
+
+/**
+ * Summary statistics of per-call times
+ * @param {Array<number>} times - Milliseconds per call, one per sample
+ * @returns {Object} { mean, median, p95, min, max, sd, moe, rme, opsPerSec }:
+ *   sd is the sample standard deviation, moe the 95% margin of error of the
+ *   mean and rme that margin as a percentage of the mean
+ */
+function summarize(times) {
+  const n = times.length;
+  const sorted = [...times].sort((a, b) => a - b);
+  const mean = times.reduce((sum, time) => sum + time, 0) / n;
+  const sd = n > 1 ? Math.sqrt(times.reduce((sum, time) => sum + (time - mean) ** 2, 0) / (n - 1)) : 0;
+  const moe = n > 1 ? tCritical(n - 1) * sd / Math.sqrt(n) : 0;
+
+  return {
+    mean,
+    median: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95),
+    min: sorted[0],
+    max: sorted[n - 1],
+    sd,
+    moe,
+    rme: mean > 0 ? moe / mean * 100 : 0,
+    opsPerSec: mean > 0 ? 1000 / mean : Infinity
+  };
+}
+
+/**
+ * Welch's t-test: whether two results' means differ at 95% confidence,
+ * without assuming equal variances
+ * @param {Object} a - { mean, sd, samples }
+ * @param {Object} b - { mean, sd, samples }
+ * @returns {Object} { t, df, significant }
+ */
+function welchTest(a, b) {
+  const va = a.sd ** 2 / a.samples;
+  const vb = b.sd ** 2 / b.samples;
+  if (va + vb === 0) return { t: a.mean === b.mean ? 0 : Infinity, df: Infinity, significant: a.mean !== b.mean };
+
+  const t = (a.mean - b.mean) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.samples - 1) + vb ** 2 / (b.samples - 1));
+  return { t, df, significant: Math.abs(t) > tCritical(df) };
+}
+
+/**
+ * Benchmark a function
+ * @param {string} name
+ * @param {Function} fn - The operation; return its result so it is consumed
+ * @param {Object} [options] - { samples, minSampleTime } in milliseconds, and
+ *   memory: { gc } to profile memory after timing (see memory-profile.js)
+ * @returns {Object} { name, samples, batch, times } plus summarize()'s statistics,
+ *   all in milliseconds per call, and memory when it was profiled
+ */
+function benchmark(name, fn, options = {}) {
+  const samples = options.samples || DEFAULT_SAMPLES;
+  const minSampleTime = options.minSampleTime || Math.max(MIN_SAMPLE_MS, measureResolution() * RESOLUTION_MULTIPLE);
+
+  // Unoptimized first calls make the first batch size too small, so it is
+  // checked again once the warmup has let the JIT compile fn
+  let batch = calibrate(fn, minSampleTime);
+  for (let i = 0; i < WARMUP_SAMPLES; i++) runBatch(fn, batch);
+  batch = calibrate(fn, minSampleTime, batch);
+
+  const times = [];
+  for (let i = 0; i < samples; i++) times.push(runBatch(fn, batch) / batch);
+
+  const result = { name, samples, batch, times, ...summarize(times) };
+  if (options.memory) {
+    result.memory = profileMemory(fn, { mean: result.mean, gc: options.memory.gc });
+  }
+  return result;
+}
+
+/**
+ * Milliseconds in the unit that suits them: ns, µs, ms or s
+ */
+function formatTime(ms) {
+  if (ms < 0.001) return `${(ms * 1e6).toFixed(1)}ns`;
+  if (ms < 1) return `${(ms * 1e3).toFixed(2)}µs`;
+  if (ms < 1000) return `${ms.toFixed(3)}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+const formatOps = (ops) => {
+  if (ops >= 1e6) return `${(ops / 1e6).toFixed(2)}M`;
+  if (ops >= 1e3) return `${(ops / 1e3).toFixed(2)}K`;
+  return ops.toFixed(1);
+};
+
+/**
+ * Format benchmark result, with its memory profile on a second line
+ */
+function formatResult(result) {
+  const line = `${result.name.padEnd(40)} Median: ${formatTime(result.median).padStart(9)} | ` +
+    `p95: ${formatTime(result.p95).padStart(9)} | SD: ${formatTime(result.sd).padStart(9)} | ±${result.rme.toFixed(1).padStart(4)}% | ` +
+    `${formatOps(result.opsPerSec).padStart(8)} ops/s`;
+  return result.memory ? `${line}\n${''.padEnd(41)}${formatMemory(result.memory, result.opsPerSec)}` : line;
+}
+
+module.exports = { benchmark, summarize, welchTest, formatResult, formatTime, measureResolution, DEFAULT_SAMPLES };
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Suites
+ * Loads benchmark cases from a module of your own and runs them on the
+ * harness in benchmark-harness.js, once per combination of its parameters.
+ *
+ * Usage:
+ *   const { loadSuite, runSuite } = require('./benchmark-suite');
+ *   const results = runSuite(loadSuite('./lru-cache.bench.js'), { size: 10000 });
+ *
+ * A suite module exports:
+ *   module.exports = {
+ *     name: 'LRU cache',                          // defaults to the file name
+ *     params: { size: [100, 10000], hitRate: [0.5, 0.9] },
+ *     setup(params) { return { keys: makeKeys(params.size) }; },
+ *     teardown(context, params) {},
+ *     cases: {
+ *       'Map: get': (context, params) => map.get(context.keys[0]),
+ *       'LRU: get': {
+ *         setup(context, params) { return { ...context, cache: fill(new LRU(), params) }; },
+ *         fn(context, params) { return context.cache.get(context.keys[0]); },
+ *         teardown(context, params) { context.cache.clear(); }
+ *       }
+ *     }
+ *   };
+ *
+ * Every combination of params runs every case; params.size defaults to the
+ * --size given on the command line. The suite's setup runs once per
+ * combination and a case's setup once per case, and what setup returns is
+ * the context the case's fn receives. Teardowns run even when a case throws,
+ * and the error is rethrown naming the suite and case.
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { benchmark } = require('./benchmark-harness');
+
+/**
+ * Load a suite module and check its shape
+ * @param {string} filePath - Relative to the working directory
+ * @returns {Object} { name, file, params, setup, teardown, cases: [{ name, setup, fn, teardown }] }
+ * @throws {Error} When it cannot be loaded or has no runnable cases
+ */
+function loadSuite(filePath) {
+  const file = path.resolve(filePath);
+  let suite;
+  try {
+    suite = require(file);
+  } catch (error) {
+    throw new Error(`Cannot load suite ${filePath}: ${error.message.split('\n')[0]}`);
+  }
+
+  if (!suite || typeof suite.cases !== 'object' || Object.keys(suite.cases).length === 0) {
+    throw new Error(`${filePath} exports no "cases"; expected { cases: { name: fn or { setup, fn, teardown } } }`);
+  }
+
+  const cases = Object.entries(suite.cases).map(([name, entry]) => {
+    const testCase = typeof entry === 'function' ? { fn: entry } : entry || {};
+    if (typeof testCase.fn !== 'function') {
+      throw new Error(`${filePath}: case '${name}' has no fn`);
+    }
+    return { name, setup: testCase.setup, fn: testCase.fn, teardown: testCase.teardown };
+  });
+
+  const params = suite.params || {};
+  Object.entries(params).forEach(([key, values]) => {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`${filePath}: param '${key}' must be a non-empty list of values`);
+    }
+  });
+
+  return {
+    name: suite.name || path.basename(file).replace(/(\.bench)?\.[cm]?js$/, ''),
+    file,
+    params,
+    setup: suite.setup,
+    teardown: suite.teardown,
+    cases
+  };
+}
+
+/**
+ * Every combination of the parameter lists, in the order they are listed
+ * @param {Object} params - { key: [values] }
+ * @returns {Array<Object>} { key: value }; one empty object without params
+ */
+function combinations(params) {
+  return Object.entries(params).reduce(
+    (combos, [key, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+    [{}]
+  );
+}
+
+// "LRU: get [size=100, hitRate=0.5]", naming only the params the suite sets
+const caseName = (name, combo, suiteParams) => {
+  const shown = Object.keys(suiteParams).map(key => `${key}=${combo[key]}`);
+  return shown.length > 0 ? `${name} [${shown.join(', ')}]` : name;
+};
+
+/**
+ * Run every case of a suite for every combination of its params
+ * @param {Object} suite - From loadSuite()
+ * @param {Object} [options] - { size: default params.size, samples, minSampleTime,
+ *   memory, onResult(result): called as each case finishes }
+ * @returns {Array<Object>} benchmark() results with group set to the suite
+ *   name and params to the combination they ran with
+ * @throws {Error} When a case throws
+ */
+function runSuite(suite, options = {}) {
+  const { size, onResult, ...benchmarkOptions } = options;
+  const results = [];
+
+  combinations(suite.params).forEach(combo => {
+    const params = size === undefined ? combo : { size, ...combo };
+    const context = suite.setup ? suite.setup(params) : {};
+
+    try {
+      suite.cases.forEach(testCase => {
+        const caseContext = testCase.setup ? testCase.setup(context, params) : context;
+        const name = caseName(testCase.name, combo, suite.params);
+        let result;
+        try {
+          result = benchmark(name, () => testCase.fn(caseContext, params), benchmarkOptions);
+        } catch (error) {
+          throw new Error(`${suite.name}: case '${name}' threw: ${error.message}`);
+        } finally {
+          if (testCase.teardown) testCase.teardown(caseContext, params);
+        }
+        result = { group: suite.name, params, ...result };
+        results.push(result);
+        if (onResult) onResult(result);
+      });
+    } finally {
+      if (suite.teardown) suite.teardown(context, params);
+    }
+  });
+
+  return results;
+}
+
+module.exports = { loadSuite, runSuite, combinations };
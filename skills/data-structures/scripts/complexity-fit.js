@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Empirical Complexity Estimation
+ * Fits timings measured at several input sizes to O(1), O(log n), O(n),
+ * O(n log n) and O(n²) and picks the class that explains them.
+ *
+ * Usage:
+ *   const { fitComplexity } = require('./complexity-fit');
+ *   const { best, fits } = fitComplexity([{ n: 100, time: 0.0012 }, { n: 1000, time: 0.011 }, ...]);
+ *   console.log(best.name); // 'O(n)'
+ *
+ * Each model is fitted as time = a + b·f(n) with a, b ≥ 0, so a fixed
+ * overhead per call does not pass for growth. Residuals are weighted
+ * relative to the time, since timings across sizes span orders of
+ * magnitude. The simplest class whose error is close to the best one's
+ * wins: noise, caches and GC bend real timings, and should not turn O(1)
+ * into O(log n) or O(n) into O(n log n).
+ *
+ * A fit is only conclusive when the timings could tell the classes apart:
+ * four or more sizes spanning two decades, and a best fit that is off by
+ * no more than the noise. Three sizes fit a curve of nearly any shape.
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+// Simplest first: ties go to the earlier model
+const MODELS = [
+  { name: 'O(1)', f: () => 1 },
+  { name: 'O(log n)', f: n => Math.log2(n) },
+  { name: 'O(n)', f: n => n },
+  { name: 'O(n log n)', f: n => n * Math.log2(n) },
+  { name: 'O(n²)', f: n => n * n }
+];
+
+// A simpler model is kept while its error exceeds the lowest by no more
+// than the measurement noise, and at least by this much
+const MIN_TOLERANCE = 0.15;
+
+const MIN_POINTS = 3;
+
+// Fewer sizes, or a narrower range of them, make a fit inconclusive
+const MIN_CONCLUSIVE_POINTS = 4;
+const MIN_CONCLUSIVE_SPAN = 100;
+
+/**
+ * Weighted least squares of time = a + b·f(n), weights 1/time², with a and b
+ * kept non-negative
+ * @returns {Object} { a, b }
+ */
+function fitModel(points, f) {
+  let W = 0;
+  let Sf = 0;
+  let St = 0;
+  let Sff = 0;
+  let Sft = 0;
+  points.forEach(({ n, time }) => {
+    const w = 1 / (time * time);
+    const x = f(n);
+    W += w;
+    Sf += w * x;
+    St += w * time;
+    Sff += w * x * x;
+    Sft += w * x * time;
+  });
+
+  const denominator = W * Sff - Sf * Sf;
+  let b = denominator > 0 ? (W * Sft - Sf * St) / denominator : 0;
+  let a = (St - b * Sf) / W;
+  if (b < 0) {
+    b = 0;
+    a = St / W;
+  } else if (a < 0) {
+    a = 0;
+    b = Sft / Sff;
+  }
+  return { a, b };
+}
+
+// Root mean square of (measured - predicted) / measured
+const relativeError = (points, predict) => Math.sqrt(
+  points.reduce((sum, { n, time }) => sum + ((time - predict(n)) / time) ** 2, 0) / points.length
+);
+
+/**
+ * Fit timings to each complexity class
+ * @param {Array<Object>} points - { n, time, rme? }: time per call at input
+ *   size n, and optionally its margin of error in percent, which widens
+ *   what counts as noise
+ * @returns {Object} { best, fits, conclusive, reason } — fits are
+ *   { name, a, b, error } for every model, error being the RMS relative
+ *   residual; best is one of them; reason says why a fit is not conclusive
+ * @throws {Error} With fewer than three distinct sizes
+ */
+function fitComplexity(points) {
+  const usable = points.filter(point => point.n > 0 && point.time > 0);
+  if (new Set(usable.map(point => point.n)).size < MIN_POINTS) {
+    throw new Error(`Fitting complexity needs timings at ${MIN_POINTS} or more sizes`);
+  }
+
+  const fits = MODELS.map(model => {
+    const { a, b } = fitModel(usable, model.f);
+    return { name: model.name, a, b, error: relativeError(usable, n => a + b * model.f(n)) };
+  });
+
+  const noise = usable.reduce((sum, point) => sum + (point.rme || 0), 0) / usable.length / 100;
+  const tolerance = Math.max(MIN_TOLERANCE, noise);
+  const lowest = Math.min(...fits.map(fit => fit.error));
+  const best = fits.find(fit => fit.error <= lowest + tolerance);
+
+  const sizes = [...new Set(usable.map(point => point.n))];
+  const span = Math.max(...sizes) / Math.min(...sizes);
+  const reason = sizes.length < MIN_CONCLUSIVE_POINTS ? `only ${sizes.length} sizes`
+    : span < MIN_CONCLUSIVE_SPAN ? `sizes span ${span.toFixed(0)}x, under two decades`
+      : best.error > tolerance ? `best fit off by ±${(best.error * 100).toFixed(0)}%`
+        : null;
+
+  return { best, fits, conclusive: !reason, reason };
+}
+
+module.exports = { fitComplexity, MODELS };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Memory Profiling for Benchmarks
+ * Measures what a benchmark case costs in memory: heap retained by the
+ * structure it returns, per element; bytes allocated per call and per
+ * second; and the garbage collections it causes, with their pause time.
+ *
+ * Usage:
+ *   const { profileMemory, exposeGc, formatMemory } = require('./memory-profile');
+ *   const memory = profileMemory(() => new Map(entries), { calls: 1000, gc: exposeGc() });
+ *   console.log(formatMemory(memory, result.opsPerSec));
+ *
+ * GCs are counted with v8.GCProfiler, which reports synchronously. A
+ * PerformanceObserver's gc entries only arrive once the event loop turns,
+ * which the synchronous cases never let it do, so they could not be told
+ * apart per case.
+ *
+ * Without a gc function the retained heap is what a call leaves on the
+ * heap, garbage included, so it is an upper bound; with one (node
+ * --expose-gc, or exposeGc()) the heap is collected before and after and
+ * the figure is exact.
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const v8 = require('v8');
+const vm = require('vm');
+
+// Time to spend on the allocation measurement of each case, in milliseconds
+const PROFILE_MS = 20;
+
+// Results held alive at once to measure retained heap. One is lost in the
+// slack of V8's allocation buffers; ten average it out.
+const RETAINED_COPIES = 10;
+
+// Results are kept here so neither the optimizer nor the GC drops them early
+let sink;
+
+/**
+ * A function that forces a full garbage collection: global.gc when node
+ * runs with --expose-gc, otherwise one enabled at runtime
+ */
+function exposeGc() {
+  if (typeof global.gc === 'function') return global.gc;
+  v8.setFlagsFromString('--expose-gc');
+  return vm.runInNewContext('gc');
+}
+
+const heapUsed = () => v8.getHeapStatistics().used_heap_size;
+
+// Elements in a returned structure, or null when it is not a collection
+const countElements = (value) => {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) return value.length;
+  if (value instanceof Map || value instanceof Set) return value.size;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return null;
+};
+
+/**
+ * Profile a case's memory use
+ * @param {Function} fn - The case; what it returns is measured as retained
+ * @param {Object} [options] - { calls: calls to average allocation over,
+ *   mean: milliseconds per call, used to pick calls when none are given,
+ *   gc: function forcing a full collection, from exposeGc() }
+ * @returns {Object} { retainedBytes, elements, bytesPerElement, exact,
+ *   allocatedPerCall, gcCount, majorGcCount, gcPauseMs }
+ * @throws {Error} When v8.GCProfiler is not available (Node.js before 18.15)
+ */
+function profileMemory(fn, options = {}) {
+  if (typeof v8.GCProfiler !== 'function') {
+    throw new Error('Memory profiling needs v8.GCProfiler (Node.js 18.15 or later)');
+  }
+  const { gc = null } = options;
+  // A second pass frees what the first one only finalized
+  const collect = () => {
+    if (gc) {
+      gc();
+      gc();
+    }
+  };
+  const calls = options.calls || Math.max(1, Math.round(PROFILE_MS / (options.mean || PROFILE_MS)));
+
+  // Retained: the heap that one result keeps alive
+  const kept = [];
+  collect();
+  const before = heapUsed();
+  for (let i = 0; i < RETAINED_COPIES; i++) kept.push(fn());
+  collect();
+  const retainedBytes = Math.max(0, heapUsed() - before) / RETAINED_COPIES;
+  const elements = countElements(kept[0]);
+  kept.length = 0;
+
+  // Allocated: heap growth plus what the collections in between freed
+  collect();
+  const profiler = new v8.GCProfiler();
+  profiler.start();
+  const start = heapUsed();
+  for (let i = 0; i < calls; i++) sink = fn();
+  const end = heapUsed();
+  const { statistics } = profiler.stop();
+  sink = null;
+
+  const collected = statistics.reduce(
+    (sum, entry) => sum + entry.beforeGC.heapStatistics.usedHeapSize - entry.afterGC.heapStatistics.usedHeapSize,
+    0
+  );
+
+  return {
+    retainedBytes,
+    elements,
+    bytesPerElement: elements ? retainedBytes / elements : null,
+    exact: gc !== null,
+    allocatedPerCall: Math.max(0, end - start + collected) / calls,
+    gcCount: statistics.length,
+    majorGcCount: statistics.filter(entry => entry.gcType !== 'Scavenge').length,
+    // GCProfiler reports cost in microseconds
+    gcPauseMs: statistics.reduce((sum, entry) => sum + entry.cost, 0) / 1000,
+    calls
+  };
+}
+
+/**
+ * Bytes as B, KB, MB or GB
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes.toFixed(0)} B`;
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
+
+/**
+ * One line of memory figures for a result; the retained heap is shown for
+ * cases that return a collection
+ * @param {Object} memory - From profileMemory()
+ * @param {number} opsPerSec - Calls per second, to turn bytes per call into a rate
+ */
+function formatMemory(memory, opsPerSec) {
+  // Retained heap only means something for a collection that was returned
+  const retained = memory.bytesPerElement === null
+    ? ''
+    : `${memory.exact ? '' : '~'}${formatBytes(memory.bytesPerElement)}/element retained (${memory.elements} elements) | `;
+  const rate = Number.isFinite(opsPerSec) ? `, ${formatBytes(memory.allocatedPerCall * opsPerSec)}/s` : '';
+  const gcs = `${memory.gcCount} GC${memory.gcCount === 1 ? '' : 's'}` +
+    `${memory.majorGcCount > 0 ? ` (${memory.majorGcCount} major)` : ''} in ${memory.calls} calls, ${memory.gcPauseMs.toFixed(2)}ms paused`;
+  return `${retained}alloc ${formatBytes(memory.allocatedPerCall)}/call${rate} | ${gcs}`;
+}
+
+module.exports = { profileMemory, exposeGc, formatMemory, formatBytes };
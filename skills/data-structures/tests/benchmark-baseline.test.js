@@ -0,0 +1,55 @@
+/**
+ * Tests for benchmark baselines and the --compare gate
+ *
+ * Usage:
+ *   node --test skills/data-structures/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareResults, combineRuns, environment } = require('../scripts/benchmark-baseline');
+
+// One run's result for a case: a mean with the tight samples of one process
+const result = (mean, name = 'case') => ({ group: 'g', name, mean, sd: mean * 0.01, samples: 50 });
+
+const baselineOf = results => ({ environment: environment(), results });
+
+const statusOf = (base, current) => compareResults(baselineOf([base]), [current]).rows[0].status;
+
+test('combineRuns keeps the median run and every run mean', () => {
+  const [combined] = combineRuns([[result(3)], [result(1)], [result(2)]]);
+  assert.strictEqual(combined.mean, 2);
+  assert.deepStrictEqual(combined.runMeans, [3, 1, 2]);
+});
+
+test('runs that differ by as much as they do between processes are not a regression', () => {
+  const base = combineRuns([[result(10)], [result(13)], [result(10.5)], [result(12)], [result(11)]])[0];
+  const current = combineRuns([[result(13.2)], [result(12.4)], [result(10.8)], [result(12.9)], [result(11.9)]])[0];
+  assert.strictEqual(statusOf(base, current), 'unchanged');
+});
+
+test('a slowdown beyond the spread of the runs and the threshold is a regression', () => {
+  const base = combineRuns([[result(10)], [result(10.4)], [result(10.2)]])[0];
+  const current = combineRuns([[result(13)], [result(13.3)], [result(12.9)]])[0];
+  assert.strictEqual(statusOf(base, current), 'regression');
+});
+
+test('a significant slowdown under the threshold is only slower', () => {
+  const base = combineRuns([[result(10)], [result(10.1)], [result(10.05)]])[0];
+  const current = combineRuns([[result(10.6)], [result(10.7)], [result(10.65)]])[0];
+  assert.strictEqual(statusOf(base, current), 'slower');
+});
+
+test('single runs fall back to the samples of each run', () => {
+  assert.strictEqual(statusOf(result(10), result(13)), 'regression');
+  assert.strictEqual(statusOf(result(10), result(10)), 'unchanged');
+});
+
+test('cases only on one side are new or missing', () => {
+  const { rows, regressions } = compareResults(baselineOf([result(1, 'old')]), [result(1, 'added')]);
+  assert.deepStrictEqual(rows.map(row => [row.key, row.status]), [['g: added', 'new'], ['g: old', 'missing']]);
+  assert.strictEqual(regressions.length, 0);
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the benchmark harness, the complexity fit and memory profiling
+ *
+ * Usage:
+ *   node --test skills/data-structures/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { benchmark, summarize, welchTest, formatTime } = require('../scripts/benchmark-harness');
+const { fitComplexity } = require('../scripts/complexity-fit');
+const { profileMemory, exposeGc, formatBytes } = require('../scripts/memory-profile');
+const { runSetBenchmarks } = require('../scripts/benchmark-data-structures');
+
+const SIZES = [100, 1000, 10000, 100000];
+
+// Short runs: the tests check the shape of results, not the timings
+const QUICK = { samples: 3, minSampleTime: 0.1 };
+
+// ── Harness ──────────────────────────────────────────────────
+
+test('summarize gives the mean, percentiles, sample SD and margin of error', () => {
+  const stats = summarize([1, 2, 3, 4]);
+  assert.strictEqual(stats.mean, 2.5);
+  assert.strictEqual(stats.median, 2.5);
+  assert.strictEqual(stats.min, 1);
+  assert.strictEqual(stats.max, 4);
+  assert.ok(Math.abs(stats.p95 - 3.85) < 1e-12);
+  assert.ok(Math.abs(stats.sd - Math.sqrt(5 / 3)) < 1e-12);
+  assert.ok(stats.moe > 0);
+  assert.strictEqual(stats.opsPerSec, 400);
+});
+
+test('summarize of a single sample has no spread', () => {
+  const stats = summarize([2]);
+  assert.strictEqual(stats.sd, 0);
+  assert.strictEqual(stats.rme, 0);
+});
+
+test('welchTest tells apart means further apart than their noise', () => {
+  assert.strictEqual(welchTest({ mean: 10, sd: 1, samples: 50 }, { mean: 12, sd: 1, samples: 50 }).significant, true);
+  assert.strictEqual(welchTest({ mean: 10, sd: 5, samples: 5 }, { mean: 11, sd: 5, samples: 5 }).significant, false);
+  assert.strictEqual(welchTest({ mean: 1, sd: 0, samples: 5 }, { mean: 1, sd: 0, samples: 5 }).significant, false);
+});
+
+test('benchmark takes the requested samples of per-call times', () => {
+  const result = benchmark('sum', () => [1, 2, 3].reduce((a, b) => a + b), QUICK);
+  assert.strictEqual(result.name, 'sum');
+  assert.strictEqual(result.times.length, 3);
+  assert.ok(result.batch >= 1);
+  assert.ok(result.mean > 0 && result.min <= result.median && result.median <= result.max);
+  assert.strictEqual(result.memory, undefined);
+});
+
+test('formatTime picks the unit that suits the time', () => {
+  assert.strictEqual(formatTime(0.0000025), '2.5ns');
+  assert.strictEqual(formatTime(0.0123), '12.30µs');
+  assert.strictEqual(formatTime(12.3456), '12.346ms');
+  assert.strictEqual(formatTime(2500), '2.50s');
+});
+
+// ── Complexity fit ───────────────────────────────────────────
+
+[
+  ['O(1)', () => 0.002],
+  ['O(log n)', n => 0.001 * Math.log2(n)],
+  ['O(n)', n => 0.0005 + 0.00001 * n],
+  ['O(n log n)', n => 0.00001 * n * Math.log2(n)],
+  ['O(n²)', n => 1e-9 * n * n]
+].forEach(([name, time]) => {
+  test(`fitComplexity recognizes ${name}`, () => {
+    const { best, conclusive } = fitComplexity(SIZES.map(n => ({ n, time: time(n) })));
+    assert.strictEqual(best.name, name);
+    assert.strictEqual(conclusive, true);
+  });
+});
+
+test('fitComplexity does not take noise for growth', () => {
+  const noisy = [0.0020, 0.0023, 0.0019, 0.0022];
+  const { best } = fitComplexity(SIZES.map((n, i) => ({ n, time: noisy[i] })));
+  assert.strictEqual(best.name, 'O(1)');
+});
+
+test('fitComplexity is inconclusive with few sizes or a narrow span', () => {
+  const linear = n => 0.00001 * n;
+  const few = fitComplexity([100, 1000, 10000].map(n => ({ n, time: linear(n) })));
+  assert.strictEqual(few.conclusive, false);
+  assert.strictEqual(few.reason, 'only 3 sizes');
+
+  const narrow = fitComplexity([100, 200, 400, 800].map(n => ({ n, time: linear(n) })));
+  assert.strictEqual(narrow.conclusive, false);
+  assert.match(narrow.reason, /under two decades/);
+});
+
+test('fitComplexity needs three sizes', () => {
+  assert.throws(() => fitComplexity([{ n: 10, time: 1 }, { n: 100, time: 2 }]), /3 or more sizes/);
+});
+
+test('cases that do the same work at every size are marked to be left out of the fit', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const results = runSetBenchmarks(100, QUICK);
+  const fixed = results.filter(result => result.sizeIndependent).map(result => result.name);
+  assert.ok(fixed.length > 0);
+  assert.ok(fixed.length < results.length);
+  assert.ok(results.every(result => result.group === 'set'));
+});
+
+// ── Memory profile ───────────────────────────────────────────
+
+test('profileMemory with a gc measures retained heap per element exactly', () => {
+  const memory = profileMemory(() => Array.from({ length: 10000 }, (_, i) => ({ i })), { calls: 5, gc: exposeGc() });
+  assert.strictEqual(memory.exact, true);
+  assert.strictEqual(memory.elements, 10000);
+  assert.strictEqual(memory.calls, 5);
+  // Each element is at least a pointer and a small object
+  assert.ok(memory.bytesPerElement >= 8, `${memory.bytesPerElement} bytes per element`);
+  assert.ok(memory.allocatedPerCall > 0);
+});
+
+test('profileMemory of a case returning no collection has no per-element figure', () => {
+  const memory = profileMemory(() => 42, { calls: 10 });
+  assert.strictEqual(memory.exact, false);
+  assert.strictEqual(memory.elements, null);
+  assert.strictEqual(memory.bytesPerElement, null);
+});
+
+test('exposeGc returns a working collector', () => {
+  const gc = exposeGc();
+  assert.strictEqual(typeof gc, 'function');
+  gc();
+});
+
+test('formatBytes picks the unit that suits the size', () => {
+  assert.strictEqual(formatBytes(512), '512 B');
+  assert.strictEqual(formatBytes(1536), '1.5 KB');
+  assert.strictEqual(formatBytes(3 * 1024 ** 2), '3.0 MB');
+});
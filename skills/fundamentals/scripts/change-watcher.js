@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Source Change Watcher for validate-fundamentals --watch
+ * Watches a file or a directory tree with fs.watch, gathers bursts of
+ * events (an editor save is often several) into one batch, and reports
+ * which source files changed and which were removed. Each batch rescans
+ * the directories it touched, so files that were added, renamed or
+ * deleted are found even when the platform reports only the directory.
+ *
+ * Usage:
+ *   const { watchSources } = require('./change-watcher');
+ *   const watcher = watchSources('src', {
+ *     files: initialFiles,
+ *     include: file => file.endsWith('.js'),
+ *     onChange: async ({ changed, removed }) => { … }
+ *   });
+ *   await watcher.close();
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Quiet time after the last event before a batch is reported
+const DEFAULT_DEBOUNCE_MS = 100;
+
+/**
+ * Watch a file or directory for source changes
+ * @param {string} target - File or directory
+ * @param {Object} options - { files: source files known at the start,
+ *   include(file): whether a path is a source file to report,
+ *   skipDirectory(name): directories to leave out, debounce: milliseconds,
+ *   onChange({ changed, removed }): called once per batch, never while the
+ *   previous call's promise is pending, onError(error) }
+ * @returns {Object} { close() }, which resolves once a running onChange finishes
+ */
+function watchSources(target, options) {
+  const {
+    include,
+    skipDirectory = () => false,
+    debounce = DEFAULT_DEBOUNCE_MS,
+    onChange,
+    onError = () => {}
+  } = options;
+  const root = path.resolve(target);
+  const single = !fs.statSync(root).isDirectory();
+  const known = new Set((options.files || []).map(file => path.resolve(file)));
+  const touched = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+  let closed = false;
+
+  const skipped = file => path.relative(root, file).split(path.sep).slice(0, -1).some(skipDirectory);
+  const isFile = file => fs.existsSync(file) && fs.statSync(file).isFile();
+
+  // Touched files that still exist, plus whatever appeared in or vanished
+  // from the directories they are in
+  const collect = () => {
+    const changed = new Set();
+    const removed = new Set();
+    const dirs = new Set();
+
+    touched.forEach(file => {
+      if (!fs.existsSync(file) || !fs.statSync(file).isDirectory()) dirs.add(path.dirname(file));
+      else if (!skipDirectory(path.basename(file))) dirs.add(file);
+      if (include(file) && isFile(file)) changed.add(file);
+    });
+    touched.clear();
+
+    dirs.forEach(dir => {
+      if (single) return;
+      let names = [];
+      try {
+        names = fs.readdirSync(dir);
+      } catch {
+        // The directory itself was removed; its known files go below
+      }
+      names.map(name => path.join(dir, name))
+        .filter(file => !known.has(file) && include(file) && isFile(file) && !skipped(file))
+        .forEach(file => changed.add(file));
+    });
+
+    known.forEach(file => {
+      if (!isFile(file)) removed.add(file);
+    });
+    removed.forEach(file => known.delete(file));
+    changed.forEach(file => known.add(file));
+
+    const relative = file => path.relative(process.cwd(), file);
+    return { changed: [...changed].sort().map(relative), removed: [...removed].sort().map(relative) };
+  };
+
+  const flush = () => {
+    timer = null;
+    running = running.then(async () => {
+      if (closed) return;
+      const batch = collect();
+      if (batch.changed.length > 0 || batch.removed.length > 0) await onChange(batch);
+    }).catch(onError);
+  };
+
+  // A file is watched through its directory: editors that save by
+  // renaming a temporary file replace the inode a file watch would follow
+  const watcher = fs.watch(single ? path.dirname(root) : root, { recursive: !single }, (event, name) => {
+    if (closed || !name) return;
+    const file = single ? path.join(path.dirname(root), name) : path.join(root, name);
+    if (single ? file !== root : skipped(file)) return;
+
+    touched.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  });
+  watcher.on('error', onError);
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watcher.close();
+      return running;
+    }
+  };
+}
+
+module.exports = { watchSources, DEFAULT_DEBOUNCE_MS };
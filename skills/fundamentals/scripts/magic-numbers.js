@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Magic Number Analysis for validate-fundamentals
+ * Decides whether a number literal is a magic number in the place it is
+ * used, recognizes HTTP status codes and durations, and suggests a name for
+ * the constant it should become.
+ *
+ * Not magic:
+ *   const PAGE_SIZE = 20;                       // const declarations
+ *   const Level = Object.freeze({ LOW: 1 });    // enum-like objects
+ *   function page(size = 20) {}                 // default values
+ *   parts[2]                                    // indexes
+ *   this.MAX_RETRIES = 3;                       // UPPER_CASE names
+ *
+ * Magic, with a suggestion:
+ *   res.status(404)          → HTTP_NOT_FOUND
+ *   setTimeout(poll, 5 * 60 * 1000)   → FIVE_MINUTES_MS
+ *   if (retries > 5)         → RETRIES_LIMIT
+ *   let delay = 500; … delay *= 2;    → INITIAL_DELAY_MS
+ *
+ * Usage:
+ *   const { analyzeMagicNumber } = require('./magic-numbers');
+ *   const magic = analyzeMagicNumber(literal, context);
+ *   if (magic) context.report({ node: magic.node, message: … magic.name … });
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const HTTP_STATUSES = {
+  200: 'OK',
+  201: 'CREATED',
+  202: 'ACCEPTED',
+  204: 'NO_CONTENT',
+  301: 'MOVED_PERMANENTLY',
+  302: 'FOUND',
+  303: 'SEE_OTHER',
+  304: 'NOT_MODIFIED',
+  307: 'TEMPORARY_REDIRECT',
+  308: 'PERMANENT_REDIRECT',
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  408: 'REQUEST_TIMEOUT',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_SERVER_ERROR',
+  501: 'NOT_IMPLEMENTED',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'GATEWAY_TIMEOUT'
+};
+
+// Names and calls that take a status code
+const STATUS_CONTEXT = /status|^(sendStatus|writeHead)$/i;
+
+// Largest first, so a duration is described in the biggest whole unit
+const TIME_UNITS = [
+  { name: 'week', seconds: 604800 },
+  { name: 'day', seconds: 86400 },
+  { name: 'hour', seconds: 3600 },
+  { name: 'minute', seconds: 60 },
+  { name: 'second', seconds: 1 }
+];
+
+// Factors that turn a count into a duration: `5 * 60 * 1000`
+const TIME_FACTORS = new Set([1000, 60, 24, 7, 3600, 86400]);
+
+// Names and calls that take a duration, and the unit they take it in. Unit
+// suffixes are matched against the constant name, where they are a word of
+// their own: TIMEOUT_MS and DELAY_SECS, but not ITEMS or PARAMS
+const DURATION_CONTEXT = /timeout|delay|interval|duration|ttl|expir|elapsed|max_?age/i;
+const DURATION_UNIT = /(?:^|_)(MS|MILLIS|MILLISECONDS|SECONDS|SECS)$/;
+const DURATION_CALLS = new Set(['setTimeout', 'setInterval', 'sleep', 'delay', 'wait']);
+const SECONDS_NAME = /(?:^|_)(SECONDS|SECS|TTL|MAX_?AGE)$/;
+
+// Nodes a constant value is built from; a number anywhere inside one that a
+// const is initialized with is part of the constant
+const VALUE_TYPES = new Set([
+  'UnaryExpression', 'BinaryExpression', 'LogicalExpression', 'ConditionalExpression',
+  'ArrayExpression', 'ObjectExpression', 'Property', 'TemplateLiteral',
+  'TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion'
+]);
+
+const CONSTANT_NAME = /^[A-Z][A-Z\d]*(?:_[A-Z\d]+)*$/;
+const ENUM_KEY = /^[A-Z][A-Za-z\d_]*$/;
+
+const NUMBER_WORDS = [
+  '', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
+  'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN'
+];
+const TENS_WORDS = ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY', 'EIGHTY', 'NINETY'];
+
+const numberWords = (n) => {
+  if (n < 20) return NUMBER_WORDS[n];
+  return n % 10 === 0 ? TENS_WORDS[n / 10] : `${TENS_WORDS[Math.floor(n / 10)]}_${NUMBER_WORDS[n % 10]}`;
+};
+
+// maxRetries → MAX_RETRIES, retry-count → RETRY_COUNT
+const toConstantName = name => name
+  .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+  .replace(/[^A-Za-z\d]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .toUpperCase();
+
+const isNumberLiteral = node => node.type === 'Literal' && typeof node.value === 'number';
+
+const isObjectFreeze = node => node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+  !node.callee.computed && node.callee.object.name === 'Object' && node.callee.property.name === 'freeze';
+
+// Name of an identifier, a member's property or an object key
+const nameOf = (node) => {
+  if (!node) return null;
+  if (node.type === 'Identifier' || node.type === 'PrivateIdentifier') return node.name;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'MemberExpression' && !node.computed) return node.property.name;
+  return null;
+};
+
+// A literal, or a minus sign or `*` chain of literals around it, as one value:
+// `-1`, `24 * 60 * 60`
+const constantValue = (node) => {
+  if (isNumberLiteral(node)) return node.value;
+  if (node.type === 'UnaryExpression' && node.operator === '-' && isNumberLiteral(node.argument)) return -node.argument.value;
+  if (node.type === 'BinaryExpression' && node.operator === '*') {
+    const left = constantValue(node.left);
+    const right = constantValue(node.right);
+    return left === null || right === null ? null : left * right;
+  }
+  return null;
+};
+
+const chainFactors = node => (node.type === 'BinaryExpression' && node.operator === '*'
+  ? [...chainFactors(node.left), ...chainFactors(node.right)]
+  : [constantValue(node)]);
+
+// The expression a literal stands for: itself, its negation, or the whole
+// `*` chain of literals it is in
+const valueNode = (literal, context) => {
+  let node = literal;
+  for (let parent = context.getParent(node); parent; parent = context.getParent(node)) {
+    const grows = (parent.type === 'UnaryExpression' && parent.operator === '-') ||
+      (parent.type === 'BinaryExpression' && parent.operator === '*');
+    if (!grows || constantValue(parent) === null) break;
+    node = parent;
+  }
+  return node;
+};
+
+// An object of constant-style keys and literal values: `{ LOW: 1, HIGH: 2 }`
+const isEnumLike = object => object.type === 'ObjectExpression' && object.properties.length > 0 &&
+  object.properties.every(property => property.type === 'Property' && !property.computed && !property.method &&
+    property.kind === 'init' && ENUM_KEY.test(nameOf(property.key) || '') &&
+    (constantValue(property.value) !== null || (property.value.type === 'Literal' && typeof property.value.value === 'string')));
+
+/**
+ * Why the value needs no name where it is, or null when it does
+ */
+const exemption = (node, context) => {
+  const parent = context.getParent(node);
+
+  if (parent.type === 'MemberExpression' && parent.computed && parent.property === node) return 'index';
+  if (parent.key === node) return 'key';
+  if (parent.type === 'AssignmentPattern' && parent.right === node) return 'default';
+  if (parent.type === 'Property' && isEnumLike(context.getParent(parent))) return 'enum';
+
+  // Named where it is assigned: `this.MAX_RETRIES = 3`, `static LIMIT = 10`
+  const target = parent.type === 'AssignmentExpression' ? parent.left
+    : parent.type === 'PropertyDefinition' || parent.type === 'Property' ? parent.key
+      : parent.type === 'VariableDeclarator' ? parent.id : null;
+  if (CONSTANT_NAME.test(nameOf(target) || '')) return 'named';
+
+  // Anywhere inside the value a const is initialized with
+  let child = node;
+  for (let current = parent; current; current = context.getParent(current)) {
+    if (current.type === 'VariableDeclarator') {
+      return current.init === child && context.getParent(current).kind === 'const' ? 'const' : null;
+    }
+    if (!VALUE_TYPES.has(current.type) && !isObjectFreeze(current)) return null;
+    if (current.type === 'Property' && current.value !== child) return null;
+    child = current;
+  }
+  return null;
+};
+
+// Whether the variable a declarator declares is assigned again: `let y = 2; y = 3;`
+const isReassigned = (declarator, context) => context.getDeclaredVariables(context.getParent(declarator))
+  .some(variable => variable.defs.some(def => def.parent === declarator) &&
+    variable.references.some(ref => ref.isWrite && !ref.init));
+
+/**
+ * The name the value is given or compared with where it is used, and the
+ * call it is passed to, if any
+ */
+const usage = (node, context) => {
+  const parent = context.getParent(node);
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      // A variable that changes starts from the value rather than being it
+      return isReassigned(parent, context)
+        ? { name: nameOf(parent.id), relation: 'initial' }
+        : { name: nameOf(parent.id) };
+    case 'AssignmentExpression':
+      return { name: nameOf(parent.left) };
+    case 'Property':
+    case 'PropertyDefinition':
+      return parent.value === node ? { name: nameOf(parent.key) } : {};
+    case 'BinaryExpression': {
+      const other = parent.left === node ? parent.right : parent.left;
+      const relation = ['<', '<=', '>', '>='].includes(parent.operator) ? 'limit'
+        : ['===', '!==', '==', '!='].includes(parent.operator) ? 'equal' : null;
+      if (!relation) return {};
+      // `items.length > 10` limits the number of items
+      if (other.type === 'MemberExpression' && nameOf(other) === 'length') return { name: nameOf(other.object), relation: 'count' };
+      return { name: nameOf(other), relation };
+    }
+    case 'CallExpression':
+    case 'NewExpression':
+      return parent.callee === node ? {} : { call: nameOf(parent.callee) };
+    default:
+      return {};
+  }
+};
+
+// `300000` in milliseconds → { amount: 5, unit: 'minute' }
+const asDuration = (value, milliseconds) => {
+  const seconds = milliseconds ? value / 1000 : value;
+  const unit = TIME_UNITS.find(candidate => seconds >= candidate.seconds && seconds % candidate.seconds === 0);
+  return unit ? { amount: seconds / unit.seconds, unit: unit.name } : null;
+};
+
+const durationText = ({ amount, unit }) => `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+
+/**
+ * What a magic number means and what to call it, from HTTP statuses,
+ * durations and the name it is used with
+ */
+const describe = (node, value, context) => {
+  const { name, relation, call } = usage(node, context);
+  const words = name ? toConstantName(relation === 'initial' ? `initial_${name}` : name) : '';
+
+  if (HTTP_STATUSES[value] && STATUS_CONTEXT.test(name || call || '')) {
+    return { description: `HTTP ${value} ${HTTP_STATUSES[value].replace(/_/g, ' ').toLowerCase()}`, name: `HTTP_${HTTP_STATUSES[value]}` };
+  }
+
+  const factors = node.type === 'BinaryExpression' ? chainFactors(node) : [];
+  const timeChain = factors.some(factor => TIME_FACTORS.has(factor)) &&
+    factors.filter(factor => !TIME_FACTORS.has(factor)).length <= 1;
+  const timeContext = DURATION_CONTEXT.test(name || '') || DURATION_UNIT.test(words) || DURATION_CALLS.has(call);
+  if (value > 0 && (timeChain || timeContext)) {
+    const milliseconds = timeChain ? factors.includes(1000) : !SECONDS_NAME.test(words);
+    const duration = asDuration(value, milliseconds);
+    const suffix = milliseconds ? 'MS' : 'SECONDS';
+    const fromDuration = duration && duration.amount < 100
+      ? `${numberWords(duration.amount)}_${duration.unit.toUpperCase()}${duration.amount === 1 ? '' : 'S'}_${suffix}`
+      : null;
+    const fromName = words && (DURATION_UNIT.test(words) ? words : `${words}_${suffix}`);
+    return {
+      description: duration ? `${durationText(duration)}${milliseconds ? ' in milliseconds' : ''}` : null,
+      name: fromName || fromDuration || `${call === 'setInterval' ? 'INTERVAL' : timeContext ? 'DELAY' : 'DURATION'}_${suffix}`
+    };
+  }
+
+  if (!words) return { description: null, name: null };
+  if (relation === 'count') return { description: null, name: `MAX_${words}` };
+  if (relation === 'limit') return { description: null, name: `${words}_LIMIT` };
+  if (relation === 'equal') return { description: null, name: `EXPECTED_${words}` };
+  return { description: null, name: words };
+};
+
+/**
+ * Analyze a number literal
+ * @param {Object} literal - Literal node with a number value
+ * @param {Object} context - Rule context from rule-engine.js
+ * @returns {Object|null} null when the number is not magic where it is
+ *   (or is part of a larger value reported at another literal); otherwise
+ *   { node, value, description, name }: the node to report, which covers
+ *   a minus sign or `*` chain, its value, what it means ("HTTP 404 not
+ *   found", "5 minutes in milliseconds") and a suggested constant name,
+ *   either of them null when unknown
+ */
+function analyzeMagicNumber(literal, context) {
+  const node = valueNode(literal, context);
+
+  // A chain is reported once, at its first literal
+  if (node !== literal && node.type === 'BinaryExpression') {
+    let first = node;
+    while (first.type === 'BinaryExpression') first = first.left;
+    if (first !== literal && !(first.type === 'UnaryExpression' && first.argument === literal)) return null;
+  }
+
+  if (exemption(node, context)) return null;
+
+  const value = constantValue(node);
+  return { node, value, ...describe(node, value, context) };
+}
+
+module.exports = { analyzeMagicNumber, toConstantName, HTTP_STATUSES };
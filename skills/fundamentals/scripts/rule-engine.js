@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Syntax-Tree Rule Engine
+ * Parses a file once, builds its scopes and runs every rule over the tree
+ * in a single walk. Rules register per-node-type callbacks and report
+ * problems through a shared context, instead of matching regexes against
+ * raw text.
+ *
+ * Usage:
+ *   const { parseSource, runRules } = require('./rule-engine');
+ *   const source = parseSource(code, 'app.js');
+ *   const issues = runRules(source, {
+ *     noDebugger: {
+ *       message: 'Remove debugger statements',
+ *       severity: 'error',
+ *       create: context => ({ DebuggerStatement: node => context.report({ node }) })
+ *     }
+ *   });
+ *
+ * Visitor keys are node types (`CallExpression`), optionally suffixed with
+ * `:exit` to run after the node's children (`FunctionDeclaration:exit`).
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('../../shared/scripts/js-tokenizer');
+const { parse, traverse, createLineIndex } = require('../../shared/scripts/js-parser');
+const { analyzeScopes, buildParentMap } = require('../../shared/scripts/scope-analyzer');
+
+// Longest excerpt of the reported code kept in an issue's `match`
+const MAX_MATCH_LENGTH = 80;
+
+// package.json "type" per directory, so each is looked up once
+const packageTypes = new Map();
+
+/**
+ * The "type" field of the nearest package.json: 'module' or 'commonjs'
+ */
+function packageType(dir) {
+  if (packageTypes.has(dir)) return packageTypes.get(dir);
+
+  let type = 'commonjs';
+  const manifest = path.join(dir, 'package.json');
+  if (fs.existsSync(manifest)) {
+    try {
+      type = JSON.parse(fs.readFileSync(manifest, 'utf-8')).type === 'module' ? 'module' : 'commonjs';
+    } catch {
+      // An unreadable package.json says nothing about the module system
+    }
+  } else if (path.dirname(dir) !== dir) {
+    type = packageType(path.dirname(dir));
+  }
+
+  packageTypes.set(dir, type);
+  return type;
+}
+
+/**
+ * How a file is parsed, from its extension and the package it is in:
+ * .mjs is always a module and .cjs never; .js, .jsx, .ts and .tsx follow
+ * package.json "type". JSX is read everywhere except .ts, where `<T>x` is
+ * a type assertion.
+ * @param {string} filename
+ * @returns {Object} { sourceType, jsx, typescript }
+ */
+function sourceOptions(filename) {
+  const extension = path.extname(filename);
+  let sourceType = extension === '.mjs' ? 'module' : 'script';
+  if (filename && !['.mjs', '.cjs'].includes(extension)) {
+    sourceType = packageType(path.dirname(path.resolve(filename))) === 'module' ? 'module' : 'script';
+  }
+
+  return {
+    sourceType,
+    jsx: extension !== '.ts',
+    typescript: extension === '.ts' || extension === '.tsx'
+  };
+}
+
+/**
+ * Tokenize, parse and scope a file
+ * @param {string} code - Source text
+ * @param {string} [filename] - Picks the dialect and source type, see sourceOptions()
+ * @returns {Object} { code, filename, lines, tokens, ast, scopeManager,
+ *   parents, getLocation, error } — `error` is a SyntaxError when the file
+ *   does not parse, with tokens, ast, scopes and parents left null
+ */
+function parseSource(code, filename = '') {
+  const source = {
+    code,
+    filename,
+    lines: code.split('\n'),
+    tokens: null,
+    ast: null,
+    scopeManager: null,
+    parents: null,
+    getLocation: createLineIndex(code),
+    error: null
+  };
+
+  const options = sourceOptions(filename);
+  try {
+    source.tokens = tokenize(code, { jsx: options.jsx });
+    source.ast = parse(code, { ...options, tokens: source.tokens });
+  } catch (error) {
+    source.error = error;
+    return source;
+  }
+
+  source.scopeManager = analyzeScopes(source.ast);
+  source.parents = buildParentMap(source.ast);
+  return source;
+}
+
+/**
+ * Run a reported fix and check the edits it returns
+ * @throws {Error} When the rule is not fixable or an edit is malformed
+ */
+function fixEdits(rule, fix, code) {
+  if (!rule.fixable) throw new Error('reported a fix, but the rule is not marked fixable');
+
+  const edits = [].concat(fix());
+  edits.forEach(edit => {
+    const valid = edit && Number.isInteger(edit.start) && Number.isInteger(edit.end) && typeof edit.text === 'string' &&
+      edit.start >= 0 && edit.start <= edit.end && edit.end <= code.length;
+    if (!valid) throw new TypeError(`fix() returned an invalid edit ${JSON.stringify(edit)}`);
+  });
+  return edits.length > 0 ? edits : null;
+}
+
+/**
+ * The context handed to a rule's create(): source access, scope lookups and
+ * report(), which records an issue against the rule
+ */
+function createContext(ruleName, rule, source, issues) {
+  const { code, scopeManager, parents, getLocation } = source;
+
+  const getScope = (node) => {
+    for (let current = node; current; current = parents.get(current)) {
+      const scope = scopeManager.scopeOf(current);
+      if (scope) return scope;
+    }
+    return scopeManager.globalScope;
+  };
+
+  return {
+    id: ruleName,
+    rule,
+    filename: source.filename,
+    sourceCode: {
+      text: code,
+      lines: source.lines,
+      ast: source.ast,
+      tokens: source.tokens,
+      getText: node => code.slice(node.start, node.end)
+    },
+    scopeManager,
+    getParent: node => parents.get(node) || null,
+    getScope,
+    getDeclaredVariables: node => scopeManager.declaredVariables.get(node) || [],
+
+    /**
+     * Record an issue
+     * @param {Object} descriptor - { node } or { start, end }, plus an
+     *   optional message overriding the rule's own and, for fixable rules,
+     *   fix() returning one { start, end, text } edit or a list of them
+     */
+    report(descriptor) {
+      const start = descriptor.node ? descriptor.node.start : descriptor.start;
+      const end = descriptor.node ? descriptor.node.end : descriptor.end;
+      if (typeof start !== 'number' || typeof end !== 'number') {
+        throw new TypeError('report() needs a node or a start/end range');
+      }
+
+      const from = getLocation(start);
+      const to = getLocation(end);
+      const excerpt = code.slice(start, end).split('\n')[0].trim();
+      const edits = descriptor.fix ? fixEdits(rule, descriptor.fix, code) : null;
+
+      issues.push({
+        rule: ruleName,
+        message: descriptor.message || rule.message,
+        severity: rule.severity,
+        line: from.line,
+        column: from.column,
+        endLine: to.line,
+        endColumn: to.column,
+        match: excerpt.length > MAX_MATCH_LENGTH ? `${excerpt.slice(0, MAX_MATCH_LENGTH)}…` : excerpt,
+        start,
+        end,
+        ...(rule.docs ? { docs: rule.docs } : {}),
+        ...(edits ? { edits } : {})
+      });
+    }
+  };
+}
+
+/**
+ * Issue recorded when a rule throws; the rule is switched off for the rest
+ * of the file and every other rule keeps running
+ */
+function ruleFailure(ruleName, error, node, source) {
+  const { line, column } = source.getLocation(node ? node.start : 0);
+  return {
+    rule: 'rule-error',
+    message: `Rule "${ruleName}" failed and was disabled for this file: ${error.message}`,
+    severity: 'warning',
+    line,
+    column,
+    failedRule: ruleName,
+    start: node ? node.start : 0,
+    end: node ? node.start : 0
+  };
+}
+
+/**
+ * Run rules over a parsed source in one walk of its tree. Callbacks for a
+ * node run in rule order; a rule that throws is reported and skipped from
+ * then on.
+ * @param {Object} source - From parseSource(), without a parse error
+ * @param {Object} rules - { name: { message, severity, create(context) } }
+ * @returns {Array<Object>} Issues in source order: { rule, message,
+ *   severity, line, column, endLine, endColumn, match, start, end, edits? }
+ */
+function runRules(source, rules) {
+  const issues = [];
+  const listeners = new Map();
+  const failed = new Set();
+
+  const fail = (ruleName, error, node) => {
+    failed.add(ruleName);
+    issues.push(ruleFailure(ruleName, error, node, source));
+  };
+
+  Object.entries(rules).forEach(([ruleName, rule]) => {
+    if (typeof rule.create !== 'function') return;
+
+    let visitor;
+    try {
+      visitor = rule.create(createContext(ruleName, rule, source, issues)) || {};
+    } catch (error) {
+      fail(ruleName, error, null);
+      return;
+    }
+
+    Object.entries(visitor).forEach(([key, callback]) => {
+      if (typeof callback !== 'function') return;
+      if (!listeners.has(key)) listeners.set(key, []);
+      listeners.get(key).push({ ruleName, callback });
+    });
+  });
+
+  const emit = (key, node) => (listeners.get(key) || []).forEach(({ ruleName, callback }) => {
+    if (failed.has(ruleName)) return;
+    try {
+      callback(node);
+    } catch (error) {
+      fail(ruleName, error, node);
+    }
+  });
+
+  traverse(source.ast, {
+    enter: node => emit(node.type, node),
+    leave: node => emit(`${node.type}:exit`, node)
+  });
+
+  return issues.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+module.exports = { parseSource, runRules, sourceOptions };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Custom Rule Plugins for validate-fundamentals
+ * Loads house rules from plugin modules listed in a .fundamentalsrc.json
+ * file, checks their metadata and merges them with the built-in rules
+ *
+ * Usage:
+ *   const { findConfigFile, loadRules } = require('./rule-plugins');
+ *   const { rules, errors } = loadRules(findConfigFile('src'), RULES);
+ *
+ * .fundamentalsrc.json:
+ *   { "plugins": ["./tools/house-rules.js", "fundamentals-plugin-acme"] }
+ *
+ * A plugin module exports its rules as an array (or an object of rules):
+ *   module.exports = {
+ *     rules: [{
+ *       meta: {
+ *         id: 'no-date-now-in-reducers',
+ *         severity: 'error',                  // error, warning or info
+ *         message: 'Reducers must be pure; pass the time in the action',
+ *         docs: 'https://wiki.example.com/rules/no-date-now',
+ *         fixable: false
+ *       },
+ *       create: context => ({
+ *         CallExpression(node) { … context.report({ node }); }
+ *       })
+ *     }]
+ *   };
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.fundamentalsrc.json';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const RULE_ID = /^[A-Za-z][\w-]*(?:\/[A-Za-z][\w-]*)?$/;
+
+/**
+ * Nearest .fundamentalsrc.json at or above a file or directory
+ * @returns {string|null}
+ */
+function findConfigFile(startPath) {
+  const resolved = path.resolve(startPath);
+  let dir = fs.existsSync(resolved) && fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved);
+
+  for (;;) {
+    const candidate = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check a plugin rule's metadata and turn it into a rule-engine entry
+ * @throws {Error} Describing the first problem found
+ */
+function normalizeRule(rule, origin) {
+  const meta = rule && rule.meta;
+  if (!meta || typeof meta !== 'object') throw new Error(`${origin}: rule has no "meta" object`);
+
+  const label = `${origin}: rule '${meta.id}'`;
+  if (typeof meta.id !== 'string' || !RULE_ID.test(meta.id)) {
+    throw new Error(`${origin}: rule id ${JSON.stringify(meta.id)} must be letters, digits, '-' or '_', optionally "plugin/rule"`);
+  }
+  if (!SEVERITIES.includes(meta.severity)) {
+    throw new Error(`${label} has severity ${JSON.stringify(meta.severity)}; expected ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof meta.message !== 'string' || !meta.message) throw new Error(`${label} has no message`);
+  if (meta.docs !== undefined && typeof meta.docs !== 'string') throw new Error(`${label}: "docs" must be a URL string`);
+  if (meta.fixable !== undefined && typeof meta.fixable !== 'boolean') throw new Error(`${label}: "fixable" must be true or false`);
+  if (typeof rule.create !== 'function') throw new Error(`${label} has no create(context) function`);
+
+  return {
+    message: meta.message,
+    severity: meta.severity,
+    docs: meta.docs || null,
+    fixable: Boolean(meta.fixable),
+    plugin: origin,
+    create: rule.create
+  };
+}
+
+/**
+ * Require a plugin module, relative paths from the config's directory and
+ * package names from its node_modules
+ * @returns {Array<Object>} The module's rules
+ */
+function loadPlugin(specifier, baseDir) {
+  const resolved = specifier.startsWith('.') || path.isAbsolute(specifier)
+    ? path.resolve(baseDir, specifier)
+    : require.resolve(specifier, { paths: [baseDir] });
+
+  const plugin = require(resolved);
+  const rules = plugin && plugin.rules;
+  if (Array.isArray(rules)) return rules;
+  if (rules && typeof rules === 'object') return Object.values(rules);
+  throw new Error(`${specifier}: plugin exports no "rules" array`);
+}
+
+/**
+ * Built-in rules plus every valid plugin rule, in config order. A plugin
+ * that fails to load, or a rule with bad metadata or a taken id, is left
+ * out and listed in `errors`; the rest still load.
+ * @param {string|null} configPath - .fundamentalsrc.json, or null for built-ins only
+ * @param {Object} builtInRules - { id: rule }
+ * @returns {Object} { rules, errors: [message], configPath }
+ * @throws {Error} When the config file itself cannot be read
+ */
+function loadRules(configPath, builtInRules) {
+  const rules = { ...builtInRules };
+  const errors = [];
+  if (!configPath) return { rules, errors, configPath: null };
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${configPath}: ${error.message}`);
+  }
+
+  const plugins = config.plugins || [];
+  if (!Array.isArray(plugins) || plugins.some(plugin => typeof plugin !== 'string')) {
+    throw new Error(`${configPath}: "plugins" must be a list of module paths or package names`);
+  }
+
+  const baseDir = path.dirname(path.resolve(configPath));
+  plugins.forEach(specifier => {
+    let pluginRules;
+    try {
+      pluginRules = loadPlugin(specifier, baseDir);
+    } catch (error) {
+      errors.push(`Plugin ${specifier} could not be loaded: ${error.message.split('\n')[0]}`);
+      return;
+    }
+
+    pluginRules.forEach(rule => {
+      try {
+        const entry = normalizeRule(rule, specifier);
+        const id = rule.meta.id;
+        if (rules[id]) throw new Error(`${specifier}: rule id '${id}' is already taken`);
+        rules[id] = entry;
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+  });
+
+  return { rules, errors, configPath };
+}
+
+module.exports = { findConfigFile, loadRules, normalizeRule, CONFIG_FILE, SEVERITIES };
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Rule Presets for validate-fundamentals
+ * Turns rules on and off and sets their severities and options from named
+ * presets (assets/presets.yaml), shareable preset files and the "rules" of
+ * a .fundamentalsrc.json
+ *
+ * Usage:
+ *   const { resolveRuleSettings, applyRuleSettings } = require('./rule-presets');
+ *   const settings = resolveRuleSettings({ configPath, preset: 'strict' });
+ *   const { rules, errors } = applyRuleSettings(RULES, settings.rules);
+ *
+ * .fundamentalsrc.json:
+ *   {
+ *     "extends": "node-cli",                      // or a list, or "./team.json"
+ *     "rules": {
+ *       "magicNumbers": "off",
+ *       "nestingDepth": { "severity": "error", "maxDepth": 3 }
+ *     }
+ *   }
+ *
+ * A shareable preset file is JSON with the same "extends" and "rules".
+ * Later presets override earlier ones and "rules" override them all; a
+ * --preset on the command line replaces the config's "extends".
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./rule-plugins');
+
+const PRESETS_FILE = path.join(__dirname, '..', 'assets', 'presets.yaml');
+
+const SETTINGS = [...SEVERITIES, 'off'];
+
+let builtInPresets = null;
+
+// "quoted", 3, [a, b] and { key: value } as they appear in presets.yaml
+const parseValue = (text) => {
+  const value = text.trim();
+  if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(',').map(parseValue).filter(item => item !== '');
+  if (/^\{.*\}$/.test(value)) {
+    return Object.fromEntries(value.slice(1, -1).split(',').filter(pair => pair.trim()).map(pair => {
+      const colon = pair.indexOf(':');
+      return [pair.slice(0, colon).trim(), parseValue(pair.slice(colon + 1))];
+    }));
+  }
+  if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Read presets.yaml. Only its fixed shape is understood (preset name →
+ * description, extends, rules → rule: setting), so it is read by
+ * indentation instead of parsing full YAML.
+ * @returns {Object} { name: { description, extends: [name], rules } }
+ */
+function readPresets(filePath = PRESETS_FILE) {
+  const presets = {};
+  let preset = null;
+  let inRules = false;
+
+  fs.readFileSync(filePath, 'utf-8').split('\n').forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const top = /^([\w-]+):\s*$/.exec(line);
+    if (top) {
+      preset = { description: '', extends: [], rules: {} };
+      presets[top[1]] = preset;
+      inRules = false;
+      return;
+    }
+
+    const field = /^ {2}(\w+):\s*(.*)$/.exec(line);
+    if (preset && field) {
+      inRules = field[1] === 'rules';
+      if (field[1] === 'description') preset.description = parseValue(field[2]);
+      if (field[1] === 'extends') preset.extends = [].concat(parseValue(field[2]));
+      return;
+    }
+
+    const rule = /^ {4}([\w/-]+):\s*(.+)$/.exec(line);
+    if (preset && inRules && rule) preset.rules[rule[1]] = parseValue(rule[2]);
+  });
+
+  return presets;
+}
+
+const presets = () => {
+  if (!builtInPresets) builtInPresets = readPresets();
+  return builtInPresets;
+};
+
+/**
+ * Names and descriptions of the built-in presets, for --help
+ * @returns {Array<Object>} { name, description }
+ */
+function listPresets() {
+  return Object.entries(presets()).map(([name, preset]) => ({ name, description: preset.description }));
+}
+
+/**
+ * Check one rule's setting from a preset or config
+ * @throws {Error} When it is neither a known severity, "off" nor an options object
+ */
+function checkSetting(id, setting, origin) {
+  const severity = setting && typeof setting === 'object' ? setting.severity : setting;
+  if (setting && typeof setting === 'object' && severity === undefined) return;
+  if (!SETTINGS.includes(severity)) {
+    throw new Error(`${origin}: rule '${id}' is set to ${JSON.stringify(severity)}; expected ${SETTINGS.join(', ')} or an options object`);
+  }
+}
+
+/**
+ * Add a built-in preset or a preset file to `layers`, after everything it
+ * extends. A preset already in `layers` is not added again, so combining
+ * two presets that both extend recommended does not let the second one
+ * restore what the first switched off.
+ * @param {string} name - Preset name, or a path to a JSON preset file
+ * @param {string} baseDir - Relative paths are resolved from here
+ * @param {Array<Object>} layers - { key, rules }, in the order to apply them
+ * @param {Array<string>} chain - Presets being resolved, to catch cycles
+ */
+function addPreset(name, baseDir, layers, chain = []) {
+  const isFile = name.startsWith('.') || path.isAbsolute(name);
+  const key = isFile ? path.resolve(baseDir, name) : name;
+  if (chain.includes(key)) throw new Error(`Preset ${name} extends itself: ${[...chain, key].join(' → ')}`);
+
+  let preset = presets()[name];
+  let dir = baseDir;
+  if (isFile) {
+    try {
+      preset = JSON.parse(fs.readFileSync(key, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read preset ${name}: ${error.message}`);
+    }
+    dir = path.dirname(key);
+  } else if (!preset) {
+    throw new Error(`Unknown preset '${name}'; expected ${Object.keys(presets()).join(', ')} or a path to a preset file`);
+  }
+
+  if (layers.some(layer => layer.key === key)) return;
+
+  [].concat(preset.extends || []).forEach(parent => addPreset(parent, dir, layers, [...chain, key]));
+  Object.entries(preset.rules || {}).forEach(([id, setting]) => checkSetting(id, setting, name));
+  layers.push({ key, rules: preset.rules || {} });
+}
+
+/**
+ * Rule settings from a config file's "extends" and "rules", or from a
+ * preset given on the command line in place of "extends"
+ * @param {Object} [options] - { configPath: .fundamentalsrc.json or null,
+ *   preset: built-in name or preset file }
+ * @returns {Object} { presets: [name], rules: { rule: setting } }
+ * @throws {Error} On an unknown preset, a cycle or a malformed setting
+ */
+function resolveRuleSettings({ configPath = null, preset = null } = {}) {
+  let config = {};
+  if (configPath) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${configPath}: ${error.message}`);
+    }
+  }
+
+  const extendsList = preset ? [preset] : [].concat(config.extends || []);
+  if (extendsList.some(name => typeof name !== 'string')) {
+    throw new Error(`${configPath}: "extends" must be a preset name, a preset file or a list of them`);
+  }
+  if (config.rules !== undefined && (typeof config.rules !== 'object' || Array.isArray(config.rules))) {
+    throw new Error(`${configPath}: "rules" must map rule ids to a severity, "off" or options`);
+  }
+
+  // Paths on the command line are relative to the working directory
+  const baseDir = configPath && !preset ? path.dirname(path.resolve(configPath)) : process.cwd();
+  const layers = [];
+  extendsList.forEach(name => addPreset(name, baseDir, layers));
+
+  const rules = {};
+  layers.forEach(layer => Object.assign(rules, layer.rules));
+  Object.entries(config.rules || {}).forEach(([id, setting]) => {
+    checkSetting(id, setting, configPath);
+    rules[id] = setting;
+  });
+
+  return { presets: extendsList, rules };
+}
+
+/**
+ * Apply settings to a rule set: "off" removes a rule, a severity replaces
+ * its own, and an options object is merged into it
+ * @param {Object} rules - { id: rule }
+ * @param {Object} settings - { id: setting }, from resolveRuleSettings()
+ * @returns {Object} { rules, errors: [message] } — settings for rules that
+ *   do not exist are left out and listed in errors
+ */
+function applyRuleSettings(rules, settings) {
+  const applied = { ...rules };
+  const errors = [];
+
+  Object.entries(settings).forEach(([id, setting]) => {
+    if (!rules[id]) {
+      errors.push(`Rule '${id}' is configured but does not exist`);
+      return;
+    }
+    if (setting === 'off' || (setting && setting.severity === 'off')) {
+      delete applied[id];
+    } else if (typeof setting === 'string') {
+      applied[id] = { ...applied[id], severity: setting };
+    } else {
+      applied[id] = { ...applied[id], ...setting };
+    }
+  });
+
+  return { rules: applied, errors };
+}
+
+module.exports = { readPresets, listPresets, resolveRuleSettings, applyRuleSettings, PRESETS_FILE };
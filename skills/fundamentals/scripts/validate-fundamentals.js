@@ -2,11 +2,29 @@
 
 /**
  * JavaScript Fundamentals Validator
- * Validates JavaScript code for best practices and common issues
+ * Validates JavaScript code for best practices and common issues. Rules
+ * run on the parsed syntax tree and its scopes (rule-engine.js), so code
+ * inside strings, comments and regexes never matches. .js, .mjs, .cjs,
+ * .jsx, .ts and .tsx files are read; type annotations, JSX and decorators
+ * are parsed and skipped by the rules.
  *
  * Usage:
- *   node validate-fundamentals.js <file.js>
+ *   node validate-fundamentals.js <file.js|file.ts|file.tsx>
  *   node validate-fundamentals.js --dir <directory>
+ *   node validate-fundamentals.js --dir src --config .fundamentalsrc.json
+ *   node validate-fundamentals.js --dir src --preset strict
+ *   node validate-fundamentals.js src/app.js --fix
+ *   node validate-fundamentals.js --dir src --fix-dry-run
+ *   node validate-fundamentals.js src/app.js --max-depth 3
+ *   node validate-fundamentals.js --dir packages --cache --changed-since origin/main
+ *   node validate-fundamentals.js --dir src --watch
+ *
+ * House rules load from plugin modules listed in .fundamentalsrc.json
+ * (see rule-plugins.js), which can also pick a preset and switch rules off
+ * or change their severity (see rule-presets.js and assets/presets.yaml). Directories are validated on worker threads
+ * (validate-worker.js); --cache keeps results of unchanged files between
+ * runs (validation-cache.js). --watch re-validates files as they are saved
+ * (change-watcher.js) until Ctrl+C, which prints a final report.
  *
  * @author Dr. Umit Kacar & Muhsin Elcicek
  * @version 1.0.0
@@ -14,74 +32,519 @@
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { Worker } = require('worker_threads');
+const { parseSource, runRules, sourceOptions } = require('./rule-engine');
+const { findConfigFile, loadRules, CONFIG_FILE } = require('./rule-plugins');
+const { resolveRuleSettings, applyRuleSettings, listPresets } = require('./rule-presets');
+const { traverse } = require('../../shared/scripts/js-parser');
+const { FUNCTION_TYPES, classifyVarDeclaration, getPatternIdentifiers } = require('../../shared/scripts/scope-analyzer');
+const { applyEdits, createUnifiedDiff, writeFileAtomic } = require('../../shared/scripts/source-edits');
+const { openCache, hashContent, hashRules, DEFAULT_CACHE_FILE } = require('./validation-cache');
+const { watchSources } = require('./change-watcher');
+const { analyzeMagicNumber } = require('./magic-numbers');
+
+const CONSOLE_METHODS = ['log', 'warn', 'error', 'info', 'debug'];
+
+// Upper bound on fix passes; each pass re-validates the output of the last one
+const MAX_FIX_PASSES = 10;
+
+const WORKER_FILE = path.join(__dirname, 'validate-worker.js');
+
+// Below this many files per thread, starting workers costs more than it saves
+const MIN_FILES_PER_WORKER = 8;
+
+// Files read at once when checking the cache; reading a whole tree at once
+// runs out of file descriptors (EMFILE) on large projects
+const MAX_OPEN_FILES = 64;
+
+const isStringLiteral = node => node.type === 'TemplateLiteral' || (node.type === 'Literal' && typeof node.value === 'string');
+
+// Whether a function reads its own `this`, `arguments`, `super` or
+// `new.target`, which an arrow function would take from its surroundings
+const usesFunctionBindings = (fn, context) => {
+  const args = context.scopeManager.scopeOf(fn).variables.get('arguments');
+  if (args && args.references.length > 0) return true;
+
+  let found = false;
+  traverse(fn.body, {
+    enter(node) {
+      if (found || (FUNCTION_TYPES.has(node.type) && node.type !== 'ArrowFunctionExpression')) return false;
+      if (node.type === 'ThisExpression' || node.type === 'Super' || node.type === 'MetaProperty') found = true;
+      return undefined;
+    }
+  });
+  return found;
+};
+
+// Definitions unusedVars reports; the implicit `arguments` and the inner
+// names of function and class expressions are left alone
+const REPORTED_DEFINITIONS = new Set(['variable', 'function', 'class', 'parameter', 'catch', 'import']);
+
+// Read anywhere but inside its own declaration: a function that only calls
+// itself is still unused. In TypeScript, naming it in a type annotation
+// counts as a read.
+const isUsed = (variable, context) => {
+  const { typeNames } = context.sourceCode.ast;
+  if (typeNames && typeNames.includes(variable.name)) return true;
+
+  const [def] = variable.defs;
+  const self = def.type === 'function' || def.type === 'class' ? def.node : null;
+  return variable.references.some(ref => ref.isRead &&
+    !(self && ref.identifier.start >= self.start && ref.identifier.end <= self.end));
+};
+
+// `const { used, ...rest } = obj` names `used` to leave it out of rest
+const hasRestSibling = (identifier, context) => {
+  const property = context.getParent(identifier);
+  if (!property || property.type !== 'Property') return false;
+  const pattern = context.getParent(property);
+  return pattern.type === 'ObjectPattern' && pattern.properties.some(p => p.type === 'RestElement');
+};
+
+// Parameters of a function scope that can go: destructured names always,
+// positional ones only after the last parameter that is used
+const unusedParameters = (scope, context) => {
+  if (scope.type !== 'function' || !scope.block.params) return [];
+
+  const unused = [];
+  let laterUsed = false;
+  [...scope.block.params].reverse().forEach(param => {
+    // `constructor(private name)` declares a property, which is its use
+    if (param.parameterProperty) {
+      laterUsed = true;
+      return;
+    }
+    const positional = param.type === 'Identifier' || param.type === 'RestElement' ||
+      (param.type === 'AssignmentPattern' && param.left.type === 'Identifier');
+
+    getPatternIdentifiers(param).forEach(id => {
+      const variable = scope.variables.get(id.name);
+      if (!variable) return;
+      const used = isUsed(variable, context) || context.rule.ignorePattern.test(variable.name);
+      if (!used && (!positional || !laterUsed)) unused.push(variable);
+      if (used && positional) laterUsed = true;
+    });
+    if (!positional) laterUsed = true;
+  });
+  return unused;
+};
+
+const unusedMessage = (name, type, assigned) => {
+  switch (type) {
+    case 'import': return `'${name}' is imported but never used`;
+    case 'parameter': return `Parameter '${name}' is never used`;
+    case 'catch': return `'${name}' is never used; omit the catch binding (catch { … })`;
+    case 'function':
+    case 'class': return `'${name}' is defined but never used`;
+    default: return assigned ? `'${name}' is assigned a value but never used` : `'${name}' is declared but never used`;
+  }
+};
+
+// Statements that open a nesting level; `else if` continues its if's level
+const CONTROL_FLOW_TYPES = [
+  'IfStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement',
+  'DoWhileStatement', 'SwitchStatement', 'TryStatement', 'WithStatement'
+];
+
+// Name of a function for messages, from its id or what it is assigned to
+const functionName = (fn, context) => {
+  if (!fn) return 'top-level code';
+  if (fn.id) return `'${fn.id.name}'`;
+
+  const parent = context.getParent(fn);
+  const key = parent.key && !parent.computed && parent.key.type === 'Identifier' ? parent.key.name : null;
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return `'${parent.id.name}'`;
+  if (key && ['Property', 'MethodDefinition', 'PropertyDefinition'].includes(parent.type)) return `'${key}'`;
+  if (parent.type === 'AssignmentExpression') return `'${context.sourceCode.getText(parent.left)}'`;
+  if ((parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.callee !== fn) {
+    return `the callback of ${context.sourceCode.getText(parent.callee)}()`;
+  }
+  return 'an anonymous function';
+};
 
-// Validation Rules
+const enclosingFunction = (node, context) => {
+  for (let current = context.getParent(node); current; current = context.getParent(current)) {
+    if (FUNCTION_TYPES.has(current.type)) return current;
+  }
+  return null;
+};
+
+// Levels of ancestors up to the enclosing function (or beyond, when
+// `acrossFunctions`) that pass the test, counting the node itself
+const nestingLevel = (node, context, counts, acrossFunctions = false) => {
+  let level = 1;
+  for (let current = context.getParent(node); current; current = context.getParent(current)) {
+    if (!acrossFunctions && FUNCTION_TYPES.has(current.type)) break;
+    if (counts(current)) level++;
+  }
+  return level;
+};
+
+const isCallback = (node, context) => {
+  if (node.type !== 'FunctionExpression' && node.type !== 'ArrowFunctionExpression') return false;
+  const parent = context.getParent(node);
+  return (parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.callee !== node;
+};
+
+// var → let keeps behavior when every use sits after the declaration inside
+// its block, and no closure in a loop would start seeing a fresh binding
+// per iteration; the same check es6-converter uses to pick let or const
+const canUseLet = (node, context) => (
+  classifyVarDeclaration(node, context.getDeclaredVariables(node), context.getParent).unsafe.length === 0
+);
+
+// Whether a function may be constructed: its variable is a `new` callee, a
+// superclass or has its prototype used; arrows have neither [[Construct]]
+// nor a prototype. A capitalized name is a constructor by convention, even
+// where its uses are out of sight (`exports.Point = function () {}`).
+const mayBeConstructed = (fn, context) => {
+  const parent = context.getParent(fn);
+  const target = parent.type === 'VariableDeclarator' && parent.init === fn ? parent.id
+    : parent.type === 'AssignmentExpression' && parent.right === fn ? parent.left
+      : parent.type === 'Property' && parent.value === fn ? parent.key : null;
+  const name = !target ? null
+    : target.type === 'MemberExpression' && !target.computed ? target.property.name : target.name;
+  if (/^[A-Z]/.test(name || '')) return true;
+  if (!target || target.type !== 'Identifier' || parent.type === 'Property') return false;
+
+  const variable = context.getScope(target).resolve(target.name);
+  return Boolean(variable) && variable.references.some(({ identifier }) => {
+    const use = context.getParent(identifier);
+    return (use.type === 'NewExpression' && use.callee === identifier) ||
+      ((use.type === 'ClassDeclaration' || use.type === 'ClassExpression') && use.superClass === identifier) ||
+      (use.type === 'MemberExpression' && use.object === identifier && !use.computed && use.property.name === 'prototype');
+  });
+};
+
+// A + chain as its operands; a parenthesized `a + (b + c)` stays one operand
+const concatOperands = (node) => (node.type === 'BinaryExpression' && node.operator === '+'
+  ? [...concatOperands(node.left), node.right]
+  : [node]);
+
+// Body of a template literal holding a string literal's value
+const templateChunk = (literal, code) => {
+  if (literal.type === 'TemplateLiteral') return code.slice(literal.start + 1, literal.end - 1);
+
+  const raw = literal.raw;
+  let chunk = '';
+  for (let i = 1; i < raw.length - 1; i++) {
+    const char = raw[i];
+    if (char === '\\') {
+      chunk += raw[i + 1] === raw[0] ? raw[i + 1] : char + raw[i + 1];
+      i++;
+    } else if (char === '`' || (char === '$' && raw[i + 1] === '{')) {
+      chunk += `\\${char}`;
+    } else {
+      chunk += char;
+    }
+  }
+  return chunk;
+};
+
+// Places where an arrow function needs no parentheses around it
+const arrowFitsBare = (node, parent) => {
+  switch (parent.type) {
+    case 'VariableDeclarator': return parent.init === node;
+    case 'AssignmentExpression':
+    case 'AssignmentPattern': return parent.right === node;
+    case 'Property': return parent.value === node;
+    case 'ConditionalExpression': return parent.test !== node;
+    case 'CallExpression':
+    case 'NewExpression': return parent.callee !== node;
+    case 'ArrayExpression':
+    case 'ReturnStatement':
+    case 'SpreadElement':
+    case 'SequenceExpression':
+    case 'ExportDefaultDeclaration':
+    case 'ArrowFunctionExpression': return true;
+    default: return false;
+  }
+};
+
+const isParenthesized = (node, code) => /\(\s*$/.test(code.slice(0, node.start)) && /^\s*\)/.test(code.slice(node.end));
+
+// Validation Rules: each create(context) returns per-node-type callbacks
+// for the rule engine (see rule-engine.js)
 const RULES = {
   // Variable declaration rules
   noVar: {
-    pattern: /\bvar\s+\w+/g,
     message: 'Avoid "var" - use "const" or "let" instead',
     severity: 'error',
-    autofix: (match) => match.replace('var', 'let')
+    fixable: true,
+    create: context => ({
+      VariableDeclaration(node) {
+        if (node.kind !== 'var') return;
+        const fix = () => ({ start: node.start, end: node.start + 'var'.length, text: 'let' });
+        context.report({ node, ...(canUseLet(node, context) ? { fix } : {}) });
+      }
+    })
   },
 
   // Prefer const
   preferConst: {
-    pattern: /\blet\s+(\w+)\s*=\s*[^;]+;\s*(?![\s\S]*\1\s*=)/g,
     message: 'Consider using "const" for variables that are never reassigned',
-    severity: 'warning'
+    severity: 'warning',
+    create: context => ({
+      VariableDeclaration(node) {
+        if (node.kind !== 'let') return;
+
+        // for-in/of bindings get a value each iteration; others need an initializer
+        const parent = context.getParent(node);
+        const loopBinding = (parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node;
+        if (!loopBinding && node.declarations.some(declarator => !declarator.init)) return;
+
+        const variables = context.getDeclaredVariables(node);
+        const reassigned = variables.some(variable => variable.references.some(ref => ref.isWrite && !ref.init));
+        if (variables.length > 0 && !reassigned) context.report({ node });
+      }
+    })
   },
 
-  // Strict equality
+  // Strict equality; `x == null` is left alone since it also covers undefined
   looseEquality: {
-    pattern: /[^!=]==(?!=)|[^!]=(?!=)/g,
     message: 'Use strict equality (=== or !==) instead of loose equality',
     severity: 'error',
-    exceptions: ['== null', '!= null'] // null check exception
+    create: context => ({
+      BinaryExpression(node) {
+        if (node.operator !== '==' && node.operator !== '!=') return;
+        const isNull = side => side.type === 'Literal' && side.raw === 'null';
+        if (isNull(node.left) || isNull(node.right)) return;
+        context.report({ node });
+      }
+    })
   },
 
   // Console statements
   consoleLog: {
-    pattern: /console\.(log|warn|error|info|debug)\s*\(/g,
     message: 'Remove console statements in production code',
-    severity: 'warning'
+    severity: 'warning',
+    create: context => ({
+      CallExpression(node) {
+        const { callee } = node;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.object.type !== 'Identifier' ||
+            callee.object.name !== 'console' || !CONSOLE_METHODS.includes(callee.property.name)) return;
+
+        // A local variable named console is not the global console
+        if (!context.getScope(node).resolve('console')) context.report({ node });
+      }
+    })
   },
 
-  // Unused variables (simplified check)
+  // Unused variables, parameters, catch bindings, functions, classes and imports
   unusedVars: {
-    pattern: /(?:const|let|var)\s+(\w+)\s*=/g,
-    message: 'Potentially unused variable',
+    message: 'Variable is declared but never used',
     severity: 'info',
-    checkUsage: true
+    ignorePattern: /^_/,
+    create: context => {
+      // The classic JSX transform compiles elements to React.createElement
+      let hasJsx = false;
+      const markJsx = () => { hasJsx = true; };
+
+      return {
+        JSXOpeningElement: markJsx,
+        JSXOpeningFragment: markJsx,
+        'Program:exit'() {
+          context.scopeManager.scopes.forEach(scope => {
+            const unusedParams = new Set(unusedParameters(scope, context));
+
+            scope.variables.forEach(variable => {
+              const [def] = variable.defs;
+              if (!def || !REPORTED_DEFINITIONS.has(def.type) || variable.exported) return;
+              if (context.rule.ignorePattern.test(variable.name) || isUsed(variable, context)) return;
+              if (hasJsx && variable.name === 'React') return;
+              if (def.type === 'parameter' && !unusedParams.has(variable)) return;
+              if (hasRestSibling(variable.identifiers[0], context)) return;
+
+              const written = variable.references.some(ref => ref.isWrite && !ref.init);
+              context.report({ node: variable.identifiers[0], message: unusedMessage(variable.name, def.type, written || Boolean(def.parent && def.parent.init)) });
+            });
+          });
+        }
+      };
+    }
+  },
+
+  // Nesting depth, measured three ways so that neither callbacks nor data
+  // literals inflate the control-flow depth of the code around them
+  nestingDepth: {
+    message: 'Code is deeply nested; consider early returns or extracting functions',
+    severity: 'warning',
+    maxDepth: 4,
+    maxCallbackDepth: 3,
+    maxObjectDepth: 5,
+    create: context => {
+      const { maxDepth, maxCallbackDepth, maxObjectDepth } = context.rule;
+
+      // Report where a level first exceeds its maximum, not every level below it
+      const controlFlow = (node) => {
+        const isLevel = current => CONTROL_FLOW_TYPES.includes(current.type) &&
+          !(current.type === 'IfStatement' && context.getParent(current).type === 'IfStatement' && context.getParent(current).alternate === current);
+        if (!isLevel(node) || nestingLevel(node, context, isLevel) !== maxDepth + 1) return;
+
+        context.report({
+          start: node.start,
+          end: node.start + node.type.replace(/Statement$/, '').length,
+          message: `Blocks nested ${maxDepth + 1} deep in ${functionName(enclosingFunction(node, context), context)} (max ${maxDepth}); consider early returns or extracting a function`
+        });
+      };
+
+      const callback = (node) => {
+        if (!isCallback(node, context)) return;
+        if (nestingLevel(node, context, current => isCallback(current, context), true) !== maxCallbackDepth + 1) return;
+
+        context.report({
+          start: node.start,
+          end: node.body.start,
+          message: `Callbacks nested ${maxCallbackDepth + 1} deep in ${functionName(enclosingFunction(node, context), context)} (max ${maxCallbackDepth}); consider async/await or named functions`
+        });
+      };
+
+      const objectLiteral = (node) => {
+        if (nestingLevel(node, context, current => current.type === 'ObjectExpression') !== maxObjectDepth + 1) return;
+
+        context.report({
+          start: node.start,
+          end: node.start + 1,
+          message: `Object literals nested ${maxObjectDepth + 1} deep (max ${maxObjectDepth}); consider splitting the data into named parts`
+        });
+      };
+
+      return {
+        ...Object.fromEntries(CONTROL_FLOW_TYPES.map(type => [type, controlFlow])),
+        FunctionExpression: callback,
+        ArrowFunctionExpression: callback,
+        ObjectExpression: objectLiteral
+      };
+    }
   },
 
   // Magic numbers
   magicNumbers: {
-    pattern: /(?<![\w.])(?:[2-9]|\d{2,})(?![\w.])/g,
     message: 'Consider using named constants instead of magic numbers',
     severity: 'info',
-    exceptions: [0, 1, -1, 100]
+    exceptions: [0, 1, -1, 100],
+    // Tests spell out their expected values
+    testFilePattern: /(^|[\\/])(__tests__|tests?)[\\/]|\.(test|spec)\.[cm]?[jt]sx?$/,
+    create: context => {
+      if (context.rule.testFilePattern.test(context.filename)) return {};
+
+      return {
+        Literal(node) {
+          if (typeof node.value !== 'number') return;
+
+          // Const declarations, enum-like objects, defaults and indexes are
+          // skipped in magic-numbers.js
+          const magic = analyzeMagicNumber(node, context);
+          if (!magic || (magic.node.type !== 'BinaryExpression' && context.rule.exceptions.includes(magic.value))) return;
+
+          const text = context.sourceCode.getText(magic.node);
+          const about = magic.description ? ` (${magic.description})` : '';
+          context.report({
+            node: magic.node,
+            message: magic.name
+              ? `Magic number ${text}${about}; consider a named constant such as ${magic.name}`
+              : `${context.rule.message}${about}`
+          });
+        }
+      };
+    }
   },
 
   // Template literals
   stringConcatenation: {
-    pattern: /["']\s*\+\s*\w+\s*\+\s*["']/g,
     message: 'Consider using template literals instead of string concatenation',
-    severity: 'warning'
+    severity: 'warning',
+    fixable: true,
+    create: context => ({
+      BinaryExpression(node) {
+        if (node.operator !== '+') return;
+
+        // Report each a + b + c chain once, at its outermost +
+        const parent = context.getParent(node);
+        if (parent.type === 'BinaryExpression' && parent.operator === '+') return;
+
+        const operands = concatOperands(node);
+        if (!operands.some(isStringLiteral) || !operands.some(part => !isStringLiteral(part) && part.type !== 'Literal')) return;
+
+        // `a + b + 'x'` adds before it concatenates; comments would be lost
+        const { text: code, tokens } = context.sourceCode;
+        const concatenates = isStringLiteral(operands[0]) || isStringLiteral(operands[1]);
+        const hasComments = tokens.some(token => token.type === 'comment' && token.start >= node.start && token.end <= node.end);
+
+        const fix = () => ({
+          start: node.start,
+          end: node.end,
+          text: `\`${operands.map(part => (isStringLiteral(part) ? templateChunk(part, code) : `\${${context.sourceCode.getText(part)}}`)).join('')}\``
+        });
+        context.report({ node, ...(concatenates && !hasComments ? { fix } : {}) });
+      }
+    })
   },
 
   // Arrow functions
   functionExpression: {
-    pattern: /function\s*\(\s*\)\s*{/g,
     message: 'Consider using arrow functions for anonymous functions',
-    severity: 'info'
+    severity: 'info',
+    fixable: true,
+    create: context => ({
+      FunctionExpression(node) {
+        if (node.id || node.generator) return;
+
+        // Methods, getters and setters keep their own syntax; arrows cannot be constructed
+        const parent = context.getParent(node);
+        if (parent.type === 'MethodDefinition' || (parent.type === 'Property' && (parent.method || parent.kind !== 'init'))) return;
+        if (parent.type === 'NewExpression' && parent.callee === node) return;
+        if (usesFunctionBindings(node, context)) return;
+
+        const code = context.sourceCode.text;
+        // Type parameters (`function <T>(x: T)`) have no place to go on an
+        // arrow in a .tsx file, so those are reported without a fix, as are
+        // functions that may be constructed
+        const paramsStart = code.indexOf('(', node.start);
+        const generic = code.slice(node.start, paramsStart).includes('<');
+        const fix = () => {
+          const params = code.slice(paramsStart, node.body.start).trim();
+          const arrow = `${node.async ? 'async ' : ''}${params} => ${context.sourceCode.getText(node.body)}`;
+          const bare = arrowFitsBare(node, parent) || isParenthesized(node, code);
+          return { start: node.start, end: node.end, text: bare ? arrow : `(${arrow})` };
+        };
+        context.report({ node, ...(generic || mayBeConstructed(node, context) ? {} : { fix }) });
+      }
+    })
   },
 
   // typeof checks
   typeofUndefined: {
-    pattern: /typeof\s+\w+\s*===?\s*["']undefined["']/g,
     message: 'Consider using optional chaining (?.) or nullish coalescing (??)',
-    severity: 'info'
+    severity: 'info',
+    fixable: true,
+    create: context => ({
+      BinaryExpression(node) {
+        if (!['==', '===', '!=', '!=='].includes(node.operator)) return;
+
+        const isUndefined = side => side.type === 'Literal' && side.value === 'undefined';
+        const operand = [[node.left, node.right], [node.right, node.left]]
+          .filter(([side, other]) => side.type === 'UnaryExpression' && side.operator === 'typeof' && isUndefined(other))
+          .map(([side]) => side.argument)[0];
+        if (!operand) return;
+
+        // typeof is the only safe test for a global that may not exist
+        const scope = context.getScope(node);
+        if (operand.type === 'Identifier' && !scope.resolve(operand.name)) return;
+
+        // typeof x === 'undefined' → x === undefined, unless undefined is shadowed
+        const simple = ['Identifier', 'MemberExpression', 'CallExpression', 'ThisExpression'].includes(operand.type);
+        const text = context.sourceCode.getText(operand);
+        const fix = () => ({
+          start: node.start,
+          end: node.end,
+          text: `${simple ? text : `(${text})`} ${node.operator.startsWith('!') ? '!==' : '==='} undefined`
+        });
+        context.report({ node, ...(scope.resolve('undefined') ? {} : { fix }) });
+      }
+    })
   }
 };
 
@@ -103,11 +566,27 @@ const SEVERITY_COLORS = {
 };
 
 /**
- * Validate a single JavaScript file
- * @param {string} filePath - Path to the JavaScript file
+ * File an issue under its severity; any error fails the file
+ */
+function addIssue(results, issue) {
+  if (issue.severity === 'error') {
+    results.errors.push(issue);
+    results.passed = false;
+  } else if (issue.severity === 'warning') {
+    results.warnings.push(issue);
+  } else {
+    results.info.push(issue);
+  }
+}
+
+/**
+ * Validate JavaScript source text
+ * @param {string} content - The file's text
+ * @param {string} filePath - Reported as the results' file
+ * @param {Object} [options] - { rules } to run instead of RULES
  * @returns {Object} Validation results
  */
-function validateFile(filePath) {
+function validateSource(content, filePath, options = {}) {
   const results = {
     file: filePath,
     errors: [],
@@ -116,62 +595,82 @@ function validateFile(filePath) {
     passed: true
   };
 
-  try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lines = content.split('\n');
-
-    // Apply each rule
-    Object.entries(RULES).forEach(([ruleName, rule]) => {
-      let match;
-      const regex = new RegExp(rule.pattern.source, rule.pattern.flags);
-
-      while ((match = regex.exec(content)) !== null) {
-        // Find line number
-        const lineNumber = content.substring(0, match.index).split('\n').length;
-        const column = match.index - content.lastIndexOf('\n', match.index - 1);
-
-        const issue = {
-          rule: ruleName,
-          message: rule.message,
-          line: lineNumber,
-          column: column,
-          match: match[0],
-          severity: rule.severity
-        };
+  const lines = content.split('\n');
+  const source = parseSource(content, filePath);
 
-        // Add to appropriate array
-        if (rule.severity === 'error') {
-          results.errors.push(issue);
-          results.passed = false;
-        } else if (rule.severity === 'warning') {
-          results.warnings.push(issue);
-        } else {
-          results.info.push(issue);
-        }
-      }
+  if (source.error) {
+    addIssue(results, {
+      rule: 'parse-error',
+      message: `Could not parse file: ${source.error.message}`,
+      line: source.error.line,
+      column: source.error.column,
+      severity: 'error'
     });
+  } else {
+    runRules(source, options.rules || RULES).forEach(issue => addIssue(results, issue));
+  }
 
-    // Additional checks
-    checkBestPractices(content, lines, results);
+  // Additional checks
+  checkBestPractices(content, lines, results, source);
 
+  return results;
+}
+
+/**
+ * Validate a single JavaScript file
+ * @param {string} filePath - Path to the JavaScript file
+ * @param {Object} [options] - { rules } to run instead of RULES
+ * @returns {Object} Validation results
+ */
+function validateFile(filePath, options = {}) {
+  try {
+    return validateSource(fs.readFileSync(filePath, 'utf-8'), filePath, options);
   } catch (error) {
-    results.errors.push({
-      rule: 'file-read',
-      message: `Could not read file: ${error.message}`,
-      severity: 'error'
-    });
-    results.passed = false;
+    return {
+      file: filePath,
+      errors: [{
+        rule: 'file-read',
+        message: `Could not read file: ${error.message}`,
+        severity: 'error'
+      }],
+      warnings: [],
+      info: [],
+      passed: false
+    };
   }
+}
 
-  return results;
+// Hash a file's results are cached under: a package.json "type" change
+// re-parses the file as well as an edit does
+const cacheHash = (filePath, content) => hashContent(`${JSON.stringify(sourceOptions(filePath))}\n${content}`);
+
+/**
+ * Read and validate a single file, hashing the content that was validated
+ * @param {Object} [options] - Passed to validateSource(), plus { hash } to
+ *   hash the content for the cache
+ * @returns {Object} { results, hash }, hash null when the file could not be
+ *   read or hashing is off
+ */
+function validateTask(filePath, options = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return { results: validateFile(filePath, options), hash: null };
+  }
+  return {
+    results: validateSource(content, filePath, options),
+    hash: options.hash ? cacheHash(filePath, content) : null
+  };
 }
 
 /**
  * Check for additional best practices
  */
-function checkBestPractices(content, lines, results) {
+function checkBestPractices(content, lines, results, source) {
   // Check for 'use strict' in non-module files
-  if (!content.includes('use strict') && !content.includes('import ') && !content.includes('export ')) {
+  const program = source.ast;
+  if (program && program.sourceType !== 'module' && !program.body.some(statement => statement.directive === 'use strict')) {
     results.warnings.push({
       rule: 'use-strict',
       message: 'Consider adding "use strict" directive',
@@ -191,25 +690,58 @@ function checkBestPractices(content, lines, results) {
       });
     }
   });
+}
 
-  // Check for deeply nested code (simplified)
-  const maxNesting = 4;
-  let currentNesting = 0;
-  let maxFound = 0;
+/**
+ * Apply rule fixes until the code stops changing. Overlapping fixes are
+ * left for the next pass, which runs on the updated code; a pass whose
+ * output no longer parses is thrown away.
+ * @param {Object} [options] - { rules } to run instead of RULES
+ * @returns {Object} { code, applied: { rule: count }, passes, stable }
+ */
+function fixSource(code, filename, options = {}) {
+  const rules = options.rules || RULES;
+  const applied = {};
+  let output = code;
+  let passes = 0;
+  let stable = false;
 
-  content.split('').forEach((char, i) => {
-    if (char === '{') currentNesting++;
-    if (char === '}') currentNesting--;
-    if (currentNesting > maxFound) maxFound = currentNesting;
-  });
+  while (passes < MAX_FIX_PASSES) {
+    const source = parseSource(output, filename);
+    if (source.error) break;
 
-  if (maxFound > maxNesting) {
-    results.warnings.push({
-      rule: 'nesting-depth',
-      message: `Code is deeply nested (${maxFound} levels). Consider refactoring.`,
-      severity: 'warning'
+    const fixes = runRules(source, rules)
+      .filter(issue => issue.edits)
+      .map(issue => ({ rule: issue.rule, start: issue.start, end: issue.end, edits: issue.edits }));
+
+    const result = applyEdits(output, fixes);
+    if (result.code === output) {
+      stable = true;
+      break;
+    }
+    if (parseSource(result.code, filename).error) break;
+
+    result.applied.forEach(fix => {
+      applied[fix.rule] = (applied[fix.rule] || 0) + 1;
     });
+    output = result.code;
+    passes++;
   }
+
+  return { code: output, applied, passes, stable };
+}
+
+/**
+ * Fix a file, writing it atomically unless this is a dry run
+ * @param {Object} [options] - { rules, write }
+ * @returns {Object} { file, original, code, applied, passes, stable }
+ */
+function fixFile(filePath, options = {}) {
+  const original = fs.readFileSync(filePath, 'utf-8');
+  const fixed = fixSource(original, filePath, options);
+
+  if (options.write && fixed.code !== original) writeFileAtomic(filePath, fixed.code);
+  return { file: filePath, original, ...fixed };
 }
 
 /**
@@ -234,6 +766,9 @@ function printResults(results) {
       if (issue.match) {
         console.log(`    ${COLORS.gray}Found: "${issue.match}"${COLORS.reset}`);
       }
+      if (issue.docs) {
+        console.log(`    ${COLORS.gray}Docs: ${issue.docs}${COLORS.reset}`);
+      }
     });
   }
 
@@ -246,58 +781,470 @@ function printResults(results) {
 }
 
 /**
- * Validate directory recursively
+ * Built-in and plugin rules as the preset and config set them, with limits
+ * applied to nestingDepth. Worker threads call this with the same spec to
+ * rebuild the main thread's rules.
+ * @param {Object} [spec] - { configPath: .fundamentalsrc.json or null,
+ *   preset: replaces the config's "extends", limits: { maxDepth, maxCallbackDepth } }
+ * @returns {Object} { rules, errors, configPath, presets } as from loadRules()
+ * @throws {Error} When the config file cannot be read or names an unknown preset
  */
-function validateDirectory(dirPath) {
-  const results = [];
-  const files = fs.readdirSync(dirPath);
+function resolveRules({ configPath = null, preset = null, limits = {} } = {}) {
+  const loaded = loadRules(configPath, RULES);
+  const settings = resolveRuleSettings({ configPath, preset });
+  const configured = applyRuleSettings(loaded.rules, settings.rules);
 
-  files.forEach(file => {
-    const fullPath = path.join(dirPath, file);
-    const stat = fs.statSync(fullPath);
+  const rules = configured.rules;
+  if (rules.nestingDepth) rules.nestingDepth = { ...rules.nestingDepth, ...limits };
+  return { ...loaded, rules, errors: [...loaded.errors, ...configured.errors], presets: settings.presets };
+}
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+
+// Minified bundles and type declarations hold nothing to fix
+const isSourceFile = name => SOURCE_EXTENSIONS.includes(path.extname(name)) &&
+  !name.endsWith('.min.js') && !name.endsWith('.d.ts');
+
+const isSkippedDirectory = name => name.startsWith('.') || name === 'node_modules';
 
-    if (stat.isDirectory() && !file.startsWith('.') && file !== 'node_modules') {
-      results.push(...validateDirectory(fullPath));
-    } else if (file.endsWith('.js') && !file.endsWith('.min.js')) {
-      results.push(validateFile(fullPath));
+/**
+ * JavaScript and TypeScript files in a directory, recursively. Sibling directories are
+ * read concurrently.
+ * @returns {Promise<Array<string>>} Paths in directory order
+ */
+async function listFiles(dirPath) {
+  const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+
+  const nested = await Promise.all(entries.map(entry => {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      return isSkippedDirectory(entry.name) ? [] : listFiles(fullPath);
+    }
+    return entry.isFile() && isSourceFile(entry.name) ? [fullPath] : [];
+  }));
+
+  return nested.flat();
+}
+
+/**
+ * listFiles() for synchronous callers
+ * @returns {Array<string>} Paths in directory order
+ */
+function listFilesSync(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      return isSkippedDirectory(entry.name) ? [] : listFilesSync(fullPath);
+    }
+    return entry.isFile() && isSourceFile(entry.name) ? [fullPath] : [];
+  });
+}
+
+/**
+ * JavaScript and TypeScript files under a directory that differ from where the current
+ * branch left a git ref: committed, staged, unstaged and untracked changes
+ * @param {string} ref - Branch, tag or commit, e.g. origin/main
+ * @param {string} dirPath - Only files under this directory are returned
+ * @returns {Array<string>} Paths relative to the working directory
+ * @throws {Error} When dirPath is not in a git work tree or ref is unknown
+ */
+function listChangedFiles(ref, dirPath) {
+  const git = (...args) => {
+    try {
+      return execFileSync('git', args, { cwd: dirPath, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    } catch (error) {
+      throw new Error(`git ${args[0]} failed: ${String(error.stderr || error.message).trim().split('\n')[0]}`);
+    }
+  };
+
+  const root = git('rev-parse', '--show-toplevel');
+  // Diff from the merge base, so commits that landed on ref after the
+  // branch was cut do not count as changes on the branch
+  const base = git('merge-base', ref, 'HEAD');
+  const names = [
+    ...git('diff', '--name-only', '--diff-filter=ACMR', base).split('\n'),
+    ...git('ls-files', '--others', '--exclude-standard', '--full-name').split('\n')
+  ];
+
+  const dir = path.resolve(dirPath);
+  return [...new Set(names)]
+    .filter(name => name && isSourceFile(name))
+    .map(name => path.join(root, name))
+    .filter(file => !path.relative(dir, file).startsWith('..') && fs.existsSync(file))
+    .sort()
+    .map(file => path.relative(process.cwd(), file));
+}
+
+/**
+ * Validate files on a pool of worker threads, each reading its own files
+ * @param {Array<string>} files
+ * @param {Object} rulesSpec - Passed to resolveRules() in each worker
+ * @param {number} count - Workers to start
+ * @param {boolean} hash - Whether to hash each file's content for the cache
+ * @returns {Promise<Array<Object>>} validateTask() results in file order
+ */
+function validateInWorkers(files, rulesSpec, count, hash) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(files.length);
+    const workers = [];
+    let next = 0;
+    let done = 0;
+
+    const finish = (error) => {
+      workers.forEach(worker => worker.terminate());
+      if (error) reject(error); else resolve(results);
+    };
+    const feed = (worker) => {
+      if (next === files.length) return;
+      worker.postMessage({ index: next, file: files[next++], hash });
+    };
+
+    for (let i = 0; i < count; i++) {
+      const worker = new Worker(WORKER_FILE, { workerData: { rulesSpec } });
+      worker.on('message', ({ index, task }) => {
+        results[index] = task;
+        if (++done === files.length) finish(); else feed(worker);
+      });
+      worker.on('error', finish);
+      workers.push(worker);
+      feed(worker);
     }
   });
+}
+
+/**
+ * Validate many files, skipping those whose results are cached and
+ * spreading the rest over worker threads
+ * @param {Array<string>} files
+ * @param {Object} [options] - { rulesSpec } for resolveRules(), or { rules }
+ *   to run in this thread only; { cache } from openCache(); { workers },
+ *   the most threads to use (1 validates in this thread)
+ * @returns {Promise<Array<Object>>} Validation results in file order
+ */
+async function validateFiles(files, options = {}) {
+  const { rulesSpec = {}, cache = null } = options;
+  const rules = options.rules || resolveRules(rulesSpec).rules;
+  const results = new Array(files.length);
+
+  // Only the hashes are kept: files are read again when validated, so
+  // memory holds no more than one chunk of contents at a time
+  for (let start = 0; cache && start < files.length; start += MAX_OPEN_FILES) {
+    await Promise.all(files.slice(start, start + MAX_OPEN_FILES).map(async (file, i) => {
+      try {
+        const content = await fs.promises.readFile(file, 'utf-8');
+        results[start + i] = cache.get(file, cacheHash(file, content));
+      } catch {
+        // Validating reports the read error
+      }
+    }));
+  }
+  const pending = files.map((file, index) => ({ file, index })).filter(({ index }) => !results[index]);
+
+  // Functions cannot be sent to a worker, so explicit rules stay here
+  const workers = options.rules ? 1 : Math.min(options.workers || 1, Math.ceil(pending.length / MIN_FILES_PER_WORKER));
+  const fresh = workers > 1
+    ? await validateInWorkers(pending.map(task => task.file), rulesSpec, workers, Boolean(cache))
+    : pending.map(task => validateTask(task.file, { rules, hash: Boolean(cache) }));
 
+  // Cached under the hash of the content validated, which a file edited
+  // since the cache check no longer matches
+  fresh.forEach(({ results: fileResults, hash }, i) => {
+    const { index, file } = pending[i];
+    results[index] = fileResults;
+    if (cache && hash) cache.set(file, hash, fileResults);
+  });
   return results;
 }
 
+/**
+ * Validate directory recursively, in this thread
+ * @param {Object} [options] - Passed to validateFile()
+ * @returns {Array<Object>}
+ */
+function validateDirectory(dirPath, options = {}) {
+  return listFilesSync(dirPath).map(file => validateFile(file, options));
+}
+
+/**
+ * Validate directory recursively, with the cache and worker threads of
+ * validateFiles()
+ * @param {Object} [options] - Passed to validateFiles()
+ * @returns {Promise<Array<Object>>}
+ */
+async function validateDirectoryAsync(dirPath, options = {}) {
+  return validateFiles(await listFiles(dirPath), options);
+}
+
+/**
+ * Files and issues per severity over a set of results
+ * @returns {Object} { files, failed, errors, warnings, info }
+ */
+function countIssues(results) {
+  return results.reduce((totals, fileResults) => ({
+    files: totals.files + 1,
+    failed: totals.failed + (fileResults.passed ? 0 : 1),
+    errors: totals.errors + fileResults.errors.length,
+    warnings: totals.warnings + fileResults.warnings.length,
+    info: totals.info + fileResults.info.length
+  }), { files: 0, failed: 0, errors: 0, warnings: 0, info: 0 });
+}
+
+/**
+ * Validate a file or directory, then keep re-validating the files that
+ * change until close() is called. Only changed and newly added files are
+ * validated again; removed files drop out of the results.
+ * @param {string} target - File or directory to watch
+ * @param {Object} [options] - validateFiles() options, plus { files } to
+ *   start from (all of target's by default), { debounce } in milliseconds
+ *   and onUpdate({ results, removed, totals }) for each batch of changes
+ * @returns {Promise<Object>} { results: Map of absolute path → results,
+ *   totals(), close() } once the first validation is done
+ */
+async function watchValidation(target, options = {}) {
+  const { onUpdate = () => {}, debounce } = options;
+  const files = options.files || (fs.statSync(target).isDirectory() ? await listFiles(target) : [target]);
+  // Keyed by absolute path: the watcher reports files relative to the
+  // working directory, whatever form the first files were given in
+  const results = new Map();
+  const store = fileResults => results.set(path.resolve(fileResults.file), fileResults);
+  const totals = () => countIssues([...results.values()]);
+
+  (await validateFiles(files, options)).forEach(store);
+
+  // Batches are a file or two, not worth starting workers for
+  const rules = options.rules || resolveRules(options.rulesSpec).rules;
+  const watcher = watchSources(target, {
+    files,
+    debounce,
+    include: isSourceFile,
+    skipDirectory: isSkippedDirectory,
+    onChange: async ({ changed, removed }) => {
+      const updated = await validateFiles(changed, { rules, cache: options.cache });
+      updated.forEach(store);
+      removed.forEach(file => results.delete(path.resolve(file)));
+      onUpdate({ results: updated, removed, totals: totals() });
+    },
+    onError: error => console.error(`${COLORS.red}Watch failed: ${error.message}${COLORS.reset}`)
+  });
+
+  return { results, totals, close: () => watcher.close() };
+}
+
+/**
+ * One-line running total, printed after every batch in --watch mode
+ */
+function printWatchSummary(totals) {
+  const time = new Date().toTimeString().slice(0, 8);
+  console.log(`\n${COLORS.gray}[${time}]${COLORS.reset} ${totals.files} file(s): ` +
+    `${COLORS.red}${totals.errors} error(s)${COLORS.reset}, ` +
+    `${COLORS.yellow}${totals.warnings} warning(s)${COLORS.reset}, ` +
+    `${COLORS.cyan}${totals.info} info${COLORS.reset} ` +
+    `${COLORS.gray}— watching for changes (Ctrl+C to stop)${COLORS.reset}`);
+}
+
+/**
+ * --watch: print results as files change; Ctrl+C stops watching, prints a
+ * final report and exits with the status a single run would have
+ */
+async function runWatch(target, options) {
+  const { cache } = options;
+  const watch = await watchValidation(target, {
+    ...options,
+    onUpdate: ({ results, removed, totals }) => {
+      results.forEach(printResults);
+      removed.forEach(file => console.log(`\n${COLORS.gray}Removed: ${file}${COLORS.reset}`));
+      printWatchSummary(totals);
+    }
+  });
+
+  watch.results.forEach(printResults);
+  printWatchSummary(watch.totals());
+
+  process.once('SIGINT', async () => {
+    await watch.close();
+    if (cache) cache.save();
+
+    const results = [...watch.results.values()];
+    const totals = countIssues(results);
+    console.log(`\n\n${COLORS.cyan}Final report:${COLORS.reset}`);
+    results.filter(r => r.errors.length > 0 || r.warnings.length > 0).forEach(r => {
+      console.log(`  ${r.passed ? COLORS.yellow : COLORS.red}${r.file}${COLORS.reset}: ` +
+        `${r.errors.length} error(s), ${r.warnings.length} warning(s)`);
+    });
+    console.log(`  Files: ${totals.files}`);
+    console.log(`  Errors: ${totals.errors}`);
+    console.log(`  Warnings: ${totals.warnings}`);
+    console.log(`  Info: ${totals.info}`);
+    console.log(`  Status: ${totals.failed === 0 ? COLORS.green + 'PASSED' : COLORS.red + 'FAILED'}${COLORS.reset}\n`);
+    process.exit(totals.failed > 0 ? 1 : 0);
+  });
+}
+
+/**
+ * Fix files and report what changed: diffs on stdout for a dry run,
+ * a per-rule summary on stderr either way
+ */
+function runFixes(files, { rules, write }) {
+  files.forEach(file => {
+    const fixed = fixFile(file, { rules, write });
+    if (fixed.code === fixed.original) return;
+
+    if (!write) process.stdout.write(createUnifiedDiff(fixed.original, fixed.code, file));
+    console.error(`${COLORS.green}${write ? 'Fixed' : 'Would fix'} ${file}${COLORS.reset}`);
+    Object.entries(fixed.applied).forEach(([rule, count]) => {
+      console.error(`   ${COLORS.gray}${rule}: ${count}${COLORS.reset}`);
+    });
+    if (!fixed.stable) {
+      console.error(`   ${COLORS.yellow}Still changing after ${MAX_FIX_PASSES} passes (or a fix broke the syntax); run --fix again to continue${COLORS.reset}`);
+    }
+  });
+}
+
 // Main execution
-function main() {
+async function main() {
   const args = process.argv.slice(2);
 
   if (args.length === 0) {
     console.log('Usage:');
-    console.log('  node validate-fundamentals.js <file.js>');
+    console.log('  node validate-fundamentals.js <file.js|file.ts|file.tsx>');
     console.log('  node validate-fundamentals.js --dir <directory>');
+    console.log('  node validate-fundamentals.js --dir <directory> --cache --changed-since origin/main');
+    console.log('');
+    console.log('  node validate-fundamentals.js <file.js> --fix');
+    console.log('  node validate-fundamentals.js --dir <directory> --fix-dry-run');
+    console.log('');
+    console.log('Options:');
+    console.log(`  --config <path>  Load plugins and rule settings from this file instead of the nearest ${CONFIG_FILE}`);
+    console.log('  --preset <name>  Start from a rule preset instead of the config\'s "extends":');
+    listPresets().forEach(({ name, description }) => console.log(`                     ${name.padEnd(12)} ${description}`));
+    console.log(`  --cache          Skip files unchanged since the last run (results kept in ${DEFAULT_CACHE_FILE})`);
+    console.log('  --cache-location <file>  Where to keep the cache; implies --cache');
+    console.log('  --changed-since <ref>    Only validate files changed since the branch left this git ref');
+    console.log('  --workers <n>    Most threads to validate a directory on (default: one per CPU)');
+    console.log('  --fix            Apply the fixes of fixable rules, then validate the result');
+    console.log('  --fix-dry-run    Print the fixes as a unified diff without writing');
+    console.log('  --watch          Re-validate files as they change; Ctrl+C prints a final report');
+    console.log(`  --max-depth <n>  Deepest block nesting allowed per function (default ${RULES.nestingDepth.maxDepth})`);
+    console.log(`  --max-callback-depth <n>  Deepest callback nesting allowed (default ${RULES.nestingDepth.maxCallbackDepth})`);
     process.exit(0);
   }
 
-  let results = [];
+  const fix = args.includes('--fix');
+  const dryRun = args.includes('--fix-dry-run');
+  const watch = args.includes('--watch');
+  let useCache = args.includes('--cache');
+  ['--fix', '--fix-dry-run', '--watch', '--cache'].forEach(flag => {
+    if (args.includes(flag)) args.splice(args.indexOf(flag), 1);
+  });
 
-  if (args[0] === '--dir') {
-    const dir = args[1] || '.';
-    console.log(`${COLORS.cyan}Validating directory: ${dir}${COLORS.reset}`);
-    results = validateDirectory(dir);
-  } else {
-    results = [validateFile(args[0])];
+  const fail = (message) => {
+    console.error(`${COLORS.red}${message}${COLORS.reset}`);
+    process.exit(1);
+  };
+
+  // --max-depth 3 → nestingDepth.maxDepth = 3
+  const numbers = {};
+  [['--max-depth', 'maxDepth'], ['--max-callback-depth', 'maxCallbackDepth'], ['--workers', 'workers']].forEach(([flag, field]) => {
+    const index = args.indexOf(flag);
+    if (index === -1) return;
+    const value = Number(args[index + 1]);
+    if (!Number.isInteger(value) || value < 1) fail(`${flag} needs a positive whole number`);
+    numbers[field] = value;
+    args.splice(index, 2);
+  });
+  // os.availableParallelism() arrived in Node 18.14
+  const cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  const { workers = cores, ...limits } = numbers;
+
+  const option = (flag) => {
+    const index = args.indexOf(flag);
+    if (index === -1) return null;
+    const value = args[index + 1];
+    if (!value || value.startsWith('--')) fail(`${flag} needs a value`);
+    args.splice(index, 2);
+    return value;
+  };
+  const explicitConfig = option('--config');
+  const preset = option('--preset');
+  const changedSince = option('--changed-since');
+  const cacheLocation = option('--cache-location');
+  if (cacheLocation) useCache = true;
+
+  // --changed-since always works on a directory, the current one by default
+  const dirMode = args[0] === '--dir' || (changedSince && !args[0]);
+  const target = args[0] === '--dir' ? (args[1] || '.') : (args[0] || '.');
+
+  let loaded;
+  const rulesSpec = { configPath: explicitConfig || findConfigFile(target), preset, limits };
+  try {
+    loaded = resolveRules(rulesSpec);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  // A broken plugin only loses its own rules
+  loaded.errors.forEach(message => console.error(`${COLORS.yellow}Warning: ${message}${COLORS.reset}`));
+
+  let files = [target];
+  if (dirMode) {
+    try {
+      files = changedSince ? listChangedFiles(changedSince, target) : await listFiles(target);
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+
+  if (fix || dryRun) {
+    runFixes(files, { rules: loaded.rules, write: !dryRun });
+    if (dryRun) process.exit(0);
+  }
+
+  if (dirMode) {
+    const scope = changedSince ? ` (${files.length} file(s) changed since ${changedSince})` : '';
+    console.log(`${COLORS.cyan}Validating directory: ${target}${scope}${COLORS.reset}`);
+  }
+
+  const cache = useCache ? openCache(cacheLocation || DEFAULT_CACHE_FILE, hashRules(loaded.rules)) : null;
+  if (watch) {
+    await runWatch(target, { files, rulesSpec, cache, workers: dirMode ? workers : 1 });
+    return;
   }
 
+  const results = await validateFiles(files, { rulesSpec, cache, workers: dirMode ? workers : 1 });
+
   results.forEach(printResults);
 
+  if (cache) {
+    cache.save();
+    console.log(`${COLORS.gray}Cache: ${cache.hits} of ${files.length} file(s) unchanged${COLORS.reset}`);
+  }
+
   // Exit with error code if any file failed
   const failed = results.some(r => !r.passed);
   process.exit(failed ? 1 : 0);
 }
 
 // Export for module usage
-module.exports = { validateFile, validateDirectory, RULES };
+module.exports = {
+  validateFile,
+  validateSource,
+  validateTask,
+  validateFiles,
+  validateDirectory,
+  validateDirectoryAsync,
+  watchValidation,
+  listChangedFiles,
+  resolveRules,
+  fixSource,
+  fixFile,
+  loadRules,
+  RULES
+};
 
 // Run if called directly
 if (require.main === module) {
-  main();
+  main().catch(error => {
+    console.error(`${COLORS.red}Validation failed: ${error.message}${COLORS.reset}`);
+    process.exit(1);
+  });
 }
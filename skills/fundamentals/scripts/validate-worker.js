@@ -0,0 +1,19 @@
+/**
+ * Worker thread for validate-fundamentals: loads the rule set once, then
+ * reads and validates each { index, file, hash } it is sent and posts back
+ * { index, task } with the validateTask() result
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { validateTask, resolveRules } = require('./validate-fundamentals');
+
+// Rules hold functions, which cannot cross threads; each worker loads the
+// same built-ins and plugins from the spec instead
+const { rules } = resolveRules(workerData.rulesSpec);
+
+parentPort.on('message', ({ index, file, hash }) => {
+  parentPort.postMessage({ index, task: validateTask(file, { rules, hash }) });
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Result Cache for validate-fundamentals
+ * Remembers each file's results under a hash of its content, so unchanged
+ * files are not validated again. The whole cache is dropped when the rule
+ * set changes: built-in or plugin rule code, severities or limits.
+ *
+ * Usage:
+ *   const { openCache, hashContent, hashRules } = require('./validation-cache');
+ *   const cache = openCache('.fundamentals-cache.json', hashRules(rules));
+ *   const hash = hashContent(code);
+ *   const results = cache.get('src/app.js', hash) || validate(code);
+ *   cache.set('src/app.js', hash, results);
+ *   cache.save();
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_FILE = '.fundamentals-cache.json';
+
+const CACHE_VERSION = 1;
+
+// The validator itself is part of the rule set: upgrading it invalidates
+// results computed by the old version
+const ENGINE_FILES = [
+  path.join(__dirname, 'validate-fundamentals.js'),
+  path.join(__dirname, 'rule-engine.js'),
+  path.join(__dirname, 'magic-numbers.js'),
+  path.join(__dirname, '../../shared/scripts/js-tokenizer.js'),
+  path.join(__dirname, '../../shared/scripts/js-parser.js'),
+  path.join(__dirname, '../../shared/scripts/scope-analyzer.js')
+];
+
+const hashContent = content => crypto.createHash('sha1').update(content).digest('hex');
+
+/**
+ * Hash of everything that decides a file's results besides its content
+ * @param {Object} rules - { id: rule }, as passed to runRules()
+ * @returns {string}
+ */
+function hashRules(rules) {
+  const hash = crypto.createHash('sha1');
+  ENGINE_FILES.forEach(file => hash.update(fs.readFileSync(file)));
+
+  // Functions and patterns serialise as their source, so editing a
+  // plugin's create() or a rule's ignorePattern changes the hash
+  hash.update(JSON.stringify(rules, (key, value) =>
+    typeof value === 'function' || value instanceof RegExp ? String(value) : value));
+  return hash.digest('hex');
+}
+
+/**
+ * Open a cache file; a missing, unreadable or outdated file starts empty
+ * @param {string} cachePath
+ * @param {string} rulesHash - From hashRules()
+ * @returns {Object} { get(file, hash), set(file, hash, results), save(), hits }
+ */
+function openCache(cachePath, rulesHash) {
+  const dir = path.dirname(path.resolve(cachePath));
+  const key = file => path.relative(dir, path.resolve(file)).split(path.sep).join('/');
+
+  let entries = {};
+  try {
+    const stored = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    if (stored.version === CACHE_VERSION && stored.rulesHash === rulesHash) entries = stored.files || {};
+  } catch {
+    // No usable cache yet
+  }
+
+  return {
+    hits: 0,
+
+    get(file, hash) {
+      const entry = entries[key(file)];
+      if (!entry || entry.hash !== hash) return null;
+      this.hits++;
+      return { ...entry.results, file };
+    },
+
+    set(file, hash, results) {
+      entries[key(file)] = { hash, results };
+    },
+
+    // Entries of deleted files are dropped; the rest are kept, so a run
+    // over one package does not evict the others
+    save() {
+      const files = {};
+      Object.keys(entries).sort().forEach(name => {
+        if (fs.existsSync(path.join(dir, name))) files[name] = entries[name];
+      });
+      fs.writeFileSync(cachePath, `${JSON.stringify({ version: CACHE_VERSION, rulesHash, files })}\n`);
+    }
+  };
+}
+
+module.exports = { openCache, hashContent, hashRules, DEFAULT_CACHE_FILE };
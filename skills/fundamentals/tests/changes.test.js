@@ -0,0 +1,93 @@
+/**
+ * Tests for validating only what changed: --changed-since and --watch
+ *
+ * Usage:
+ *   node --test skills/fundamentals/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { listChangedFiles, watchValidation } = require('../scripts/validate-fundamentals');
+
+let dir;
+
+const write = (name, content) => {
+  fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content);
+};
+const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+const relative = files => files.map(file => path.relative(dir, path.resolve(file))).sort();
+
+test.before(() => {
+  dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'validate-changes-')));
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  write('src/kept.js', 'const kept = 1;\n');
+  write('src/edited.js', 'const edited = 1;\n');
+  write('src/removed.js', 'const removed = 1;\n');
+  write('README.md', '# fixture\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'base');
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('listChangedFiles lists committed, unstaged and untracked source changes since a ref', () => {
+  git('checkout', '-q', '-b', 'feature');
+  write('src/committed.js', 'const committed = 1;\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'feature');
+  write('src/edited.js', 'const edited = 2;\n');
+  write('src/untracked.ts', 'const untracked = 1;\n');
+  write('notes.md', 'not source\n');
+  fs.rmSync(path.join(dir, 'src/removed.js'));
+
+  assert.deepStrictEqual(relative(listChangedFiles('main', dir)),
+    ['src/committed.js', 'src/edited.js', 'src/untracked.ts']);
+});
+
+test('listChangedFiles leaves out files outside the directory', () => {
+  write('other/outside.js', 'const outside = 1;\n');
+  assert.ok(!relative(listChangedFiles('main', path.join(dir, 'src'))).includes('other/outside.js'));
+});
+
+test('listChangedFiles fails on an unknown ref', () => {
+  assert.throws(() => listChangedFiles('no-such-ref', dir), /git merge-base failed/);
+});
+
+test('watchValidation validates again the files that change and drops removed ones', async () => {
+  const watched = path.join(dir, 'watched');
+  write('watched/a.js', 'const a = 1;\nmodule.exports = a;\n');
+  write('watched/b.js', 'const b = 1;\nmodule.exports = b;\n');
+
+  let update;
+  const nextUpdate = () => new Promise(resolve => { update = resolve; });
+  const watch = await watchValidation(watched, { debounce: 20, onUpdate: batch => update(batch) });
+  try {
+    assert.strictEqual(watch.totals().files, 2);
+    assert.strictEqual(watch.totals().errors, 0);
+
+    let pending = nextUpdate();
+    write('watched/a.js', 'const a = 1;\nmodule.exports = a == 2;\n');
+    let batch = await pending;
+    assert.deepStrictEqual(relative(batch.results.map(r => r.file)), ['watched/a.js']);
+    assert.ok(batch.results[0].errors.some(issue => issue.rule === 'looseEquality'));
+    assert.strictEqual(batch.totals.errors, 1);
+
+    pending = nextUpdate();
+    fs.rmSync(path.join(watched, 'b.js'));
+    batch = await pending;
+    assert.deepStrictEqual(relative(batch.removed), ['watched/b.js']);
+    assert.strictEqual(watch.totals().files, 1);
+  } finally {
+    await watch.close();
+  }
+});
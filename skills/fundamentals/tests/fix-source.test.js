@@ -0,0 +1,30 @@
+/**
+ * Tests for validate-fundamentals --fix
+ *
+ * Usage:
+ *   node --test skills/fundamentals/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixSource } = require('../scripts/validate-fundamentals');
+
+const fixed = code => fixSource(code, 'fixture.js').code;
+
+test('functionExpression turns a plain function expression into an arrow', () => {
+  assert.strictEqual(fixed('const square = function (x) { return x * x; };\n'), 'const square = (x) => { return x * x; };\n');
+});
+
+[
+  ['a `new` callee', 'const make = function (x) { return { x }; };\nconst made = new make(1);\n'],
+  ['a function whose prototype is used', 'const proto = function (x) { return x; };\nproto.prototype.y = 1;\n'],
+  ['a superclass', 'const base = function () {};\nclass Derived extends base {}\n'],
+  ['a capitalized name', 'exports.Point = function (x) { return x; };\n']
+].forEach(([name, input]) => {
+  test(`functionExpression leaves ${name} a function`, () => {
+    assert.strictEqual(fixed(input), input);
+  });
+});
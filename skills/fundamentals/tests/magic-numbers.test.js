@@ -0,0 +1,50 @@
+/**
+ * Tests for the context-aware magicNumbers rule
+ *
+ * Usage:
+ *   node --test skills/fundamentals/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSource, RULES } = require('../scripts/validate-fundamentals');
+const { toConstantName } = require('../scripts/magic-numbers');
+
+const magicNumbers = code => validateSource(code, 'fixture.js', { rules: { magicNumbers: RULES.magicNumbers } })
+  .info.map(issue => issue.message);
+
+[
+  ['a const declaration', 'const PAGE_SIZE = 20;\n'],
+  ['an enum-like object', 'const Level = Object.freeze({ LOW: 1, HIGH: 3 });\n'],
+  ['a default value', 'function page(size = 20) { return size; }\n'],
+  ['an index', 'const third = parts => parts[2];\n'],
+  ['an UPPER_CASE property', 'this.MAX_RETRIES = 3;\n'],
+  ['an exception such as 100', 'const percent = share => share * 100;\n']
+].forEach(([name, code]) => {
+  test(`${name} is not a magic number`, () => {
+    assert.deepStrictEqual(magicNumbers(code), []);
+  });
+});
+
+[
+  ['an HTTP status', 'res.status(404);\n', /404 \(HTTP 404 not found\).*HTTP_NOT_FOUND/],
+  ['a duration', 'setTimeout(poll, 5 * 60 * 1000);\n', /5 \* 60 \* 1000 \(5 minutes in milliseconds\).*FIVE_MINUTES_MS/],
+  ['a comparison limit', 'if (retries > 5) stop();\n', /RETRIES_LIMIT/],
+  ['a growing let', 'let delay = 500;\nwhile (failed()) delay *= 2;\n', /INITIAL_DELAY_MS/]
+].forEach(([name, code, message]) => {
+  test(`${name} gets a named constant suggested`, () => {
+    const [first] = magicNumbers(code);
+    assert.match(first, message);
+  });
+});
+
+test('a number with nothing to name it after gets the plain message', () => {
+  assert.deepStrictEqual(magicNumbers('let total = price * 1.2;\n'), [RULES.magicNumbers.message]);
+});
+
+test('toConstantName turns words into an UPPER_SNAKE_CASE name', () => {
+  assert.strictEqual(toConstantName('max retries'), 'MAX_RETRIES');
+});
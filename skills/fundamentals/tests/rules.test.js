@@ -0,0 +1,192 @@
+/**
+ * Tests for the validate-fundamentals rules, their fixes, plugin rules and
+ * presets
+ *
+ * Usage:
+ *   node --test skills/fundamentals/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSource, fixSource, resolveRules, RULES } = require('../scripts/validate-fundamentals');
+const { loadRules, findConfigFile, CONFIG_FILE } = require('../scripts/rule-plugins');
+const { readPresets, resolveRuleSettings, applyRuleSettings } = require('../scripts/rule-presets');
+
+// [rule, line, column] of every issue, in the order rules report them
+const issuesOf = (code, filename = 'fixture.js', options = {}) => {
+  const results = validateSource(code, filename, options);
+  return [...results.errors, ...results.warnings, ...results.info]
+    .filter(issue => issue.rule !== 'use-strict')
+    .map(issue => [issue.rule, issue.line, issue.column]);
+};
+const rulesOf = (code, filename, options) => issuesOf(code, filename, options).map(([rule]) => rule);
+
+const fixed = code => fixSource(code, 'fixture.js').code;
+
+[
+  ['noVar', 'var a = 1;\nmodule.exports = a;\n', [['noVar', 1, 1]]],
+  ['preferConst', 'let a = 1;\nmodule.exports = a;\n', [['preferConst', 1, 1]]],
+  ['looseEquality', 'module.exports = (x, y) => x == y;\n', [['looseEquality', 1, 28]]],
+  ['consoleLog', 'console.log(1);\n', [['consoleLog', 1, 1]]],
+  ['unusedVars', 'module.exports = function (a, b) { const unused = 2; return a; };\n', [['functionExpression', 1, 18], ['unusedVars', 1, 31], ['unusedVars', 1, 42]]],
+  ['nestingDepth', 'if (a) { if (b) { if (c) { if (d) { if (e) { f(); } } } } }\n', [['nestingDepth', 1, 37]]],
+  ['magicNumbers', 'setTimeout(f, 86400000);\n', [['magicNumbers', 1, 15]]],
+  ['stringConcatenation', 'module.exports = s => \'a\' + s;\n', [['stringConcatenation', 1, 23]]],
+  ['functionExpression', 'module.exports = function (x) { return x; };\n', [['functionExpression', 1, 18]]],
+  ['typeofUndefined', 'module.exports = x => typeof x === \'undefined\';\n', [['typeofUndefined', 1, 23]]]
+].forEach(([rule, code, expected]) => {
+  test(`${rule} reports where the code is`, () => {
+    assert.deepStrictEqual(issuesOf(code), expected);
+  });
+});
+
+[
+  ['looseEquality against null', 'module.exports = x => x == null;\n'],
+  ['a local console', 'const console = { log() {} };\nconsole.log(1);\n'],
+  ['an unused parameter before a used one', 'module.exports = (_a, b) => b;\n'],
+  ['a number in a const declaration', 'const TIMEOUT = 86400000;\nmodule.exports = TIMEOUT;\n'],
+  ['a let that is reassigned', 'let a = 1;\na += 1;\nmodule.exports = a;\n'],
+  ['typeof of an undeclared global', 'module.exports = typeof window === \'undefined\';\n']
+].forEach(([name, code]) => {
+  test(`nothing is reported for ${name}`, () => {
+    assert.deepStrictEqual(issuesOf(code), []);
+  });
+});
+
+test('magic numbers in test files are left alone', () => {
+  assert.deepStrictEqual(rulesOf('setTimeout(f, 86400000);\n', 'tests/fixture.test.js'), []);
+});
+
+test('a file that does not parse fails with a parse-error', () => {
+  const results = validateSource('const x = 1 +;\n', 'fixture.js');
+  assert.strictEqual(results.passed, false);
+  assert.deepStrictEqual(results.errors.map(issue => issue.rule), ['parse-error']);
+});
+
+[
+  ['noVar', 'var a = 1;\na = 2;\nmodule.exports = a;\n', 'let a = 1;\na = 2;\nmodule.exports = a;\n'],
+  ['stringConcatenation', 'module.exports = s => \'a\' + s + \'!\';\n', 'module.exports = s => `a${s}!`;\n'],
+  ['typeofUndefined', 'module.exports = x => typeof x.y === \'undefined\';\n', 'module.exports = x => x.y === undefined;\n']
+].forEach(([rule, input, output]) => {
+  test(`--fix applies the ${rule} fix`, () => {
+    assert.strictEqual(fixed(input), output);
+  });
+});
+
+[
+  ['a var used before its declaration', 'a = 2;\nvar a = 1;\nmodule.exports = a;\n'],
+  ['a var read outside its block', 'if (x) { var a = 1; }\nmodule.exports = a;\n'],
+  ['a concatenation that adds first', 'module.exports = (a, b) => a + b + \'x\';\n'],
+  ['typeof with a shadowed undefined', 'const undefined = 1;\nmodule.exports = x => typeof x === \'undefined\';\n']
+].forEach(([name, input]) => {
+  test(`--fix leaves ${name} unchanged`, () => {
+    assert.strictEqual(fixed(input), input);
+  });
+});
+
+test('rules can be replaced through the rules option', () => {
+  const { noVar } = RULES;
+  assert.deepStrictEqual(rulesOf('var a = 1; console.log(a);\n', 'fixture.js', { rules: { noVar } }), ['noVar']);
+});
+
+// ── Plugins and presets ──────────────────────────────────────
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fundamentals-rules-'));
+  fs.writeFileSync(path.join(dir, 'house-rules.js'), `module.exports = {
+  rules: [
+    {
+      meta: { id: 'house/no-eval', severity: 'error', message: 'eval is not allowed' },
+      create: context => ({
+        CallExpression(node) {
+          if (node.callee.type === 'Identifier' && node.callee.name === 'eval') context.report({ node });
+        }
+      })
+    },
+    { meta: { id: 'house/broken', severity: 'fatal', message: 'x' }, create: () => ({}) },
+    { meta: { id: 'noVar', severity: 'error', message: 'taken' }, create: () => ({}) }
+  ]
+};
+`);
+  fs.writeFileSync(path.join(dir, 'team.json'), JSON.stringify({ extends: 'strict', rules: { consoleLog: 'off' } }));
+  fs.writeFileSync(path.join(dir, CONFIG_FILE), JSON.stringify({
+    plugins: ['./house-rules.js', './missing.js'],
+    extends: './team.json',
+    rules: { magicNumbers: { severity: 'error' }, noSuchRule: 'warning' }
+  }));
+  fs.mkdirSync(path.join(dir, 'src'));
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('findConfigFile finds the nearest config above a directory', () => {
+  assert.strictEqual(findConfigFile(path.join(dir, 'src')), path.join(dir, CONFIG_FILE));
+});
+
+test('loadRules adds valid plugin rules and lists the rest as errors', () => {
+  const { rules, errors } = loadRules(path.join(dir, CONFIG_FILE), RULES);
+  assert.ok(rules['house/no-eval']);
+  assert.strictEqual(rules['house/broken'], undefined);
+  assert.strictEqual(rules.noVar, RULES.noVar);
+  assert.strictEqual(errors.length, 3);
+  assert.match(errors.join('\n'), /missing\.js could not be loaded/);
+  assert.match(errors.join('\n'), /severity "fatal"/);
+  assert.match(errors.join('\n'), /'noVar' is already taken/);
+});
+
+test('plugin rules report like built-in ones', () => {
+  const { rules } = resolveRules({ configPath: path.join(dir, CONFIG_FILE) });
+  assert.ok(rulesOf('eval(\'1\');\n', 'fixture.js', { rules }).includes('house/no-eval'));
+});
+
+test('built-in presets extend recommended', () => {
+  const presets = readPresets();
+  assert.deepStrictEqual(Object.keys(presets).sort(), ['legacy-es5', 'node-cli', 'recommended', 'strict']);
+  assert.deepStrictEqual(presets.strict.extends, ['recommended']);
+  assert.deepStrictEqual(presets.strict.rules.nestingDepth, { severity: 'error', maxDepth: 3, maxCallbackDepth: 2 });
+});
+
+test('config rules override the presets they extend, which override their own bases', () => {
+  const { rules } = resolveRuleSettings({ configPath: path.join(dir, CONFIG_FILE) });
+  assert.strictEqual(rules.preferConst, 'error');
+  assert.strictEqual(rules.consoleLog, 'off');
+  assert.deepStrictEqual(rules.magicNumbers, { severity: 'error' });
+});
+
+test('--preset replaces the config\'s extends', () => {
+  const { presets, rules } = resolveRuleSettings({ configPath: path.join(dir, CONFIG_FILE), preset: 'legacy-es5' });
+  assert.deepStrictEqual(presets, ['legacy-es5']);
+  assert.strictEqual(rules.noVar, 'off');
+  assert.strictEqual(rules.preferConst, 'off');
+});
+
+test('an unknown preset is an error', () => {
+  assert.throws(() => resolveRuleSettings({ preset: 'nonexistent' }), /nonexistent/);
+});
+
+test('applyRuleSettings turns rules off, sets severities and merges options', () => {
+  const { rules, errors } = applyRuleSettings(RULES, {
+    consoleLog: 'off',
+    noVar: 'warning',
+    nestingDepth: { severity: 'error', maxDepth: 2 },
+    noSuchRule: 'error'
+  });
+  assert.strictEqual(rules.consoleLog, undefined);
+  assert.strictEqual(rules.noVar.severity, 'warning');
+  assert.strictEqual(rules.nestingDepth.maxDepth, 2);
+  assert.strictEqual(rules.nestingDepth.maxCallbackDepth, RULES.nestingDepth.maxCallbackDepth);
+  assert.deepStrictEqual(errors, ['Rule \'noSuchRule\' is configured but does not exist']);
+});
+
+test('resolveRules applies the limits to nestingDepth', () => {
+  const { rules } = resolveRules({ limits: { maxDepth: 1 } });
+  assert.deepStrictEqual(rulesOf('if (a) { if (b) { f(); } }\n', 'fixture.js', { rules }), ['nestingDepth']);
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for validating a directory: the synchronous API, worker threads
+ * and the result cache
+ *
+ * Usage:
+ *   node --test skills/fundamentals/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateDirectory, validateDirectoryAsync, resolveRules } = require('../scripts/validate-fundamentals');
+const { openCache, hashRules } = require('../scripts/validation-cache');
+
+const FILES = {
+  'clean.js': 'const greeting = \'hi\';\nconsole.log(greeting);\n',
+  'loose.js': 'const value = Number(process.argv[2]);\nif (value == 1) console.log(value);\n',
+  'nested/more.mjs': 'export const twice = x => x * 2;\n',
+  'nested/skip.min.js': 'var a=1;',
+  'node_modules/dep/index.js': 'var ignored = 1;\n'
+};
+
+// Enough files for two workers to share
+const SPREAD_FILES = 16;
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-directory-'));
+  Object.entries(FILES).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+  fs.mkdirSync(path.join(dir, 'many'));
+  for (let i = 0; i < SPREAD_FILES; i++) {
+    fs.writeFileSync(path.join(dir, 'many', `file${i}.js`), `var count${i} = ${i};\nconsole.log(count${i} == ${i});\n`);
+  }
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const summary = results => results
+  .map(r => [path.relative(dir, r.file), [...r.errors, ...r.warnings, ...r.info].map(issue => issue.rule)])
+  .sort(([a], [b]) => a.localeCompare(b));
+
+test('validateDirectory returns results synchronously, skipping minified files and node_modules', () => {
+  const results = validateDirectory(dir);
+  assert.ok(Array.isArray(results));
+  const files = results.map(r => path.relative(dir, r.file));
+  assert.strictEqual(files.length, 3 + SPREAD_FILES);
+  assert.ok(['clean.js', 'loose.js', path.join('nested', 'more.mjs')].every(file => files.includes(file)));
+  assert.ok(summary(results).find(([file]) => file === 'loose.js')[1].includes('looseEquality'));
+});
+
+test('validateDirectoryAsync on worker threads matches validateDirectory', async () => {
+  const results = await validateDirectoryAsync(dir, { workers: 2 });
+  assert.deepStrictEqual(summary(results), summary(validateDirectory(dir)));
+});
+
+test('a second run with the cache takes every unchanged file from it', async () => {
+  const cacheFile = path.join(dir, '.cache.json');
+  const rulesHash = hashRules(resolveRules().rules);
+
+  const first = openCache(cacheFile, rulesHash);
+  const fresh = await validateDirectoryAsync(dir, { cache: first });
+  first.save();
+  assert.strictEqual(first.hits, 0);
+
+  const second = openCache(cacheFile, rulesHash);
+  const cached = await validateDirectoryAsync(dir, { cache: second });
+  assert.strictEqual(second.hits, fresh.length);
+  assert.deepStrictEqual(summary(cached), summary(fresh));
+});
@@ -0,0 +1,626 @@
+#!/usr/bin/env node
+
+/**
+ * Callback → async/await Conversion Planner
+ * Finds functions that take a Node-style error-first callback and works out
+ * the edits that turn them into async functions: callback calls become
+ * return/throw, nested callback calls flatten into sequential awaits and
+ * callees that stay callback-based are wrapped with promisify
+ *
+ * Usage:
+ *   const { planCallbackConversion } = require('./callback-to-async');
+ *   const { functions } = planCallbackConversion(source);
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const { traverse, createLineIndex } = require('../../shared/scripts/js-parser');
+const { analyzeScopes, buildParentMap, getPatternIdentifiers, FUNCTION_TYPES, LOOP_TYPES } = require('../../shared/scripts/scope-analyzer');
+
+// Parameter names that mark a function as taking a completion callback
+const CALLBACK_NAMES = /^(callback|cb|done)$/;
+
+// First parameter names that mark a nested callback as error-first
+const ERROR_NAMES = /^(e|er|err|error)\d*$|[a-z](Err|Error)$/;
+
+// Registration calls whose handler can fire any number of times
+const REPEATING_CALLS = new Set(['on', 'addListener', 'addEventListener', 'setInterval', 'forEach', 'map', 'each']);
+
+const INDENT = '  ';
+
+/**
+ * Raised while planning a function that cannot be converted
+ */
+class ConversionError extends Error {
+  constructor(message, multiple = false) {
+    super(message);
+    this.name = 'ConversionError';
+    this.multiple = multiple;
+  }
+}
+
+const within = (node, container) => node.start >= container.start && node.end <= container.end;
+
+/**
+ * Plan the callback → async/await conversion of a parsed source
+ * @param {Object} source - Prepared source with code, masked and ast
+ * @returns {Object} { functions: [{ node, name, callbackName, convertible,
+ *   reason, multiple, suggestion, edits }] } where edits is set on one
+ *   function per group of functions that must convert together
+ */
+function planCallbackConversion(source) {
+  const { code, ast } = source;
+  const { globalScope, scopes, scopeOf } = analyzeScopes(ast);
+  const parents = buildParentMap(ast);
+  const locate = createLineIndex(code);
+
+  const referenceOf = new Map();
+  scopes.forEach(scope => scope.references.forEach(ref => referenceOf.set(ref.identifier, ref)));
+  const variableOf = id => (referenceOf.get(id) || {}).resolved || null;
+
+  const slice = node => code.slice(node.start, node.end);
+
+  // Wrappers call the file's own util.promisify when it has one and nothing
+  // shadows it; any other binding of that name means importing it afresh
+  const promisifyLocal = (() => {
+    const taken = new Set();
+    scopes.forEach(scope => {
+      scope.variables.forEach((v, name) => taken.add(name));
+      scope.references.forEach(ref => ref.resolved || taken.add(ref.identifier.name));
+    });
+    const variable = globalScope.variables.get('promisify');
+    const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+    const fromUtil = node => node && node.type === 'Literal' && ['util', 'node:util'].includes(node.value);
+    const requireOf = node => node && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+      node.callee.name === 'require' && !variableOf(node.callee) && fromUtil(node.arguments[0]);
+    const isPromisifyKey = key => key.name === 'promisify' || key.value === 'promisify';
+    const imported = def && def.type === 'import' && def.parent.type === 'ImportSpecifier' &&
+      isPromisifyKey(def.parent.imported) && fromUtil(def.node.source);
+    const required = def && def.type === 'variable' && def.node.kind === 'const' && def.parent.init && (
+      (requireOf(def.parent.init) && def.parent.id.type === 'ObjectPattern' &&
+        def.parent.id.properties.some(prop => prop.type === 'Property' && !prop.computed && isPromisifyKey(prop.key) &&
+          prop.value.type === 'Identifier' && prop.value.name === 'promisify')) ||
+      (def.parent.id.type === 'Identifier' && def.parent.init.type === 'MemberExpression' && !def.parent.init.computed &&
+        requireOf(def.parent.init.object) && def.parent.init.property.name === 'promisify'));
+    const shadowed = scopes.some(scope => scope !== globalScope && scope.variables.has('promisify'));
+    if ((imported || required) && !shadowed) return { name: 'promisify', existing: true };
+
+    let name = 'promisify';
+    for (let i = 2; taken.has(name); i++) name = `promisify${i}`;
+    return { name, existing: false };
+  })();
+
+  const indentOf = (index) => {
+    const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+    return /^[ \t]*/.exec(code.slice(lineStart))[0];
+  };
+
+  // Source text of a range with edits inside it applied
+  const render = (start, end, edits) => {
+    let output = code.slice(start, end);
+    edits
+      .filter(edit => edit.start >= start && edit.end <= end)
+      .sort((a, b) => b.start - a.start)
+      .forEach(edit => {
+        output = output.slice(0, edit.start - start) + edit.text + output.slice(edit.end - start);
+      });
+    return output;
+  };
+
+  const reindent = (text, from, to) => text
+    .split('\n')
+    .map((line, i) => (i > 0 && line.startsWith(from) ? to + line.slice(from.length) : line))
+    .join('\n');
+
+  // ── Candidates ────────────────────────────────────────────────
+
+  const bindingOf = (fn, parent) => {
+    if (fn.type === 'FunctionDeclaration' && fn.id) return variableOf(fn.id) || scopeOf(fn).parent.variables.get(fn.id.name);
+    if (parent && parent.type === 'VariableDeclarator' && parent.init === fn && parent.id.type === 'Identifier') {
+      return scopeOf(fn).parent.resolve(parent.id.name);
+    }
+    return null;
+  };
+
+  const candidates = new Map();
+
+  traverse(ast, {
+    enter(node, parent) {
+      if (!FUNCTION_TYPES.has(node.type) || node.async || node.generator) return;
+      const param = node.params[node.params.length - 1];
+      if (!param || param.type !== 'Identifier' || !CALLBACK_NAMES.test(param.name)) return;
+
+      const binding = bindingOf(node, parent);
+      candidates.set(node, {
+        fn: node,
+        param,
+        callback: scopeOf(node).variables.get(param.name),
+        binding,
+        name: binding ? binding.name : null
+      });
+    }
+  });
+
+  // ── Per-function analysis ─────────────────────────────────────
+
+  const ownNodes = (root, visit) => traverse(root, {
+    enter(node) {
+      if (node !== root && FUNCTION_TYPES.has(node.type)) return false;
+      return visit(node);
+    }
+  });
+
+  const describeNested = (ref, stop) => {
+    for (let node = parents.get(ref); node && node !== stop; node = parents.get(node)) {
+      if (!FUNCTION_TYPES.has(node.type)) continue;
+      const call = parents.get(node);
+      if (call && call.type === 'CallExpression' && call.arguments.includes(node)) {
+        const callee = call.callee.type === 'MemberExpression' ? call.callee.property : call.callee;
+        if (callee && REPEATING_CALLS.has(callee.name)) {
+          throw new ConversionError(`it is called from the \`${callee.name}\` callback, which can run repeatedly`, true);
+        }
+      }
+      throw new ConversionError('it is called from a nested function that cannot be flattened into sequential awaits');
+    }
+    throw new ConversionError(`it is used inside a ${stop.type.replace(/Statement$/, '').toLowerCase()} statement; convert by hand`);
+  };
+
+  /**
+   * Work out the edits for one candidate, given the set of functions
+   * currently expected to convert
+   */
+  const analyze = (candidate, convertible) => {
+    const { fn, callback } = candidate;
+    const callbackRefs = callback.references.map(ref => ref.identifier);
+    const containsCallback = node => callbackRefs.some(id => within(id, node));
+    const isCallback = node => node && node.type === 'Identifier' && callbackRefs.includes(node);
+    const sites = [];
+    let usesPromisify = false;
+
+    if (fn.body.type !== 'BlockStatement') {
+      throw new ConversionError('arrow functions with an expression body are not converted');
+    }
+
+    const isNull = (arg, nulls) => !arg ||
+      (arg.type === 'Literal' && slice(arg) === 'null') ||
+      (arg.type === 'Identifier' && (arg.name === 'undefined' || nulls.has(variableOf(arg))));
+
+    const checkReturns = (statement) => {
+      ownNodes(statement, node => {
+        if (node.type === 'ReturnStatement' && node.argument) {
+          throw new ConversionError(`it returns a value besides the callback result (line ${locate(node.start).line})`);
+        }
+      });
+    };
+
+    // cb(err) → throw err, cb(null, value) → return value
+    const completion = (args, opts) => {
+      const [error, value, ...more] = args;
+      if (more.length > 0) throw new ConversionError('the callback receives several results; a promise resolves to one value');
+      if (args.some(containsCallback)) throw new ConversionError('the callback is passed to itself');
+
+      if (isNull(error, opts.nulls)) {
+        if (value) return `return ${slice(value)};`;
+        return opts.atEnd ? '' : 'return;';
+      }
+      if (!value) return `throw ${slice(error)};`;
+      if (error.type !== 'Identifier') {
+        throw new ConversionError('the callback receives both an error expression and a result');
+      }
+      return `if (${error.name}) throw ${error.name};\n${opts.indent}return ${slice(value)};`;
+    };
+
+    // `g(args)` when g converts too, otherwise `promisify(g)(args)`
+    const awaitable = (call, args) => {
+      if (containsCallback(call.callee) || args.some(containsCallback)) {
+        throw new ConversionError('the callback is also passed as a regular argument');
+      }
+      const argsText = args.map(slice).join(', ');
+      const target = call.callee.type === 'Identifier' && variableOf(call.callee);
+      const converted = target && [...convertible].find(c => c.binding === target);
+
+      if (converted) {
+        sites.push({ call, target: converted });
+        return `${slice(call.callee)}(${argsText})`;
+      }
+
+      usesPromisify = true;
+      const { callee } = call;
+      if (callee.type === 'MemberExpression' && !callee.optional) {
+        const receiver = callee.object;
+        if (receiver.type !== 'Identifier' && receiver.type !== 'ThisExpression' && receiver.type !== 'MemberExpression') {
+          throw new ConversionError(`\`${slice(callee)}\` is not a plain method reference to promisify`);
+        }
+        return `${promisifyLocal.name}(${slice(callee)}.bind(${slice(receiver)}))(${argsText})`;
+      }
+      return `${promisifyLocal.name}(${slice(callee)})(${argsText})`;
+    };
+
+    const isCompletionCall = node => node && node.type === 'CallExpression' && isCallback(node.callee);
+
+    // `if (err) return cb(err);`, `if (err) throw err;` and braced forms
+    const isGuard = (statement, errVar) => {
+      if (statement.type !== 'IfStatement' || statement.alternate) return false;
+      if (statement.test.type !== 'Identifier' || variableOf(statement.test) !== errVar) return false;
+
+      let body = statement.consequent.type === 'BlockStatement' ? statement.consequent.body : [statement.consequent];
+      if (body.length === 2 && body[1].type === 'ReturnStatement' && !body[1].argument) body = [body[0]];
+      if (body.length !== 1) return false;
+
+      const [only] = body;
+      if (only.type === 'ThrowStatement') return only.argument.type === 'Identifier' && variableOf(only.argument) === errVar;
+      const expr = only.type === 'ReturnStatement' ? only.argument : only.type === 'ExpressionStatement' ? only.expression : null;
+      return isCompletionCall(expr) && expr.arguments.length === 1 && variableOf(expr.arguments[0]) === errVar;
+    };
+
+    // Names the flattened callback would add to the enclosing function
+    const checkClashes = (inner) => {
+      const outer = new Set();
+      scopes.forEach(scope => {
+        if (within(scope.block, fn) && !within(scope.block, inner)) scope.variables.forEach((v, name) => outer.add(name));
+      });
+      referenceOf.forEach((ref, id) => {
+        if (within(id, fn) && !within(id, inner)) outer.add(id.name);
+      });
+
+      scopeOf(inner).variables.forEach((variable, name) => {
+        if (variable.implicit || variable.identifiers[0] === inner.params[0]) return;
+        if (outer.has(name)) throw new ConversionError(`flattening the nested callback would clash with \`${name}\``);
+      });
+    };
+
+    // g(args, (err, value) => { ... }) → const value = await g(args); ...
+    const flatten = (call, inner, opts) => {
+      if (inner.async || inner.generator) throw new ConversionError('a nested callback is itself async');
+      if (inner.type === 'FunctionExpression') {
+        ownNodes(inner.body, node => {
+          if (node.type === 'ThisExpression' || (node.type === 'Identifier' && node.name === 'arguments')) {
+            throw new ConversionError('a nested callback uses its own `this` or `arguments`');
+          }
+        });
+        if (inner.id) throw new ConversionError('a nested callback is a named function expression');
+      }
+
+      const [errParam, valueParam, ...extra] = inner.params;
+      if (!errParam || errParam.type !== 'Identifier' || !ERROR_NAMES.test(errParam.name)) {
+        throw new ConversionError('a nested callback does not take an error-first (err, value) signature');
+      }
+      if (extra.length > 0) throw new ConversionError('a nested callback receives several results; a promise resolves to one value');
+      if (valueParam && (valueParam.type === 'AssignmentPattern' || valueParam.type === 'RestElement')) {
+        throw new ConversionError('a nested callback has a default or rest result parameter');
+      }
+
+      const errVar = scopeOf(inner).variables.get(errParam.name);
+      let body = inner.body.type === 'BlockStatement'
+        ? inner.body.body
+        : [{ type: 'ExpressionStatement', expression: inner.body, start: inner.body.start, end: inner.body.end }];
+
+      const guard = body.length > 0 && isGuard(body[0], errVar) ? body[0] : null;
+      if (guard) body = body.slice(1);
+
+      if (errVar.references.length === 0) {
+        throw new ConversionError('a nested callback ignores its error; awaiting would turn it into a thrown exception');
+      }
+      errVar.references.forEach(ref => {
+        const id = ref.identifier;
+        const parent = parents.get(id);
+        if (guard && within(id, guard)) return;
+        if (isCompletionCall(parent) && parent.arguments[0] === id) return;
+        throw new ConversionError('a nested callback handles its error itself; convert by hand');
+      });
+
+      checkClashes(inner);
+
+      const nulls = new Set([...opts.nulls, errVar]);
+      const innerEdits = body.length > 0
+        ? convertList(body, { tail: true, atEnd: opts.atEnd, nulls, inLoop: false, indent: indentOf(body[0].start) })
+        : [];
+
+      const awaited = `await ${awaitable(call, call.arguments.slice(0, -1))}`;
+      let head = `${awaited};`;
+      if (valueParam) {
+        const reassigned = getPatternIdentifiers(valueParam)
+          .some(id => scopeOf(inner).variables.get(id.name).references.some(ref => ref.isWrite && !ref.init));
+        head = `${reassigned ? 'let' : 'const'} ${slice(valueParam)} = ${awaited};`;
+      }
+      if (body.length === 0) return head;
+
+      const text = render(body[0].start, body[body.length - 1].end, innerEdits);
+      return `${head}\n${opts.indent}${reindent(text, indentOf(body[0].start), opts.indent)}`;
+    };
+
+    // Execution that continues past a callback call only reaches the
+    // callback again through a loop or a later statement that uses it
+    const reachesCallbackAgain = (statement) => {
+      for (let node = statement, parent = parents.get(node); parent && !FUNCTION_TYPES.has(parent.type);
+        node = parent, parent = parents.get(parent)) {
+        if (LOOP_TYPES.has(parent.type)) return true;
+        const siblings = parent.type === 'SwitchCase' ? parent.consequent : parent.body;
+        if (Array.isArray(siblings) && siblings.slice(siblings.indexOf(node) + 1).some(containsCallback)) return true;
+      }
+      return false;
+    };
+
+    const convertCall = (statement, opts) => {
+      const isReturn = statement.type === 'ReturnStatement';
+      const expr = isReturn ? statement.argument : statement.expression;
+      if (!expr || expr.type !== 'CallExpression') describeNested(callbackRefs.find(id => within(id, statement)), statement);
+
+      const followedByReturn = !isReturn && !opts.tail && opts.next &&
+        opts.next.type === 'ReturnStatement' && !opts.next.argument;
+      const exits = isReturn || opts.tail || followedByReturn;
+      const range = { start: statement.start, end: followedByReturn ? opts.next.end : statement.end };
+      const notExiting = opts.inLoop
+        ? 'it is called inside a loop without returning'
+        : 'execution continues after it is called';
+
+      if (isCompletionCall(expr)) {
+        if (!exits) throw new ConversionError(notExiting, reachesCallbackAgain(statement));
+        const text = completion(expr.arguments, opts);
+        if (text === '') {
+          let start = statement.start;
+          while (start > 0 && /\s/.test(code[start - 1])) start--;
+          return { edit: { start, end: range.end, text }, consumed: followedByReturn };
+        }
+        return { edit: { ...range, text }, consumed: followedByReturn };
+      }
+
+      const last = expr.arguments[expr.arguments.length - 1];
+
+      // g(args, cb) → return g(args)
+      if (isCallback(last)) {
+        if (!exits) throw new ConversionError(notExiting, reachesCallbackAgain(statement));
+        return { edit: { ...range, text: `return ${awaitable(expr, expr.arguments.slice(0, -1))};` }, consumed: followedByReturn };
+      }
+
+      if (last && FUNCTION_TYPES.has(last.type) && containsCallback(last)) {
+        const callee = expr.callee.type === 'MemberExpression' ? expr.callee.property : expr.callee;
+        if (REPEATING_CALLS.has(callee.name)) describeNested(callbackRefs.find(id => within(id, last)), statement);
+        if (!exits) {
+          throw new ConversionError('a nested callback call is followed by more statements, which would then run in a different order');
+        }
+        return { edit: { ...range, text: flatten(expr, last, opts) }, consumed: followedByReturn };
+      }
+
+      return describeNested(callbackRefs.find(id => within(id, statement)), statement);
+    };
+
+    const convertStatement = (statement, opts) => {
+      if (!containsCallback(statement)) {
+        checkReturns(statement);
+        return [];
+      }
+
+      if (statement.type === 'BlockStatement') {
+        return convertList(statement.body, { ...opts, atEnd: false, indent: statement.body.length > 0 ? indentOf(statement.body[0].start) : opts.indent });
+      }
+
+      if (statement.type === 'IfStatement') {
+        if (containsCallback(statement.test)) describeNested(callbackRefs.find(id => within(id, statement.test)), statement);
+        return [statement.consequent, statement.alternate]
+          .filter(Boolean)
+          .flatMap(branch => convertBranch(branch, { ...opts, next: null, atEnd: false }));
+      }
+
+      if (LOOP_TYPES.has(statement.type)) {
+        const head = ['init', 'test', 'update', 'left', 'right'].map(key => statement[key]).filter(Boolean);
+        if (head.some(containsCallback)) describeNested(callbackRefs.find(id => head.some(h => within(id, h))), statement);
+        return convertBranch(statement.body, { ...opts, tail: false, atEnd: false, next: null, inLoop: true });
+      }
+
+      if (statement.type === 'ExpressionStatement' || statement.type === 'ReturnStatement') {
+        const { edit } = convertCall(statement, opts);
+        return [edit];
+      }
+
+      return describeNested(callbackRefs.find(id => within(id, statement)), statement);
+    };
+
+    // A brace-less if/loop body that turns into several statements gets braces
+    const convertBranch = (branch, opts) => {
+      if (branch.type === 'BlockStatement') return convertStatement(branch, opts);
+
+      const outer = indentOf(parents.get(branch).start);
+      const edits = convertStatement(branch, { ...opts, indent: outer + INDENT });
+      return edits.map(edit => (edit.text.includes('\n')
+        ? { ...edit, text: `{\n${outer}${INDENT}${edit.text}\n${outer}}` }
+        : edit));
+    };
+
+    const convertList = (statements, opts) => {
+      const edits = [];
+      for (let i = 0; i < statements.length; i++) {
+        const statement = statements[i];
+        const isLast = i === statements.length - 1;
+        const statementOpts = {
+          ...opts,
+          tail: opts.tail && isLast,
+          atEnd: opts.atEnd && isLast,
+          next: statements[i + 1] || null,
+          indent: indentOf(statement.start)
+        };
+
+        if ((statement.type === 'ExpressionStatement' || statement.type === 'ReturnStatement') && containsCallback(statement)) {
+          const { edit, consumed } = convertCall(statement, statementOpts);
+          edits.push(edit);
+          if (consumed) i++;
+        } else {
+          edits.push(...convertStatement(statement, statementOpts));
+        }
+      }
+      return edits;
+    };
+
+    callbackRefs.forEach(id => {
+      const parent = parents.get(id);
+      const passedOn = parent.type === 'CallExpression' && parent.arguments[parent.arguments.length - 1] === id;
+      if (!(parent.type === 'CallExpression' && parent.callee === id) && !passedOn) {
+        throw new ConversionError(`the callback escapes (line ${locate(id.start).line}); it is stored or passed somewhere it could be called again`);
+      }
+    });
+
+    const body = fn.body.body;
+    const edits = convertList(body, { tail: true, atEnd: true, nulls: new Set(), inLoop: false, indent: INDENT });
+
+    // Header: async keyword and no callback parameter
+    edits.push({ start: fn.start, end: fn.start, text: 'async ' });
+    const { params } = fn;
+    const param = params[params.length - 1];
+    if (params.length > 1) {
+      edits.push({ start: params[params.length - 2].end, end: param.end, text: '' });
+    } else if (fn.type === 'ArrowFunctionExpression' && code[fn.start] !== '(') {
+      edits.push({ start: param.start, end: param.end, text: '()' });
+    } else {
+      edits.push({ start: param.start, end: param.end, text: '' });
+    }
+
+    return { edits, sites, usesPromisify };
+  };
+
+  // ── Fixpoint over call sites ──────────────────────────────────
+
+  const results = new Map();
+  const convertible = new Set([...candidates.values()].filter(c => c.binding && c.callback));
+  const reasons = new Map();
+
+  // `export function f(cb)` and `export const f = function (cb)` are called
+  // from other modules, which this file cannot update
+  const exportDeclarationOf = (fn) => {
+    let node = parents.get(fn);
+    while (node && (node.type === 'VariableDeclarator' || node.type === 'VariableDeclaration')) node = parents.get(node);
+    return node && (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') ? node : null;
+  };
+  for (const candidate of convertible) {
+    const exportDeclaration = exportDeclarationOf(candidate.fn);
+    if (exportDeclaration) {
+      const line = locate(exportDeclaration.start).line;
+      reasons.set(candidate, new ConversionError(`it is exported on line ${line}, so callers in other modules still expect a callback`));
+      convertible.delete(candidate);
+    }
+  }
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    results.clear();
+
+    for (const candidate of convertible) {
+      try {
+        results.set(candidate, analyze(candidate, convertible));
+      } catch (error) {
+        if (!(error instanceof ConversionError)) throw error;
+        reasons.set(candidate, error);
+        convertible.delete(candidate);
+        changed = true;
+      }
+    }
+    if (changed) continue;
+
+    // Every caller must itself be converting and await the call
+    const awaitedCalls = new Set([...results.values()].flatMap(r => r.sites.map(site => site.call)));
+    for (const candidate of convertible) {
+      const stray = candidate.binding.references.find(ref => {
+        if (ref.init) return false;
+        const call = parents.get(ref.identifier);
+        return !(call.type === 'CallExpression' && call.callee === ref.identifier && awaitedCalls.has(call));
+      });
+
+      if (stray) {
+        const call = parents.get(stray.identifier);
+        const line = locate(stray.identifier.start).line;
+        reasons.set(candidate, new ConversionError(call.type === 'CallExpression' && call.callee === stray.identifier
+          ? `it is called on line ${line} where the call cannot be awaited`
+          : `it is used as a value on line ${line} (exported or passed around), so other callers still expect a callback`));
+        convertible.delete(candidate);
+        changed = true;
+      }
+    }
+  }
+
+  // ── Group functions that must convert together ───────────────
+
+  const groupOf = new Map([...convertible].map(c => [c, c]));
+  const find = (c) => {
+    while (groupOf.get(c) !== c) c = groupOf.get(c);
+    return c;
+  };
+  results.forEach((result, candidate) => {
+    result.sites.forEach(site => groupOf.set(find(site.target), find(candidate)));
+  });
+
+  const promisifyImport = () => {
+    const { name, existing } = promisifyLocal;
+    if (existing) return null;
+    const text = ast.sourceType === 'module'
+      ? `import { ${name === 'promisify' ? name : `promisify as ${name}`} } from 'util';`
+      : `const { ${name === 'promisify' ? name : `promisify: ${name}`} } = require('util');`;
+    const requires = ast.body.filter(statement => statement.type === 'ImportDeclaration' ||
+      (statement.type === 'VariableDeclaration' && statement.declarations.some(d => d.init &&
+        d.init.type === 'CallExpression' && d.init.callee.type === 'Identifier' && d.init.callee.name === 'require')));
+    if (requires.length > 0) {
+      const anchor = requires[requires.length - 1];
+      return { start: anchor.end, end: anchor.end, text: `\n${text}` };
+    }
+    const first = ast.body.find(statement => !statement.directive);
+    return first ? { start: first.start, end: first.start, text: `${text}\n\n` } : null;
+  };
+
+  const groupEdits = new Map();
+  results.forEach((result, candidate) => {
+    const leader = find(candidate);
+    if (!groupEdits.has(leader)) groupEdits.set(leader, { edits: [], usesPromisify: false });
+    const group = groupEdits.get(leader);
+    group.edits.push(...result.edits);
+    group.usesPromisify = group.usesPromisify || result.usesPromisify;
+  });
+
+  const functions = [...candidates.values()].map(candidate => {
+    const { fn, param, name } = candidate;
+    const entry = {
+      node: fn,
+      name,
+      callbackName: param.name,
+      convertible: results.has(candidate),
+      reason: null,
+      multiple: false,
+      suggestion: null,
+      edits: null
+    };
+
+    // Anonymous callback-style functions still get checked for repeat calls
+    const error = reasons.get(candidate) || (!entry.convertible && candidate.callback && (() => {
+      try {
+        analyze(candidate, new Set());
+      } catch (e) {
+        if (e instanceof ConversionError) return e.multiple ? e : null;
+        throw e;
+      }
+      return null;
+    })());
+
+    if (error) {
+      entry.reason = error.message;
+      entry.multiple = error.multiple;
+    }
+
+    if (entry.convertible) {
+      const params = fn.params.slice(0, -1).map(slice).join(', ');
+      entry.suggestion = fn.type === 'ArrowFunctionExpression'
+        ? `const ${name} = async (${params}) =>`
+        : `async function ${name}(${params})`;
+
+      const group = groupEdits.get(candidate);
+      if (group) {
+        const promisify = group.usesPromisify ? promisifyImport() : null;
+        entry.edits = promisify ? [...group.edits, promisify] : group.edits;
+      }
+    }
+
+    return entry;
+  });
+
+  return { functions };
+}
+
+module.exports = { planCallbackConversion, ConversionError };
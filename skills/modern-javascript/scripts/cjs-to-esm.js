@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+
+/**
+ * CommonJS → ES Module Migration Planner
+ * Works out the edits that turn a CommonJS module into an ES module:
+ * require() → import, module.exports/exports.x → export, __dirname and
+ * friends → import.meta, and reports what cannot be converted statically.
+ * A file that would keep any require, exports or module.exports is not
+ * complete: those are not defined in an ES module.
+ *
+ * Usage:
+ *   const { planEsmMigration } = require('./cjs-to-esm');
+ *   const { edits, warnings, stats, complete } = planEsmMigration(source, { filename });
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { traverse, createLineIndex, RESERVED_WORDS } = require('../../shared/scripts/js-parser');
+const { analyzeScopes } = require('../../shared/scripts/scope-analyzer');
+
+// Extensions tried, in order, when a relative require omits one
+const RESOLVE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.json'];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const isIdentifierName = name => IDENTIFIER.test(name) && !RESERVED_WORDS.has(name);
+
+const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+/**
+ * Add the file extension ESM resolution needs to a relative specifier
+ * @returns {Object} { specifier, resolved }
+ */
+function resolveSpecifier(specifier, filename) {
+  if (!specifier.startsWith('.') || !filename) return { specifier, resolved: true };
+  if (path.extname(specifier)) return { specifier, resolved: true };
+
+  const base = path.resolve(path.dirname(filename), specifier);
+  for (const ext of RESOLVE_EXTENSIONS) {
+    if (fs.existsSync(base + ext)) return { specifier: specifier + ext, resolved: true };
+  }
+  for (const ext of RESOLVE_EXTENSIONS) {
+    if (fs.existsSync(path.join(base, `index${ext}`))) {
+      return { specifier: `${specifier.replace(/\/$/, '')}/index${ext}`, resolved: true };
+    }
+  }
+
+  return { specifier, resolved: false };
+}
+
+/**
+ * Build an ESM-ready import for a CommonJS require
+ */
+function importClause(clause, specifier) {
+  const attributes = specifier.endsWith('.json') ? ' with { type: \'json\' }' : '';
+  return clause
+    ? `import ${clause} from ${quote(specifier)}${attributes};`
+    : `import ${quote(specifier)}${attributes};`;
+}
+
+/**
+ * Plan the CommonJS → ESM rewrite of a parsed source
+ * @param {Object} source - Prepared source with code and ast
+ * @param {Object} [options] - { filename } used to resolve relative specifiers
+ * @returns {Object} { edits, warnings: [{ line, message }], stats, complete },
+ *   complete false when the edits would leave CommonJS code behind
+ */
+function planEsmMigration(source, options = {}) {
+  const { code, masked, ast } = source;
+  const { filename } = options;
+  const locate = createLineIndex(code);
+  const { globalScope, scopes, through } = analyzeScopes(ast);
+
+  const edits = [];
+  const warnings = [];
+  const handled = new Set();
+  const stats = { imports: 0, exports: 0, importMeta: 0 };
+  const exported = [];
+  const extraImports = new Map();
+  const leftovers = [];
+  let hasDefaultExport = false;
+  let defaultObject = null;
+
+  const warn = (node, message) => warnings.push({ line: locate(node.start).line, message });
+
+  // Names the CommonJS wrapper provides; a local declaration shadows them
+  const globalRefs = new Set(through.map(ref => ref.identifier));
+  const isGlobal = (node, name) => node.type === 'Identifier' && node.name === name && globalRefs.has(node);
+
+  const usedNames = new Set();
+  scopes.forEach(scope => scope.variables.forEach((v, name) => usedNames.add(name)));
+  const topLevel = globalScope.variables;
+
+  const uniqueName = (base) => {
+    let name = base.replace(/[^\w$]+(.)?/g, (m, c) => (c ? c.toUpperCase() : '')).replace(/^\d/, '_$&') || 'module';
+    if (!isIdentifierName(name)) name = `_${name}`;
+    let candidate = name;
+    for (let i = 2; usedNames.has(candidate); i++) candidate = `${name}${i}`;
+    usedNames.add(candidate);
+    return candidate;
+  };
+
+  const isRequireCall = node => node && node.type === 'CallExpression' && isGlobal(node.callee, 'require');
+
+  // Local name for a named import the rewrites need, such as pathToFileURL
+  // from 'url': an existing binding is reused only when it is that import
+  // (or a require of it, which becomes one); another binding of the same
+  // name gets the import under a fresh name
+  const importBinding = (name, from) => {
+    if (extraImports.has(name)) return extraImports.get(name).local;
+    const variable = topLevel.get(name);
+    const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+    const fromModule = node => node && [from, `node:${from}`].includes(node.value);
+    const imported = def && def.type === 'import' && def.parent.type === 'ImportSpecifier' &&
+      (def.parent.imported.name || def.parent.imported.value) === name && fromModule(def.node.source);
+    const required = def && def.type === 'variable' && def.node.kind === 'const' && isRequireCall(def.parent.init) &&
+      fromModule(def.parent.init.arguments[0]) && def.parent.id.type === 'ObjectPattern' &&
+      def.parent.id.properties.some(prop => prop.type === 'Property' && !prop.computed &&
+        (prop.key.name || prop.key.value) === name && prop.value.type === 'Identifier' && prop.value.name === name);
+    const local = imported || required ? name : uniqueName(name);
+    extraImports.set(name, { from, local, existing: Boolean(imported || required) });
+    return local;
+  };
+
+  const staticSpecifier = (call) => {
+    const [arg] = call.arguments;
+    if (call.arguments.length !== 1 || !arg) return null;
+    if (arg.type === 'Literal' && typeof arg.value === 'string') return arg.value;
+    if (arg.type === 'TemplateLiteral' && arg.expressions.length === 0) return arg.quasis[0].value.cooked;
+    return null;
+  };
+
+  const specifierFor = (call) => {
+    const raw = staticSpecifier(call);
+    const { specifier, resolved } = resolveSpecifier(raw, filename);
+    if (!resolved) warn(call, `Could not resolve '${raw}' on disk; add the file extension ESM requires`);
+    return specifier;
+  };
+
+  const isModuleExports = node => node.type === 'MemberExpression' && !node.computed &&
+    isGlobal(node.object, 'module') && node.property.name === 'exports';
+
+  // exports.foo or module.exports.foo
+  const exportsMember = (node) => {
+    if (node.type !== 'MemberExpression' || node.computed || node.property.type !== 'Identifier') return null;
+    if (isGlobal(node.object, 'exports') || isModuleExports(node.object)) return node.property.name;
+    return null;
+  };
+
+  // ── CommonJS globals, anywhere in the tree ────────────────────
+  // Rewrites are held back so statements rebuilt below can splice them in
+
+  const globalEdits = [];
+  const pending = [];
+
+  traverse(ast, {
+    enter(node) {
+      // require.main === module → import.meta.url === pathToFileURL(process.argv[1]).href
+      if (node.type === 'BinaryExpression' && ['===', '==', '!==', '!='].includes(node.operator)) {
+        const isMain = side => side.type === 'MemberExpression' && !side.computed &&
+          isGlobal(side.object, 'require') && side.property.name === 'main';
+        const [main, mod] = isMain(node.left) ? [node.left, node.right] : [node.right, node.left];
+        if (isMain(main) && isGlobal(mod, 'module')) {
+          const operator = node.operator.startsWith('!') ? '!==' : '===';
+          const pathToFileURL = importBinding('pathToFileURL', 'url');
+          globalEdits.push({ start: node.start, end: node.end, text: `import.meta.url ${operator} ${pathToFileURL}(process.argv[1]).href` });
+          return false;
+        }
+      }
+
+      if (isGlobal(node, '__dirname') || isGlobal(node, '__filename')) {
+        const text = node.name === '__dirname' ? 'import.meta.dirname' : 'import.meta.filename';
+        globalEdits.push({ start: node.start, end: node.end, text });
+        return undefined;
+      }
+
+      if (isRequireCall(node)) {
+        pending.push({ node, message: staticSpecifier(node)
+          ? 'require() outside top-level declarations cannot become a static import; use `await import()` if it must stay lazy'
+          : 'Dynamic require() with a computed specifier cannot be converted' });
+        return undefined;
+      }
+
+      if (node.type === 'MemberExpression' && isGlobal(node.object, 'require')) {
+        pending.push({ node, message: `require.${node.property.name || '[…]'} has no direct ES module equivalent` });
+        return false;
+      }
+
+      if (isModuleExports(node) || exportsMember(node) || isGlobal(node, 'exports')) {
+        pending.push({ node, message: 'module.exports/exports used outside a top-level assignment; convert by hand' });
+        return false;
+      }
+
+      return undefined;
+    }
+  });
+
+  // Source text for a range with the global rewrites inside it applied
+  const text = (start, end) => {
+    let output = code.slice(start, end);
+    globalEdits
+      .filter(edit => edit.start >= start && edit.end <= end)
+      .sort((a, b) => b.start - a.start)
+      .forEach(edit => {
+        output = output.slice(0, edit.start - start) + edit.text + output.slice(edit.end - start);
+      });
+    return output;
+  };
+  const nodeText = node => text(node.start, node.end);
+
+  const replaceStatement = (statement, lines) => {
+    let end = statement.end;
+    // Dropping a statement takes its line break with it
+    if (lines.length === 0 && code[end] === '\n') end++;
+    edits.push({ start: statement.start, end, text: lines.join('\n') });
+  };
+
+  const wasReassigned = (id) => {
+    const variable = topLevel.get(id.name);
+    return variable && variable.references.some(ref => ref.isWrite && !ref.init);
+  };
+
+  // `function name(...) {...}` for a function expression exported as `name`;
+  // paramsStart defaults to the first `(` after `function` and any name
+  const functionDeclaration = (fn, name, paramsStart = masked.indexOf('(', (fn.id || fn).start)) => {
+    const head = `${fn.async ? 'async ' : ''}function${fn.generator ? '*' : ''} ${name}`;
+    return `export ${head}${text(paramsStart, fn.end)}`;
+  };
+
+  const canDeclareFunction = (value, name) => value.type === 'FunctionExpression' && (!value.id || value.id.name === name);
+
+  // A destructuring pattern that maps 1:1 onto named imports
+  const namedImportClause = (pattern) => {
+    const specs = [];
+    let defaultName = null;
+
+    for (const prop of pattern.properties) {
+      if (prop.type !== 'Property' || prop.computed || prop.value.type !== 'Identifier') return null;
+      const key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+      if (typeof key !== 'string') return null;
+      if (key === 'default') {
+        defaultName = prop.value.name;
+      } else if (!isIdentifierName(key)) {
+        return null;
+      } else {
+        specs.push(key === prop.value.name ? key : `${key} as ${prop.value.name}`);
+      }
+    }
+
+    const named = specs.length > 0 ? `{ ${specs.join(', ')} }` : '';
+    return [defaultName, named].filter(Boolean).join(', ') || null;
+  };
+
+  // `const x = require('m')`, `const { a } = require('m')`, `const y = require('m').y`
+  const convertDeclarator = (declarator) => {
+    const { id, init } = declarator;
+    const call = isRequireCall(init) ? init : init.object;
+    if (!staticSpecifier(call)) return null;
+
+    const specifier = specifierFor(call);
+    const viaTemp = (suffix) => {
+      const tmp = uniqueName(path.basename(staticSpecifier(call)));
+      return [importClause(tmp, specifier), `const ${nodeText(id)} = ${tmp}${suffix};`];
+    };
+    handled.add(call);
+
+    if (init !== call) {
+      if (init.computed || id.type !== 'Identifier') return viaTemp(text(call.end, init.end));
+      const prop = init.property.name;
+      const clause = prop === 'default' ? id.name : `{ ${prop === id.name ? prop : `${prop} as ${id.name}`} }`;
+      return [importClause(clause, specifier)];
+    }
+
+    if (id.type === 'Identifier') return [importClause(id.name, specifier)];
+
+    const clause = id.type === 'ObjectPattern' ? namedImportClause(id) : null;
+    return clause ? [importClause(clause, specifier)] : viaTemp('');
+  };
+
+  const convertRequireDeclaration = (statement) => {
+    const requires = statement.declarations.filter(d => isRequireCall(d.init) ||
+      (d.init && d.init.type === 'MemberExpression' && isRequireCall(d.init.object)));
+    if (requires.length === 0) return;
+
+    if (statement.kind !== 'const') {
+      const reassigned = requires.flatMap(d => (d.id.type === 'Identifier' ? [d.id] : [])).filter(wasReassigned);
+      if (reassigned.length > 0) {
+        warn(statement, `'${reassigned[0].name}' is reassigned, but import bindings are read-only; left as require()`);
+        requires.forEach(d => {
+          const call = isRequireCall(d.init) ? d.init : d.init.object;
+          handled.add(call);
+          leftovers.push(call);
+        });
+        return;
+      }
+    }
+
+    const lines = [];
+    const rest = [];
+    statement.declarations.forEach(declarator => {
+      const converted = requires.includes(declarator) ? convertDeclarator(declarator) : null;
+      if (converted) {
+        lines.push(...converted);
+        stats.imports++;
+      } else {
+        rest.push(nodeText(declarator));
+      }
+    });
+
+    if (lines.length === 0) return;
+    if (rest.length > 0) lines.push(`${statement.kind} ${rest.join(', ')};`);
+    replaceStatement(statement, lines);
+  };
+
+  // Turn one `name: value` member of module.exports = {...} into an export
+  const exportProperty = (prop) => {
+    if (prop.type !== 'Property' || prop.computed || prop.kind !== 'init') return null;
+    const key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+    if (typeof key !== 'string' || !isIdentifierName(key)) return null;
+
+    if (prop.value.type === 'Identifier' && topLevel.has(prop.value.name)) {
+      return { key, local: prop.value.name, lines: [] };
+    }
+    if (topLevel.has(key)) return null;
+
+    if (prop.method) return { key, local: key, lines: [functionDeclaration(prop.value, key, prop.key.end)] };
+    if (canDeclareFunction(prop.value, key)) {
+      return { key, local: key, lines: [functionDeclaration(prop.value, key)] };
+    }
+
+    return { key, local: key, lines: [`export const ${key} = ${nodeText(prop.value)};`] };
+  };
+
+  const exportSpecifier = e => (e.key === e.local ? e.key : `${e.local} as ${e.key}`);
+  const defaultMember = e => (e.key === e.local ? e.key : `${e.key}: ${e.local}`);
+
+  // Named exports for every binding plus a default object of the same shape,
+  // so both `import { a }` and `import x from` keep working for callers
+  const exportLines = (entries) => {
+    const lines = entries.flatMap(entry => entry.lines);
+    const listed = entries.filter(entry => entry.lines.length === 0);
+    if (listed.length > 0) lines.push(`export { ${listed.map(exportSpecifier).join(', ')} };`);
+    lines.push(`export default { ${entries.map(defaultMember).join(', ')} };`);
+    return lines;
+  };
+
+  // A statement left as CommonJS, which keeps the file from migrating
+  const keep = (statement, assignment, message) => {
+    warn(statement, message);
+    handled.add(assignment.left);
+    leftovers.push(assignment.left);
+  };
+
+  const convertModuleExports = (statement, assignment) => {
+    const value = assignment.right;
+    if (hasDefaultExport || exported.length > 0) {
+      keep(statement, assignment, 'module.exports = … replaces what was exported before it; merge them by hand before migrating');
+      return;
+    }
+    handled.add(assignment.left);
+    hasDefaultExport = true;
+
+    if (value.type === 'ObjectExpression') {
+      const entries = value.properties.map(exportProperty);
+      if (entries.every(Boolean)) {
+        // The default object is written once the members assigned to it
+        // later (`module.exports.extra = 1`) are known
+        const lines = exportLines(entries);
+        defaultObject = { entries, edit: { start: statement.start, end: statement.end, text: lines.join('\n') } };
+        edits.push(defaultObject.edit);
+        stats.exports += entries.length;
+        return;
+      }
+      warn(statement, 'module.exports object has computed, accessor or clashing members; exported as default only');
+    }
+
+    replaceStatement(statement, [`export default ${nodeText(value)};`]);
+    stats.exports++;
+  };
+
+  const convertExportsMember = (statement, assignment, name) => {
+    const value = assignment.right;
+
+    // After `module.exports = {...}` only module.exports.x adds to what is
+    // exported (exports.x writes to the object it replaced), and only an
+    // object literal can take the new member
+    if (hasDefaultExport) {
+      const merges = defaultObject && isModuleExports(assignment.left.object) &&
+        !defaultObject.entries.some(entry => entry.key === name);
+      if (!merges) {
+        keep(statement, assignment, `${nodeText(assignment.left)} is assigned next to module.exports = …; merge them by hand before migrating`);
+        return;
+      }
+    }
+
+    if (value.type === 'Identifier' && topLevel.has(value.name)) {
+      exported.push({ key: name, local: value.name });
+      replaceStatement(statement, []);
+    } else if (!topLevel.has(name) && isIdentifierName(name)) {
+      const line = canDeclareFunction(value, name)
+        ? functionDeclaration(value, name)
+        : `export const ${name} = ${nodeText(value)};`;
+      // Declared in place, so only the default object needs to list it
+      exported.push({ key: name, local: name, declared: true });
+      replaceStatement(statement, [line]);
+    } else {
+      keep(statement, assignment, `exports.${name} clashes with a local binding; rename it before migrating`);
+      return;
+    }
+    handled.add(assignment.left);
+    stats.exports++;
+  };
+
+  // ── Top-level statements ──────────────────────────────────────
+
+  ast.body.forEach(statement => {
+    if (statement.directive === 'use strict') {
+      // ES modules are always strict
+      replaceStatement(statement, []);
+      return;
+    }
+
+    if (statement.type === 'VariableDeclaration') {
+      convertRequireDeclaration(statement);
+      return;
+    }
+
+    if (statement.type !== 'ExpressionStatement') return;
+    const expression = statement.expression;
+
+    if (isRequireCall(expression) && staticSpecifier(expression)) {
+      handled.add(expression);
+      replaceStatement(statement, [importClause(null, specifierFor(expression))]);
+      stats.imports++;
+      return;
+    }
+
+    if (expression.type === 'AssignmentExpression' && expression.operator === '=') {
+      if (isModuleExports(expression.left)) {
+        convertModuleExports(statement, expression);
+        return;
+      }
+      const name = exportsMember(expression.left);
+      if (name) convertExportsMember(statement, expression, name);
+    }
+  });
+
+  // ── Assemble ──────────────────────────────────────────────────
+
+  if (exported.length > 0) {
+    const listed = exported.filter(entry => !entry.declared);
+    const lines = [];
+    if (listed.length > 0) lines.push(`export { ${listed.map(exportSpecifier).join(', ')} };`);
+    if (defaultObject) {
+      // Moved after the members it now lists, which may be declared below it
+      const { edit, entries } = defaultObject;
+      edit.text = edit.text.replace(/\n?export default \{[^\n]*\};$/, '');
+      if (edit.text === '' && code[edit.end] === '\n') edit.end++;
+      lines.push(`export default { ${[...entries, ...exported].map(defaultMember).join(', ')} };`);
+    } else if (!hasDefaultExport) {
+      lines.push(`export default { ${exported.map(defaultMember).join(', ')} };`);
+    }
+    if (lines.length > 0) {
+      edits.push({ start: code.length, end: code.length, text: `${code.endsWith('\n') ? '' : '\n'}${lines.join('\n')}\n` });
+    }
+  }
+
+  const replaced = [...edits];
+  globalEdits
+    .filter(edit => !replaced.some(r => edit.start >= r.start && edit.end <= r.end && r.start !== r.end))
+    .forEach(edit => edits.push(edit));
+  stats.importMeta = globalEdits.length;
+
+  const unconverted = pending.filter(({ node }) => !handled.has(node));
+  unconverted.forEach(({ node, message }) => warn(node, message));
+  leftovers.push(...unconverted.map(({ node }) => node));
+
+  const imports = [...extraImports].filter(([, { existing }]) => !existing);
+  if (imports.length > 0 && ast.body.length > 0) {
+    const lines = imports.map(([name, { from, local }]) => `import { ${name === local ? name : `${name} as ${local}`} } from ${quote(from)};\n`);
+    edits.push({ start: ast.body[0].start, end: ast.body[0].start, text: lines.join('') });
+  }
+
+  return { edits, warnings: warnings.sort((a, b) => a.line - b.line), stats, complete: leftovers.length === 0 };
+}
+
+module.exports = { planEsmMigration, resolveSpecifier };
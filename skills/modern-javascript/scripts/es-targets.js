@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * ECMAScript Target Profiles
+ * Maps features to the ECMAScript edition that introduced them (read from
+ * assets/es6-features.yaml) and works out which edition a project targets,
+ * either from an explicit name or from package.json engines/browserslist
+ *
+ * Usage:
+ *   const { parseTarget, detectTarget, isFeatureSupported } = require('./es-targets');
+ *   const target = parseTarget('es2017') || detectTarget('src/app.js');
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FEATURES_FILE = path.join(__dirname, '..', 'assets', 'es6-features.yaml');
+
+// Editions by year; ES5 is the 2009 edition
+const EDITIONS = [2009, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024];
+const LATEST = EDITIONS[EDITIONS.length - 1];
+
+// First Node.js version with every feature of an edition that the converter suggests
+const NODE_SUPPORT = {
+  2015: '6.0', 2016: '7.0', 2017: '8.0', 2018: '10.0', 2019: '12.0',
+  2020: '14.0', 2021: '15.0', 2022: '17.0', 2023: '20.0', 2024: '21.0'
+};
+
+// The same per browser, keyed by browserslist name
+const BROWSER_SUPPORT = {
+  chrome: { 2015: '51', 2016: '52', 2017: '58', 2018: '64', 2019: '73', 2020: '80', 2021: '85', 2022: '98', 2023: '110', 2024: '117' },
+  edge: { 2015: '79', 2016: '79', 2017: '79', 2018: '79', 2019: '79', 2020: '80', 2021: '85', 2022: '98', 2023: '110', 2024: '117' },
+  firefox: { 2015: '54', 2016: '55', 2017: '55', 2018: '58', 2019: '62', 2020: '74', 2021: '79', 2022: '94', 2023: '115', 2024: '124' },
+  safari: { 2015: '10', 2016: '10.1', 2017: '11', 2018: '12', 2019: '12.1', 2020: '14', 2021: '14', 2022: '15.4', 2023: '16', 2024: '17.4' },
+  ios_saf: { 2015: '10', 2016: '10.3', 2017: '11', 2018: '12', 2019: '12.2', 2020: '14', 2021: '14', 2022: '15.4', 2023: '16', 2024: '17.4' },
+  opera: { 2015: '38', 2016: '39', 2017: '45', 2018: '51', 2019: '60', 2020: '67', 2021: '71', 2022: '84', 2023: '96', 2024: '103' },
+  samsung: { 2015: '5', 2016: '6.2', 2017: '7.2', 2018: '9.2', 2019: '11.1', 2020: '13', 2021: '14', 2022: '18', 2023: '21', 2024: '24' },
+  ie: {}
+};
+
+const BROWSER_ALIASES = { explorer: 'ie', ios: 'ios_saf', opera_mobile: 'opera', chromeandroid: 'chrome', and_chr: 'chrome', firefoxandroid: 'firefox', and_ff: 'firefox' };
+
+let featureVersions = null;
+
+/**
+ * Read the feature → edition map from es6-features.yaml. Only the two
+ * outer levels matter here (`es2020:` → `optional_chaining:`), so this
+ * reads keys by indentation instead of parsing full YAML.
+ * @returns {Map<string, number>} Feature key → edition year
+ */
+function readFeatureVersions(filePath = FEATURES_FILE) {
+  const versions = new Map();
+  let edition = null;
+
+  fs.readFileSync(filePath, 'utf-8').split('\n').forEach(line => {
+    const top = /^es(\d{4}):\s*$/.exec(line);
+    if (top) {
+      edition = Number(top[1]);
+      return;
+    }
+    if (/^\S/.test(line) && !line.startsWith('#')) {
+      edition = null;
+      return;
+    }
+    const feature = /^ {2}([A-Za-z_]\w*):/.exec(line);
+    if (edition && feature) versions.set(feature[1], edition);
+  });
+
+  return versions;
+}
+
+/**
+ * Edition that introduced a feature key from es6-features.yaml
+ * @returns {number|null}
+ */
+function featureEdition(feature) {
+  if (!featureVersions) featureVersions = readFeatureVersions();
+  if (!featureVersions.has(feature)) {
+    throw new Error(`Unknown feature '${feature}' (not in ${path.basename(FEATURES_FILE)})`);
+  }
+  return featureVersions.get(feature);
+}
+
+/**
+ * Whether code targeting `target` may use `feature`; no target allows everything
+ */
+function isFeatureSupported(feature, target) {
+  if (!feature || !target) return true;
+  return featureEdition(feature) <= target.edition;
+}
+
+const editionName = edition => (edition === 2009 ? 'ES5' : `ES${edition}`);
+
+/**
+ * Parse a --target value: es5, es6, es2015 … es2024 or esnext
+ * @returns {Object|null} { edition, name, source }
+ */
+function parseTarget(value) {
+  const name = String(value).trim().toLowerCase();
+  let edition = null;
+
+  if (name === 'es5') edition = 2009;
+  else if (name === 'es6') edition = 2015;
+  else if (name === 'esnext' || name === 'latest') edition = LATEST;
+  else if (/^es\d{4}$/.test(name)) edition = Number(name.slice(2));
+  else if (/^es\d{1,2}$/.test(name)) edition = 2009 + Number(name.slice(2));
+
+  if (!EDITIONS.includes(edition)) return null;
+  return { edition, name: editionName(edition), source: '--target' };
+}
+
+const compareVersions = (a, b) => {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+// Newest edition fully supported by a version, given a support table
+const editionFor = (support, version) => EDITIONS
+  .filter(edition => edition === 2009 || (support[edition] && compareVersions(version, support[edition]) >= 0))
+  .pop();
+
+/**
+ * Lowest edition across browserslist queries; queries that cannot be
+ * resolved without the browserslist database are returned as skipped
+ * @returns {Object} { edition, skipped }
+ */
+function editionFromBrowserslist(queries) {
+  const editions = [];
+  const skipped = [];
+
+  queries.forEach(query => {
+    if (/^not\s/i.test(query)) return;
+
+    const match = /^([a-z_]+)\s*(>=|>)?\s*(\d+(?:\.\d+)*)$/i.exec(query);
+    const browser = match && (BROWSER_ALIASES[match[1].toLowerCase()] || match[1].toLowerCase());
+
+    if (match && browser === 'node') {
+      editions.push(editionFor(NODE_SUPPORT, match[3]));
+    } else if (match && BROWSER_SUPPORT[browser]) {
+      editions.push(editionFor(BROWSER_SUPPORT[browser], match[3]));
+    } else if (/^(ie|explorer)\b/i.test(query)) {
+      editions.push(2009);
+    } else {
+      skipped.push(query);
+    }
+  });
+
+  return { edition: editions.length > 0 ? Math.min(...editions) : null, skipped };
+}
+
+const splitQueries = value => (Array.isArray(value) ? value : String(value).split(/,|\bor\b/))
+  .map(query => query.trim())
+  .filter(Boolean);
+
+/**
+ * browserslist queries for a package: package.json "browserslist" (the
+ * production environment when it is split by env) or .browserslistrc
+ */
+function readBrowserslist(dir, pkg) {
+  let config = pkg.browserslist;
+  if (config && !Array.isArray(config) && typeof config === 'object') {
+    config = config.production || config.defaults || Object.values(config)[0];
+  }
+  if (config) return { queries: splitQueries(config), file: 'package.json browserslist' };
+
+  const rcPath = path.join(dir, '.browserslistrc');
+  if (!fs.existsSync(rcPath)) return null;
+
+  const queries = [];
+  let section = null;
+  fs.readFileSync(rcPath, 'utf-8').split('\n').forEach(line => {
+    const text = line.replace(/#.*/, '').trim();
+    const env = /^\[(.+)\]$/.exec(text);
+    if (env) {
+      section = env[1].trim();
+    } else if (text && (section === null || section === 'production')) {
+      queries.push(...splitQueries(text));
+    }
+  });
+
+  return { queries, file: '.browserslistrc' };
+}
+
+/**
+ * Infer the target edition from the nearest package.json above a file:
+ * the lowest of what engines.node and browserslist support
+ * @returns {Object|null} { edition, name, source, notes }
+ */
+function detectTarget(filePath) {
+  let dir = path.dirname(path.resolve(filePath));
+
+  while (!fs.existsSync(path.join(dir, 'package.json'))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+
+  const candidates = [];
+  const notes = [];
+
+  const node = pkg.engines && pkg.engines.node;
+  const nodeVersion = node && /(\d+(?:\.\d+)*)/.exec(node);
+  if (nodeVersion) {
+    candidates.push({ edition: editionFor(NODE_SUPPORT, nodeVersion[1]), source: `package.json engines.node "${node}"` });
+  }
+
+  const browserslist = readBrowserslist(dir, pkg);
+  if (browserslist) {
+    const { edition, skipped } = editionFromBrowserslist(browserslist.queries);
+    if (edition) candidates.push({ edition, source: browserslist.file });
+    if (skipped.length > 0) {
+      notes.push(`Ignored browserslist queries that need the browserslist database: ${skipped.join(', ')}`);
+    }
+  }
+
+  if (candidates.length === 0) return notes.length > 0 ? { edition: null, notes } : null;
+
+  const lowest = candidates.reduce((a, b) => (b.edition < a.edition ? b : a));
+  return { edition: lowest.edition, name: editionName(lowest.edition), source: lowest.source, notes };
+}
+
+module.exports = {
+  readFeatureVersions,
+  featureEdition,
+  isFeatureSupported,
+  parseTarget,
+  detectTarget,
+  editionFromBrowserslist,
+  EDITIONS
+};
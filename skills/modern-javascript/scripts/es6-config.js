@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * es6-converter Project Configuration & Baselines
+ * Reads .es6rc.json files, which turn patterns off or override their
+ * severity, and baseline files, which record known findings so that only
+ * new ones fail a build
+ *
+ * Usage:
+ *   const { createConfigResolver, readBaseline, applyBaseline } = require('./es6-config');
+ *   const configFor = createConfigResolver(null, Object.keys(PATTERNS));
+ *   const config = configFor('src/app.js');   // nearest .es6rc.json or null
+ *
+ * .es6rc.json:
+ *   { "patterns": { "consoleLog": "off", "argumentsKeyword": "info", "looseEquality": "error" } }
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.es6rc.json';
+const DEFAULT_BASELINE_FILE = '.es6-baseline.json';
+
+// "on" keeps the pattern's own severity
+const PATTERN_SETTINGS = ['off', 'on', 'error', 'warning', 'info'];
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Nearest .es6rc.json at or above a file's directory
+ * @returns {string|null}
+ */
+function findConfigFile(filePath) {
+  let dir = path.dirname(path.resolve(filePath));
+
+  for (;;) {
+    const candidate = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and validate a config file
+ * @param {string} configPath
+ * @param {Array<string>} knownPatterns - Valid pattern names
+ * @returns {Object} { path, patterns: { name: setting } }
+ */
+function loadConfig(configPath, knownPatterns) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${configPath}: ${error.message}`);
+  }
+
+  const patterns = raw.patterns || {};
+  if (typeof patterns !== 'object' || Array.isArray(patterns)) {
+    throw new Error(`${configPath}: "patterns" must map pattern names to ${PATTERN_SETTINGS.join('/')}`);
+  }
+
+  Object.entries(patterns).forEach(([name, setting]) => {
+    if (!knownPatterns.includes(name)) {
+      throw new Error(`${configPath}: unknown pattern '${name}'`);
+    }
+    if (!PATTERN_SETTINGS.includes(setting)) {
+      throw new Error(`${configPath}: '${name}' must be one of ${PATTERN_SETTINGS.join(', ')}, got ${JSON.stringify(setting)}`);
+    }
+  });
+
+  return { path: configPath, patterns };
+}
+
+/**
+ * Config lookup per file: the explicit config when given, otherwise the
+ * nearest .es6rc.json; each file is read once
+ * @returns {Function} filePath → config|null
+ */
+function createConfigResolver(explicitPath, knownPatterns) {
+  const cache = new Map();
+  const load = (configPath) => {
+    if (!cache.has(configPath)) cache.set(configPath, loadConfig(configPath, knownPatterns));
+    return cache.get(configPath);
+  };
+
+  return (filePath) => {
+    const configPath = explicitPath || findConfigFile(filePath);
+    return configPath ? load(path.resolve(configPath)) : null;
+  };
+}
+
+// Baseline entries are keyed by file, pattern and source line text, so
+// findings survive unrelated edits that only move them to another line
+const baselineFile = (baseline, filename) =>
+  path.relative(baseline.dir, path.resolve(filename)).split(path.sep).join('/');
+
+/**
+ * Read a baseline; a missing file is an empty baseline
+ * @returns {Object} { path, dir, findings: { file: { pattern: { line text: count } } } }
+ */
+function readBaseline(baselinePath) {
+  const baseline = { path: baselinePath, dir: path.dirname(path.resolve(baselinePath)), findings: {} };
+  if (!fs.existsSync(baselinePath)) return baseline;
+
+  try {
+    baseline.findings = JSON.parse(fs.readFileSync(baselinePath, 'utf-8')).findings || {};
+  } catch (error) {
+    throw new Error(`Cannot read baseline ${baselinePath}: ${error.message}`);
+  }
+  return baseline;
+}
+
+/**
+ * Drop findings recorded in the baseline from analyzeFile() results.
+ * A line text recorded n times covers at most n findings.
+ * @returns {Object} The same results, with `baselined` set to the number dropped
+ */
+function applyBaseline(results, baseline) {
+  const known = baseline.findings[baselineFile(baseline, results.filename)] || {};
+  const remaining = new Map();
+  let dropped = 0;
+
+  Object.keys(results.byCategory).forEach(severity => {
+    results.byCategory[severity] = results.byCategory[severity].filter(issue => {
+      const key = `${issue.rule}\n${issue.context}`;
+      if (!remaining.has(key)) remaining.set(key, (known[issue.rule] || {})[issue.context] || 0);
+      if (remaining.get(key) === 0) return true;
+
+      remaining.set(key, remaining.get(key) - 1);
+      dropped++;
+      return false;
+    });
+  });
+
+  results.totalIssues -= dropped;
+  results.baselined = dropped;
+  return results;
+}
+
+/**
+ * Record every finding of analyzeFile() results as the new baseline
+ */
+function writeBaseline(baselinePath, resultsList) {
+  const baseline = { dir: path.dirname(path.resolve(baselinePath)) };
+  const findings = {};
+
+  resultsList.forEach(results => {
+    Object.values(results.byCategory).flat().forEach(issue => {
+      const file = baselineFile(baseline, results.filename);
+      const byPattern = findings[file] || (findings[file] = {});
+      const byLine = byPattern[issue.rule] || (byPattern[issue.rule] = {});
+      byLine[issue.context] = (byLine[issue.context] || 0) + 1;
+    });
+  });
+
+  fs.writeFileSync(baselinePath, `${JSON.stringify({ version: BASELINE_VERSION, findings }, null, 2)}\n`);
+}
+
+module.exports = {
+  findConfigFile,
+  loadConfig,
+  createConfigResolver,
+  readBaseline,
+  applyBaseline,
+  writeBaseline,
+  CONFIG_FILE,
+  DEFAULT_BASELINE_FILE
+};
@@ -7,6 +7,12 @@
  * Usage:
  *   node es6-converter.js <file.js>
  *   node es6-converter.js src/app.js --fix
+ *   node es6-converter.js src/app.js --fix --write
+ *   node es6-converter.js src/app.js --esm --write
+ *   node es6-converter.js src/app.js --target es2017
+ *   node es6-converter.js src 'test/*.js' --top 20
+ *   node es6-converter.js src --format sarif > es6.sarif
+ *   node es6-converter.js src --baseline .es6-baseline.json
  *
  * @author Dr. Umit Kacar & Muhsin Elcicek
  * @version 1.0.0
@@ -14,6 +20,24 @@
 
 const fs = require('fs');
 const path = require('path');
+const { tokenize, maskNonCode } = require('../../shared/scripts/js-tokenizer');
+const { parse, traverse, createLineIndex } = require('../../shared/scripts/js-parser');
+const { analyzeScopes, buildParentMap, classifyVarDeclaration, getPatternIdentifiers, FUNCTION_TYPES } = require('../../shared/scripts/scope-analyzer');
+const { applyEdits, createUnifiedDiff, writeFileAtomic } = require('../../shared/scripts/source-edits');
+const { planEsmMigration } = require('./cjs-to-esm');
+const { planCallbackConversion } = require('./callback-to-async');
+const { planClassConversion } = require('./prototype-to-class');
+const { isFeatureSupported, parseTarget, detectTarget } = require('./es-targets');
+const { collectFiles } = require('./file-walker');
+const { formatResults, FORMATS } = require('./report-formats');
+const {
+  createConfigResolver,
+  readBaseline,
+  applyBaseline,
+  writeBaseline,
+  CONFIG_FILE,
+  DEFAULT_BASELINE_FILE
+} = require('./es6-config');
 
 const COLORS = {
   reset: '\x1b[0m',
@@ -25,6 +49,17 @@ const COLORS = {
   gray: '\x1b[90m'
 };
 
+// Upper bound on fix passes; each pass re-analyzes the output of the last one
+const MAX_FIX_PASSES = 10;
+
+// Modernization score: findings weighted by severity, measured against code
+// lines; one weighted finding per SCORE_LINES_PER_FINDING lines halves the score
+const SEVERITY_WEIGHTS = { error: 5, warning: 3, info: 1 };
+const SCORE_LINES_PER_FINDING = 10;
+
+// Files listed under "top files to migrate" unless --top says otherwise
+const DEFAULT_TOP_FILES = 10;
+
 /**
  * Pattern definitions for ES5 to ES6+ conversion
  */
@@ -32,15 +67,21 @@ const PATTERNS = {
   // var to let/const
   varDeclaration: {
     name: 'var → let/const',
+    feature: 'let_const',
     pattern: /\bvar\s+(\w+)\s*=/g,
     severity: 'warning',
     message: 'Use let or const instead of var',
-    suggestion: (match, varName) => `const ${varName} =`
+    // Used only when the file cannot be parsed; detect() does the real work.
+    // No fix there: without scopes a loop closure or redeclared var cannot
+    // be told apart, and let would change what they do
+    suggestion: (match, varName) => `let ${varName} =`,
+    detect: detectVarDeclarations
   },
 
   // Function to arrow function
   functionExpression: {
     name: 'function → arrow',
+    feature: 'arrow_functions',
     pattern: /(\w+)\s*:\s*function\s*\(([^)]*)\)\s*\{/g,
     severity: 'info',
     message: 'Consider using arrow function syntax',
@@ -50,6 +91,7 @@ const PATTERNS = {
   // Anonymous function to arrow
   anonymousFunction: {
     name: 'anonymous → arrow',
+    feature: 'arrow_functions',
     pattern: /function\s*\(([^)]*)\)\s*\{([^}]{0,50})\}/g,
     severity: 'info',
     message: 'Consider using arrow function',
@@ -59,6 +101,7 @@ const PATTERNS = {
   // String concatenation to template literal
   stringConcat: {
     name: 'concat → template',
+    feature: 'template_literals',
     pattern: /(['"])([^'"]*)\1\s*\+\s*(\w+)\s*\+\s*(['"])([^'"]*)\4/g,
     severity: 'info',
     message: 'Use template literals instead of string concatenation'
@@ -67,15 +110,18 @@ const PATTERNS = {
   // Object property shorthand
   propertyLonghand: {
     name: 'property shorthand',
-    pattern: /(\w+)\s*:\s*\1(?=[,}])/g,
+    feature: 'enhanced_objects',
+    pattern: /\b(\w+)\s*:\s*\1\b(?=\s*[,}])/g,
     severity: 'info',
     message: 'Use shorthand property syntax',
-    suggestion: (match, prop) => prop
+    suggestion: (match, prop) => prop,
+    fix: (match, source, prop) => replaceMatch(match, prop)
   },
 
   // .bind(this) to arrow
   bindThis: {
     name: '.bind(this) → arrow',
+    feature: 'arrow_functions',
     pattern: /\.bind\(this\)/g,
     severity: 'warning',
     message: 'Use arrow function instead of .bind(this)'
@@ -84,15 +130,18 @@ const PATTERNS = {
   // Object.assign to spread
   objectAssign: {
     name: 'Object.assign → spread',
+    feature: 'rest_spread_objects',
     pattern: /Object\.assign\s*\(\s*\{\s*\}\s*,/g,
     severity: 'info',
     message: 'Consider using object spread operator',
-    suggestion: '{ ...'
+    suggestion: '{ ...',
+    fix: fixObjectAssign
   },
 
   // Array.prototype.concat to spread
   arrayConcat: {
     name: '.concat() → spread',
+    feature: 'spread_rest',
     pattern: /(\w+)\.concat\((\w+)\)/g,
     severity: 'info',
     message: 'Consider using array spread operator',
@@ -102,6 +151,7 @@ const PATTERNS = {
   // arguments to rest parameters
   argumentsKeyword: {
     name: 'arguments → rest',
+    feature: 'spread_rest',
     pattern: /\barguments\b/g,
     severity: 'warning',
     message: 'Use rest parameters instead of arguments object'
@@ -110,14 +160,17 @@ const PATTERNS = {
   // indexOf !== -1 to includes
   indexOfCheck: {
     name: 'indexOf → includes',
+    feature: 'includes',
     pattern: /\.indexOf\(([^)]+)\)\s*(!==?|===?)\s*-1/g,
     severity: 'info',
-    message: 'Use .includes() for existence check'
+    message: 'Use .includes() for existence check',
+    fix: fixIndexOfCheck
   },
 
   // for loop to for...of
   forLoop: {
     name: 'for → for...of',
+    feature: 'iterators_generators',
     pattern: /for\s*\(\s*(?:var|let)\s+(\w+)\s*=\s*0\s*;\s*\1\s*<\s*(\w+)\.length\s*;\s*\1\+\+\s*\)/g,
     severity: 'info',
     message: 'Consider using for...of loop'
@@ -126,25 +179,30 @@ const PATTERNS = {
   // callback to Promise/async
   callbackPattern: {
     name: 'callback → Promise',
+    feature: 'async_await',
     pattern: /function\s*\([^)]*,\s*(callback|cb|done)\s*\)/g,
     severity: 'info',
-    message: 'Consider using Promises or async/await'
+    message: 'Consider using Promises or async/await',
+    detect: detectCallbackFunctions
   },
 
-  // == to ===
+  // == to ===. Lookarounds keep the match to the operator itself, so the
+  // reported column and range are those of the `==`
   looseEquality: {
     name: '== → ===',
-    pattern: /[^!=]==[^=]/g,
+    pattern: /(?<![!=])==(?!=)/g,
     severity: 'warning',
-    message: 'Use strict equality (===) instead of loose equality (==)'
+    message: 'Use strict equality (===) instead of loose equality (==)',
+    fix: (match, source) => fixLooseOperator(match, source, match.index, '==', '===')
   },
 
   // != to !==
   looseInequality: {
     name: '!= → !==',
-    pattern: /!=[^=]/g,
+    pattern: /!=(?!=)/g,
     severity: 'warning',
-    message: 'Use strict inequality (!==) instead of loose inequality (!=)'
+    message: 'Use strict inequality (!==) instead of loose inequality (!=)',
+    fix: (match, source) => fixLooseOperator(match, source, match.index, '!=', '!==')
   },
 
   // console.log (for production)
@@ -155,18 +213,21 @@ const PATTERNS = {
     message: 'Remove or replace console statements in production'
   },
 
-  // require to import (ES modules)
+  // require to import (ES modules). No fix: one import in a CommonJS file
+  // makes it neither CommonJS nor an ES module; --esm migrates the whole file.
   requireStatement: {
     name: 'require → import',
+    feature: 'modules',
     pattern: /(?:const|let|var)\s+(\w+)\s*=\s*require\s*\(\s*(['"][^'"]+['"])\s*\)/g,
     severity: 'info',
-    message: 'Consider using ES module import syntax',
+    message: 'Consider using ES module import syntax (--esm migrates the whole file)',
     suggestion: (match, name, module) => `import ${name} from ${module}`
   },
 
   // module.exports to export
   moduleExports: {
     name: 'module.exports → export',
+    feature: 'modules',
     pattern: /module\.exports\s*=/g,
     severity: 'info',
     message: 'Consider using ES module export syntax'
@@ -175,6 +236,7 @@ const PATTERNS = {
   // Nullish coalescing opportunity
   orDefault: {
     name: '|| → ??',
+    feature: 'nullish_coalescing',
     pattern: /(\w+)\s*\|\|\s*(['"][^'"]*['"]|\d+|true|false|null|\[\]|\{\})/g,
     severity: 'info',
     message: 'Consider using nullish coalescing (??) if only null/undefined should trigger default'
@@ -183,16 +245,862 @@ const PATTERNS = {
   // Optional chaining opportunity
   nestedAccess: {
     name: 'nested && → ?.',
+    feature: 'optional_chaining',
     pattern: /(\w+)\s*&&\s*\1\.(\w+)\s*&&\s*\1\.\2\.(\w+)/g,
     severity: 'info',
     message: 'Consider using optional chaining (?.)'
+  },
+
+  // Logical assignment operators
+  logicalAssignment: {
+    name: 'x = x || y → x ||= y',
+    feature: 'logical_assignment',
+    pattern: /(?<![\w$.])([\w$]+(?:\.[\w$]+)*)\s*=\s*\1\s*(\|\||&&|\?\?)(?!=)/g,
+    severity: 'info',
+    message: 'Use a logical assignment operator',
+    suggestion: (match, target, operator) => `${target} ${operator}= …`,
+    detect: detectLogicalAssignments
+  },
+
+  // String.prototype.replaceAll
+  replaceAll: {
+    name: 'replace(/x/g) → replaceAll',
+    feature: 'replaceAll',
+    pattern: /\.split\((['"])[^'"]+\1\)\.join\(/g,
+    severity: 'info',
+    message: 'Use .replaceAll() to replace every occurrence of a literal string',
+    detect: detectReplaceAll
+  },
+
+  // Array.prototype.at
+  atMethod: {
+    name: 'x[x.length - n] → .at(-n)',
+    feature: 'at_method',
+    pattern: /(?<![\w$.])((?:this|[\w$]+)(?:\.[\w$]+)*)\[\s*\1\.length\s*-\s*([1-9]\d*)\s*\](?!\s*(?:[-+*/%&|^]|\*\*|<<|>>>?|&&|\|\||\?\?)?=(?!=))(?!\s*(?:\+\+|--))/g,
+    severity: 'info',
+    message: 'Use .at() with a negative index for access from the end',
+    // Used only when the file cannot be parsed, where the receiver's type is unknown
+    suggestion: (match, target, offset) => `${target}.at(-${offset})`,
+    detect: detectAtMethod
+  },
+
+  // Object.hasOwn
+  objectHasOwn: {
+    name: 'hasOwnProperty → Object.hasOwn',
+    feature: 'object_hasOwn',
+    pattern: /(?:\bObject\.prototype|\{\s*\})\.hasOwnProperty\.call\(|(?<![\w$.])((?:this|[\w$]+)(?:\.[\w$]+)*)\.hasOwnProperty\(/g,
+    severity: 'info',
+    message: 'Use Object.hasOwn(), which also works for objects without Object.prototype',
+    suggestion: (match, target) => (target ? `Object.hasOwn(${target}, …)` : 'Object.hasOwn(…)'),
+    fix: (match, source, target) => replaceMatch(match, target ? `Object.hasOwn(${target}, ` : 'Object.hasOwn(')
+  },
+
+  // structuredClone
+  jsonDeepCopy: {
+    name: 'JSON deep copy → structuredClone',
+    feature: 'structured_clone',
+    pattern: /\bJSON\.parse\(\s*JSON\.stringify\(\s*((?:this|[\w$]+)(?:\.[\w$]+)*)\s*\)\s*\)/g,
+    severity: 'info',
+    message: 'Use structuredClone() for deep copies (keeps Date, Map and Set; throws on functions)',
+    suggestion: (match, value) => `structuredClone(${value})`
+  },
+
+  // Constructor function + prototype to class
+  prototypeClass: {
+    name: 'prototype → class',
+    feature: 'classes',
+    pattern: /\b(\w+)\.prototype\.(\w+)\s*=\s*function\b/g,
+    severity: 'info',
+    message: 'Use class syntax instead of constructor functions and prototype assignments',
+    detect: detectPrototypeClasses
+  },
+
+  // Class fields
+  constructorFields: {
+    name: 'constructor assignments → class fields',
+    feature: 'class_fields',
+    severity: 'info',
+    message: 'Declare constant initial values as class fields',
+    detect: detectClassFields
+  },
+
+  // Top-level await
+  asyncIife: {
+    name: 'async IIFE → top-level await',
+    feature: 'top_level_await',
+    severity: 'info',
+    message: 'ES modules can await at the top level; the async IIFE wrapper is unnecessary',
+    detect: detectAsyncIife
   }
 };
 
+// Instances of these have .at(); array-likes such as arguments and NodeList do not
+const AT_CONSTRUCTORS = new Set([
+  'Array', 'String', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+]);
+
+// Calls known to return an array: `Array.from(x)`, `Object.keys(o)`, `s.split(',')`
+const ARRAY_CALLS = new Set(['Array.from', 'Array.of', 'Object.keys', 'Object.values', 'Object.entries']);
+
+/**
+ * Build an edit that replaces code[start, end) with text
+ */
+function replaceRange(start, end, text) {
+  return { start, end, text };
+}
+
+/**
+ * Build an edit that replaces a whole regex match
+ */
+function replaceMatch(match, text) {
+  return replaceRange(match.index, match.index + match[0].length, text);
+}
+
+/**
+ * Find the bracket closing the one at openIndex
+ * @param {string} code - Masked source, so literals cannot hold stray brackets
+ * @returns {number} Index of the closing bracket, or -1 if unbalanced
+ */
+function findClosingBracket(code, openIndex) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const stack = [];
+
+  for (let i = openIndex; i < code.length; i++) {
+    const char = code[i];
+
+    if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (char === ')' || char === ']' || char === '}') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Walk backwards from index over a member/call chain such as `a.b[c](d)`
+ * @returns {number} Index where the receiver expression starts
+ */
+function findReceiverStart(code, index) {
+  const openers = { ')': '(', ']': '[' };
+  let i = index - 1;
+
+  while (i >= 0) {
+    const char = code[i];
+
+    if (openers[char]) {
+      let depth = 0;
+      for (; i >= 0; i--) {
+        if (code[i] === char) depth++;
+        else if (code[i] === openers[char] && --depth === 0) break;
+      }
+      i--;
+    } else if (/[\w$.]/.test(char)) {
+      i--;
+    } else {
+      break;
+    }
+  }
+
+  return i + 1;
+}
+
+/**
+ * Split an argument list on top-level commas
+ * @param {string} masked - Masked argument text, used to find the commas
+ * @param {string} text - Original argument text at the same offsets
+ */
+function splitArguments(masked, text) {
+  const args = [];
+  let depth = 0;
+  let from = 0;
+
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      args.push(text.slice(from, i).trim());
+      from = i + 1;
+    }
+  }
+
+  if (text.slice(from).trim()) args.push(text.slice(from).trim());
+  return args;
+}
+
+/**
+ * Object.assign({}, a, b) → { ...a, ...b }
+ */
+function fixObjectAssign(match, source) {
+  const open = source.masked.indexOf('(', match.index);
+  const close = findClosingBracket(source.masked, open);
+  if (close === -1) return null;
+
+  const argsStart = match.index + match[0].length;
+  const sources = splitArguments(source.masked.slice(argsStart, close), source.code.slice(argsStart, close));
+  if (sources.length === 0) return replaceRange(match.index, close + 1, '{}');
+
+  // Object literal sources are inlined rather than spread
+  const members = sources.map(source => /^\{[\s\S]*\}$/.test(source)
+    ? source.slice(1, -1).trim()
+    : `...${source}`);
+
+  return replaceRange(match.index, close + 1, `{ ${members.filter(Boolean).join(', ')} }`);
+}
+
+/**
+ * a.indexOf(x) !== -1 → a.includes(x), a.indexOf(x) === -1 → !a.includes(x)
+ */
+function fixIndexOfCheck(match, source, arg, operator) {
+  const call = replaceMatch(match, `.includes(${arg})`);
+  if (operator.startsWith('!')) return call;
+
+  const receiverStart = findReceiverStart(source.masked, match.index);
+  if (receiverStart === match.index) return null;
+
+  return [replaceRange(receiverStart, receiverStart, '!'), call];
+}
+
+/**
+ * == → === and != → !==, leaving intentional `== null` checks alone
+ */
+function fixLooseOperator(match, source, operatorIndex, operator, strict) {
+  const code = source.masked;
+  const before = code.slice(Math.max(0, operatorIndex - 10), operatorIndex);
+  const after = code.slice(operatorIndex + operator.length, operatorIndex + operator.length + 10);
+
+  if (/\b(?:null|undefined)\s*$/.test(before) || /^\s*(?:null|undefined)\b/.test(after)) {
+    return null;
+  }
+
+  return replaceRange(operatorIndex, operatorIndex + operator.length, strict);
+}
+
+const within = (node, container) => node.start >= container.start && node.end <= container.end;
+
+/**
+ * Scope-aware var detector: picks let or const per declaration and flags
+ * conversions that would change semantics instead of suggesting them
+ * @returns {Array<Object>} Findings
+ */
+function detectVarDeclarations(source) {
+  const { ast } = source;
+  const { declaredVariables } = analyzeScopes(ast);
+  const parents = buildParentMap(ast);
+  const findings = [];
+
+  declaredVariables.forEach((variables, declaration) => {
+    if (declaration.type !== 'VariableDeclaration' || declaration.kind !== 'var') return;
+
+    const { kind, unsafe } = classifyVarDeclaration(declaration, variables, node => parents.get(node));
+    const names = declaration.declarations.flatMap(d => getPatternIdentifiers(d.id).map(id => id.name));
+
+    if (unsafe.length > 0) {
+      findings.push({
+        index: declaration.start,
+        text: 'var',
+        message: `Converting var → let/const would change behavior: ${unsafe.join('; ')}`
+      });
+      return;
+    }
+
+    findings.push({
+      index: declaration.start,
+      text: 'var',
+      suggestion: `${kind} ${names.join(', ')}`,
+      fix: () => replaceRange(declaration.start, declaration.start + 3, kind)
+    });
+  });
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Callback detector: error-first callback functions that can become async
+ * functions get a fix (call sites awaited, nested callbacks flattened);
+ * callbacks that may run more than once are flagged instead
+ * @returns {Array<Object>} Findings
+ */
+function detectCallbackFunctions(source) {
+  const { functions } = planCallbackConversion(source);
+
+  return functions.map(fn => {
+    const finding = {
+      index: fn.node.start,
+      text: source.code.slice(fn.node.start, fn.node.body.start).trim()
+    };
+
+    if (fn.multiple) {
+      finding.severity = 'warning';
+      finding.message = `Callback \`${fn.callbackName}\` may be invoked more than once: ${fn.reason}; it cannot become a promise`;
+    } else if (fn.reason) {
+      finding.message = `Cannot convert \`${fn.name}\` to async/await: ${fn.reason}`;
+    } else if (fn.convertible) {
+      finding.message = 'Convert to an async function and await its callers';
+      finding.suggestion = fn.suggestion;
+      if (fn.edits) finding.fix = () => fn.edits;
+    }
+
+    return finding;
+  }).sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Class detector: a constructor function and the prototype members,
+ * accessors, statics and inheritance set up next to it become one class;
+ * constructors a class could not replace get the reason instead
+ * @returns {Array<Object>} Findings
+ */
+function detectPrototypeClasses(source) {
+  const { classes } = planClassConversion(source);
+
+  return classes.map(entry => {
+    const finding = {
+      index: entry.node.start,
+      text: source.code.slice(entry.node.start, entry.node.end).split('\n')[0].trim()
+    };
+
+    if (entry.convertible) {
+      finding.suggestion = entry.suggestion;
+      finding.fix = () => entry.edits;
+    } else {
+      finding.message = `Cannot convert \`${entry.name}\` to a class: ${entry.reason}`;
+    }
+
+    return finding;
+  }).sort((a, b) => a.index - b.index);
+}
+
+// Node types an expression can be built from and still be a constant initializer
+const isConstantExpression = (node) => {
+  switch (node.type) {
+    case 'Literal':
+      return true;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0;
+    case 'Identifier':
+      return ['undefined', 'NaN', 'Infinity'].includes(node.name);
+    case 'UnaryExpression':
+      return ['-', '+', '!'].includes(node.operator) && isConstantExpression(node.argument);
+    case 'ArrayExpression':
+      return node.elements.every(el => el && isConstantExpression(el));
+    case 'ObjectExpression':
+      return node.properties.every(prop => prop.type === 'Property' && !prop.computed &&
+        prop.kind === 'init' && !prop.method && isConstantExpression(prop.value));
+    case 'NewExpression':
+      return node.callee.type === 'Identifier' && ['Map', 'Set', 'WeakMap', 'WeakSet', 'Array', 'Object'].includes(node.callee.name) &&
+        node.arguments.every(isConstantExpression);
+    default:
+      return false;
+  }
+};
+
+// Identifiers and non-computed member chains, the targets safe to name twice
+const isSimpleReference = node => node.type === 'Identifier' || node.type === 'ThisExpression' ||
+  (node.type === 'MemberExpression' && !node.computed && !node.optional && isSimpleReference(node.object));
+
+const quoteString = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+
+/**
+ * Logical assignment detector: `x = x || y`, `x = x ?? y`, `x = x && y`
+ * and `x || (x = y)` all become `x op= y`
+ * @returns {Array<Object>} Findings
+ */
+function detectLogicalAssignments(source) {
+  const { code, ast } = source;
+  const text = node => code.slice(node.start, node.end);
+  const findings = [];
+
+  const report = (node, target, operator, value) => {
+    const replacement = `${text(target)} ${operator}= ${text(value)}`;
+    findings.push({
+      index: node.start,
+      text: text(node),
+      suggestion: replacement,
+      fix: () => replaceRange(node.start, node.end, replacement)
+    });
+  };
+
+  traverse(ast, {
+    enter(node) {
+      if (node.type === 'AssignmentExpression' && node.operator === '=' && isSimpleReference(node.left)) {
+        const { right } = node;
+        if (right.type === 'LogicalExpression' && !right.parenthesized && text(right.left) === text(node.left)) {
+          report(node, node.left, right.operator, right.right);
+        }
+      }
+
+      if (node.type === 'LogicalExpression' && isSimpleReference(node.left) &&
+          node.right.type === 'AssignmentExpression' && node.right.operator === '=' &&
+          text(node.right.left) === text(node.left)) {
+        report(node, node.left, node.operator, node.right.right);
+        return false;
+      }
+
+      return undefined;
+    }
+  });
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * replaceAll detector: `.replace(/literal/g, x)` and `.split('a').join(b)`
+ * @returns {Array<Object>} Findings
+ */
+function detectReplaceAll(source) {
+  const { code, ast } = source;
+  const text = node => code.slice(node.start, node.end);
+  const findings = [];
+
+  // A regex body with no metacharacters matches exactly its unescaped text
+  const literalPattern = /^(?:[^\\^$.*+?()[\]{}|/]|\\[\\^$.*+?()[\]{}|/-])+$/;
+
+  traverse(ast, {
+    enter(node) {
+      if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return;
+      const { property, object } = node.callee;
+
+      if (property.name === 'replace' && node.arguments.length === 2) {
+        const [pattern, replacement] = node.arguments;
+        if (!pattern.regex || pattern.regex.flags !== 'g' || !literalPattern.test(pattern.regex.pattern)) return;
+
+        const literal = quoteString(pattern.regex.pattern.replace(/\\(.)/g, '$1'));
+        findings.push({
+          index: property.start,
+          text: code.slice(property.start, node.end),
+          suggestion: `replaceAll(${literal}, ${text(replacement)})`,
+          fix: () => [
+            replaceRange(property.start, property.end, 'replaceAll'),
+            replaceRange(pattern.start, pattern.end, literal)
+          ]
+        });
+      }
+
+      // 'abc'.split('').join('-') inserts between characters, replaceAll('') would not
+      if (property.name === 'join' && node.arguments.length === 1 && object.type === 'CallExpression' &&
+          object.callee.type === 'MemberExpression' && !object.callee.computed && object.callee.property.name === 'split' &&
+          object.arguments.length === 1 && object.arguments[0].type === 'Literal' &&
+          typeof object.arguments[0].value === 'string' && object.arguments[0].value !== '') {
+        const split = object.callee.property;
+        const replacement = `replaceAll(${text(object.arguments[0])}, ${text(node.arguments[0])})`;
+        findings.push({
+          index: split.start,
+          text: code.slice(split.start, node.end),
+          suggestion: replacement,
+          fix: () => replaceRange(split.start, node.end, replacement)
+        });
+      }
+    }
+  });
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Range covering a statement and, when it sits alone on its line, the line itself
+ */
+function statementLineRange(code, node) {
+  const lineStart = code.lastIndexOf('\n', node.start - 1) + 1;
+  const lineEnd = code.indexOf('\n', node.end);
+  const before = code.slice(lineStart, node.start);
+  const after = code.slice(node.end, lineEnd === -1 ? code.length : lineEnd);
+
+  if (before.trim() === '' && after.trim() === '') {
+    return { start: lineStart, end: lineEnd === -1 ? code.length : lineEnd + 1 };
+  }
+  return { start: node.start, end: node.end };
+}
+
+/**
+ * .at() detector: `x[x.length - n]` reads from the end. The fix is only
+ * offered where x is known to be an Array, string or typed array: a
+ * variable whose every assigned value is an array or string literal, a
+ * typed array or a call that returns an array
+ * @returns {Array<Object>} Findings
+ */
+function detectAtMethod(source) {
+  const { code, ast } = source;
+  const text = node => code.slice(node.start, node.end);
+  const parents = buildParentMap(ast);
+  const { scopes } = analyzeScopes(ast);
+  const findings = [];
+
+  const variableOf = new Map();
+  scopes.forEach(scope => scope.references.forEach(ref => variableOf.set(ref.identifier, ref.resolved)));
+
+  const hasAt = (node) => {
+    if (!node) return false;
+    switch (node.type) {
+      case 'ArrayExpression':
+      case 'TemplateLiteral':
+        return true;
+      case 'Literal':
+        return typeof node.value === 'string';
+      case 'NewExpression':
+        return node.callee.type === 'Identifier' && AT_CONSTRUCTORS.has(node.callee.name) && !variableOf.get(node.callee);
+      case 'CallExpression': {
+        const { callee } = node;
+        if (callee.type !== 'MemberExpression' || callee.computed) return false;
+        return callee.property.name === 'split' ||
+          (callee.object.type === 'Identifier' && !variableOf.get(callee.object) && ARRAY_CALLS.has(text(callee)));
+      }
+      default:
+        return false;
+    }
+  };
+
+  // Every value the variable is declared or assigned with has .at()
+  const knownReceiver = (id) => {
+    const variable = variableOf.get(id);
+    if (!variable || variable.defs.length !== 1 || variable.defs[0].type !== 'variable') return false;
+    const { parent: declarator } = variable.defs[0];
+    if (declarator.id.type !== 'Identifier' || !hasAt(declarator.init)) return false;
+    return variable.references.every(ref => !ref.isWrite || ref.init || (ref.writeExpr && parents.get(ref.identifier).operator === '=' && hasAt(ref.writeExpr)));
+  };
+
+  traverse(ast, {
+    enter(node) {
+      if (node.type !== 'MemberExpression' || !node.computed || node.optional) return;
+      const { object, property } = node;
+      if (!isSimpleReference(object) || property.type !== 'BinaryExpression' || property.operator !== '-') return;
+      const { left, right } = property;
+      const isLength = left.type === 'MemberExpression' && !left.computed && !left.optional &&
+        left.property.name === 'length' && text(left.object) === text(object);
+      if (!isLength || right.type !== 'Literal' || !Number.isInteger(right.value) || right.value < 1) return;
+
+      // Writes through x[x.length - 1] have no .at() counterpart
+      const parent = parents.get(node);
+      if ((parent.type === 'AssignmentExpression' && parent.left === node) || parent.type === 'UpdateExpression' ||
+          /Pattern$|^RestElement$/.test(parent.type) || ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node) ||
+          (parent.type === 'Property' && /Pattern$/.test(parents.get(parent).type))) return;
+
+      // arguments is array-like and never has .at()
+      if (object.type === 'Identifier' && object.name === 'arguments' && !(variableOf.get(object) || { defs: [] }).defs.length) return;
+
+      const replacement = `${text(object)}.at(-${right.value})`;
+      const finding = { index: node.start, text: text(node), suggestion: replacement };
+      if (object.type === 'Identifier' && knownReceiver(object)) {
+        finding.fix = () => replaceRange(node.start, node.end, replacement);
+      } else {
+        finding.message = `Use .at() with a negative index if \`${text(object)}\` is an Array, string or typed array; array-likes such as NodeList have no .at()`;
+      }
+      findings.push(finding);
+    }
+  });
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Class field detector: leading `this.x = <constant>` statements of a
+ * constructor run exactly when a field initializer would, so they can move
+ * into the class body
+ * @returns {Array<Object>} Findings
+ */
+function detectClassFields(source) {
+  const { code, ast } = source;
+  const text = node => code.slice(node.start, node.end);
+  const findings = [];
+
+  traverse(ast, {
+    enter(node) {
+      if (node.type !== 'ClassDeclaration' && node.type !== 'ClassExpression') return;
+
+      const members = node.body.body;
+      const ctor = members.find(m => m.type === 'MethodDefinition' && m.kind === 'constructor');
+      if (!ctor) return;
+
+      const taken = new Set(members
+        .filter(m => m !== ctor && !m.computed && m.key && m.key.type === 'Identifier')
+        .map(m => m.key.name));
+
+      const statements = ctor.value.body.body;
+      let index = 0;
+      // Fields of a derived class initialize right after super() returns
+      if (node.superClass) {
+        const first = statements[0];
+        const isSuper = first && first.type === 'ExpressionStatement' && first.expression.type === 'CallExpression' &&
+          first.expression.callee.type === 'Super';
+        if (!isSuper) return;
+        index = 1;
+      }
+
+      const fields = [];
+      for (; index < statements.length; index++) {
+        const statement = statements[index];
+        const expr = statement.type === 'ExpressionStatement' ? statement.expression : null;
+        const isField = expr && expr.type === 'AssignmentExpression' && expr.operator === '=' &&
+          expr.left.type === 'MemberExpression' && !expr.left.computed && expr.left.object.type === 'ThisExpression' &&
+          expr.left.property.type === 'Identifier' && !taken.has(expr.left.property.name) &&
+          isConstantExpression(expr.right);
+        if (!isField) break;
+
+        taken.add(expr.left.property.name);
+        fields.push({ statement, name: expr.left.property.name, value: text(expr.right) });
+      }
+
+      if (fields.length === 0) return;
+
+      // A class written on one line keeps its fields on that line
+      const lineStart = code.lastIndexOf('\n', ctor.start - 1) + 1;
+      const ownLine = code.slice(lineStart, ctor.start).trim() === '';
+      const indent = /^[ \t]*/.exec(code.slice(lineStart))[0];
+      const declarations = fields.map(f => `${f.name} = ${f.value};`);
+      const fieldsText = declarations.join(ownLine ? `\n${indent}` : ' ');
+
+      // Once every statement has moved out, the constructor does no more than
+      // the implicit one, unless its super() call passes other arguments, a
+      // parameter default runs code or a comment is left in it
+      const body = ctor.value.body;
+      const emptied = fields.length === statements.length && !node.superClass &&
+        ctor.value.params.every(param => param.type === 'Identifier') &&
+        fields.reduce((rest, f) => rest.replace(text(f.statement), ''), code.slice(body.start + 1, body.end - 1)).trim() === '';
+
+      // Inline statements take the space after them along
+      const removal = (statement) => {
+        const range = statementLineRange(code, statement);
+        return range.end === statement.end ? { ...range, end: range.end + /^[ \t]*/.exec(code.slice(range.end))[0].length } : range;
+      };
+
+      findings.push({
+        index: fields[0].statement.start,
+        text: text(fields[0].statement),
+        suggestion: declarations.join(' '),
+        fix: () => (emptied
+          ? [{ start: ctor.start, end: ctor.end, text: fieldsText }]
+          : [
+            { start: ctor.start, end: ctor.start, text: `${fieldsText}${ownLine ? `\n\n${indent}` : ' '}` },
+            ...fields.map(f => ({ ...removal(f.statement), text: '' }))
+          ])
+      });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Top-level await detector: `(async () => { ... })();` at the top of an
+ * ES module unwraps into the module body
+ * @returns {Array<Object>} Findings
+ */
+function detectAsyncIife(source) {
+  const { code, ast } = source;
+  if (ast.sourceType !== 'module') return [];
+
+  const { scopes, scopeOf } = analyzeScopes(ast);
+  const findings = [];
+
+  // Nodes directly in a function body, not in functions nested inside it
+  const ownNodes = (root, visit, enterArrows = false) => traverse(root, {
+    enter(node) {
+      if (node !== root && FUNCTION_TYPES.has(node.type) && !(enterArrows && node.type === 'ArrowFunctionExpression')) return false;
+      visit(node);
+      return undefined;
+    }
+  });
+
+  ast.body.forEach(statement => {
+    const call = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    const fn = call && call.type === 'CallExpression' && call.arguments.length === 0 ? call.callee : null;
+    if (!fn || !FUNCTION_TYPES.has(fn.type) || !fn.async || fn.generator || fn.params.length > 0 || fn.body.type !== 'BlockStatement') return;
+
+    // A return or `arguments` would mean something else at module level;
+    // `this` is undefined in both places
+    let unsafe = Boolean(fn.id);
+    ownNodes(fn.body, node => {
+      if (node.type === 'ReturnStatement') unsafe = true;
+    });
+    if (fn.type === 'FunctionExpression') {
+      ownNodes(fn.body, node => {
+        if (node.type === 'Identifier' && node.name === 'arguments') unsafe = true;
+      }, true);
+    }
+
+    // Bindings hoisted out of the IIFE must not capture names used elsewhere
+    const outside = new Set();
+    scopes.forEach(scope => {
+      if (!within(scope.block, fn)) scope.variables.forEach((v, name) => outside.add(name));
+      scope.references.forEach(ref => {
+        if (!within(ref.identifier, fn)) outside.add(ref.identifier.name);
+      });
+    });
+    const clashes = [...scopeOf(fn).variables.keys()].some(name => name !== 'arguments' && outside.has(name));
+
+    const body = fn.body.body;
+    if (unsafe || clashes || body.length === 0) return;
+
+    const lineStart = code.lastIndexOf('\n', statement.start - 1) + 1;
+    const outer = /^[ \t]*/.exec(code.slice(lineStart))[0];
+    const inner = /^[ \t]*/.exec(code.slice(code.lastIndexOf('\n', body[0].start - 1) + 1))[0];
+    const unwrapped = code.slice(body[0].start, body[body.length - 1].end)
+      .split('\n')
+      .map((line, i) => (i > 0 && line.startsWith(inner) ? outer + line.slice(inner.length) : line))
+      .join('\n');
+
+    findings.push({
+      index: statement.start,
+      text: code.slice(statement.start, fn.body.start + 1),
+      suggestion: 'await at the top level of the module',
+      fix: () => replaceRange(statement.start, statement.end, unwrapped)
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Tokenize and parse source once so every pattern can work on code only;
+ * .mjs files parse as modules from the start
+ * @returns {Object} { code, tokens, masked, ast, lexError, parseError }
+ */
+function prepareSource(code, filename = '') {
+  let tokens;
+
+  try {
+    tokens = tokenize(code);
+  } catch (error) {
+    // Source we cannot lex is still scanned, just without masking
+    return { code, tokens: null, masked: code, ast: null, lexError: error.message, parseError: error.message };
+  }
+
+  const source = { code, tokens, masked: maskNonCode(code, tokens), ast: null, lexError: null, parseError: null };
+
+  try {
+    source.ast = parse(code, { tokens, sourceType: filename.endsWith('.mjs') ? 'module' : 'script' });
+  } catch (error) {
+    // Regex patterns still run; AST-based detectors fall back to them
+    source.parseError = error.message;
+  }
+
+  return source;
+}
+
+/**
+ * Run a pattern over the code of a prepared source. The regex runs on the
+ * masked text, so strings, comments and regex literals never match; each
+ * hit is then re-read from the original text so captured groups keep
+ * their literal contents.
+ * @returns {Array<RegExpExecArray>} Matches with indexes into the original code
+ */
+function matchPattern(source, config) {
+  const matches = [];
+  const regex = new RegExp(config.pattern.source, config.pattern.flags);
+  const sticky = new RegExp(config.pattern.source, config.pattern.flags.replace('g', '') + 'y');
+  let match;
+
+  while ((match = regex.exec(source.masked)) !== null) {
+    if (match[0] === '') {
+      regex.lastIndex++;
+      continue;
+    }
+
+    sticky.lastIndex = match.index;
+    const original = sticky.exec(source.code);
+    matches.push(original && original[0].length === match[0].length ? original : match);
+  }
+
+  return matches;
+}
+
+/**
+ * Findings for one pattern: from its AST detector when the file parsed,
+ * otherwise from its regex
+ * @returns {Array<Object>} { index, text, message?, severity?, suggestion?, fix? }
+ */
+function findIssues(source, config) {
+  if (config.detect && source.ast) return config.detect(source);
+  if (!config.pattern) return [];
+
+  return matchPattern(source, config).map(match => {
+    const finding = { index: match.index, text: match[0] };
+
+    if (config.suggestion) {
+      finding.suggestion = typeof config.suggestion === 'function'
+        ? config.suggestion(...match)
+        : config.suggestion;
+    }
+    if (config.fix) {
+      finding.fix = () => config.fix(match, source, ...match.slice(1));
+    }
+
+    return finding;
+  });
+}
+
+/**
+ * Patterns whose rewrite the target edition can run (all of them without a
+ * target), minus those a project config turns off
+ * @returns {Array<Array>} [patternName, config] pairs
+ */
+function activePatterns(target, projectConfig = null) {
+  return Object.entries(PATTERNS).filter(([patternName, config]) =>
+    isFeatureSupported(config.feature, target) &&
+    !(projectConfig && projectConfig.patterns[patternName] === 'off'));
+}
+
+/**
+ * Read es6-disable comments:
+ *   // es6-disable-next-line consoleLog, argumentsKeyword
+ *   // es6-disable-line consoleLog
+ *   /* es6-disable consoleLog *\/   (whole file)
+ * Without pattern names a comment disables every pattern. Text after
+ * `--` is a free-form reason.
+ * @returns {Object} { file, lines: Map<line, names>, unknown: [{ line, name }] };
+ *   names is a Set of pattern names or '*' for all of them
+ */
+function parseDisableDirectives(source) {
+  const directives = { file: new Set(), lines: new Map(), unknown: [] };
+  const positionAt = createLineIndex(source.code);
+  const comments = source.tokens
+    ? source.tokens.filter(token => token.type === 'comment')
+    : [...source.code.matchAll(/\/\/[^\n]*|\/\*[\s\S]*?\*\//g)].map(m => ({ value: m[0], start: m.index }));
+
+  const add = (set, names) => (names === '*' || set === '*' ? '*' : new Set([...set, ...names]));
+
+  comments.forEach(comment => {
+    const body = comment.value.replace(/^\/[/*]|\*\/$/g, '').trim();
+    const directive = /^es6-disable(-next-line|-line)?(?:\s+|$)([\s\S]*)$/.exec(body);
+    if (!directive) return;
+
+    const { line } = positionAt(comment.start);
+    const list = directive[2].split('--')[0].split(/[\s,]+/).filter(Boolean);
+    list.filter(name => !PATTERNS[name]).forEach(name => directives.unknown.push({ line, name }));
+    const names = list.length > 0 ? list : '*';
+
+    if (!directive[1]) {
+      directives.file = add(directives.file, names);
+    } else {
+      const target = directive[1] === '-next-line' ? line + 1 : line;
+      directives.lines.set(target, add(directives.lines.get(target) || new Set(), names));
+    }
+  });
+
+  return directives;
+}
+
+/**
+ * Whether an es6-disable comment covers a pattern on a line
+ */
+function isSuppressed(directives, patternName, line) {
+  const covers = names => names === '*' || names.has(patternName);
+  return covers(directives.file) || (directives.lines.has(line) && covers(directives.lines.get(line)));
+}
+
 /**
  * Analyze JavaScript file for ES6+ patterns
+ * @param {Object} [options] - { target } from parseTarget()/detectTarget(),
+ *   { config } from es6-config, { baseline } from readBaseline()
  */
-function analyzeFile(code, filename) {
+function analyzeFile(code, filename, options = {}) {
   const results = {
     filename,
     totalIssues: 0,
@@ -201,40 +1109,144 @@ function analyzeFile(code, filename) {
       warning: [],
       info: []
     },
-    suggestions: []
+    suggestions: [],
+    target: options.target || null
   };
 
   const lines = code.split('\n');
+  const source = prepareSource(code, filename);
+  const positionAt = createLineIndex(code);
+  const directives = parseDisableDirectives(source);
+  const overrides = options.config ? options.config.patterns : {};
 
-  for (const [patternName, config] of Object.entries(PATTERNS)) {
-    let match;
-    const regex = new RegExp(config.pattern.source, config.pattern.flags);
+  if (source.lexError) {
+    results.lexError = source.lexError;
+  } else if (source.parseError) {
+    results.parseError = source.parseError;
+  }
+  if (directives.unknown.length > 0) {
+    results.unknownDirectives = directives.unknown;
+  }
 
-    while ((match = regex.exec(code)) !== null) {
-      const lineNumber = code.substring(0, match.index).split('\n').length;
-      const line = lines[lineNumber - 1];
+  for (const [patternName, config] of activePatterns(options.target, options.config)) {
+    for (const finding of findIssues(source, config)) {
+      const start = positionAt(finding.index);
+      if (isSuppressed(directives, patternName, start.line)) continue;
+
+      const end = positionAt(finding.index + finding.text.length);
+      const override = overrides[patternName];
+      const severity = override && override !== 'on' ? override : finding.severity || config.severity;
 
       const issue = {
+        rule: patternName,
         pattern: config.name,
-        message: config.message,
-        line: lineNumber,
-        column: match.index - code.lastIndexOf('\n', match.index - 1),
-        match: match[0],
-        context: line.trim()
+        severity,
+        message: finding.message || config.message,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        match: finding.text,
+        context: lines[start.line - 1].trim()
       };
 
-      if (config.suggestion) {
-        issue.suggestion = typeof config.suggestion === 'function'
-          ? config.suggestion(...match)
-          : config.suggestion;
+      if (finding.suggestion) {
+        issue.suggestion = finding.suggestion;
+      }
+
+      // The edits --fix would make, as positions, for machine-readable reports
+      const edits = finding.fix && finding.fix();
+      if (edits) {
+        issue.edits = (Array.isArray(edits) ? edits : [edits]).map(edit => {
+          const from = positionAt(edit.start);
+          const to = positionAt(edit.end);
+          return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column, text: edit.text };
+        });
       }
 
-      results.byCategory[config.severity].push(issue);
+      results.byCategory[severity].push(issue);
       results.totalIssues++;
     }
   }
 
-  return results;
+  return options.baseline ? applyBaseline(results, options.baseline) : results;
+}
+
+/**
+ * Collect fix edits for every fixable pattern match
+ * @returns {Array<Object>} Fix groups; each group's edits apply together or not at all
+ */
+function collectFixes(code, options = {}) {
+  const fixes = [];
+  const source = prepareSource(code, options.filename);
+  const directives = parseDisableDirectives(source);
+  const positionAt = createLineIndex(code);
+
+  for (const [patternName, config] of activePatterns(options.target, options.config)) {
+    for (const finding of findIssues(source, config)) {
+      if (isSuppressed(directives, patternName, positionAt(finding.index).line)) continue;
+
+      const result = finding.fix && finding.fix();
+      if (!result) continue;
+
+      const edits = Array.isArray(result) ? result : [result];
+      fixes.push({
+        patternName,
+        pattern: config.name,
+        edits,
+        start: Math.min(...edits.map(e => e.start)),
+        end: Math.max(...edits.map(e => e.end))
+      });
+    }
+  }
+
+  return fixes;
+}
+
+// The parse error of code, or null when it parses
+const parseErrorOf = (code, filename = '') => {
+  try {
+    parse(code, { sourceType: filename.endsWith('.mjs') ? 'module' : 'script' });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Apply fixes repeatedly until the code stops changing. Fixes dropped for
+ * overlapping get another chance on the next pass against the updated code.
+ * A pass whose result no longer parses is thrown away and ends the loop.
+ * @param {Object} [options] - { target, filename }
+ * @returns {Object} { code, applied: { [pattern]: count }, passes, parseError }
+ *   — parseError says why a pass was thrown away, or is null
+ */
+function fixCode(code, options = {}) {
+  const applied = {};
+  let output = code;
+  let passes = 0;
+  let parseError = null;
+  // Code that did not parse to begin with cannot be checked this way
+  const checked = parseErrorOf(code, options.filename) === null;
+
+  while (passes < MAX_FIX_PASSES) {
+    const fixes = collectFixes(output, options);
+    if (fixes.length === 0) break;
+
+    const result = applyEdits(output, fixes);
+    if (result.code === output) break;
+
+    parseError = checked ? parseErrorOf(result.code, options.filename) : null;
+    if (parseError) break;
+
+    result.applied.forEach(fix => {
+      applied[fix.pattern] = (applied[fix.pattern] || 0) + 1;
+    });
+    output = result.code;
+    passes++;
+  }
+
+  return { code: output, applied, passes, parseError };
 }
 
 /**
@@ -246,8 +1258,38 @@ function generateReport(results) {
   console.log(`${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
 
   console.log(`${COLORS.blue}File:${COLORS.reset} ${results.filename}`);
+  if (results.target) {
+    console.log(`${COLORS.blue}Target:${COLORS.reset} ${results.target.name} (${results.target.source})`);
+  }
   console.log(`${COLORS.blue}Total Issues:${COLORS.reset} ${results.totalIssues}\n`);
 
+  if (results.lexError) {
+    console.log(`${COLORS.yellow}⚠️  Could not tokenize file (${results.lexError}); strings and comments were scanned too${COLORS.reset}\n`);
+  } else if (results.parseError) {
+    console.log(`${COLORS.yellow}⚠️  Could not parse file (${results.parseError}); scope-aware checks fell back to regex matching${COLORS.reset}\n`);
+  }
+  (results.unknownDirectives || []).forEach(({ line, name }) => {
+    console.log(`${COLORS.yellow}⚠️  Unknown pattern '${name}' in es6-disable comment (line ${line})${COLORS.reset}\n`);
+  });
+  if (results.baselined) {
+    console.log(`${COLORS.gray}${results.baselined} known finding(s) hidden by the baseline${COLORS.reset}\n`);
+  }
+
+  // Errors (patterns a project config raised to error)
+  if (results.byCategory.error.length > 0) {
+    console.log(`${COLORS.red}❌ ERRORS (${results.byCategory.error.length})${COLORS.reset}`);
+    console.log(`${'─'.repeat(50)}`);
+    results.byCategory.error.forEach((issue, i) => {
+      console.log(`\n${i + 1}. ${COLORS.red}${issue.pattern}${COLORS.reset} (line ${issue.line})`);
+      console.log(`   ${issue.message}`);
+      console.log(`   ${COLORS.gray}${issue.context}${COLORS.reset}`);
+      if (issue.suggestion) {
+        console.log(`   ${COLORS.green}→ ${issue.suggestion}${COLORS.reset}`);
+      }
+    });
+    console.log();
+  }
+
   // Warnings
   if (results.byCategory.warning.length > 0) {
     console.log(`${COLORS.yellow}⚠️  WARNINGS (${results.byCategory.warning.length})${COLORS.reset}`);
@@ -280,16 +1322,237 @@ function generateReport(results) {
 
   // Summary
   console.log(`${'─'.repeat(50)}`);
+  const errorCount = results.byCategory.error.length;
   const warningCount = results.byCategory.warning.length;
   const infoCount = results.byCategory.info.length;
 
   if (results.totalIssues === 0) {
     console.log(`${COLORS.green}✅ No ES6+ improvement suggestions!${COLORS.reset}`);
   } else {
-    console.log(`${COLORS.yellow}${warningCount} warning(s)${COLORS.reset}, ${COLORS.blue}${infoCount} suggestion(s)${COLORS.reset}`);
+    const errors = errorCount > 0 ? `${COLORS.red}${errorCount} error(s)${COLORS.reset}, ` : '';
+    console.log(`${errors}${COLORS.yellow}${warningCount} warning(s)${COLORS.reset}, ${COLORS.blue}${infoCount} suggestion(s)${COLORS.reset}`);
+  }
+
+  return errorCount === 0 && warningCount === 0;
+}
+
+/**
+ * Modernization score from 0 to 100 for a number of code lines and
+ * severity-weighted findings; 100 means nothing left to modernize
+ */
+const modernizationScore = (lines, weighted) =>
+  (weighted === 0 ? 100 : Math.round((100 * lines) / (lines + SCORE_LINES_PER_FINDING * weighted)));
+
+/**
+ * Analyze many files and aggregate the results per pattern and per file
+ * @param {Array<string>} files - Paths to analyze
+ * @param {Object} [options] - { targetFor(filePath) → target|null,
+ *   configFor(filePath) → config|null, baseline }
+ * @returns {Object} { files, byPattern, totals, score }
+ */
+function analyzeProject(files, options = {}) {
+  const targetFor = options.targetFor || (() => null);
+  const configFor = options.configFor || (() => null);
+  const project = {
+    files: [],
+    byPattern: {},
+    totals: { files: 0, lines: 0, issues: 0, error: 0, warning: 0, info: 0, unparsed: 0, baselined: 0 },
+    score: 100
+  };
+  let weightedTotal = 0;
+
+  files.forEach(filePath => {
+    const code = fs.readFileSync(filePath, 'utf-8');
+    const results = analyzeFile(code, filePath, {
+      target: targetFor(filePath),
+      config: configFor(filePath),
+      baseline: options.baseline
+    });
+    const lines = code.split('\n').filter(line => line.trim()).length;
+    const summary = { filename: filePath, lines, issues: results.totalIssues, weighted: 0 };
+
+    Object.entries(results.byCategory).forEach(([severity, issues]) => {
+      summary[severity] = issues.length;
+      summary.weighted += SEVERITY_WEIGHTS[severity] * issues.length;
+      project.totals[severity] += issues.length;
+
+      issues.forEach(issue => {
+        if (!project.byPattern[issue.pattern]) {
+          project.byPattern[issue.pattern] = { count: 0, files: 0, severity };
+        }
+        project.byPattern[issue.pattern].count++;
+      });
+    });
+
+    new Set(Object.values(results.byCategory).flat().map(issue => issue.pattern)).forEach(pattern => {
+      project.byPattern[pattern].files++;
+    });
+
+    summary.score = modernizationScore(lines, summary.weighted);
+    if (results.lexError || results.parseError) {
+      summary.parseError = results.lexError || results.parseError;
+      project.totals.unparsed++;
+    }
+
+    project.files.push(summary);
+    project.totals.files++;
+    project.totals.lines += lines;
+    project.totals.issues += results.totalIssues;
+    project.totals.baselined += results.baselined || 0;
+    weightedTotal += summary.weighted;
+  });
+
+  project.score = modernizationScore(project.totals.lines, weightedTotal);
+  return project;
+}
+
+/**
+ * Generate the project-level report: score, per-pattern counts and the
+ * files with the most weighted findings
+ */
+function generateProjectReport(project, { top = DEFAULT_TOP_FILES } = {}) {
+  const scoreColor = score => (score >= 80 ? COLORS.green : score >= 50 ? COLORS.yellow : COLORS.red);
+  const { totals } = project;
+
+  console.log(`\n${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}`);
+  console.log(`${COLORS.cyan}  ES6+ PROJECT MODERNIZATION REPORT${COLORS.reset}`);
+  console.log(`${COLORS.cyan}═══════════════════════════════════════════════════════════${COLORS.reset}\n`);
+
+  console.log(`${COLORS.blue}Files:${COLORS.reset} ${totals.files} (${totals.lines} code lines)`);
+  console.log(`${COLORS.blue}Total Issues:${COLORS.reset} ${totals.issues}`);
+  console.log(`${scoreColor(project.score)}Modernization Score: ${project.score}/100${COLORS.reset}\n`);
+
+  if (totals.unparsed > 0) {
+    console.log(`${COLORS.yellow}⚠️  ${totals.unparsed} file(s) could not be parsed; their scope-aware checks fell back to regex matching${COLORS.reset}\n`);
+  }
+  if (totals.baselined > 0) {
+    console.log(`${COLORS.gray}${totals.baselined} known finding(s) hidden by the baseline${COLORS.reset}\n`);
+  }
+
+  const patterns = Object.entries(project.byPattern).sort(([a, x], [b, y]) => y.count - x.count || a.localeCompare(b));
+  if (patterns.length > 0) {
+    console.log(`${COLORS.blue}📊 FINDINGS BY PATTERN${COLORS.reset}`);
+    console.log(`${'─'.repeat(50)}`);
+    patterns.forEach(([pattern, { count, files, severity }]) => {
+      const color = { error: COLORS.red, warning: COLORS.yellow, info: COLORS.blue }[severity];
+      console.log(`  ${color}${pattern.padEnd(40)}${COLORS.reset} ${String(count).padStart(5)}  ${COLORS.gray}in ${files} file(s)${COLORS.reset}`);
+    });
+    console.log();
+  }
+
+  const ranked = project.files
+    .filter(file => file.weighted > 0)
+    .sort((a, b) => b.weighted - a.weighted || a.filename.localeCompare(b.filename))
+    .slice(0, top);
+  if (ranked.length > 0) {
+    console.log(`${COLORS.blue}🎯 TOP FILES TO MIGRATE${COLORS.reset}`);
+    console.log(`${'─'.repeat(50)}`);
+    ranked.forEach((file, i) => {
+      console.log(`\n${i + 1}. ${file.filename} ${scoreColor(file.score)}(score ${file.score})${COLORS.reset}`);
+      const errors = file.error > 0 ? `${COLORS.red}${file.error} error(s)${COLORS.reset}, ` : '';
+      console.log(`   ${errors}${COLORS.yellow}${file.warning} warning(s)${COLORS.reset}, ${COLORS.blue}${file.info} suggestion(s)${COLORS.reset} in ${file.lines} code lines`);
+    });
+    console.log();
+  }
+
+  // Summary
+  console.log(`${'─'.repeat(50)}`);
+  if (totals.issues === 0) {
+    console.log(`${COLORS.green}✅ No ES6+ improvement suggestions in ${totals.files} file(s)!${COLORS.reset}`);
+  } else {
+    const affected = project.files.filter(file => file.issues > 0).length;
+    const errors = totals.error > 0 ? `${COLORS.red}${totals.error} error(s)${COLORS.reset}, ` : '';
+    console.log(`${errors}${COLORS.yellow}${totals.warning} warning(s)${COLORS.reset}, ${COLORS.blue}${totals.info} suggestion(s)${COLORS.reset} in ${affected} of ${totals.files} file(s)`);
   }
 
-  return results.byCategory.warning.length === 0;
+  return totals.error === 0 && totals.warning === 0;
+}
+
+/**
+ * Migrate a CommonJS module to an ES module as a whole: requires become
+ * imports, module.exports/exports.x become exports and CommonJS globals
+ * become import.meta lookups. A result that does not parse as a module, or
+ * that would keep CommonJS code, is discarded, so a bad edit never reaches
+ * the file.
+ * @returns {Object} { code, warnings: [{ line, message }], stats }
+ */
+function migrateToEsm(code, filename) {
+  const source = prepareSource(code, filename);
+
+  if (!source.ast) {
+    return { code, warnings: [{ line: 0, message: `Cannot migrate, source did not parse: ${source.parseError}` }], stats: null };
+  }
+
+  const { edits, warnings, stats, complete } = planEsmMigration(source, { filename });
+  if (!complete) {
+    warnings.push({ line: 0, message: 'Migration left the file unchanged: require, exports or module.exports would remain, and ES modules do not define them' });
+    return { code, warnings, stats: null };
+  }
+  if (edits.length === 0) return { code, warnings, stats };
+
+  const group = {
+    edits,
+    start: Math.min(...edits.map(e => e.start)),
+    end: Math.max(...edits.map(e => e.end))
+  };
+
+  const migrated = applyEdits(code, [group]).code;
+  try {
+    parse(migrated, { sourceType: 'module' });
+  } catch (error) {
+    warnings.push({ line: 0, message: `Migration left the file unchanged: the result did not parse (${error.message})` });
+    return { code, warnings, stats: null };
+  }
+
+  return { code: migrated, warnings, stats };
+}
+
+/**
+ * Rewrite a file (--esm migration and/or --fix), then either print the
+ * diff or write the result
+ */
+function runFix(filePath, code, { write, fix, esm, target, config }) {
+  let output = code;
+  const summary = [];
+
+  if (esm) {
+    const migration = migrateToEsm(output, filePath);
+    output = migration.code;
+
+    migration.warnings.forEach(({ line, message }) => {
+      console.error(`${COLORS.yellow}⚠️  ${filePath}:${line} ${message}${COLORS.reset}`);
+    });
+    if (migration.stats) {
+      const { imports, exports, importMeta } = migration.stats;
+      summary.push(`ES module migration: ${imports} import(s), ${exports} export(s), ${importMeta} import.meta rewrite(s)`);
+    }
+  }
+
+  if (fix) {
+    const { code: fixed, applied, parseError } = fixCode(output, { target, config, filename: filePath });
+    output = fixed;
+    if (parseError) {
+      console.error(`${COLORS.yellow}⚠️  ${filePath}: some fixes were not applied, the result did not parse (${parseError})${COLORS.reset}`);
+    }
+    Object.entries(applied).forEach(([pattern, count]) => summary.push(`${pattern}: ${count}`));
+  }
+
+  if (output === code) {
+    console.log(`${COLORS.green}✅ Nothing to change in ${filePath}${COLORS.reset}`);
+    return;
+  }
+
+  if (write) {
+    writeFileAtomic(filePath, output);
+  } else {
+    process.stdout.write(createUnifiedDiff(code, output, filePath));
+  }
+
+  console.error(`\n${COLORS.green}${write ? 'Rewrote' : 'Would rewrite'} ${filePath}${COLORS.reset}`);
+  if (target) summary.unshift(`Target: ${target.name} (${target.source})`);
+  summary.forEach(line => {
+    console.error(`   ${COLORS.gray}${line}${COLORS.reset}`);
+  });
 }
 
 /**
@@ -305,10 +1568,51 @@ ${COLORS.cyan}ES6+ Code Analyzer${COLORS.reset}
 Analyzes JavaScript code and suggests modern ES6+ improvements.
 
 Usage:
-  node es6-converter.js <file.js>
+  node es6-converter.js <file.js> [options]
+  node es6-converter.js <file|dir|glob>... [options]
+
+Options:
+  --fix          Apply automatic fixes (prints a diff unless --write is given)
+  --esm          Migrate the whole module from CommonJS to ES modules
+                 (require → import, module.exports → export,
+                 __dirname/__filename → import.meta.dirname/filename,
+                 which needs Node 20.11+)
+  --dry-run      With --fix/--esm, only print the unified diff
+  --write        With --fix/--esm, write the result back to the file
+  --target <es>  Only suggest syntax the target supports: es5, es2015 …
+                 es2024 or esnext. Without it the target is read from the
+                 nearest package.json (engines.node, browserslist)
+  --dir <dir>    Analyze every .js file under a directory (same as
+                 passing the directory itself)
+  --top <n>      Files listed under "top files to migrate" (default: ${DEFAULT_TOP_FILES})
+  --format <f>   Report format: text (default), json, sarif (with fix
+                 objects for code scanning), junit or checkstyle
+  --config <f>   Project config to use instead of the nearest ${CONFIG_FILE}
+  --baseline <f> Hide findings recorded in a baseline file; only new
+                 findings are reported and fail the run
+  --update-baseline
+                 Record the current findings in the baseline file
+                 (--baseline, default ${DEFAULT_BASELINE_FILE})
+
+Directories and globs (**, *, ?, [abc], {a,b}; quote them so the shell
+does not expand them) are walked recursively, skipping node_modules and
+anything .gitignore excludes. Several files give a project report:
+a modernization score (100 × lines / (lines + ${SCORE_LINES_PER_FINDING} × findings),
+warnings weigh ${SEVERITY_WEIGHTS.warning}, suggestions ${SEVERITY_WEIGHTS.info}), counts per pattern and the files
+with the most findings.
+
+Suppressing findings (pattern names as in ${CONFIG_FILE}, e.g. consoleLog):
+  // es6-disable-next-line consoleLog, argumentsKeyword -- optional reason
+  // es6-disable-line consoleLog
+  /* es6-disable consoleLog */      (whole file; no names disables all)
+
+${CONFIG_FILE} (nearest one above each file):
+  { "patterns": { "consoleLog": "off", "argumentsKeyword": "info",
+                  "looseEquality": "error" } }
+  Settings: off, on, error, warning or info. Errors and warnings fail the run.
 
 Checks for:
-  • var → let/const
+  • var → let/const (scope-aware; unsafe conversions are flagged)
   • function → arrow functions
   • String concatenation → template literals
   • Object.assign → spread operator
@@ -316,32 +1620,203 @@ Checks for:
   • require → import (ES modules)
   • == → === (strict equality)
   • .bind(this) → arrow functions
+  • Error-first callbacks → async/await (nested callbacks flattened,
+    promisify for callees that stay callback-based)
   • for loops → for...of
+  • x = x || y → x ||= y, .replace(/x/g) → .replaceAll()
+  • x[x.length - 1] → x.at(-1), hasOwnProperty → Object.hasOwn
+  • JSON deep copies → structuredClone
+  • Constructor functions + prototypes → class (extends/super,
+    getters/setters, static members)
+  • Constructor assignments → class fields
+  • Async IIFEs → top-level await (ES modules)
   • And more...
 
 Examples:
   node es6-converter.js app.js
   node es6-converter.js src/utils.js
+  node es6-converter.js src/utils.js --fix --dry-run
+  node es6-converter.js src/utils.js --fix --write
+  node es6-converter.js src/utils.js --esm --fix --dry-run
+  node es6-converter.js src/utils.js --target es2017 --fix
+  node es6-converter.js src --top 5
+  node es6-converter.js src --format sarif > es6.sarif
+  node es6-converter.js src --update-baseline --baseline es6-baseline.json
+  node es6-converter.js src --baseline es6-baseline.json
+  node es6-converter.js 'lib/**/*.js' test --fix --dry-run
 `);
     process.exit(0);
   }
 
-  const filePath = args[0];
+  const inputs = [];
+  let targetName = null;
+  let top = DEFAULT_TOP_FILES;
+  let format = 'text';
+  let configPath = null;
+  let baselinePath = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--target' && args[i + 1]) {
+      targetName = args[i + 1];
+      i++;
+    } else if (args[i] === '--top' && args[i + 1]) {
+      top = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--format' && args[i + 1]) {
+      format = args[i + 1];
+      i++;
+    } else if (args[i] === '--config' && args[i + 1]) {
+      configPath = args[i + 1];
+      i++;
+    } else if (args[i] === '--baseline' && args[i + 1]) {
+      baselinePath = args[i + 1];
+      i++;
+    } else if (args[i] === '--dir' && args[i + 1]) {
+      inputs.push(args[i + 1]);
+      i++;
+    } else if (!args[i].startsWith('--')) {
+      inputs.push(args[i]);
+    }
+  }
+
+  if (inputs.length === 0) {
+    console.error(`${COLORS.red}Error: No input file given${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(top) || top < 1) {
+    console.error(`${COLORS.red}Error: --top expects a positive number${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  if (!FORMATS.includes(format)) {
+    console.error(`${COLORS.red}Error: Unknown format '${format}' (expected ${FORMATS.join(', ')})${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  let explicitTarget = null;
+  if (targetName) {
+    explicitTarget = parseTarget(targetName);
+    if (!explicitTarget) {
+      console.error(`${COLORS.red}Error: Unknown target '${targetName}' (expected es5, es2015 … es2024 or esnext)${COLORS.reset}`);
+      process.exit(1);
+    }
+  }
+
+  // Each file gets the target of its own package; notes are printed once
+  const printedNotes = new Set();
+  const targetFor = (filePath) => {
+    if (explicitTarget) return explicitTarget;
+    const detected = detectTarget(filePath);
+    if (!detected) return null;
+    detected.notes.filter(note => !printedNotes.has(note)).forEach(note => {
+      printedNotes.add(note);
+      console.error(`${COLORS.yellow}⚠️  ${note}${COLORS.reset}`);
+    });
+    return detected.edition ? detected : null;
+  };
+
+  const singleFile = inputs.length === 1 && !args.includes('--dir') &&
+    fs.existsSync(inputs[0]) && fs.statSync(inputs[0]).isFile();
+  const files = singleFile ? inputs : collectFiles(inputs);
+
+  if (files.length === 0) {
+    console.error(`${COLORS.red}Error: No JavaScript files found for: ${inputs.join(', ')}${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  if (configPath && !fs.existsSync(configPath)) {
+    console.error(`${COLORS.red}Error: Config file not found: ${configPath}${COLORS.reset}`);
+    process.exit(1);
+  }
+
+  const resolveConfig = createConfigResolver(configPath, Object.keys(PATTERNS));
+  const configFor = (filePath) => {
+    try {
+      return resolveConfig(filePath);
+    } catch (error) {
+      console.error(`${COLORS.red}Error: ${error.message}${COLORS.reset}`);
+      process.exit(1);
+    }
+  };
+
+  const rewriting = args.includes('--fix') || args.includes('--esm');
 
-  if (!fs.existsSync(filePath)) {
-    console.error(`${COLORS.red}Error: File not found: ${filePath}${COLORS.reset}`);
+  if (rewriting && format !== 'text') {
+    console.error(`${COLORS.red}Error: --format only applies to analysis, not to --fix/--esm${COLORS.reset}`);
     process.exit(1);
   }
 
-  const code = fs.readFileSync(filePath, 'utf-8');
-  const results = analyzeFile(code, filePath);
-  const passed = generateReport(results);
+  if (rewriting) {
+    files.forEach(filePath => {
+      runFix(filePath, fs.readFileSync(filePath, 'utf-8'), {
+        write: args.includes('--write') && !args.includes('--dry-run'),
+        fix: args.includes('--fix'),
+        esm: args.includes('--esm'),
+        target: targetFor(filePath),
+        config: configFor(filePath)
+      });
+    });
+    return;
+  }
+
+  const analyze = (filePath, baseline) => analyzeFile(fs.readFileSync(filePath, 'utf-8'), filePath, {
+    target: targetFor(filePath),
+    config: configFor(filePath),
+    baseline
+  });
+
+  if (args.includes('--update-baseline')) {
+    const outputPath = baselinePath || DEFAULT_BASELINE_FILE;
+    const resultsList = files.map(filePath => analyze(filePath, null));
+    writeBaseline(outputPath, resultsList);
+    const recorded = resultsList.reduce((sum, results) => sum + results.totalIssues, 0);
+    console.log(`${COLORS.green}✅ Recorded ${recorded} finding(s) from ${files.length} file(s) in ${outputPath}${COLORS.reset}`);
+    return;
+  }
+
+  let baseline = null;
+  if (baselinePath) {
+    try {
+      baseline = readBaseline(baselinePath);
+    } catch (error) {
+      console.error(`${COLORS.red}Error: ${error.message}${COLORS.reset}`);
+      process.exit(1);
+    }
+  }
+
+  if (format !== 'text') {
+    const resultsList = files.map(filePath => analyze(filePath, baseline));
+    const failed = resultsList.some(results => results.byCategory.error.length + results.byCategory.warning.length > 0);
+    // exitCode rather than exit() so a piped report is flushed in full
+    process.stdout.write(formatResults(resultsList, format, { rules: PATTERNS }));
+    process.exitCode = failed ? 1 : 0;
+    return;
+  }
+
+  if (singleFile) {
+    process.exit(generateReport(analyze(files[0], baseline)) ? 0 : 1);
+  }
+
+  const project = analyzeProject(files, { targetFor, configFor, baseline });
+  const passed = generateProjectReport(project, { top });
 
   process.exit(passed ? 0 : 1);
 }
 
 // Export for testing
-module.exports = { analyzeFile, PATTERNS };
+module.exports = {
+  analyzeFile,
+  analyzeProject,
+  prepareSource,
+  fixCode,
+  collectFixes,
+  applyEdits,
+  createUnifiedDiff,
+  writeFileAtomic,
+  migrateToEsm,
+  PATTERNS
+};
 
 // Run if called directly
 if (require.main === module) {
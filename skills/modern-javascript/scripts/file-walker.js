@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Source File Walker
+ * Expands files, directories and glob patterns into a sorted list of
+ * source files, skipping whatever the project's .gitignore files exclude
+ *
+ * Usage:
+ *   const { collectFiles } = require('./file-walker');
+ *   const files = collectFiles(['src', 'lib/**\/*.js'], { extensions: ['.js'] });
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Never worth scanning, ignored or not (dot-directories are skipped too)
+const ALWAYS_SKIPPED = new Set(['node_modules']);
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Translate a glob to a regular expression over '/'-separated paths.
+ * Supports **, *, ?, [abc] and {a,b}.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let inGroup = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atSegmentStart = i === 0 || glob[i - 1] === '/';
+      const atSegmentEnd = glob[i + 2] === '/' || i + 2 === glob.length;
+      if (atSegmentStart && atSegmentEnd) {
+        // `**/` matches zero or more whole directories
+        source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += glob[i + 2] === '/' ? 2 : 1;
+        continue;
+      }
+      source += '[^/]*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      inGroup++;
+      source += '(?:';
+    } else if (char === '}' && inGroup > 0) {
+      inGroup--;
+      source += ')';
+    } else if (char === ',' && inGroup > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse a .gitignore file into rules relative to its directory
+ * @returns {Array<Object>} { regex, negate, dirOnly, base }
+ */
+function parseGitignore(content, base) {
+  return content.split(/\r?\n/).flatMap(raw => {
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) return [];
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+
+    // Without an inner slash a pattern matches at any depth
+    const anchored = line.includes('/');
+    const pattern = line.replace(/^\//, '');
+    const regex = globToRegExp(anchored ? pattern : `**/${pattern}`);
+
+    return [{ regex, negate, dirOnly, base }];
+  });
+}
+
+/**
+ * Whether the last matching rule ignores a path; later rules win
+ */
+function isIgnored(fullPath, isDirectory, rules) {
+  let ignored = false;
+
+  rules.forEach(rule => {
+    const relative = path.relative(rule.base, fullPath).split(path.sep).join('/');
+    if (!relative || relative.startsWith('..')) return;
+    if (rule.dirOnly && !isDirectory) return;
+    if (rule.regex.test(relative)) ignored = !rule.negate;
+  });
+
+  return ignored;
+}
+
+const readGitignore = (dir) => {
+  const file = path.join(dir, '.gitignore');
+  return fs.existsSync(file) ? parseGitignore(fs.readFileSync(file, 'utf-8'), dir) : [];
+};
+
+/**
+ * .gitignore rules that apply inside `dir` from its ancestors, up to the
+ * enclosing repository root
+ */
+function inheritedRules(dir) {
+  const chain = [];
+  let current = path.resolve(dir);
+
+  for (;;) {
+    const parent = path.dirname(current);
+    if (fs.existsSync(path.join(current, '.git')) || parent === current) break;
+    current = parent;
+    chain.unshift(current);
+  }
+
+  return chain.flatMap(readGitignore);
+}
+
+/**
+ * Walk a directory for files with the given extensions
+ */
+function walk(dir, options, rules, out) {
+  const ownRules = [...rules, ...readGitignore(dir)];
+  let entries;
+
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return;
+  }
+
+  entries.forEach(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (ALWAYS_SKIPPED.has(entry.name)) return;
+
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !isIgnored(fullPath, true, ownRules)) walk(fullPath, options, ownRules, out);
+    } else if (entry.isFile() && options.extensions.some(ext => entry.name.endsWith(ext)) &&
+        !options.exclude.some(ext => entry.name.endsWith(ext)) && !isIgnored(fullPath, false, ownRules)) {
+      out.push(fullPath);
+    }
+  });
+}
+
+/**
+ * Expand files, directories and globs into source files. Explicit files
+ * are always included; everything found by walking honors .gitignore.
+ * @param {Array<string>} inputs - Paths or glob patterns
+ * @param {Object} [options] - { extensions, exclude } file name suffixes
+ * @returns {Array<string>} Sorted, de-duplicated file paths
+ */
+function collectFiles(inputs, options = {}) {
+  const settings = {
+    extensions: options.extensions || ['.js'],
+    exclude: options.exclude || ['.min.js']
+  };
+  const files = [];
+
+  inputs.forEach(input => {
+    const normalized = input.split(path.sep).join('/');
+
+    if (!GLOB_CHARS.test(normalized)) {
+      if (!fs.existsSync(input)) return;
+      if (fs.statSync(input).isDirectory()) {
+        walk(input, settings, inheritedRules(input), files);
+      } else {
+        files.push(input);
+      }
+      return;
+    }
+
+    // Walk from the longest directory prefix without glob characters
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, firstGlob).join('/') || '.';
+    const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+    if (!fs.existsSync(base)) return;
+
+    const found = [];
+    const everything = { extensions: [''], exclude: [] };
+    walk(base, everything, inheritedRules(base), found);
+    found.forEach(file => {
+      const relative = path.relative(base, file).split(path.sep).join('/');
+      if (regex.test(relative) && !settings.exclude.some(ext => file.endsWith(ext))) files.push(file);
+    });
+  });
+
+  return [...new Set(files.map(file => path.normalize(file)))].sort();
+}
+
+module.exports = { collectFiles, globToRegExp, parseGitignore, isIgnored };
@@ -0,0 +1,612 @@
+#!/usr/bin/env node
+
+/**
+ * Prototype → class Conversion Planner
+ * Groups a constructor function with its prototype assignments, accessors,
+ * static members and Object.create/util.inherits inheritance, and works out
+ * the edits that turn them into one ES2015 class declaration
+ *
+ * Usage:
+ *   const { planClassConversion } = require('./prototype-to-class');
+ *   const { classes } = planClassConversion(source);
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const { traverse, createLineIndex } = require('../../shared/scripts/js-parser');
+const { analyzeScopes, buildParentMap, FUNCTION_TYPES } = require('../../shared/scripts/scope-analyzer');
+
+const INDENT = '  ';
+
+// Descriptor keys a class accessor can stand in for
+const ACCESSOR_KEYS = new Set(['get', 'set', 'enumerable', 'configurable']);
+
+/**
+ * Raised while planning a class that cannot be converted safely
+ */
+class ConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversionError';
+  }
+}
+
+const within = (node, container) => node.start >= container.start && node.end <= container.end;
+
+const isIdentifier = (node, name) => Boolean(node) && node.type === 'Identifier' && (name === undefined || node.name === name);
+
+const isMember = (node, property) => Boolean(node) && node.type === 'MemberExpression' && !node.computed &&
+  isIdentifier(node.property, property);
+
+const isPlainFunction = node => Boolean(node) && node.type === 'FunctionExpression';
+
+/**
+ * Plan the prototype → class conversion of a parsed source
+ * @param {Object} source - Prepared source with code, masked, tokens and ast
+ * @returns {Object} { classes: [{ node, name, convertible, reason,
+ *   suggestion, edits }] }
+ */
+function planClassConversion(source) {
+  const { code, masked, tokens, ast } = source;
+  const { scopes, scopeOf, through } = analyzeScopes(ast);
+  const parents = buildParentMap(ast);
+  const locate = createLineIndex(code);
+  const lineOf = node => locate(node.start).line;
+
+  const referenceOf = new Map();
+  scopes.forEach(scope => scope.references.forEach(ref => referenceOf.set(ref.identifier, ref)));
+  const variableOf = id => (referenceOf.get(id) || {}).resolved || null;
+
+  const slice = node => code.slice(node.start, node.end);
+
+  const indentOf = (index) => {
+    const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+    return /^[ \t]*/.exec(code.slice(lineStart))[0];
+  };
+
+  // Source text of a range with edits inside it applied
+  const render = (start, end, edits) => {
+    let output = code.slice(start, end);
+    edits
+      .filter(edit => edit.start >= start && edit.end <= end)
+      .sort((a, b) => b.start - a.start)
+      .forEach(edit => {
+        output = output.slice(0, edit.start - start) + edit.text + output.slice(edit.end - start);
+      });
+    return output;
+  };
+
+  const reindent = (text, from, to) => text
+    .split('\n')
+    .map((line, i) => (i > 0 && line.trim() && line.startsWith(from) ? to + line.slice(from.length) : line))
+    .join('\n');
+
+  const functionOf = (node) => {
+    let current = parents.get(node);
+    while (current && !FUNCTION_TYPES.has(current.type)) current = parents.get(current);
+    return current || ast;
+  };
+
+  // Nodes run with the function's own `this`: arrow functions, not nested functions
+  const ownNodes = (root, visit) => traverse(root, {
+    enter(node) {
+      if (node !== root && FUNCTION_TYPES.has(node.type) && node.type !== 'ArrowFunctionExpression') return false;
+      return visit(node);
+    }
+  });
+
+  // ── Comments and statement ranges ─────────────────────────────
+
+  const tokenIndexAt = (offset) => {
+    let low = 0;
+    let high = tokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tokens[mid].start < offset) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  // Comments on their own lines directly above a node, without a blank line between
+  const leadingComments = (node) => {
+    const comments = [];
+    let next = node.start;
+    for (let i = tokenIndexAt(node.start) - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.type !== 'comment' || token.comment === 'hashbang') break;
+      const lineStart = code.lastIndexOf('\n', token.start - 1) + 1;
+      if (code.slice(lineStart, token.start).trim() !== '' || /\n[ \t]*\n/.test(code.slice(token.end, next))) break;
+      comments.unshift(token);
+      next = token.start;
+    }
+    return comments;
+  };
+
+  // Whole lines of a statement and its comments; when a blank line already
+  // precedes them, the blank lines after them go too
+  const removalRange = (node, comments) => {
+    const first = comments.length > 0 ? comments[0] : node;
+    const lineStart = code.lastIndexOf('\n', first.start - 1) + 1;
+    const newline = code.indexOf('\n', node.end);
+    let lineEnd = newline === -1 ? code.length : newline + 1;
+
+    if (code.slice(lineStart, first.start).trim() !== '' || code.slice(node.end, lineEnd).trim() !== '') {
+      return { start: node.start, end: node.end, text: '' };
+    }
+
+    if (lineStart === 0 || /\n[ \t]*\n$/.test(code.slice(0, lineStart))) {
+      while (lineEnd < code.length) {
+        const next = code.indexOf('\n', lineEnd);
+        if (next === -1 || code.slice(lineEnd, next).trim() !== '') break;
+        lineEnd = next + 1;
+      }
+    }
+    return { start: lineStart, end: lineEnd, text: '' };
+  };
+
+  // ── Member names ──────────────────────────────────────────────
+
+  const keyText = (key, computed) => {
+    if (computed) return `[${slice(key)}]`;
+    if (key.type === 'Identifier') return key.name;
+    if (typeof key.value === 'string' && /^[A-Za-z_$][\w$]*$/.test(key.value)) return key.value;
+    return key.raw;
+  };
+
+  // `Foo.prototype.name` / `Foo.prototype['a-b']` for members left as assignments
+  const accessorText = (key, computed) => {
+    if (!computed && key.type === 'Identifier') return `.${key.name}`;
+    if (!computed && typeof key.value === 'string' && /^[A-Za-z_$][\w$]*$/.test(key.value)) return `.${key.value}`;
+    return `[${slice(key)}]`;
+  };
+
+  // Named function expressions that call themselves by name cannot become methods
+  const refersToOwnName = (fn) => {
+    if (!fn.id) return false;
+    const own = scopeOf(fn).resolve(fn.id.name);
+    return Boolean(own && own.identifiers && own.identifiers.includes(fn.id) && own.references.length > 0);
+  };
+
+  // ── Constructors and the statements that belong to them ───────
+
+  const constructorOf = (statement) => {
+    let declaration = statement;
+    let exportPrefix = '';
+    if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+      declaration = statement.declaration;
+      exportPrefix = 'export ';
+    } else if (statement.type === 'ExportDefaultDeclaration' && statement.declaration.type === 'FunctionDeclaration') {
+      declaration = statement.declaration;
+      exportPrefix = 'export default ';
+    }
+
+    let fn = null;
+    let id = null;
+    let binding = null;
+    if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+      fn = declaration;
+      id = declaration.id;
+      binding = variableOf(id) || scopeOf(fn).parent.resolve(id.name);
+    } else if (declaration.type === 'VariableDeclaration' && declaration.declarations.length === 1) {
+      const [declarator] = declaration.declarations;
+      if (declarator.id.type === 'Identifier' && isPlainFunction(declarator.init) &&
+          (!declarator.init.id || declarator.init.id.name === declarator.id.name)) {
+        fn = declarator.init;
+        id = declarator.id;
+        binding = variableOf(id);
+      }
+    }
+
+    if (!fn || fn.async || fn.generator || !binding) return null;
+    return { statement, fn, id, name: id.name, binding, exportPrefix };
+  };
+
+  const collectMembers = (candidate, list) => {
+    const isConstructorRef = node => isIdentifier(node) && variableOf(node) === candidate.binding;
+    const isPrototype = node => isMember(node, 'prototype') && isConstructorRef(node.object);
+
+    const found = {
+      prototypeObject: null,
+      inheritance: [],
+      members: [],
+      absorbed: [],
+      consumed: new Set([candidate.id])
+    };
+
+    const absorb = (statement, ...targets) => {
+      found.absorbed.push(statement);
+      targets.forEach(target => found.consumed.add(target));
+    };
+
+    const method = (statement, fn, key, computed, isStatic, kind = 'method') => ({
+      kind,
+      isStatic,
+      key: keyText(key, computed),
+      fn,
+      after: fn.id ? fn.id.end : fn.start,
+      indent: indentOf(statement.start),
+      comments: leadingComments(statement)
+    });
+
+    list.forEach(statement => {
+      if (statement.type !== 'ExpressionStatement') return;
+      const expression = statement.expression;
+
+      if (expression.type === 'AssignmentExpression' && expression.operator === '=' &&
+          expression.left.type === 'MemberExpression') {
+        const { left, right } = expression;
+
+        // Foo.prototype = …
+        if (isPrototype(left)) {
+          const created = right.type === 'CallExpression' && isMember(right.callee, 'create') &&
+            isIdentifier(right.callee.object, 'Object') && right.arguments[0] && isMember(right.arguments[0], 'prototype');
+          const descriptors = right.type === 'CallExpression' ? right.arguments[1] : null;
+          const onlyConstructor = !descriptors || (descriptors.type === 'ObjectExpression' &&
+            descriptors.properties.every(p => p.type === 'Property' && !p.computed && keyText(p.key, false) === 'constructor'));
+
+          if (created && onlyConstructor) {
+            found.inheritance.push({ statement, parent: right.arguments[0].object });
+            absorb(statement, left.object);
+          } else if (right.type === 'ObjectExpression') {
+            found.prototypeObject = { statement, node: right };
+            absorb(statement, left.object);
+          }
+          return;
+        }
+
+        // Foo.prototype.constructor = Foo
+        if (isPrototype(left.object) && isMember(left, 'constructor') && isConstructorRef(right)) {
+          absorb(statement, left.object.object, right);
+          return;
+        }
+
+        // Foo.prototype.name = function () {}
+        if (isPrototype(left.object) && isPlainFunction(right) && !refersToOwnName(right)) {
+          found.members.push({ ...method(statement, right, left.property, left.computed, false), statement });
+          absorb(statement, left.object.object);
+          return;
+        }
+
+        // Foo.name = function () {}
+        if (isConstructorRef(left.object) && !isMember(left, 'prototype') && isPlainFunction(right) && !refersToOwnName(right)) {
+          found.members.push({ ...method(statement, right, left.property, left.computed, true), statement });
+          absorb(statement, left.object);
+        }
+        return;
+      }
+
+      if (expression.type !== 'CallExpression') return;
+      const { callee, arguments: args } = expression;
+
+      // util.inherits(Foo, Parent)
+      if ((isIdentifier(callee, 'inherits') || isMember(callee, 'inherits')) && args.length === 2 && isConstructorRef(args[0])) {
+        found.inheritance.push({ statement, parent: args[1] });
+        absorb(statement, args[0]);
+        return;
+      }
+
+      // Object.defineProperty(Foo.prototype, 'name', { get, set })
+      if (isMember(callee, 'defineProperty') && isIdentifier(callee.object, 'Object') && args.length === 3 &&
+          (isPrototype(args[0]) || isConstructorRef(args[0])) && args[2].type === 'ObjectExpression') {
+        const properties = args[2].properties;
+        const valid = properties.every(p => p.type === 'Property' && !p.computed && ACCESSOR_KEYS.has(keyText(p.key, false)));
+        const named = name => properties.find(p => keyText(p.key, false) === name);
+        const accessors = ['get', 'set'].map(named).filter(Boolean);
+        const enumerable = named('enumerable');
+
+        if (!valid || accessors.length === 0 || !accessors.every(p => isPlainFunction(p.value) && !refersToOwnName(p.value)) ||
+            (enumerable && slice(enumerable.value) !== 'false')) {
+          return;
+        }
+
+        const isStatic = !isPrototype(args[0]);
+        const computed = !(args[1].type === 'Literal' && typeof args[1].value === 'string');
+        accessors.forEach((property, i) => {
+          const kind = keyText(property.key, false);
+          found.members.push({
+            ...method(statement, property.value, args[1], computed, isStatic, kind),
+            after: property.value.id ? property.value.id.end : property.value.start,
+            indent: indentOf(property.start),
+            comments: i === 0 ? leadingComments(statement) : [],
+            statement
+          });
+        });
+        absorb(statement, isStatic ? args[0] : args[0].object);
+      }
+    });
+
+    return found;
+  };
+
+  const candidates = [];
+  const statementLists = [ast.body];
+  traverse(ast, {
+    enter(node) {
+      if (FUNCTION_TYPES.has(node.type) && node.body.type === 'BlockStatement') statementLists.push(node.body.body);
+    }
+  });
+
+  statementLists.forEach(list => {
+    list.forEach(statement => {
+      const candidate = constructorOf(statement);
+      if (!candidate) return;
+      const found = collectMembers(candidate, list);
+      if (found.members.length === 0 && found.inheritance.length === 0 && !found.prototypeObject) return;
+      candidates.push({ ...candidate, ...found });
+    });
+  });
+
+  // ── Per-class analysis ────────────────────────────────────────
+
+  const isStrict = (node) => {
+    const hasDirective = body => body.some(statement => statement.directive === 'use strict');
+    if (ast.sourceType === 'module' || hasDirective(ast.body)) return true;
+    for (let current = parents.get(node); current; current = parents.get(current)) {
+      if (FUNCTION_TYPES.has(current.type) && current.body.type === 'BlockStatement' && hasDirective(current.body.body)) return true;
+    }
+    return false;
+  };
+
+  // Sloppy-mode code that breaks once it sits in a (strict) class body
+  const strictModeHazard = (fn) => {
+    let hazard = null;
+    traverse(fn, {
+      enter(node) {
+        if (hazard) return false;
+        if (node.type === 'WithStatement') {
+          hazard = [node, 'uses a `with` statement'];
+        } else if (isMember(node) && isIdentifier(node.object, 'arguments') && ['callee', 'caller'].includes(node.property.name)) {
+          hazard = [node, `reads \`arguments.${node.property.name}\``];
+        } else if (node.type === 'Literal' && typeof node.value === 'number' && /^0\d/.test(node.raw)) {
+          hazard = [node, 'uses a legacy octal literal'];
+        } else if (node.type === 'UnaryExpression' && node.operator === 'delete' && isIdentifier(node.argument)) {
+          hazard = [node, 'deletes a plain variable'];
+        }
+        return undefined;
+      }
+    });
+    if (hazard) return hazard;
+
+    const implicit = through.find(ref => ref.isWrite && within(ref.identifier, fn));
+    return implicit ? [implicit.identifier, `assigns to the undeclared variable \`${implicit.identifier.name}\``] : null;
+  };
+
+  /**
+   * Work out the class text and edits for one candidate
+   */
+  const plan = (candidate) => {
+    const { statement: ctorStatement, fn, name, binding, members, inheritance, prototypeObject, consumed } = candidate;
+    const edits = [];
+    const superCalls = [];
+    const callSites = [];
+
+    if (inheritance.length > 1) {
+      throw new ConversionError(`it sets up inheritance twice (lines ${inheritance.map(i => lineOf(i.statement)).join(' and ')})`);
+    }
+    const [heritage] = inheritance;
+    if (heritage && prototypeObject) {
+      throw new ConversionError(`\`${name}.prototype\` is replaced by an object literal (line ${lineOf(prototypeObject.statement)}), which discards the inherited prototype`);
+    }
+
+    // Prototype members assigned before the prototype object is replaced were lost
+    const replacement = prototypeObject || (heritage && heritage.statement.expression.type === 'AssignmentExpression' ? heritage : null);
+    if (replacement) {
+      const early = members.find(m => !m.isStatic && m.statement.start < replacement.statement.start);
+      if (early) {
+        throw new ConversionError(`\`${name}.prototype.${early.key}\` is assigned on line ${lineOf(early.statement)}, before \`${name}.prototype\` is replaced`);
+      }
+    }
+
+    const position = heritage && heritage.statement.start > ctorStatement.start ? heritage.statement : ctorStatement;
+    const parentText = heritage ? slice(heritage.parent) : null;
+
+    // References that a class would not survive
+    binding.references.forEach(ref => {
+      const id = ref.identifier;
+      if (consumed.has(id)) return;
+      const line = lineOf(id);
+      const parent = parents.get(id);
+
+      if (ref.isWrite) throw new ConversionError(`\`${name}\` is reassigned on line ${line}`);
+      if (parent.type === 'CallExpression' && parent.callee === id) {
+        throw new ConversionError(`\`${name}\` is called without \`new\` on line ${line}; class constructors throw when called`);
+      }
+      if (parent.type === 'BinaryExpression' && parent.operator === 'instanceof' && parent.right === id && within(id, fn)) {
+        throw new ConversionError(`the constructor checks \`instanceof ${name}\` (line ${line}) to support calls without \`new\``);
+      }
+      if ((isMember(parent, 'call') || isMember(parent, 'apply')) && parent.object === id) {
+        const call = parents.get(parent);
+        if (call.type === 'CallExpression' && call.callee === parent) {
+          callSites.push(id);
+          return;
+        }
+      }
+      if (isMember(parent, 'prototype') && parent.object === id) {
+        const assignment = parents.get(parent);
+        if (assignment.type === 'AssignmentExpression' && assignment.left === parent) {
+          throw new ConversionError(`\`${name}.prototype\` is replaced on line ${line}, but a class prototype is read-only`);
+        }
+      }
+      if (id.start < position.start && functionOf(id) === functionOf(ctorStatement)) {
+        throw new ConversionError(`\`${name}\` is used on line ${line} before the class would be defined; classes are not hoisted`);
+      }
+    });
+
+    if (!isStrict(ctorStatement)) {
+      [fn, ...members.map(m => m.fn)].forEach(member => {
+        const hazard = strictModeHazard(member);
+        if (hazard) {
+          throw new ConversionError(`it ${hazard[1]} (line ${lineOf(hazard[0])}), which class bodies reject because they are always strict mode code`);
+        }
+      });
+    }
+
+    // Parent.call(this, …) or Foo.super_.call(this, …)
+    const isParentConstructor = node => node && ((parentText !== null && slice(node) === parentText) ||
+      (isMember(node, 'super_') && variableOf(node.object) === binding));
+    const isSuperCall = node => node.type === 'CallExpression' && (isMember(node.callee, 'call') || isMember(node.callee, 'apply')) &&
+      isParentConstructor(node.callee.object) && node.arguments[0] && node.arguments[0].type === 'ThisExpression';
+
+    const superArguments = (call) => {
+      const [, ...rest] = call.arguments;
+      if (call.callee.property.name === 'call') return rest.map(slice).join(', ');
+      return rest.length > 0 ? `...${slice(rest[0])}` : '';
+    };
+
+    if (heritage) {
+      const calls = [];
+      ownNodes(fn.body, node => {
+        if (isSuperCall(node)) calls.push(node);
+      });
+
+      const statement = fn.body.body.find(s => s.type === 'ExpressionStatement' && calls.includes(s.expression));
+      if (!statement) {
+        throw new ConversionError(`the constructor has no top-level \`${parentText}.call(this, …)\` statement to turn into super(), which a subclass constructor must call`);
+      }
+      if (calls.length > 1) {
+        throw new ConversionError(`the constructor calls \`${parentText}\` more than once (lines ${calls.map(lineOf).join(', ')})`);
+      }
+
+      const early = [...fn.body.body.slice(0, fn.body.body.indexOf(statement)), ...statement.expression.arguments.slice(1)];
+      early.forEach(node => ownNodes(node, inner => {
+        if (inner.type === 'ThisExpression') {
+          throw new ConversionError(`\`this\` is used on line ${lineOf(inner)} before the parent constructor runs; super() must come first`);
+        }
+      }));
+
+      const call = statement.expression;
+      edits.push({ start: call.start, end: call.end, text: `super(${superArguments(call)})` });
+      if (isIdentifier(call.callee.object)) superCalls.push(call.callee.object);
+    }
+
+    // Parent.prototype.m.call(this, …) → super.m(…)
+    if (heritage) {
+      [fn, ...members.filter(m => !m.isStatic).map(m => m.fn)].forEach(member => ownNodes(member.body, node => {
+        if (node.type !== 'CallExpression' || !(isMember(node.callee, 'call') || isMember(node.callee, 'apply'))) return;
+        const target = node.callee.object;
+        if (target.type !== 'MemberExpression' || !isMember(target.object, 'prototype') || !isParentConstructor(target.object.object)) return;
+        if (!node.arguments[0] || node.arguments[0].type !== 'ThisExpression') return;
+
+        const property = target.computed ? `[${slice(target.property)}]` : `.${target.property.name}`;
+        edits.push({ start: node.start, end: node.end, text: `super${property}(${superArguments(node)})` });
+      }));
+    }
+
+    // ── Class text ──
+
+    const indent = indentOf(position.start);
+    const inner = indent + INDENT;
+    const functionTail = (member, after, from) => {
+      const open = masked.indexOf('(', after);
+      return reindent(render(open, member.end, edits), from, inner);
+    };
+    const commentText = (comments, from, to) => comments.map(c => `${reindent(c.value, from, to)}\n${to}`).join('');
+
+    const blocks = [];
+    const ctorIndent = indentOf(fn.start);
+    if (fn.params.length > 0 || fn.body.body.length > 0 || /\/[/*]/.test(masked.slice(fn.body.start, fn.body.end)) !== /\/[/*]/.test(code.slice(fn.body.start, fn.body.end))) {
+      blocks.push(`constructor${functionTail(fn, fn.id && fn.id.name === name ? fn.id.end : fn.start, ctorIndent)}`);
+    }
+
+    const memberText = (member) => {
+      const prefix = member.isStatic ? 'static ' : '';
+      const kind = member.kind === 'method'
+        ? `${member.fn.async ? 'async ' : ''}${member.fn.generator ? '*' : ''}`
+        : `${member.kind} `;
+      return `${commentText(member.comments, member.indent, inner)}${prefix}${kind}${member.key}${functionTail(member.fn, member.after, member.indent)}`;
+    };
+
+    const trailing = [];
+    if (prototypeObject) {
+      prototypeObject.node.properties.forEach(property => {
+        if (property.type !== 'Property' || (!property.computed && keyText(property.key, false) === '__proto__')) {
+          throw new ConversionError(`the prototype object literal on line ${lineOf(property)} uses spread or __proto__`);
+        }
+        const key = keyText(property.key, property.computed);
+        const from = indentOf(property.start);
+        const comments = leadingComments(property);
+
+        if (key === 'constructor' && variableOf(property.value) === binding) {
+          consumed.add(property.value);
+        } else if (property.kind === 'get' || property.kind === 'set') {
+          blocks.push(memberText({ kind: property.kind, isStatic: false, key, fn: property.value, after: property.key.end, indent: from, comments }));
+        } else if ((property.method || isPlainFunction(property.value)) && !refersToOwnName(property.value)) {
+          const after = property.method ? property.key.end : property.value.id ? property.value.id.end : property.value.start;
+          blocks.push(memberText({ kind: 'method', isStatic: false, key, fn: property.value, after, indent: from, comments }));
+        } else {
+          trailing.push(`${commentText(comments, from, indent)}${name}.prototype${accessorText(property.key, property.computed)} = ${reindent(render(property.value.start, property.value.end, edits), from, indent)};`);
+        }
+      });
+    }
+
+    members.filter(m => !m.isStatic).forEach(member => blocks.push(memberText(member)));
+    members.filter(m => m.isStatic).forEach(member => blocks.push(memberText(member)));
+
+    const heading = `${candidate.exportPrefix}class ${name}${parentText ? ` extends ${parentText}` : ''}`;
+    const body = blocks.length > 0 ? ` {\n${blocks.map(block => inner + block).join('\n\n')}\n${indent}}` : ' {}';
+    const classText = [heading + body, ...trailing].join(`\n${indent}`);
+
+    const result = [];
+    if (position === ctorStatement) {
+      result.push({ start: ctorStatement.start, end: ctorStatement.end, text: classText });
+    } else {
+      const comments = leadingComments(ctorStatement);
+      result.push(removalRange(ctorStatement, comments));
+      result.push({ start: position.start, end: position.end, text: `${commentText(comments, indentOf(ctorStatement.start), indent)}${classText}` });
+    }
+
+    candidate.absorbed
+      .filter(statement => statement !== position)
+      .forEach(statement => result.push(removalRange(statement, leadingComments(statement))));
+
+    return {
+      edits: result,
+      suggestion: `class ${name}${parentText ? ` extends ${parentText}` : ''} { … }`,
+      superCalls,
+      callSites
+    };
+  };
+
+  const plans = new Map();
+  const reasons = new Map();
+  candidates.forEach(candidate => {
+    try {
+      plans.set(candidate, plan(candidate));
+    } catch (error) {
+      if (!(error instanceof ConversionError)) throw error;
+      reasons.set(candidate, error.message);
+    }
+  });
+
+  // Foo.call(this, …) is fine only where a converted subclass turns it into super()
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const superCalls = new Set([...plans.values()].flatMap(p => p.superCalls));
+    plans.forEach((result, candidate) => {
+      const site = result.callSites.find(id => !superCalls.has(id));
+      if (!site) return;
+      plans.delete(candidate);
+      reasons.set(candidate, `\`${candidate.name}.${parents.get(site).property.name}(…)\` on line ${lineOf(site)} runs the constructor without \`new\`, which classes forbid`);
+      changed = true;
+    });
+  }
+
+  const classes = candidates.map(candidate => {
+    const result = plans.get(candidate);
+    return {
+      node: candidate.statement,
+      name: candidate.name,
+      convertible: Boolean(result),
+      reason: reasons.get(candidate) || null,
+      suggestion: result ? result.suggestion : null,
+      edits: result ? result.edits : null
+    };
+  });
+
+  return { classes };
+}
+
+module.exports = { planClassConversion, ConversionError };
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Machine-Readable Report Formats
+ * Serializes es6-converter analysis results as JSON, SARIF 2.1.0, JUnit
+ * XML or Checkstyle XML for CI annotations and code-scanning dashboards
+ *
+ * Usage:
+ *   const { formatResults } = require('./report-formats');
+ *   process.stdout.write(formatResults([analyzeFile(code, file)], 'sarif', { rules }));
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const path = require('path');
+
+const TOOL_NAME = 'es6-converter';
+const TOOL_VERSION = '1.0.0';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+const FORMATS = ['text', 'json', 'sarif', 'junit', 'checkstyle'];
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Issues of one file in source order, whatever their severity
+const issuesOf = results => Object.values(results.byCategory)
+  .flat()
+  .sort((a, b) => a.line - b.line || a.column - b.column);
+
+// Forward-slash path relative to the working directory, for report URIs
+const toUri = filename => path.relative(process.cwd(), path.resolve(filename)).split(path.sep).join('/');
+
+/**
+ * JSON: one entry per file with its issues, plus totals
+ */
+function formatJson(resultsList) {
+  const files = resultsList.map(results => ({
+    filename: results.filename,
+    target: results.target ? results.target.name : null,
+    parseError: results.lexError || results.parseError || null,
+    issues: issuesOf(results).map(issue => ({
+      line: issue.line,
+      column: issue.column,
+      endLine: issue.endLine,
+      endColumn: issue.endColumn,
+      rule: issue.rule,
+      pattern: issue.pattern,
+      severity: issue.severity,
+      message: issue.message,
+      suggestion: issue.suggestion || null,
+      fix: issue.edits || null
+    }))
+  }));
+
+  const count = severity => resultsList.reduce((sum, results) => sum + results.byCategory[severity].length, 0);
+  const summary = {
+    files: files.length,
+    issues: resultsList.reduce((sum, results) => sum + results.totalIssues, 0),
+    errors: count('error'),
+    warnings: count('warning'),
+    suggestions: count('info')
+  };
+
+  return `${JSON.stringify({ tool: TOOL_NAME, version: TOOL_VERSION, files, summary }, null, 2)}\n`;
+}
+
+/**
+ * SARIF fix for an issue: the edits --fix would make. Suggestions are
+ * advice for a reader, not a replacement for the matched text, so issues
+ * without edits get none
+ */
+function sarifFix(issue, uri) {
+  const replacements = (issue.edits || []).map(edit => ({
+    deletedRegion: { startLine: edit.line, startColumn: edit.column, endLine: edit.endLine, endColumn: edit.endColumn },
+    insertedContent: { text: edit.text }
+  }));
+
+  if (replacements.length === 0) return null;
+
+  return {
+    description: { text: issue.suggestion ? `Replace with: ${issue.suggestion}` : issue.pattern },
+    artifactChanges: [{ artifactLocation: { uri }, replacements }]
+  };
+}
+
+/**
+ * SARIF 2.1.0: one run, a rule per pattern and fix objects where the
+ * rewrite is known
+ */
+function formatSarif(resultsList, { rules = {} } = {}) {
+  const ruleIds = Object.keys(rules);
+  const sarifResults = [];
+
+  resultsList.forEach(results => {
+    const uri = toUri(results.filename);
+
+    issuesOf(results).forEach(issue => {
+      const result = {
+        ruleId: issue.rule,
+        level: SARIF_LEVELS[issue.severity],
+        message: { text: issue.suggestion ? `${issue.message} (→ ${issue.suggestion})` : issue.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri },
+            region: { startLine: issue.line, startColumn: issue.column, endLine: issue.endLine, endColumn: issue.endColumn }
+          }
+        }]
+      };
+
+      if (ruleIds.includes(issue.rule)) result.ruleIndex = ruleIds.indexOf(issue.rule);
+
+      const fix = sarifFix(issue, uri);
+      if (fix) result.fixes = [fix];
+
+      sarifResults.push(result);
+    });
+  });
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: TOOL_VERSION,
+          rules: ruleIds.map(id => ({
+            id,
+            name: rules[id].name,
+            shortDescription: { text: rules[id].message },
+            defaultConfiguration: { level: SARIF_LEVELS[rules[id].severity] }
+          }))
+        }
+      },
+      artifacts: resultsList.map(results => ({ location: { uri: toUri(results.filename) } })),
+      results: sarifResults
+    }]
+  };
+
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+/**
+ * JUnit XML: a test suite per file and a failing test case per issue;
+ * files without issues get a single passing case
+ */
+function formatJunit(resultsList) {
+  const lines = [];
+  let tests = 0;
+  let failures = 0;
+
+  resultsList.forEach(results => {
+    const name = escapeXml(results.filename);
+    const issues = issuesOf(results);
+    const cases = issues.map(issue => {
+      const detail = issue.suggestion ? `${issue.context}\n→ ${issue.suggestion}` : issue.context;
+      return [
+        `    <testcase classname="${name}" name="${escapeXml(`${issue.line}:${issue.column} ${issue.pattern}`)}">`,
+        `      <failure message="${escapeXml(issue.message)}" type="${issue.severity}">${escapeXml(`${results.filename}:${issue.line}:${issue.column}\n${detail}`)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+
+    if (cases.length === 0) cases.push(`    <testcase classname="${name}" name="${TOOL_NAME}"/>`);
+
+    tests += cases.length;
+    failures += issues.length;
+    lines.push(
+      `  <testsuite name="${name}" tests="${cases.length}" failures="${issues.length}" errors="0">`,
+      ...cases,
+      '  </testsuite>'
+    );
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}" errors="0">`,
+    ...lines,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Checkstyle XML, as read by most CI annotation plugins
+ */
+function formatCheckstyle(resultsList) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+
+  resultsList.forEach(results => {
+    lines.push(`  <file name="${escapeXml(results.filename)}">`);
+    issuesOf(results).forEach(issue => {
+      const message = issue.suggestion ? `${issue.message} (→ ${issue.suggestion})` : issue.message;
+      lines.push(`    <error line="${issue.line}" column="${issue.column}" severity="${issue.severity}" message="${escapeXml(message)}" source="${TOOL_NAME}.${issue.rule}"/>`);
+    });
+    lines.push('  </file>');
+  });
+
+  lines.push('</checkstyle>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Serialize analyzeFile() results
+ * @param {Array<Object>} resultsList - One analyzeFile() result per file
+ * @param {string} format - json, sarif, junit or checkstyle
+ * @param {Object} [options] - { rules: { id: { name, message, severity } } } for SARIF
+ * @returns {string}
+ */
+function formatResults(resultsList, format, options = {}) {
+  switch (format) {
+    case 'json': return formatJson(resultsList);
+    case 'sarif': return formatSarif(resultsList, options);
+    case 'junit': return formatJunit(resultsList);
+    case 'checkstyle': return formatCheckstyle(resultsList);
+    default: throw new Error(`Unknown report format '${format}' (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = { formatResults, FORMATS };
@@ -0,0 +1,84 @@
+/**
+ * Tests for the callback → async/await conversion plan
+ *
+ * Usage:
+ *   node --test skills/modern-javascript/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { planCallbackConversion } = require('../scripts/callback-to-async');
+const { prepareSource, applyEdits } = require('../scripts/es6-converter');
+
+const BODY = '(file, callback) {\n  fs.readFile(file, callback);\n}\n';
+
+const plan = (code, filename) => planCallbackConversion(prepareSource(code, filename)).functions;
+
+test('a module-private callback function converts', () => {
+  const [fn] = plan(`import fs from 'fs';\nfunction readIt${BODY}`, 'fixture.mjs');
+  assert.strictEqual(fn.convertible, true, fn.reason);
+});
+
+[
+  ['export function', `export function readIt${BODY}`],
+  ['export default function', `export default function readIt${BODY}`],
+  ['export const = function', `export const readIt = function ${BODY}`],
+  ['export { name }', `function readIt${BODY}export { readIt };\n`]
+].forEach(([form, declaration]) => {
+  test(`a callback function exported with ${form} is left alone`, () => {
+    const [fn] = plan(`import fs from 'fs';\n${declaration}`, 'fixture.mjs');
+    assert.strictEqual(fn.convertible, false);
+    assert.match(fn.reason, /export/);
+    assert.ok(!fn.edits);
+  });
+});
+
+const convert = (code, filename) => {
+  const [fn] = plan(code, filename);
+  assert.strictEqual(fn.convertible, true, fn.reason);
+  return applyEdits(code, [{ edits: fn.edits }]).code;
+};
+
+const READ_IT = 'function readIt(file, cb) {\n  fs.readFile(file, cb);\n}\n';
+
+[
+  ['require(\'util\')', 'const fs = require(\'fs\');\nconst { promisify } = require(\'util\');\n', 'a.js'],
+  ['require(\'util\').promisify', 'const fs = require(\'fs\');\nconst promisify = require(\'util\').promisify;\n', 'a.js'],
+  ['import from \'node:util\'', 'import fs from \'fs\';\nimport { promisify } from \'node:util\';\n', 'a.mjs']
+].forEach(([form, head, filename]) => {
+  test(`promisify from ${form} is reused`, () => {
+    const output = convert(`${head}${READ_IT}`, filename);
+    assert.ok(output.startsWith(head), output);
+    assert.match(output, /return promisify\(fs\.readFile\.bind\(fs\)\)\(file\);/);
+  });
+});
+
+[
+  ['a local function', 'const fs = require(\'fs\');\nconst promisify = fn => fn;\n', 'a.js', /const \{ promisify: promisify2 \} = require\('util'\);/],
+  ['another module', 'import fs from \'fs\';\nimport { promisify } from \'./mine.js\';\n', 'a.mjs', /import \{ promisify as promisify2 \} from 'util';/]
+].forEach(([form, head, filename, imported]) => {
+  test(`promisify bound to ${form} gets util.promisify under a fresh name`, () => {
+    const output = convert(`${head}${READ_IT}`, filename);
+    assert.match(output, imported);
+    assert.match(output, /return promisify2\(fs\.readFile\.bind\(fs\)\)\(file\);/);
+  });
+});
+
+test('a callback called once after an early return is not reported as called twice', () => {
+  const [fn] = plan('function sync(x, cb) { if (!x) { cb(err); return; } cb(null, x); console.log(\'after\'); }\n', 'a.js');
+  assert.strictEqual(fn.multiple, false);
+});
+
+[
+  ['twice in a row', 'function twice(x, cb) { cb(null, x); cb(null, x); }\n'],
+  ['after an if without return', 'function twice(x, cb) { if (x) cb(null, x); cb(null, x); }\n'],
+  ['in a loop', 'function each(xs, cb) { for (const x of xs) cb(null, x); }\n']
+].forEach(([form, code]) => {
+  test(`a callback called ${form} is reported as called more than once`, () => {
+    const [fn] = plan(code, 'a.js');
+    assert.strictEqual(fn.multiple, true);
+  });
+});
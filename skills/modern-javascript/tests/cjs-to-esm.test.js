@@ -0,0 +1,159 @@
+/**
+ * Fixture tests for the CommonJS → ES module migration (es6-converter --esm)
+ *
+ * Usage:
+ *   node --test skills/modern-javascript/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateToEsm } = require('../scripts/es6-converter');
+const { parse } = require('../../shared/scripts/js-parser');
+
+// One fixture per export form: CommonJS in, ES module out
+const EXPORT_FIXTURES = [
+  {
+    name: 'module.exports = identifier',
+    input: 'function helper() {}\nmodule.exports = helper;\n',
+    output: 'function helper() {}\nexport default helper;\n'
+  },
+  {
+    name: 'module.exports = expression',
+    input: 'module.exports = class Store {};\n',
+    output: 'export default class Store {};\n'
+  },
+  {
+    name: 'module.exports = { shorthand, key: local }',
+    input: 'function a() {}\nconst b = 2;\nmodule.exports = { a, renamed: b };\n',
+    output: 'function a() {}\nconst b = 2;\nexport { a, b as renamed };\nexport default { a, renamed: b };\n'
+  },
+  {
+    name: 'module.exports = { key: anonymous function }',
+    input: 'module.exports = { foo: function () { return 1; } };\n',
+    output: 'export function foo() { return 1; }\nexport default { foo };\n'
+  },
+  {
+    name: 'module.exports = { key: async, generator and named functions, method }',
+    input: 'module.exports = { bar: async function (x) { return x; }, gen: function* () { yield 1; }, ' +
+      'named: function named(y) { return y; }, baz() { return 3; } };\n',
+    output: 'export async function bar(x) { return x; }\nexport function* gen() { yield 1; }\n' +
+      'export function named(y) { return y; }\nexport function baz() { return 3; }\n' +
+      'export default { bar, gen, named, baz };\n'
+  },
+  {
+    name: 'module.exports = { key: value }',
+    input: 'module.exports = { limit: 10, list: [1, 2] };\n',
+    output: 'export const limit = 10;\nexport const list = [1, 2];\nexport default { limit, list };\n'
+  },
+  {
+    name: 'exports.name = anonymous function',
+    input: 'exports.foo = function () { return 1; };\n',
+    output: 'export function foo() { return 1; }\nexport default { foo };\n'
+  },
+  {
+    name: 'exports.name = function using __dirname',
+    input: 'exports.d = function () { return __dirname; };\n',
+    output: 'export function d() { return import.meta.dirname; }\nexport default { d };\n'
+  },
+  {
+    name: 'module.exports.name = async generator function',
+    input: 'module.exports.g = async function* () { yield 1; };\n',
+    output: 'export async function* g() { yield 1; }\nexport default { g };\n'
+  },
+  {
+    name: 'exports.name = function of the same name',
+    input: 'exports.named = function named(a, b) { return a + b; };\n',
+    output: 'export function named(a, b) { return a + b; }\nexport default { named };\n'
+  },
+  {
+    name: 'exports.name = value',
+    input: 'exports.answer = 42;\n',
+    output: 'export const answer = 42;\nexport default { answer };\n'
+  },
+  {
+    name: 'exports.name = local binding',
+    input: 'function local() {}\nexports.publicName = local;\n',
+    output: 'function local() {}\nexport { local as publicName };\nexport default { publicName: local };\n'
+  },
+  {
+    name: 'module.exports = {...} with module.exports.name added later',
+    input: 'module.exports = { a: 1 };\nmodule.exports.extra = 2;\n',
+    output: 'export const a = 1;\nexport const extra = 2;\nexport default { a, extra };\n'
+  },
+  {
+    name: 'require.main === module',
+    input: 'function main() {}\nif (require.main === module) main();\n',
+    output: "import { pathToFileURL } from 'url';\nfunction main() {}\n" +
+      'if (import.meta.url === pathToFileURL(process.argv[1]).href) main();\n'
+  },
+  {
+    name: 'require.main === module next to a pathToFileURL of its own',
+    input: 'function pathToFileURL() {}\nif (require.main === module) pathToFileURL();\n',
+    output: "import { pathToFileURL as pathToFileURL2 } from 'url';\nfunction pathToFileURL() {}\n" +
+      'if (import.meta.url === pathToFileURL2(process.argv[1]).href) pathToFileURL();\n'
+  }
+];
+
+// Forms that cannot be converted: the code stays as it is, with a warning
+const LEFT_AS_COMMONJS = /require, exports or module.exports would remain/;
+
+const REFUSED_FIXTURES = [
+  {
+    name: 'exports used inside a function',
+    input: 'exports.inc = function () { exports.count++; };\n',
+    warning: LEFT_AS_COMMONJS
+  },
+  {
+    name: 'require() inside a function',
+    input: "exports.load = function () { return require('fs'); };\n",
+    warning: LEFT_AS_COMMONJS
+  },
+  {
+    name: 'module.exports.name added to a function export',
+    input: 'module.exports = function () {};\nmodule.exports.extra = 1;\n',
+    warning: /merge them by hand/
+  },
+  {
+    name: 'exports.name assigned before module.exports is replaced',
+    input: 'exports.x = 1;\nmodule.exports = { y: 2 };\n',
+    warning: /replaces what was exported before it/
+  },
+  {
+    name: 'exports.name clashing with a local binding',
+    input: 'const foo = 1;\nexports.foo = function () {};\n',
+    warning: /clashes with a local binding/
+  },
+  {
+    name: 'module.exports = { computed member }',
+    input: 'module.exports = { [key]: 1 };\n',
+    output: 'export default { [key]: 1 };\n',
+    warning: /computed, accessor or clashing members/
+  }
+];
+
+EXPORT_FIXTURES.forEach(({ name, input, output }) => {
+  test(`--esm converts ${name}`, () => {
+    const result = migrateToEsm(input, 'fixture.js');
+    assert.strictEqual(result.code, output);
+    assert.deepStrictEqual(result.warnings, []);
+    assert.doesNotThrow(() => parse(result.code, { sourceType: 'module' }));
+  });
+});
+
+REFUSED_FIXTURES.forEach(({ name, input, output = input, warning }) => {
+  test(`--esm warns about ${name}`, () => {
+    const result = migrateToEsm(input, 'fixture.js');
+    assert.strictEqual(result.code, output);
+    assert.ok(result.warnings.some(w => warning.test(w.message)), JSON.stringify(result.warnings));
+  });
+});
+
+test('--esm leaves a file that does not parse unchanged', () => {
+  const input = 'exports.a = function (;\n';
+  const result = migrateToEsm(input, 'fixture.js');
+  assert.strictEqual(result.code, input);
+  assert.strictEqual(result.stats, null);
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for es6-converter --fix
+ *
+ * Usage:
+ *   node --test skills/modern-javascript/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fixCode, analyzeFile } = require('../scripts/es6-converter');
+const { parse } = require('../../shared/scripts/js-parser');
+
+test('--fix leaves require() calls alone, at the top level and in functions', () => {
+  const input = "var fs = require('fs');\nfunction load() {\n  var path = require('path');\n  return path;\n}\nmodule.exports = load;\n";
+  const { code, parseError } = fixCode(input, { filename: 'fixture.js' });
+  assert.ok(!code.includes('import '), code);
+  assert.strictEqual(parseError, null);
+});
+
+test('require() is still reported, pointing at --esm', () => {
+  const { byCategory } = analyzeFile("const fs = require('fs');\n", 'fixture.js');
+  const issue = byCategory.info.find(i => i.rule === 'requireStatement');
+  assert.ok(issue, JSON.stringify(byCategory));
+  assert.match(issue.message, /--esm/);
+});
+
+test('import and export declarations parse only at the top level', () => {
+  assert.throws(() => parse("function f() {\n  import path from 'path';\n}\n"), /top level/);
+  assert.throws(() => parse('if (a) {\n  export const b = 1;\n}\n', { sourceType: 'module' }), /top level/);
+  assert.doesNotThrow(() => parse("import path from 'path';\nexport const a = () => import('x');\n", { sourceType: 'module' }));
+});
+
+// Class fields fix: source in, fixed source out
+const CLASS_FIELD_FIXTURES = [
+  {
+    name: 'drops a constructor left empty',
+    input: 'class A {\n  constructor() {\n    this.x = 1;\n    this.y = [];\n  }\n}\n',
+    output: 'class A {\n  x = 1;\n  y = [];\n}\n'
+  },
+  {
+    name: 'keeps a one-line class on one line',
+    input: 'class A { constructor() { this.x = 1; } }\n',
+    output: 'class A { x = 1; }\n'
+  },
+  {
+    name: 'keeps a constructor with statements left',
+    input: 'class A { constructor() { this.x = 1; start(); } }\n',
+    output: 'class A { x = 1; constructor() { start(); } }\n'
+  },
+  {
+    name: 'keeps the super() call of a derived class',
+    input: 'class A extends B {\n  constructor() {\n    super();\n    this.x = 1;\n  }\n}\n',
+    output: 'class A extends B {\n  x = 1;\n\n  constructor() {\n    super();\n  }\n}\n'
+  },
+  {
+    name: 'keeps the indentation of a nested class',
+    input: 'function f() {\n  return class {\n    constructor(a) {\n      this.x = 1;\n      this.a = a;\n    }\n  };\n}\n',
+    output: 'function f() {\n  return class {\n    x = 1;\n\n    constructor(a) {\n      this.a = a;\n    }\n  };\n}\n'
+  }
+];
+
+CLASS_FIELD_FIXTURES.forEach(({ name, input, output }) => {
+  test(`--fix class fields ${name}`, () => {
+    const { code, parseError } = fixCode(input, { filename: 'fixture.js' });
+    assert.strictEqual(code, output);
+    assert.strictEqual(parseError, null);
+  });
+});
+
+test('--fix keeps a var used from another case of its switch', () => {
+  const input = 'function f(c) {\n  switch (c) {\n    case 1: var sw = 1; break;\n    case 2: sw = 2;\n  }\n  return sw;\n}\n';
+  const { code } = fixCode(input, { filename: 'fixture.js' });
+  assert.strictEqual(code, input);
+  assert.strictEqual(new Function(`${code}\nreturn f(2);`)(), 2);
+});
+
+test('--fix converts a var used only within its case', () => {
+  const input = 'function f(c) {\n  switch (c) {\n    case 1: var one = 1; return one;\n    default: return 0;\n  }\n}\n';
+  assert.match(fixCode(input, { filename: 'fixture.js' }).code, /case 1: const one = 1;/);
+});
+
+test('--fix leaves var alone in a file that does not parse', () => {
+  const input = 'var total = 0;\nfor (var i = 0; i < 3; i++) later(function () { return i; });\nfunction (\n';
+  const { code, applied } = fixCode(input, { filename: 'fixture.js' });
+  assert.strictEqual(code, input);
+  assert.deepStrictEqual(applied, {});
+  const { byCategory } = analyzeFile(input, 'fixture.js');
+  assert.ok(byCategory.warning.some(i => i.rule === 'varDeclaration'), JSON.stringify(byCategory));
+});
+
+test('--fix uses .at() only on receivers known to have it', () => {
+  const input = 'const list = [1, 2];\nconst last = list[list.length - 1];\n' +
+    'function first(nodes) { return nodes[nodes.length - 1]; }\n' +
+    'function end() { return arguments[arguments.length - 1]; }\n';
+  const output = 'const list = [1, 2];\nconst last = list.at(-1);\n' +
+    'function first(nodes) { return nodes[nodes.length - 1]; }\n' +
+    'function end() { return arguments[arguments.length - 1]; }\n';
+  assert.strictEqual(fixCode(input, { filename: 'fixture.js' }).code, output);
+
+  const issues = analyzeFile(input, 'fixture.js').byCategory.info.filter(i => i.rule === 'atMethod');
+  assert.deepStrictEqual(issues.map(i => i.line), [2, 3]);
+  assert.match(issues[1].message, /NodeList/);
+});
+
+test('loose equality and inequality are reported at the operator', () => {
+  const input = 'if (a == b) f();\nif (c != d) g();\n';
+  const issues = analyzeFile(input, 'fixture.js').byCategory.warning.filter(i => /^loose/.test(i.rule));
+  assert.deepStrictEqual(issues.map(i => [i.rule, i.line, i.column, i.endColumn]), [
+    ['looseEquality', 1, 7, 9],
+    ['looseInequality', 2, 7, 9]
+  ]);
+  assert.strictEqual(fixCode(input, { filename: 'fixture.js' }).code, 'if (a === b) f();\nif (c !== d) g();\n');
+});
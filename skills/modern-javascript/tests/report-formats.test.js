@@ -0,0 +1,28 @@
+/**
+ * Tests for the machine-readable report formats
+ *
+ * Usage:
+ *   node --test skills/modern-javascript/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeFile } = require('../scripts/es6-converter');
+const { formatResults } = require('../scripts/report-formats');
+
+const sarifResults = code => JSON.parse(formatResults([analyzeFile(code, 'fixture.js')], 'sarif', {})).runs[0].results;
+
+test('SARIF fixes come from the --fix edits', () => {
+  const [result] = sarifResults('var a = 1;\nconsole.log(a);\n').filter(r => r.ruleId === 'varDeclaration');
+  assert.strictEqual(result.fixes.length, 1);
+  assert.strictEqual(result.fixes[0].artifactChanges[0].replacements[0].insertedContent.text, 'const');
+});
+
+test('a suggestion without a fix gets no SARIF fix', () => {
+  const [result] = sarifResults('const fs = require(\'fs\');\nconsole.log(fs);\n').filter(r => r.ruleId === 'requireStatement');
+  assert.ok(result);
+  assert.strictEqual(result.fixes, undefined);
+});
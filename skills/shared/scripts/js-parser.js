@@ -0,0 +1,2140 @@
+#!/usr/bin/env node
+
+/**
+ * JavaScript Parser
+ * Recursive-descent parser producing an ESTree-compatible syntax tree
+ * from the tokens of js-tokenizer.js. Covers ES2022 scripts and modules,
+ * decorators and, optionally, JSX and TypeScript.
+ *
+ * Usage:
+ *   const { parse, traverse } = require('../../shared/scripts/js-parser');
+ *   const ast = parse(code);
+ *   const tsxAst = parse(code, { jsx: true, typescript: true });
+ *   traverse(ast, { enter(node, parent) {} });
+ *
+ * TypeScript type syntax is read and dropped: annotations, type arguments
+ * and assertions leave no node, so the tree describes the JavaScript that
+ * runs. Type-only statements (interfaces, type aliases, enums, namespaces,
+ * `declare`, overload signatures) become childless TS* nodes, and every
+ * name mentioned inside dropped syntax is listed in Program.typeNames.
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const { tokenize } = require('./js-tokenizer');
+
+// Binary operator precedence; higher binds tighter
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '|': 4,
+  '^': 5,
+  '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11,
+  '**': 12
+};
+
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+
+const ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+  '&=', '|=', '^=', '&&=', '||=', '??='
+]);
+
+const UNARY_OPERATORS = new Set(['!', '~', '+', '-', 'typeof', 'void', 'delete']);
+
+// TypeScript modifiers on class members and constructor parameters
+const MEMBER_MODIFIERS = ['public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare'];
+const PARAMETER_MODIFIERS = ['public', 'private', 'protected', 'readonly', 'override'];
+
+// Tokens that continue a `declare` statement onto the next line
+const TYPE_CONTINUATIONS = new Set(['|', '&', '.', '=>', ',', ':', '=', '?', '<', '>']);
+
+// Words that can never be used as a plain identifier reference
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if',
+  'import', 'in', 'instanceof', 'new', 'return', 'super', 'switch', 'this', 'throw',
+  'try', 'typeof', 'var', 'void', 'while', 'with', 'null', 'true', 'false', 'enum'
+]);
+
+// Child properties of every node type, in source order
+const VISITOR_KEYS = {
+  Program: ['body'],
+  ExpressionStatement: ['expression'],
+  BlockStatement: ['body'],
+  StaticBlock: ['body'],
+  EmptyStatement: [],
+  DebuggerStatement: [],
+  WithStatement: ['object', 'body'],
+  ReturnStatement: ['argument'],
+  LabeledStatement: ['label', 'body'],
+  BreakStatement: ['label'],
+  ContinueStatement: ['label'],
+  IfStatement: ['test', 'consequent', 'alternate'],
+  SwitchStatement: ['discriminant', 'cases'],
+  SwitchCase: ['test', 'consequent'],
+  ThrowStatement: ['argument'],
+  TryStatement: ['block', 'handler', 'finalizer'],
+  CatchClause: ['param', 'body'],
+  WhileStatement: ['test', 'body'],
+  DoWhileStatement: ['body', 'test'],
+  ForStatement: ['init', 'test', 'update', 'body'],
+  ForInStatement: ['left', 'right', 'body'],
+  ForOfStatement: ['left', 'right', 'body'],
+  FunctionDeclaration: ['id', 'params', 'body'],
+  VariableDeclaration: ['declarations'],
+  VariableDeclarator: ['id', 'init'],
+  ClassDeclaration: ['decorators', 'id', 'superClass', 'body'],
+  ClassExpression: ['decorators', 'id', 'superClass', 'body'],
+  ClassBody: ['body'],
+  MethodDefinition: ['decorators', 'key', 'value'],
+  PropertyDefinition: ['decorators', 'key', 'value'],
+  ThisExpression: [],
+  Super: [],
+  ArrayExpression: ['elements'],
+  ObjectExpression: ['properties'],
+  Property: ['key', 'value'],
+  FunctionExpression: ['id', 'params', 'body'],
+  ArrowFunctionExpression: ['params', 'body'],
+  UnaryExpression: ['argument'],
+  UpdateExpression: ['argument'],
+  BinaryExpression: ['left', 'right'],
+  LogicalExpression: ['left', 'right'],
+  AssignmentExpression: ['left', 'right'],
+  ConditionalExpression: ['test', 'consequent', 'alternate'],
+  CallExpression: ['callee', 'arguments'],
+  NewExpression: ['callee', 'arguments'],
+  MemberExpression: ['object', 'property'],
+  ChainExpression: ['expression'],
+  SequenceExpression: ['expressions'],
+  YieldExpression: ['argument'],
+  AwaitExpression: ['argument'],
+  TemplateLiteral: ['quasis', 'expressions'],
+  TaggedTemplateExpression: ['tag', 'quasi'],
+  TemplateElement: [],
+  SpreadElement: ['argument'],
+  RestElement: ['decorators', 'argument'],
+  ObjectPattern: ['decorators', 'properties'],
+  ArrayPattern: ['decorators', 'elements'],
+  AssignmentPattern: ['decorators', 'left', 'right'],
+  MetaProperty: ['meta', 'property'],
+  ImportExpression: ['source'],
+  ImportDeclaration: ['specifiers', 'source'],
+  ImportSpecifier: ['imported', 'local'],
+  ImportDefaultSpecifier: ['local'],
+  ImportNamespaceSpecifier: ['local'],
+  ExportNamedDeclaration: ['declaration', 'specifiers', 'source'],
+  ExportDefaultDeclaration: ['declaration'],
+  ExportAllDeclaration: ['exported', 'source'],
+  ExportSpecifier: ['local', 'exported'],
+  Identifier: ['decorators'],
+  PrivateIdentifier: [],
+  Literal: [],
+  Decorator: ['expression'],
+  JSXElement: ['openingElement', 'children', 'closingElement'],
+  JSXFragment: ['openingFragment', 'children', 'closingFragment'],
+  JSXOpeningElement: ['name', 'attributes'],
+  JSXClosingElement: ['name'],
+  JSXOpeningFragment: [],
+  JSXClosingFragment: [],
+  JSXAttribute: ['name', 'value'],
+  JSXSpreadAttribute: ['argument'],
+  JSXExpressionContainer: ['expression'],
+  JSXEmptyExpression: [],
+  JSXSpreadChild: ['expression'],
+  JSXText: [],
+  JSXIdentifier: [],
+  JSXMemberExpression: ['object', 'property'],
+  JSXNamespacedName: ['namespace', 'name'],
+  TSAsExpression: ['expression'],
+  TSSatisfiesExpression: ['expression'],
+  TSNonNullExpression: ['expression'],
+  TSTypeAssertion: ['expression'],
+  TSInterfaceDeclaration: [],
+  TSTypeAliasDeclaration: [],
+  TSEnumDeclaration: [],
+  TSModuleDeclaration: [],
+  TSAmbientDeclaration: [],
+  TSDeclareFunction: [],
+  TSDeclareMethod: [],
+  TSIndexSignature: []
+};
+
+/**
+ * Map source offsets to 1-based line and column numbers
+ * @param {string} code - Source text
+ * @returns {Function} offset => { line, column }
+ */
+function createLineIndex(code) {
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Decode the escapes in a string literal's raw text
+ */
+function unquote(raw) {
+  const body = raw.slice(1, -1);
+  const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+  return body.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r\n|[\s\S])/g, (match, esc) => {
+    if (esc[0] === 'u' && esc.length > 1) {
+      return String.fromCodePoint(parseInt(esc.replace(/[u{}]/g, ''), 16));
+    }
+    if (esc[0] === 'x' && esc.length === 3) return String.fromCharCode(parseInt(esc.slice(1), 16));
+    if (esc === '\n' || esc === '\r\n' || esc === '\r') return '';
+    return simple[esc] !== undefined ? simple[esc] : esc;
+  });
+}
+
+/**
+ * Recursive-descent parser state
+ */
+class Parser {
+  constructor(code, options = {}) {
+    this.jsx = Boolean(options.jsx);
+    this.typescript = Boolean(options.typescript);
+    const tokens = options.tokens || tokenize(code, { jsx: this.jsx });
+    this.code = code;
+    this.comments = tokens.filter(t => t.type === 'comment');
+    this.tokens = tokens.filter(t => t.type !== 'comment');
+    this.sourceType = options.sourceType || 'script';
+    this.pos = 0;
+    this.lastEnd = 0;
+    this.noIn = false;
+    this.context = { async: false, generator: false, topLevel: true };
+    this.locate = createLineIndex(code);
+    // TypeScript: names read inside dropped type syntax, and the `>>`
+    // tokens split to close type arguments (undone when a guess fails)
+    this.typeNames = new Set();
+    this.typeDepth = 0;
+    this.splits = [];
+  }
+
+  // ── Token helpers ─────────────────────────────────────────────
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset] || { type: 'eof', value: '', start: this.code.length, end: this.code.length };
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type === 'eof') this.raise('Unexpected end of input', token);
+    this.pos++;
+    this.lastEnd = token.end;
+    if (this.typeDepth > 0 && token.type === 'name') this.typeNames.add(token.value);
+    return token;
+  }
+
+  at(value, offset = 0) {
+    const token = this.peek(offset);
+    return (token.type === 'punctuator' || token.type === 'name') && token.value === value;
+  }
+
+  atPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punctuator' && token.value === value;
+  }
+
+  eat(value) {
+    if (this.at(value)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.at(value)) this.unexpected();
+    return this.next();
+  }
+
+  raise(message, token = this.peek()) {
+    const { line, column } = this.locate(token.start);
+    const error = new SyntaxError(`${message} (${line}:${column})`);
+    error.line = line;
+    error.column = column;
+    error.index = token.start;
+    throw error;
+  }
+
+  unexpected(token = this.peek()) {
+    this.raise(token.type === 'eof' ? 'Unexpected end of input' : `Unexpected token '${token.value}'`, token);
+  }
+
+  finish(node, start) {
+    node.start = start;
+    node.end = this.lastEnd;
+    return node;
+  }
+
+  // Automatic semicolon insertion
+  semicolon() {
+    if (this.eat(';')) return;
+    const token = this.peek();
+    if (token.type === 'eof' || this.atPunct('}') || token.newlineBefore) return;
+    this.unexpected();
+  }
+
+  // Index of the token closing the bracket at token index i
+  matchingIndex(i) {
+    const open = this.tokens[i].value;
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 0;
+    for (let j = i; j < this.tokens.length; j++) {
+      const token = this.tokens[j];
+      if (token.type !== 'punctuator') continue;
+      if (token.value === open) depth++;
+      else if (token.value === close && --depth === 0) return j;
+    }
+    return -1;
+  }
+
+  isIdentifierToken(token = this.peek()) {
+    return token.type === 'name' && !RESERVED_WORDS.has(token.value) && token.value[0] !== '#';
+  }
+
+  withContext(context, fn) {
+    const saved = this.context;
+    const savedNoIn = this.noIn;
+    this.context = { ...saved, ...context };
+    this.noIn = false;
+    try {
+      return fn();
+    } finally {
+      this.context = saved;
+      this.noIn = savedNoIn;
+    }
+  }
+
+  // ── Program & statements ──────────────────────────────────────
+
+  parseProgram() {
+    const start = 0;
+    const body = this.parseDirectives(() => this.peek().type === 'eof', true);
+    const program = this.finish({ type: 'Program', sourceType: this.sourceType, body }, start);
+    program.end = this.code.length;
+    program.comments = this.comments;
+    if (this.typescript) program.typeNames = [...this.typeNames];
+    return program;
+  }
+
+  parseDirectives(isEnd, topLevel = false) {
+    const body = [];
+    let prologue = true;
+
+    while (!isEnd()) {
+      const statement = topLevel ? this.parseModuleItem() : this.parseStatement();
+
+      if (prologue && statement.type === 'ExpressionStatement' &&
+          statement.expression.type === 'Literal' && typeof statement.expression.value === 'string' &&
+          !statement.expression.parenthesized) {
+        statement.directive = statement.expression.raw.slice(1, -1);
+      } else {
+        prologue = false;
+      }
+
+      body.push(statement);
+    }
+
+    return body;
+  }
+
+  parseModuleItem() {
+    if (this.at('import') && !this.atPunct('(', 1) && !this.atPunct('.', 1)) {
+      this.sourceType = 'module';
+      return this.parseImport();
+    }
+    if (this.at('export')) {
+      this.sourceType = 'module';
+      return this.parseExport();
+    }
+    return this.parseStatement();
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    const start = token.start;
+
+    if (token.type === 'punctuator') {
+      if (token.value === '{') return this.parseBlock();
+      if (token.value === ';') {
+        this.next();
+        return this.finish({ type: 'EmptyStatement' }, start);
+      }
+      if (token.value === '@') return this.parseDecoratedClass();
+    }
+
+    if (token.type === 'name' && this.typescript) {
+      const declaration = this.parseTypeScriptDeclaration();
+      if (declaration) return declaration;
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'var':
+        case 'const':
+          return this.parseVarStatement();
+        case 'let':
+          if (this.peek(1).type === 'name' || this.atPunct('[', 1) || this.atPunct('{', 1)) {
+            return this.parseVarStatement();
+          }
+          break;
+        case 'function':
+          return this.parseFunction(true, false);
+        case 'async':
+          if (this.at('function', 1) && !this.peek(1).newlineBefore) {
+            this.next();
+            return this.parseFunction(true, true, start);
+          }
+          break;
+        case 'class':
+          return this.parseClass(true);
+        case 'if':
+          return this.parseIf();
+        case 'for':
+          return this.parseFor();
+        case 'while':
+          return this.parseWhile();
+        case 'do':
+          return this.parseDoWhile();
+        case 'return':
+          return this.parseJump('ReturnStatement');
+        case 'throw':
+          return this.parseJump('ThrowStatement');
+        case 'break':
+          return this.parseBreakContinue('BreakStatement');
+        case 'continue':
+          return this.parseBreakContinue('ContinueStatement');
+        case 'try':
+          return this.parseTry();
+        case 'switch':
+          return this.parseSwitch();
+        case 'with': {
+          this.next();
+          this.expect('(');
+          const object = this.parseExpression();
+          this.expect(')');
+          const body = this.parseStatement();
+          return this.finish({ type: 'WithStatement', object, body }, start);
+        }
+        case 'debugger':
+          this.next();
+          this.semicolon();
+          return this.finish({ type: 'DebuggerStatement' }, start);
+        case 'import':
+        case 'export':
+          // Declarations are only allowed at the top level, which parseModuleItem() handles
+          if (this.at('export') || (!this.atPunct('(', 1) && !this.atPunct('.', 1))) {
+            this.raise(`'${token.value}' may only appear at the top level`, token);
+          }
+          break;
+        default:
+          if (this.isIdentifierToken(token) && this.atPunct(':', 1)) {
+            const label = this.parseIdentifier();
+            this.expect(':');
+            const body = this.parseStatement();
+            return this.finish({ type: 'LabeledStatement', label, body }, start);
+          }
+      }
+    }
+
+    const expression = this.parseExpression();
+    this.semicolon();
+    return this.finish({ type: 'ExpressionStatement', expression }, start);
+  }
+
+  parseBlock(type = 'BlockStatement') {
+    const start = this.expect('{').start;
+    const body = [];
+    while (!this.atPunct('}')) body.push(this.parseStatement());
+    this.next();
+    return this.finish({ type, body }, start);
+  }
+
+  parseFunctionBody() {
+    const start = this.expect('{').start;
+    const body = this.parseDirectives(() => this.atPunct('}'));
+    this.next();
+    return this.finish({ type: 'BlockStatement', body }, start);
+  }
+
+  parseVarStatement() {
+    const declaration = this.parseVar();
+    this.semicolon();
+    declaration.end = this.lastEnd;
+    return declaration;
+  }
+
+  parseVar() {
+    const start = this.peek().start;
+    const kind = this.next().value;
+    const declarations = [];
+
+    do {
+      const declStart = this.peek().start;
+      const id = this.parseBindingTarget();
+      if (this.typescript) {
+        this.eat('!');
+        if (this.eat(':')) this.skipType();
+      }
+      let init = null;
+      if (this.eat('=')) init = this.parseAssignment();
+      declarations.push(this.finish({ type: 'VariableDeclarator', id, init }, declStart));
+    } while (this.eat(','));
+
+    return this.finish({ type: 'VariableDeclaration', kind, declarations }, start);
+  }
+
+  parseIf() {
+    const start = this.next().start;
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    const consequent = this.parseStatement();
+    const alternate = this.eat('else') ? this.parseStatement() : null;
+    return this.finish({ type: 'IfStatement', test, consequent, alternate }, start);
+  }
+
+  parseWhile() {
+    const start = this.next().start;
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+    return this.finish({ type: 'WhileStatement', test, body }, start);
+  }
+
+  parseDoWhile() {
+    const start = this.next().start;
+    const body = this.parseStatement();
+    this.expect('while');
+    this.expect('(');
+    const test = this.parseExpression();
+    this.expect(')');
+    this.eat(';');
+    return this.finish({ type: 'DoWhileStatement', body, test }, start);
+  }
+
+  parseFor() {
+    const start = this.next().start;
+    const isAwait = this.eat('await');
+    this.expect('(');
+
+    let init = null;
+    if (!this.atPunct(';')) {
+      this.noIn = true;
+      const isDeclaration = this.at('var') || this.at('const') ||
+        (this.at('let') && (this.peek(1).type === 'name' || this.atPunct('[', 1) || this.atPunct('{', 1)));
+      init = isDeclaration ? this.parseVar() : this.parseExpression();
+      this.noIn = false;
+    }
+
+    if (init && (this.at('of') || this.at('in'))) {
+      const type = this.next().value === 'of' ? 'ForOfStatement' : 'ForInStatement';
+      const left = init.type === 'VariableDeclaration' ? init : this.toAssignable(init);
+      const right = type === 'ForOfStatement' ? this.parseAssignment() : this.parseExpression();
+      this.expect(')');
+      const body = this.parseStatement();
+      const node = { type, left, right, body };
+      if (type === 'ForOfStatement') node.await = isAwait;
+      return this.finish(node, start);
+    }
+
+    this.expect(';');
+    const test = this.atPunct(';') ? null : this.parseExpression();
+    this.expect(';');
+    const update = this.atPunct(')') ? null : this.parseExpression();
+    this.expect(')');
+    const body = this.parseStatement();
+    return this.finish({ type: 'ForStatement', init, test, update, body }, start);
+  }
+
+  parseJump(type) {
+    const start = this.next().start;
+    let argument = null;
+    const token = this.peek();
+    if (!this.atPunct(';') && !this.atPunct('}') && token.type !== 'eof' && !token.newlineBefore) {
+      argument = this.parseExpression();
+    }
+    this.semicolon();
+    return this.finish({ type, argument }, start);
+  }
+
+  parseBreakContinue(type) {
+    const start = this.next().start;
+    let label = null;
+    if (this.isIdentifierToken() && !this.peek().newlineBefore) label = this.parseIdentifier();
+    this.semicolon();
+    return this.finish({ type, label }, start);
+  }
+
+  parseTry() {
+    const start = this.next().start;
+    const block = this.parseBlock();
+    let handler = null;
+    let finalizer = null;
+
+    if (this.at('catch')) {
+      const catchStart = this.next().start;
+      let param = null;
+      if (this.eat('(')) {
+        param = this.parseBindingTarget();
+        if (this.typescript && this.eat(':')) this.skipType();
+        this.expect(')');
+      }
+      const body = this.parseBlock();
+      handler = this.finish({ type: 'CatchClause', param, body }, catchStart);
+    }
+
+    if (this.eat('finally')) finalizer = this.parseBlock();
+    if (!handler && !finalizer) this.unexpected();
+
+    return this.finish({ type: 'TryStatement', block, handler, finalizer }, start);
+  }
+
+  parseSwitch() {
+    const start = this.next().start;
+    this.expect('(');
+    const discriminant = this.parseExpression();
+    this.expect(')');
+    this.expect('{');
+    const cases = [];
+
+    while (!this.atPunct('}')) {
+      const caseStart = this.peek().start;
+      let test = null;
+      if (this.eat('case')) test = this.parseExpression();
+      else this.expect('default');
+      this.expect(':');
+      const consequent = [];
+      while (!this.at('case') && !this.at('default') && !this.atPunct('}')) {
+        consequent.push(this.parseStatement());
+      }
+      cases.push(this.finish({ type: 'SwitchCase', test, consequent }, caseStart));
+    }
+
+    this.next();
+    return this.finish({ type: 'SwitchStatement', discriminant, cases }, start);
+  }
+
+  // ── Modules ───────────────────────────────────────────────────
+
+  parseModuleSource() {
+    const token = this.next();
+    if (token.type !== 'string') this.unexpected(token);
+    const source = this.finish({ type: 'Literal', value: unquote(token.value), raw: token.value }, token.start);
+    // Import attributes: `with { type: 'json' }`
+    if ((this.at('with') || this.at('assert')) && !this.peek().newlineBefore && this.atPunct('{', 1)) {
+      this.next();
+      this.parseObjectLike();
+    }
+    return source;
+  }
+
+  parseModuleExportName() {
+    const token = this.peek();
+    if (token.type === 'string') {
+      this.next();
+      return this.finish({ type: 'Literal', value: unquote(token.value), raw: token.value }, token.start);
+    }
+    return this.parseIdentifier(true);
+  }
+
+  parseImport() {
+    const start = this.next().start;
+    const specifiers = [];
+
+    // `import type …` binds nothing at runtime
+    if (this.typescript && this.at('type') && !this.at('from', 1) && !this.atPunct(',', 1)) {
+      this.inType(() => {
+        while (this.peek().type !== 'string') this.next();
+      });
+      const source = this.parseModuleSource();
+      this.semicolon();
+      return this.finish({ type: 'ImportDeclaration', importKind: 'type', specifiers, source }, start);
+    }
+
+    if (this.peek().type !== 'string') {
+      if (this.isIdentifierToken()) {
+        const local = this.parseIdentifier();
+        specifiers.push(this.finish({ type: 'ImportDefaultSpecifier', local }, local.start));
+        this.eat(',');
+      }
+
+      if (this.atPunct('*')) {
+        const nsStart = this.next().start;
+        this.expect('as');
+        const local = this.parseIdentifier();
+        specifiers.push(this.finish({ type: 'ImportNamespaceSpecifier', local }, nsStart));
+      } else if (this.atPunct('{')) {
+        this.next();
+        while (!this.atPunct('}')) {
+          const specStart = this.peek().start;
+          // `import { type A }`: a type, so no binding
+          const typeOnly = this.typescript && this.at('type') && this.peek(1).type === 'name' && !this.at('as', 1);
+          if (typeOnly) this.next();
+          this.typeDepth += typeOnly ? 1 : 0;
+          const imported = this.parseModuleExportName();
+          const local = this.eat('as') ? this.parseIdentifier() : { ...imported, type: 'Identifier', name: imported.name || imported.value };
+          this.typeDepth -= typeOnly ? 1 : 0;
+          if (!typeOnly) specifiers.push(this.finish({ type: 'ImportSpecifier', imported, local }, specStart));
+          if (!this.atPunct('}')) this.expect(',');
+        }
+        this.next();
+      }
+
+      this.expect('from');
+    }
+
+    const source = this.parseModuleSource();
+    this.semicolon();
+    return this.finish({ type: 'ImportDeclaration', specifiers, source }, start);
+  }
+
+  parseExport() {
+    const start = this.next().start;
+
+    // `export type { A }` and `export type * from` re-export types
+    if (this.typescript && this.at('type') && (this.atPunct('{', 1) || this.atPunct('*', 1))) this.next();
+
+    if (this.atPunct('*')) {
+      this.next();
+      const exported = this.eat('as') ? this.parseModuleExportName() : null;
+      this.expect('from');
+      const source = this.parseModuleSource();
+      this.semicolon();
+      return this.finish({ type: 'ExportAllDeclaration', exported, source }, start);
+    }
+
+    if (this.eat('default')) {
+      let declaration;
+      if (this.at('function') || (this.at('async') && this.at('function', 1) && !this.peek(1).newlineBefore)) {
+        const fnStart = this.peek().start;
+        const isAsync = this.eat('async');
+        declaration = this.parseFunction(true, isAsync, fnStart, true);
+      } else if (this.at('class')) {
+        declaration = this.parseClass(true, true);
+      } else if (this.atPunct('@')) {
+        const decorators = this.parseDecorators();
+        declaration = this.parseClass(true, true);
+        declaration.decorators = decorators;
+      } else {
+        declaration = this.parseAssignment();
+        this.semicolon();
+      }
+      return this.finish({ type: 'ExportDefaultDeclaration', declaration }, start);
+    }
+
+    if (this.atPunct('{')) {
+      this.next();
+      const specifiers = [];
+      while (!this.atPunct('}')) {
+        const specStart = this.peek().start;
+        const local = this.parseModuleExportName();
+        const exported = this.eat('as') ? this.parseModuleExportName() : local;
+        specifiers.push(this.finish({ type: 'ExportSpecifier', local, exported }, specStart));
+        if (!this.atPunct('}')) this.expect(',');
+      }
+      this.next();
+      const source = this.eat('from') ? this.parseModuleSource() : null;
+      this.semicolon();
+      return this.finish({ type: 'ExportNamedDeclaration', declaration: null, specifiers, source }, start);
+    }
+
+    const declaration = this.parseStatement();
+    return this.finish({ type: 'ExportNamedDeclaration', declaration, specifiers: [], source: null }, start);
+  }
+
+  // ── Functions & classes ───────────────────────────────────────
+
+  parseFunction(isStatement, isAsync, start = this.peek().start, optionalId = false) {
+    this.expect('function');
+    const generator = this.eat('*');
+    let id = null;
+
+    if (this.isIdentifierToken()) {
+      id = this.parseIdentifier();
+    } else if (isStatement && !optionalId) {
+      this.unexpected();
+    }
+
+    const { params, body } = this.parseFunctionRest(isAsync, generator);
+    const type = !body ? 'TSDeclareFunction' : isStatement ? 'FunctionDeclaration' : 'FunctionExpression';
+    return this.finish({ type, id, params, body, async: isAsync, generator, expression: false }, start);
+  }
+
+  parseFunctionRest(isAsync, generator) {
+    return this.withContext({ async: isAsync, generator, topLevel: false }, () => {
+      if (this.typescript && this.atPunct('<')) this.skipTypeParameters();
+      const params = this.parseParams();
+      if (this.typescript && this.eat(':')) this.skipReturnType();
+      // Overload signatures and abstract methods have no body
+      if (this.typescript && !this.atPunct('{')) {
+        this.semicolon();
+        return { params, body: null };
+      }
+      const body = this.parseFunctionBody();
+      return { params, body };
+    });
+  }
+
+  parseParams() {
+    this.expect('(');
+    const params = [];
+    while (!this.atPunct(')')) {
+      const decorators = this.parseDecorators();
+      if (this.typescript && this.at('this') && this.atPunct(':', 1)) {
+        // `this: Type` declares the type of `this`, not a parameter
+        this.inType(() => {
+          this.next();
+          this.next();
+          this.skipType();
+        });
+      } else {
+        // `constructor(private readonly name: string)` also declares a field
+        let parameterProperty = false;
+        while (this.typescript && PARAMETER_MODIFIERS.some(word => this.at(word)) &&
+            (this.peek(1).type === 'name' || this.atPunct('{', 1) || this.atPunct('[', 1))) {
+          this.next();
+          parameterProperty = true;
+        }
+        const param = this.parseBindingElement();
+        if (decorators.length > 0) param.decorators = decorators;
+        if (parameterProperty) param.parameterProperty = true;
+        params.push(param);
+      }
+      if (!this.atPunct(')')) this.expect(',');
+    }
+    this.next();
+    return params;
+  }
+
+  parseClass(isStatement, optionalId = false) {
+    const start = this.expect('class').start;
+    let id = null;
+    if (this.isIdentifierToken() && !this.at('extends') && !(this.typescript && this.at('implements'))) id = this.parseIdentifier();
+    else if (isStatement && !optionalId) this.unexpected();
+
+    if (this.typescript && this.atPunct('<')) this.skipTypeParameters();
+    const superClass = this.eat('extends') ? this.parseLeftHandSide() : null;
+    if (this.typescript) {
+      if (superClass && this.atPunct('<')) this.skipTypeArguments();
+      if (this.eat('implements')) {
+        this.inType(() => {
+          do this.skipType(); while (this.eat(','));
+        });
+      }
+    }
+    const body = this.parseClassBody();
+    const type = isStatement ? 'ClassDeclaration' : 'ClassExpression';
+    return this.finish({ type, id, superClass, body }, start);
+  }
+
+  parseClassBody() {
+    const start = this.expect('{').start;
+    const body = [];
+
+    while (!this.atPunct('}')) {
+      if (this.eat(';')) continue;
+      body.push(this.parseClassMember());
+    }
+
+    this.next();
+    return this.finish({ type: 'ClassBody', body }, start);
+  }
+
+  // Is the modifier at the cursor followed by a member name (and not used as one)?
+  isModifier(word) {
+    if (!this.at(word)) return false;
+    const after = this.peek(1);
+    if (after.type === 'eof' || (after.newlineBefore && word !== 'static')) return false;
+    return !(after.type === 'punctuator' && ['(', '=', ';', '}', ',', ':', '?', '!', '<'].includes(after.value));
+  }
+
+  parseClassMember() {
+    const start = this.peek().start;
+    const decorators = this.parseDecorators();
+    const decorate = member => (decorators.length > 0 ? Object.assign(member, { decorators }) : member);
+    let isStatic = false;
+
+    for (;;) {
+      if (!isStatic && this.isModifier('static')) {
+        this.next();
+        isStatic = true;
+        if (this.atPunct('{')) {
+          const block = this.withContext({ async: false, generator: false, topLevel: false }, () => this.parseBlock('StaticBlock'));
+          block.start = start;
+          return block;
+        }
+      } else if (this.typescript && MEMBER_MODIFIERS.some(word => this.isModifier(word))) {
+        this.next();
+      } else {
+        break;
+      }
+    }
+
+    // `[key: string]: Type;`
+    if (this.typescript && this.atPunct('[') && this.peek(1).type === 'name' && this.atPunct(':', 2)) {
+      this.inType(() => {
+        this.skipBalanced();
+        if (this.eat(':')) this.skipType();
+      });
+      this.semicolon();
+      return this.finish({ type: 'TSIndexSignature', static: isStatic }, start);
+    }
+
+    const { kind, key, computed, isAsync, generator } = this.parseMemberHead();
+    if (this.typescript && !this.eat('?')) this.eat('!');
+
+    if (this.atPunct('(') || (this.typescript && this.atPunct('<'))) {
+      const value = this.parseMethod(isAsync, generator, key.start);
+      if (!value.body) return this.finish({ type: 'TSDeclareMethod', key, kind, computed, static: isStatic }, start);
+      const isConstructor = !isStatic && !computed && kind === 'method' &&
+        (key.name === 'constructor' || key.value === 'constructor');
+      return decorate(this.finish({
+        type: 'MethodDefinition',
+        key,
+        value,
+        kind: isConstructor ? 'constructor' : kind,
+        computed,
+        static: isStatic
+      }, start));
+    }
+
+    if (this.typescript && this.eat(':')) this.skipType();
+    let value = null;
+    if (this.eat('=')) {
+      value = this.withContext({ async: false, generator: false, topLevel: false }, () => this.parseAssignment());
+    }
+    this.semicolon();
+    return decorate(this.finish({ type: 'PropertyDefinition', key, value, computed, static: isStatic }, start));
+  }
+
+  // Shared by class members and object literal methods: modifiers plus key
+  parseMemberHead() {
+    let kind = 'method';
+    let isAsync = false;
+    let generator = false;
+
+    if (this.isModifier('async') && !this.peek(1).newlineBefore) {
+      this.next();
+      isAsync = true;
+    }
+    if (this.eat('*')) generator = true;
+    if (!isAsync && !generator && (this.isModifier('get') || this.isModifier('set'))) {
+      kind = this.next().value;
+    }
+
+    const { key, computed } = this.parsePropertyKey();
+    return { kind, key, computed, isAsync, generator };
+  }
+
+  parsePropertyKey() {
+    const token = this.peek();
+
+    if (this.atPunct('[')) {
+      this.next();
+      const key = this.withContext({}, () => this.parseAssignment());
+      this.expect(']');
+      return { key, computed: true };
+    }
+
+    this.next();
+    if (token.type === 'string') {
+      return { key: this.finish({ type: 'Literal', value: unquote(token.value), raw: token.value }, token.start), computed: false };
+    }
+    if (token.type === 'number') {
+      return { key: this.finish({ type: 'Literal', value: Number(token.value.replace(/_/g, '').replace(/n$/, '')), raw: token.value }, token.start), computed: false };
+    }
+    if (token.type === 'name') {
+      const type = token.value[0] === '#' ? 'PrivateIdentifier' : 'Identifier';
+      const name = type === 'PrivateIdentifier' ? token.value.slice(1) : token.value;
+      return { key: this.finish({ type, name }, token.start), computed: false };
+    }
+
+    this.unexpected(token);
+  }
+
+  parseMethod(isAsync, generator, start) {
+    const { params, body } = this.parseFunctionRest(isAsync, generator);
+    return this.finish({ type: 'FunctionExpression', id: null, params, body, async: isAsync, generator, expression: false }, start);
+  }
+
+  // ── Patterns ──────────────────────────────────────────────────
+
+  parseBindingTarget() {
+    if (this.atPunct('[')) return this.parseArrayPattern();
+    if (this.atPunct('{')) return this.parseObjectPattern();
+    return this.parseIdentifier();
+  }
+
+  parseBindingElement() {
+    const start = this.peek().start;
+    if (this.eat('...')) {
+      const argument = this.parseBindingTarget();
+      if (this.typescript && this.eat(':')) this.skipType();
+      return this.finish({ type: 'RestElement', argument }, start);
+    }
+    const target = this.parseBindingTarget();
+    // `name?: Type`
+    if (this.typescript) {
+      this.eat('?');
+      if (this.eat(':')) this.skipType();
+    }
+    if (this.eat('=')) {
+      const right = this.withContext({}, () => this.parseAssignment());
+      return this.finish({ type: 'AssignmentPattern', left: target, right }, start);
+    }
+    return target;
+  }
+
+  parseArrayPattern() {
+    const start = this.expect('[').start;
+    const elements = [];
+    while (!this.atPunct(']')) {
+      if (this.atPunct(',')) {
+        this.next();
+        elements.push(null);
+        continue;
+      }
+      elements.push(this.parseBindingElement());
+      if (!this.atPunct(']')) this.expect(',');
+    }
+    this.next();
+    return this.finish({ type: 'ArrayPattern', elements }, start);
+  }
+
+  parseObjectPattern() {
+    const start = this.expect('{').start;
+    const properties = [];
+
+    while (!this.atPunct('}')) {
+      const propStart = this.peek().start;
+      if (this.eat('...')) {
+        const argument = this.parseBindingTarget();
+        properties.push(this.finish({ type: 'RestElement', argument }, propStart));
+      } else {
+        const { key, computed } = this.parsePropertyKey();
+        let value;
+        let shorthand = false;
+        if (this.eat(':')) {
+          value = this.parseBindingElement();
+        } else {
+          shorthand = true;
+          value = { ...key };
+          if (this.eat('=')) {
+            const right = this.withContext({}, () => this.parseAssignment());
+            value = this.finish({ type: 'AssignmentPattern', left: value, right }, propStart);
+          }
+        }
+        properties.push(this.finish({ type: 'Property', key, value, kind: 'init', method: false, shorthand, computed }, propStart));
+      }
+      if (!this.atPunct('}')) this.expect(',');
+    }
+
+    this.next();
+    return this.finish({ type: 'ObjectPattern', properties }, start);
+  }
+
+  // Reinterpret an expression as an assignment target
+  toAssignable(node) {
+    switch (node.type) {
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+      case 'TSTypeAssertion':
+        return this.toAssignable(node.expression);
+      case 'Identifier':
+      case 'MemberExpression':
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'AssignmentPattern':
+      case 'RestElement':
+        return node;
+      case 'ObjectExpression':
+        node.type = 'ObjectPattern';
+        node.properties.forEach((prop, i) => {
+          if (prop.type === 'SpreadElement') {
+            prop.type = 'RestElement';
+            prop.argument = this.toAssignable(prop.argument);
+          } else {
+            prop.value = this.toAssignable(prop.value);
+          }
+          node.properties[i] = prop;
+        });
+        return node;
+      case 'ArrayExpression':
+        node.type = 'ArrayPattern';
+        node.elements = node.elements.map(el => {
+          if (!el) return el;
+          if (el.type === 'SpreadElement') {
+            el.type = 'RestElement';
+            el.argument = this.toAssignable(el.argument);
+            return el;
+          }
+          return this.toAssignable(el);
+        });
+        return node;
+      case 'AssignmentExpression':
+        if (node.operator !== '=') break;
+        node.type = 'AssignmentPattern';
+        delete node.operator;
+        node.left = this.toAssignable(node.left);
+        return node;
+      default:
+    }
+    this.raise('Invalid assignment target', { start: node.start });
+  }
+
+  // ── Expressions ───────────────────────────────────────────────
+
+  parseExpression() {
+    const start = this.peek().start;
+    const expression = this.parseAssignment();
+    if (!this.atPunct(',')) return expression;
+
+    const expressions = [expression];
+    while (this.eat(',')) expressions.push(this.parseAssignment());
+    return this.finish({ type: 'SequenceExpression', expressions }, start);
+  }
+
+  // Would the token sequence at the cursor start an arrow function?
+  arrowAhead() {
+    const token = this.peek();
+    if (this.isIdentifierToken(token) && this.atPunct('=>', 1) && !this.peek(1).newlineBefore) return 'simple';
+    // `<T>(x: T): T => x`
+    if (this.typescript && (this.atPunct('(') || this.atPunct('<'))) {
+      return this.lookahead(() => {
+        if (this.atPunct('<')) this.skipTypeParameters();
+        if (!this.atPunct('(')) return null;
+        this.pos = this.matchingIndex(this.pos) + 1;
+        if (this.pos === 0) return null;
+        if (this.eat(':')) this.skipReturnType();
+        return this.atPunct('=>') && !this.peek().newlineBefore ? 'paren' : null;
+      });
+    }
+    if (this.atPunct('(')) {
+      const close = this.matchingIndex(this.pos);
+      const after = this.tokens[close + 1];
+      if (close !== -1 && after && after.type === 'punctuator' && after.value === '=>' && !after.newlineBefore) return 'paren';
+    }
+    return null;
+  }
+
+  parseArrow(start, isAsync) {
+    return this.withContext({ async: isAsync, generator: false, topLevel: false }, () => {
+      let params;
+      if (this.typescript && this.atPunct('<')) this.skipTypeParameters();
+      if (this.atPunct('(')) params = this.parseParams();
+      else params = [this.parseIdentifier()];
+
+      if (this.typescript && this.eat(':')) this.skipReturnType();
+      this.expect('=>');
+
+      let body;
+      let expression = false;
+      if (this.atPunct('{')) {
+        body = this.parseFunctionBody();
+      } else {
+        const savedNoIn = this.noIn;
+        body = this.parseAssignment();
+        this.noIn = savedNoIn;
+        expression = true;
+      }
+
+      return this.finish({ type: 'ArrowFunctionExpression', id: null, params, body, async: isAsync, generator: false, expression }, start);
+    });
+  }
+
+  parseAssignment() {
+    const start = this.peek().start;
+
+    if (this.at('yield') && this.context.generator) return this.parseYield();
+
+    if (this.at('async') && !this.peek(1).newlineBefore) {
+      const saved = this.pos;
+      this.next();
+      if (this.arrowAhead()) return this.parseArrow(start, true);
+      this.pos = saved;
+    }
+
+    if (this.arrowAhead()) return this.parseArrow(start, false);
+
+    const left = this.parseConditional();
+    const token = this.peek();
+
+    if (token.type === 'punctuator' && ASSIGNMENT_OPERATORS.has(token.value)) {
+      this.next();
+      const target = token.value === '=' ? this.toAssignable(left) : left;
+      const right = this.parseAssignment();
+      return this.finish({ type: 'AssignmentExpression', operator: token.value, left: target, right }, start);
+    }
+
+    return left;
+  }
+
+  parseYield() {
+    const start = this.next().start;
+    const delegate = !this.peek().newlineBefore && this.eat('*');
+    let argument = null;
+    const token = this.peek();
+    const ends = token.type === 'eof' || token.newlineBefore ||
+      (token.type === 'punctuator' && [')', ']', '}', ',', ';', ':'].includes(token.value));
+    if (delegate || !ends) argument = this.parseAssignment();
+    return this.finish({ type: 'YieldExpression', argument, delegate }, start);
+  }
+
+  parseConditional() {
+    const start = this.peek().start;
+    const test = this.parseBinary(0);
+    if (!this.atPunct('?')) return test;
+
+    this.next();
+    const savedNoIn = this.noIn;
+    this.noIn = false;
+    const consequent = this.parseAssignment();
+    this.noIn = savedNoIn;
+    this.expect(':');
+    const alternate = this.parseAssignment();
+    return this.finish({ type: 'ConditionalExpression', test, consequent, alternate }, start);
+  }
+
+  parseBinary(minPrecedence) {
+    const start = this.peek().start;
+    let left;
+
+    // `#field in object`
+    if (this.peek().type === 'name' && this.peek().value[0] === '#' && this.at('in', 1)) {
+      const token = this.next();
+      left = this.finish({ type: 'PrivateIdentifier', name: token.value.slice(1) }, token.start);
+    } else {
+      left = this.parseUnary();
+    }
+
+    for (;;) {
+      const token = this.peek();
+      const operator = token.value;
+
+      // `value as Type` and `value satisfies Type` bind like `<`
+      if (this.typescript && token.type === 'name' && (operator === 'as' || operator === 'satisfies') &&
+          !token.newlineBefore && BINARY_PRECEDENCE['<'] > minPrecedence) {
+        this.next();
+        this.skipType();
+        left = this.finish({ type: operator === 'as' ? 'TSAsExpression' : 'TSSatisfiesExpression', expression: left }, start);
+        continue;
+      }
+
+      const isOperator = (token.type === 'punctuator' || operator === 'in' || operator === 'instanceof') &&
+        BINARY_PRECEDENCE[operator] !== undefined;
+      if (!isOperator || (operator === 'in' && this.noIn)) break;
+
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (precedence <= minPrecedence && !(operator === '**' && precedence === minPrecedence)) break;
+
+      this.next();
+      const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence);
+      const type = LOGICAL_OPERATORS.has(operator) ? 'LogicalExpression' : 'BinaryExpression';
+      left = this.finish({ type, operator, left, right }, start);
+    }
+
+    return left;
+  }
+
+  canStartAwait() {
+    if (this.context.async) return true;
+    if (!this.context.topLevel) return false;
+    // Top-level await in modules; an identifier named `await` elsewhere
+    const after = this.peek(1);
+    if (after.type === 'eof' || after.newlineBefore) return false;
+    return after.type !== 'punctuator' || ['(', '[', '{', '!', '-', '+', '~', '`'].includes(after.value);
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    const start = token.start;
+
+    if ((token.type === 'punctuator' || token.type === 'name') && UNARY_OPERATORS.has(token.value)) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'UnaryExpression', operator: token.value, prefix: true, argument }, start);
+    }
+
+    if (token.type === 'punctuator' && (token.value === '++' || token.value === '--')) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'UpdateExpression', operator: token.value, prefix: true, argument }, start);
+    }
+
+    // `<Type>value`, which .tsx files spell `value as Type`
+    if (this.typescript && !this.jsx && token.type === 'punctuator' && token.value === '<') {
+      this.inType(() => {
+        this.next();
+        this.skipType();
+        this.expectTypeClose();
+      });
+      const argument = this.parseUnary();
+      return this.finish({ type: 'TSTypeAssertion', expression: argument }, start);
+    }
+
+    if (this.at('await') && this.canStartAwait()) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'AwaitExpression', argument }, start);
+    }
+
+    const expression = this.parseLeftHandSide(true);
+    const after = this.peek();
+    if (after.type === 'punctuator' && (after.value === '++' || after.value === '--') && !after.newlineBefore) {
+      this.next();
+      return this.finish({ type: 'UpdateExpression', operator: after.value, prefix: false, argument: expression }, start);
+    }
+
+    return expression;
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    this.withContext({}, () => {
+      while (!this.atPunct(')')) {
+        const start = this.peek().start;
+        if (this.eat('...')) {
+          const argument = this.parseAssignment();
+          args.push(this.finish({ type: 'SpreadElement', argument }, start));
+        } else {
+          args.push(this.parseAssignment());
+        }
+        if (!this.atPunct(')')) this.expect(',');
+      }
+    });
+    this.next();
+    return args;
+  }
+
+  parseNew() {
+    const start = this.next().start;
+
+    if (this.atPunct('.')) {
+      this.next();
+      const property = this.parseIdentifier(true);
+      const meta = this.finish({ type: 'Identifier', name: 'new' }, start);
+      meta.end = start + 3;
+      return this.finish({ type: 'MetaProperty', meta, property }, start);
+    }
+
+    let callee = this.at('new') ? this.parseNew() : this.parsePrimary();
+    // Member accesses bind to the callee; the first call ends it
+    for (;;) {
+      if (this.atPunct('.')) {
+        this.next();
+        const property = this.parseMemberName();
+        callee = this.finish({ type: 'MemberExpression', object: callee, property, computed: false, optional: false }, start);
+      } else if (this.atPunct('[')) {
+        this.next();
+        const property = this.withContext({}, () => this.parseExpression());
+        this.expect(']');
+        callee = this.finish({ type: 'MemberExpression', object: callee, property, computed: true, optional: false }, start);
+      } else if (this.peek().type === 'template' && ['full', 'head'].includes(this.peek().templateKind)) {
+        const quasi = this.parseTemplate();
+        callee = this.finish({ type: 'TaggedTemplateExpression', tag: callee, quasi }, start);
+      } else {
+        break;
+      }
+    }
+
+    if (this.typescript && this.atPunct('<')) this.speculate(() => this.skipTypeArguments());
+    const args = this.atPunct('(') ? this.parseArguments() : [];
+    return this.finish({ type: 'NewExpression', callee, arguments: args }, start);
+  }
+
+  parseLeftHandSide(allowCalls = true) {
+    const start = this.peek().start;
+    let expression;
+
+    if (this.at('new')) {
+      expression = this.parseNew();
+    } else if (this.at('super')) {
+      this.next();
+      expression = this.finish({ type: 'Super' }, start);
+    } else if (this.at('import') && (this.atPunct('(', 1) || this.atPunct('.', 1))) {
+      this.next();
+      if (this.eat('.')) {
+        const meta = this.finish({ type: 'Identifier', name: 'import' }, start);
+        meta.end = start + 6;
+        const property = this.parseIdentifier(true);
+        expression = this.finish({ type: 'MetaProperty', meta, property }, start);
+      } else {
+        const args = this.parseArguments();
+        expression = this.finish({ type: 'ImportExpression', source: args[0], options: args[1] || null }, start);
+      }
+    } else {
+      expression = this.parsePrimary();
+    }
+
+    let chained = false;
+
+    for (;;) {
+      const token = this.peek();
+
+      if (token.type === 'punctuator' && token.value === '.') {
+        this.next();
+        const property = this.parseMemberName();
+        expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: false, optional: false }, start);
+      } else if (token.type === 'punctuator' && token.value === '?.') {
+        this.next();
+        chained = true;
+        if (this.atPunct('(')) {
+          const args = this.parseArguments();
+          expression = this.finish({ type: 'CallExpression', callee: expression, arguments: args, optional: true }, start);
+        } else if (this.atPunct('[')) {
+          this.next();
+          const property = this.withContext({}, () => this.parseExpression());
+          this.expect(']');
+          expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: true, optional: true }, start);
+        } else {
+          const property = this.parseMemberName();
+          expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: false, optional: true }, start);
+        }
+      } else if (token.type === 'punctuator' && token.value === '[') {
+        this.next();
+        const property = this.withContext({}, () => this.parseExpression());
+        this.expect(']');
+        expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: true, optional: false }, start);
+      } else if (allowCalls && token.type === 'punctuator' && token.value === '(') {
+        const args = this.parseArguments();
+        expression = this.finish({ type: 'CallExpression', callee: expression, arguments: args, optional: false }, start);
+      } else if (token.type === 'template' && (token.templateKind === 'full' || token.templateKind === 'head')) {
+        const quasi = this.parseTemplate();
+        expression = this.finish({ type: 'TaggedTemplateExpression', tag: expression, quasi }, start);
+      } else if (this.typescript && token.type === 'punctuator' && token.value === '!' && !token.newlineBefore) {
+        this.next();
+        expression = this.finish({ type: 'TSNonNullExpression', expression }, start);
+      } else if (this.typescript && token.type === 'punctuator' && token.value === '<' && this.speculate(() => this.skipCallTypeArguments())) {
+        // `f<T>(x)`: the call itself is read on the next pass
+      } else {
+        break;
+      }
+    }
+
+    if (chained) {
+      expression = this.finish({ type: 'ChainExpression', expression }, start);
+    }
+
+    return expression;
+  }
+
+  parseMemberName() {
+    const token = this.next();
+    if (token.type !== 'name') this.unexpected(token);
+    if (token.value[0] === '#') {
+      return this.finish({ type: 'PrivateIdentifier', name: token.value.slice(1) }, token.start);
+    }
+    return this.finish({ type: 'Identifier', name: token.value }, token.start);
+  }
+
+  parseIdentifier(allowReserved = false) {
+    const token = this.peek();
+    if (token.type !== 'name' || (!allowReserved && RESERVED_WORDS.has(token.value)) || token.value[0] === '#') {
+      this.unexpected(token);
+    }
+    this.next();
+    return this.finish({ type: 'Identifier', name: token.value }, token.start);
+  }
+
+  parseTemplate() {
+    const start = this.peek().start;
+    const quasis = [];
+    const expressions = [];
+
+    const pushQuasi = (token) => {
+      const kind = token.templateKind;
+      const open = 1;
+      const close = kind === 'head' || kind === 'middle' ? 2 : 1;
+      const raw = token.value.slice(open, token.value.length - close);
+      quasis.push({
+        type: 'TemplateElement',
+        value: { raw, cooked: raw },
+        tail: kind === 'full' || kind === 'tail',
+        start: token.start + open,
+        end: token.end - close
+      });
+    };
+
+    let token = this.next();
+    pushQuasi(token);
+
+    while (token.templateKind === 'head' || token.templateKind === 'middle') {
+      expressions.push(this.withContext({}, () => this.parseExpression()));
+      token = this.next();
+      if (token.type !== 'template') this.unexpected(token);
+      pushQuasi(token);
+    }
+
+    return this.finish({ type: 'TemplateLiteral', quasis, expressions }, start);
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    const start = token.start;
+
+    switch (token.type) {
+      case 'number': {
+        this.next();
+        const clean = token.value.replace(/_/g, '');
+        if (clean.endsWith('n')) {
+          return this.finish({ type: 'Literal', value: null, raw: token.value, bigint: clean.slice(0, -1) }, start);
+        }
+        return this.finish({ type: 'Literal', value: Number(clean), raw: token.value }, start);
+      }
+      case 'string':
+        this.next();
+        return this.finish({ type: 'Literal', value: unquote(token.value), raw: token.value }, start);
+      case 'regex': {
+        this.next();
+        const slash = token.value.lastIndexOf('/');
+        return this.finish({
+          type: 'Literal',
+          value: null,
+          raw: token.value,
+          regex: { pattern: token.value.slice(1, slash), flags: token.value.slice(slash + 1) }
+        }, start);
+      }
+      case 'template':
+        return this.parseTemplate();
+      case 'punctuator':
+        if (token.value === '(') {
+          this.next();
+          const expression = this.withContext({}, () => this.parseExpression());
+          this.expect(')');
+          expression.parenthesized = true;
+          return expression;
+        }
+        if (token.value === '[') return this.parseArrayLiteral();
+        if (token.value === '{') return this.parseObjectLike();
+        if (token.jsxStart) return this.parseJSXElement();
+        if (token.value === '@') {
+          const decorators = this.parseDecorators();
+          const node = this.parseClass(false);
+          node.decorators = decorators;
+          return node;
+        }
+        break;
+      case 'name':
+        switch (token.value) {
+          case 'this':
+            this.next();
+            return this.finish({ type: 'ThisExpression' }, start);
+          case 'null':
+            this.next();
+            return this.finish({ type: 'Literal', value: null, raw: 'null' }, start);
+          case 'true':
+          case 'false':
+            this.next();
+            return this.finish({ type: 'Literal', value: token.value === 'true', raw: token.value }, start);
+          case 'function':
+            return this.parseFunction(false, false);
+          case 'async':
+            if (this.at('function', 1) && !this.peek(1).newlineBefore) {
+              this.next();
+              return this.parseFunction(false, true, start);
+            }
+            break;
+          case 'class':
+            return this.parseClass(false);
+          default:
+        }
+        if (token.value[0] === '#') break;
+        return this.parseIdentifier();
+      default:
+    }
+
+    this.unexpected(token);
+  }
+
+  parseArrayLiteral() {
+    const start = this.expect('[').start;
+    const elements = [];
+
+    this.withContext({}, () => {
+      while (!this.atPunct(']')) {
+        if (this.atPunct(',')) {
+          this.next();
+          elements.push(null);
+          continue;
+        }
+        const elStart = this.peek().start;
+        if (this.eat('...')) {
+          const argument = this.parseAssignment();
+          elements.push(this.finish({ type: 'SpreadElement', argument }, elStart));
+        } else {
+          elements.push(this.parseAssignment());
+        }
+        if (!this.atPunct(']')) this.expect(',');
+      }
+    });
+
+    this.next();
+    return this.finish({ type: 'ArrayExpression', elements }, start);
+  }
+
+  parseObjectLike() {
+    const start = this.expect('{').start;
+    const properties = [];
+
+    this.withContext({}, () => {
+      while (!this.atPunct('}')) {
+        properties.push(this.parseObjectMember());
+        if (!this.atPunct('}')) this.expect(',');
+      }
+    });
+
+    this.next();
+    return this.finish({ type: 'ObjectExpression', properties }, start);
+  }
+
+  parseObjectMember() {
+    const start = this.peek().start;
+
+    if (this.eat('...')) {
+      const argument = this.parseAssignment();
+      return this.finish({ type: 'SpreadElement', argument }, start);
+    }
+
+    const { kind, key, computed, isAsync, generator } = this.parseMemberHead();
+
+    if (this.atPunct('(') || (this.typescript && this.atPunct('<'))) {
+      const value = this.parseMethod(isAsync, generator, key.start);
+      return this.finish({ type: 'Property', key, value, kind: kind === 'method' ? 'init' : kind, method: kind === 'method', shorthand: false, computed }, start);
+    }
+
+    if (this.eat(':')) {
+      const value = this.parseAssignment();
+      return this.finish({ type: 'Property', key, value, kind: 'init', method: false, shorthand: false, computed }, start);
+    }
+
+    if (key.type !== 'Identifier' || computed) this.unexpected();
+
+    // Shorthand, possibly `{ a = 1 }` when the object is really a pattern
+    let value = { ...key };
+    if (this.atPunct('=')) {
+      this.next();
+      const right = this.parseAssignment();
+      value = this.finish({ type: 'AssignmentPattern', left: { ...key }, right }, start);
+    }
+
+    return this.finish({ type: 'Property', key, value, kind: 'init', method: false, shorthand: true, computed: false }, start);
+  }
+
+  // ── Decorators ────────────────────────────────────────────────
+
+  // `@name`, `@a.b`, `@a.b(args)` or `@(expression)`
+  parseDecorators() {
+    const decorators = [];
+
+    while (this.atPunct('@')) {
+      const start = this.next().start;
+      let expression;
+      if (this.atPunct('(')) {
+        this.next();
+        expression = this.withContext({}, () => this.parseExpression());
+        this.expect(')');
+      } else {
+        expression = this.parseIdentifier();
+        while (this.eat('.')) {
+          const property = this.parseMemberName();
+          expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: false, optional: false }, expression.start);
+        }
+        if (this.atPunct('(')) {
+          const args = this.parseArguments();
+          expression = this.finish({ type: 'CallExpression', callee: expression, arguments: args, optional: false }, expression.start);
+        }
+      }
+      decorators.push(this.finish({ type: 'Decorator', expression }, start));
+    }
+
+    return decorators;
+  }
+
+  // `@sealed class A {}` or `@sealed export class A {}`
+  parseDecoratedClass() {
+    const decorators = this.parseDecorators();
+    const statement = this.at('export') ? this.parseModuleItem() : this.parseStatement();
+    const target = statement.type === 'ClassDeclaration' ? statement : statement.declaration;
+    if (!target || target.type !== 'ClassDeclaration') this.raise('Decorators must be followed by a class', decorators[0]);
+    target.decorators = decorators;
+    return statement;
+  }
+
+  // ── JSX ───────────────────────────────────────────────────────
+
+  parseJSXIdentifier() {
+    const token = this.next();
+    if (token.type !== 'jsxName') this.unexpected(token);
+    return this.finish({ type: 'JSXIdentifier', name: token.value }, token.start);
+  }
+
+  // `div`, `svg:rect` or `Menu.Item`
+  parseJSXName() {
+    const start = this.peek().start;
+    let name = this.parseJSXIdentifier();
+
+    if (this.eat(':')) {
+      const local = this.parseJSXIdentifier();
+      return this.finish({ type: 'JSXNamespacedName', namespace: name, name: local }, start);
+    }
+    while (this.eat('.')) {
+      const property = this.parseJSXIdentifier();
+      name = this.finish({ type: 'JSXMemberExpression', object: name, property }, start);
+    }
+    return name;
+  }
+
+  parseJSXExpressionContainer() {
+    const start = this.expect('{').start;
+    const expression = this.atPunct('}')
+      ? { type: 'JSXEmptyExpression', start: this.lastEnd, end: this.peek().start }
+      : this.withContext({}, () => this.parseExpression());
+    this.expect('}');
+    return this.finish({ type: 'JSXExpressionContainer', expression }, start);
+  }
+
+  parseJSXAttribute() {
+    const start = this.peek().start;
+
+    if (this.atPunct('{')) {
+      this.next();
+      this.expect('...');
+      const argument = this.withContext({}, () => this.parseAssignment());
+      this.expect('}');
+      return this.finish({ type: 'JSXSpreadAttribute', argument }, start);
+    }
+
+    const name = this.parseJSXName();
+    let value = null;
+    if (this.eat('=')) {
+      const token = this.peek();
+      if (token.type === 'jsxString') {
+        this.next();
+        value = this.finish({ type: 'Literal', value: token.value.slice(1, -1), raw: token.value }, token.start);
+      } else if (this.atPunct('{')) {
+        value = this.parseJSXExpressionContainer();
+      } else if (token.jsxStart) {
+        value = this.parseJSXElement();
+      } else {
+        this.unexpected(token);
+      }
+    }
+    return this.finish({ type: 'JSXAttribute', name, value }, start);
+  }
+
+  // Children up to the `</` of the closing tag
+  parseJSXChildren() {
+    const children = [];
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'jsxText') {
+        this.next();
+        children.push(this.finish({ type: 'JSXText', value: token.value, raw: token.value }, token.start));
+      } else if (this.atPunct('{') && this.atPunct('...', 1)) {
+        const start = this.next().start;
+        this.next();
+        const expression = this.withContext({}, () => this.parseExpression());
+        this.expect('}');
+        children.push(this.finish({ type: 'JSXSpreadChild', expression }, start));
+      } else if (this.atPunct('{')) {
+        children.push(this.parseJSXExpressionContainer());
+      } else if (this.atPunct('<') && this.atPunct('/', 1)) {
+        return children;
+      } else if (token.jsxStart) {
+        children.push(this.parseJSXElement());
+      } else {
+        this.unexpected(token);
+      }
+    }
+  }
+
+  parseJSXElement() {
+    const start = this.expect('<').start;
+
+    if (this.eat('>')) {
+      const openingFragment = this.finish({ type: 'JSXOpeningFragment' }, start);
+      const children = this.parseJSXChildren();
+      const closeStart = this.expect('<').start;
+      this.expect('/');
+      this.expect('>');
+      const closingFragment = this.finish({ type: 'JSXClosingFragment' }, closeStart);
+      return this.finish({ type: 'JSXFragment', openingFragment, children, closingFragment }, start);
+    }
+
+    const name = this.parseJSXName();
+    const attributes = [];
+    while (!this.atPunct('/') && !this.atPunct('>')) attributes.push(this.parseJSXAttribute());
+    const selfClosing = this.eat('/');
+    this.expect('>');
+    const openingElement = this.finish({ type: 'JSXOpeningElement', name, attributes, selfClosing }, start);
+    if (selfClosing) {
+      return this.finish({ type: 'JSXElement', openingElement, children: [], closingElement: null }, start);
+    }
+
+    const children = this.parseJSXChildren();
+    const closeStart = this.expect('<').start;
+    this.expect('/');
+    const closingName = this.parseJSXName();
+    const tagName = this.code.slice(name.start, name.end);
+    if (this.code.slice(closingName.start, closingName.end) !== tagName) {
+      this.raise(`Expected corresponding closing tag for <${tagName}>`, closingName);
+    }
+    this.expect('>');
+    const closingElement = this.finish({ type: 'JSXClosingElement', name: closingName }, closeStart);
+    return this.finish({ type: 'JSXElement', openingElement, children, closingElement }, start);
+  }
+
+  // ── TypeScript ────────────────────────────────────────────────
+
+  // Run a reader of type syntax, collecting the names it consumes
+  inType(fn) {
+    this.typeDepth++;
+    try {
+      return fn();
+    } finally {
+      this.typeDepth--;
+    }
+  }
+
+  rewind({ pos, lastEnd, splits }) {
+    while (this.splits.length > splits) {
+      const { index, token } = this.splits.pop();
+      this.tokens[index] = token;
+    }
+    this.pos = pos;
+    this.lastEnd = lastEnd;
+  }
+
+  // Try a reading of ambiguous syntax; on a syntax error, rewind and
+  // report false
+  speculate(fn) {
+    const saved = { pos: this.pos, lastEnd: this.lastEnd, splits: this.splits.length };
+    try {
+      fn();
+      return true;
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      this.rewind(saved);
+      return false;
+    }
+  }
+
+  // Run fn ahead of the cursor and rewind whatever it returns
+  lookahead(fn) {
+    const saved = { pos: this.pos, lastEnd: this.lastEnd, splits: this.splits.length };
+    try {
+      return fn();
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      return null;
+    } finally {
+      this.rewind(saved);
+    }
+  }
+
+  // Skip from an opening bracket past its partner
+  skipBalanced() {
+    const close = this.matchingIndex(this.pos);
+    if (close === -1) this.unexpected();
+    this.inType(() => {
+      while (this.pos <= close) this.next();
+    });
+  }
+
+  atTypeClose() {
+    const token = this.peek();
+    return token.type === 'punctuator' && token.value[0] === '>';
+  }
+
+  // Consume one `>`; from `>>`, `>>>` or `>=` only the first character
+  expectTypeClose() {
+    const token = this.peek();
+    if (!this.atTypeClose()) this.unexpected();
+    if (token.value === '>') {
+      this.next();
+      return;
+    }
+    this.splits.push({ index: this.pos, token });
+    this.tokens[this.pos] = { ...token, value: token.value.slice(1), start: token.start + 1, newlineBefore: false };
+    this.lastEnd = token.start + 1;
+  }
+
+  // `<T extends Base = Default, const U>`
+  skipTypeParameters() {
+    this.inType(() => {
+      this.expect('<');
+      while (!this.atTypeClose()) {
+        if (['const', 'in', 'out'].includes(this.peek().value) && this.peek(1).type === 'name') this.next();
+        if (this.next().type !== 'name') this.unexpected(this.tokens[this.pos - 1]);
+        if (this.eat('extends')) this.skipType();
+        if (this.eat('=')) this.skipType();
+        if (!this.eat(',')) break;
+      }
+      this.expectTypeClose();
+    });
+  }
+
+  // `<string, Map<K, V>>`
+  skipTypeArguments() {
+    this.inType(() => {
+      this.expect('<');
+      while (!this.atTypeClose()) {
+        this.skipType();
+        if (!this.eat(',')) break;
+      }
+      this.expectTypeClose();
+    });
+  }
+
+  // Type arguments of a call, `f<T>(x)` or a tagged template
+  skipCallTypeArguments() {
+    this.skipTypeArguments();
+    const token = this.peek();
+    const template = token.type === 'template' && (token.templateKind === 'full' || token.templateKind === 'head');
+    if (!this.atPunct('(') && !template) this.unexpected();
+  }
+
+  // `asserts value is Type` or any type
+  skipReturnType() {
+    this.inType(() => {
+      if (this.at('asserts') && this.peek(1).type === 'name' && !this.peek(1).newlineBefore) this.next();
+      this.skipType();
+    });
+  }
+
+  skipType() {
+    this.inType(() => {
+      // Function and constructor types: `(a: A) => B`, `new () => T`
+      const isFunctionType = this.atPunct('<') || this.at('new') || (this.at('abstract') && this.at('new', 1)) ||
+        (this.atPunct('(') && this.atPunct('=>', this.matchingIndex(this.pos) - this.pos + 1));
+      if (isFunctionType) {
+        this.eat('abstract');
+        this.eat('new');
+        if (this.atPunct('<')) this.skipTypeParameters();
+        this.skipBalanced();
+        this.expect('=>');
+        this.skipType();
+        return;
+      }
+
+      this.skipUnionType();
+      // Conditional: `T extends U ? X : Y`
+      if (this.at('extends') && !this.peek().newlineBefore) {
+        this.next();
+        this.skipUnionType();
+        this.expect('?');
+        this.skipType();
+        this.expect(':');
+        this.skipType();
+      }
+    });
+  }
+
+  skipUnionType() {
+    if (!this.eat('|')) this.eat('&');
+    this.skipTypeOperand();
+    while (this.eat('|') || this.eat('&')) this.skipTypeOperand();
+  }
+
+  skipTypeOperand() {
+    const startsType = token => ['name', 'string', 'number', 'template'].includes(token.type) ||
+      (token.type === 'punctuator' && ['(', '[', '{', '-'].includes(token.value));
+    while (['keyof', 'unique', 'readonly', 'infer'].includes(this.peek().value) && startsType(this.peek(1))) this.next();
+
+    const token = this.peek();
+    if (this.atPunct('(')) {
+      this.next();
+      this.skipType();
+      this.expect(')');
+    } else if (this.atPunct('{') || this.atPunct('[')) {
+      this.skipBalanced();
+    } else if (this.at('import') && this.atPunct('(', 1)) {
+      this.next();
+      this.skipBalanced();
+      while (this.eat('.')) this.next();
+    } else if (token.type === 'template') {
+      let chunk = this.next();
+      while (chunk.templateKind === 'head' || chunk.templateKind === 'middle') {
+        this.skipType();
+        chunk = this.next();
+        if (chunk.type !== 'template') this.unexpected(chunk);
+      }
+    } else if (token.type === 'string' || token.type === 'number') {
+      this.next();
+    } else if (this.atPunct('-') && this.peek(1).type === 'number') {
+      this.next();
+      this.next();
+    } else if (token.type === 'name') {
+      // `typeof value`, `Namespace.Type<Args>`, or the predicate `value is Type`
+      if (this.at('typeof')) this.next();
+      this.next();
+      while (this.eat('.')) this.next();
+      if (this.atPunct('<') && !this.peek().newlineBefore) this.skipTypeArguments();
+      if (this.at('is') && !this.peek().newlineBefore) {
+        this.next();
+        this.skipType();
+        return;
+      }
+    } else {
+      this.unexpected(token);
+    }
+
+    // `T[]` and `T[K]`
+    while (this.atPunct('[') && !this.peek().newlineBefore) this.skipBalanced();
+  }
+
+  // The rest of a `declare` statement: up to a `;`, the end of a braced
+  // body, or a line break that cannot continue it
+  skipAmbientDeclaration() {
+    this.inType(() => {
+      let last = null;
+      for (;;) {
+        const token = this.peek();
+        if (token.type === 'eof' || this.atPunct('}')) return;
+        if (last && token.newlineBefore && !TYPE_CONTINUATIONS.has(token.value) && !TYPE_CONTINUATIONS.has(last.value)) return;
+        if (this.eat(';')) return;
+        if (token.type === 'punctuator' && ['(', '[', '{'].includes(token.value)) {
+          this.skipBalanced();
+          last = this.tokens[this.pos - 1];
+        } else {
+          last = this.next();
+        }
+      }
+    });
+  }
+
+  // Statements that exist only for the type checker; null for anything else
+  parseTypeScriptDeclaration() {
+    const token = this.peek();
+    const start = token.start;
+    const word = token.value;
+    const after = this.peek(1);
+    const sameLine = !after.newlineBefore;
+
+    if (word === 'abstract' && this.at('class', 1) && sameLine) {
+      this.next();
+      const node = this.parseClass(true);
+      node.start = start;
+      node.abstract = true;
+      return node;
+    }
+
+    if (word === 'interface' && after.type === 'name' && sameLine) {
+      this.inType(() => {
+        this.next();
+        this.next();
+        if (this.atPunct('<')) this.skipTypeParameters();
+        if (this.eat('extends')) {
+          do this.skipType(); while (this.eat(','));
+        }
+      });
+      this.skipBalanced();
+      return this.finish({ type: 'TSInterfaceDeclaration' }, start);
+    }
+
+    if (word === 'type' && after.type === 'name' && sameLine && (this.atPunct('=', 2) || this.atPunct('<', 2))) {
+      this.inType(() => {
+        this.next();
+        this.next();
+        if (this.atPunct('<')) this.skipTypeParameters();
+        this.expect('=');
+        this.skipType();
+      });
+      this.semicolon();
+      return this.finish({ type: 'TSTypeAliasDeclaration' }, start);
+    }
+
+    if (word === 'enum' || (word === 'const' && this.at('enum', 1))) {
+      this.inType(() => {
+        this.eat('const');
+        this.next();
+        this.next();
+      });
+      this.skipBalanced();
+      return this.finish({ type: 'TSEnumDeclaration' }, start);
+    }
+
+    if ((word === 'namespace' || word === 'module') && (after.type === 'name' || after.type === 'string') && sameLine) {
+      this.inType(() => {
+        while (!this.atPunct('{')) this.next();
+      });
+      this.skipBalanced();
+      return this.finish({ type: 'TSModuleDeclaration' }, start);
+    }
+
+    if (word === 'declare' && after.type === 'name' && sameLine) {
+      this.next();
+      this.skipAmbientDeclaration();
+      return this.finish({ type: 'TSAmbientDeclaration' }, start);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Parse JavaScript source into an ESTree Program
+ * @param {string} code - Source text
+ * @param {Object} [options] - { sourceType: 'script'|'module', tokens,
+ *   jsx, typescript }; tokens must come from tokenize() with the same jsx
+ * @returns {Object} Program node; `sourceType` becomes 'module' when
+ *   import/export declarations are found, and TypeScript programs carry
+ *   `typeNames`
+ * @throws {SyntaxError} With line and column properties
+ */
+function parse(code, options = {}) {
+  return new Parser(code, options).parseProgram();
+}
+
+/**
+ * Walk a syntax tree depth-first
+ * @param {Object} node - Root node
+ * @param {Object} visitor - { enter(node, parent), leave(node, parent) };
+ *   returning false from enter skips the node's children
+ */
+function traverse(node, visitor, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+
+  if (visitor.enter && visitor.enter(node, parent) === false) return;
+
+  const keys = VISITOR_KEYS[node.type] || [];
+  for (const key of keys) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => traverse(item, visitor, node));
+    } else if (child) {
+      traverse(child, visitor, node);
+    }
+  }
+
+  if (visitor.leave) visitor.leave(node, parent);
+}
+
+module.exports = { parse, traverse, createLineIndex, VISITOR_KEYS, RESERVED_WORDS };
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+
+/**
+ * JavaScript Tokenizer
+ * Splits source into tokens following the ECMAScript lexical grammar,
+ * including regex-vs-division disambiguation and nested template literals,
+ * optionally with JSX elements
+ *
+ * Usage:
+ *   const { tokenize, maskNonCode } = require('../../shared/scripts/js-tokenizer');
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+// Punctuators, longest first so the scanner always takes the longest match
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+// Keywords after which a `/` starts a regex literal rather than a division
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await', 'extends'
+]);
+
+// Keywords whose parenthesised head is followed by a statement, not an operand
+const CONTROL_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+
+const NUMBER_PATTERN = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+)n?|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?/y;
+const IDENTIFIER_START = /[A-Za-z_$\u0080-\uffff\\#]/;
+const IDENTIFIER_PART = /[\w$\u0080-\uffff\\]/;
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+const JSX_NAME_PART = /[\w$\-\u0080-\uffff]/;
+
+/**
+ * Build a SyntaxError that points at a line and column
+ */
+function lexError(message, code, index) {
+  const before = code.slice(0, index);
+  const line = before.split('\n').length;
+  const column = index - before.lastIndexOf('\n');
+  const error = new SyntaxError(`${message} (${line}:${column})`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+/**
+ * Tokenize JavaScript source
+ * @param {string} code - Source text
+ * @param {Object} [options] - { jsx: true } to read `<` in operand position
+ *   as the start of a JSX element
+ * @returns {Array<Object>} Tokens with type, value, start, end and newlineBefore;
+ *   type is one of name, number, string, template, regex, punctuator or comment,
+ *   plus jsxName, jsxString and jsxText inside JSX. The `<` opening a JSX
+ *   element has jsxStart set, the `>` ending one jsxEnd.
+ */
+function tokenize(code, options = {}) {
+  const tokens = [];
+  // One entry per open `{`, `(` or `${`: 'block', 'expr', 'cond', 'paren',
+  // 'template' or 'jsx' for an expression container inside JSX
+  const stack = [];
+  // Open JSX elements: 'tag' inside <…>, 'closing' inside </…>, 'children'
+  // between them; 'js' while inside one of their {…} containers
+  const jsxModes = [];
+  let index = 0;
+  let newlineBefore = false;
+  let last = null;
+
+  const push = (type, start, extra = {}) => {
+    const token = { type, value: code.slice(start, index), start, end: index, newlineBefore, ...extra };
+    tokens.push(token);
+    newlineBefore = false;
+    if (type !== 'comment') last = token;
+    return token;
+  };
+
+  const regexAllowed = () => {
+    if (!last) return true;
+    if (last.jsxEnd) return false;
+    if (last.type === 'name') return REGEX_AFTER_KEYWORDS.has(last.value);
+    if (last.type !== 'punctuator') return false;
+    if (last.value === ')') return last.closes === 'cond';
+    if (last.value === '}') return last.closes === 'block';
+    return last.value !== ']' && last.value !== '++' && last.value !== '--';
+  };
+
+  // A `{` opens an expression (object literal) when it appears in operand position
+  const braceKind = () => {
+    if (!last) return 'block';
+    if (last.type === 'name') return REGEX_AFTER_KEYWORDS.has(last.value) && last.value !== 'else' && last.value !== 'do' ? 'expr' : 'block';
+    if (last.type !== 'punctuator') return 'block';
+    return [')', ']', '}', ';', '=>'].includes(last.value) || last.value === '{' ? 'block' : 'expr';
+  };
+
+  const readTemplateChunk = (start, kindIfEnd, kindIfExpr) => {
+    while (index < code.length) {
+      const char = code[index];
+      if (char === '\\') {
+        index += 2;
+      } else if (char === '`') {
+        index++;
+        return push('template', start, { templateKind: kindIfEnd });
+      } else if (char === '$' && code[index + 1] === '{') {
+        index += 2;
+        stack.push('template');
+        return push('template', start, { templateKind: kindIfExpr });
+      } else {
+        index++;
+      }
+    }
+    throw lexError('Unterminated template literal', code, start);
+  };
+
+  // `<Name` or `<>` in operand position, but not the type parameters of a
+  // generic arrow function: `<T,>(x) =>` or `<T extends U>(x) =>`
+  const startsJsx = () => {
+    if (!options.jsx || code[index] !== '<' || !regexAllowed()) return false;
+    const after = /^\s*([A-Za-z_$][\w$]*)?\s*(,|extends\b|>|)/.exec(code.slice(index + 1, index + 200));
+    if (!after[1]) return after[2] === '>';
+    return after[2] !== ',' && after[2] !== 'extends';
+  };
+
+  const skipJsxSpace = () => {
+    while (index < code.length && /\s/.test(code[index])) {
+      if (LINE_TERMINATOR.test(code[index])) newlineBefore = true;
+      index++;
+    }
+  };
+
+  const openJsxContainer = () => {
+    index++;
+    push('punctuator', index - 1);
+    stack.push('jsx');
+    jsxModes.push('js');
+  };
+
+  // Text between tags, a container, or the `<` of a child or closing tag
+  const readJsxChild = () => {
+    const start = index;
+    if (code[index] === '{') return openJsxContainer();
+
+    if (code[index] === '<') {
+      index++;
+      const closing = /^\s*\//.test(code.slice(index));
+      push('punctuator', start, closing ? {} : { jsxStart: true });
+      if (closing) jsxModes[jsxModes.length - 1] = 'closing';
+      else jsxModes.push('tag');
+      return undefined;
+    }
+
+    while (index < code.length && code[index] !== '<' && code[index] !== '{') index++;
+    return push('jsxText', start);
+  };
+
+  // Names, attribute strings and punctuation inside <…> or </…>
+  const readJsxTagToken = () => {
+    skipJsxSpace();
+    if (index >= code.length) throw lexError('Unterminated JSX element', code, index);
+    const start = index;
+    const char = code[index];
+
+    if (char === '/' && (code[index + 1] === '/' || code[index + 1] === '*')) {
+      const close = code[index + 1] === '/' ? code.indexOf('\n', index) : code.indexOf('*/', index) + 2;
+      if (close < index) throw lexError('Unterminated comment', code, start);
+      index = close === -1 ? code.length : close;
+      return push('comment', start, { comment: code[start + 1] === '/' ? 'line' : 'block' });
+    }
+    if (char === '{') return openJsxContainer();
+    if (char === '<') {
+      // An element as an attribute value
+      index++;
+      jsxModes.push('tag');
+      return push('punctuator', start, { jsxStart: true });
+    }
+    if (char === '"' || char === '\'') {
+      const close = code.indexOf(char, index + 1);
+      if (close === -1) throw lexError('Unterminated string literal', code, start);
+      index = close + 1;
+      return push('jsxString', start);
+    }
+    if (IDENTIFIER_START.test(char)) {
+      while (index < code.length && JSX_NAME_PART.test(code[index])) index++;
+      return push('jsxName', start);
+    }
+    if (char === '>') {
+      index++;
+      const mode = jsxModes.pop();
+      if (mode === 'tag' && !(last && last.value === '/' && last.type === 'punctuator')) {
+        jsxModes.push('children');
+        return push('punctuator', start);
+      }
+      // A self-closing or closing tag ends the element
+      return push('punctuator', start, { jsxEnd: true });
+    }
+    if ('/=.:'.includes(char)) {
+      index++;
+      return push('punctuator', start);
+    }
+    throw lexError(`Unexpected character '${char}' in JSX`, code, start);
+  };
+
+  if (code.startsWith('#!')) {
+    while (index < code.length && !LINE_TERMINATOR.test(code[index])) index++;
+    push('comment', 0, { comment: 'hashbang' });
+  }
+
+  while (index < code.length) {
+    const jsxMode = jsxModes[jsxModes.length - 1];
+    if (jsxMode === 'children') {
+      readJsxChild();
+      continue;
+    }
+    if (jsxMode === 'tag' || jsxMode === 'closing') {
+      readJsxTagToken();
+      continue;
+    }
+
+    const char = code[index];
+    const start = index;
+
+    if (startsJsx()) {
+      index++;
+      jsxModes.push('tag');
+      push('punctuator', start, { jsxStart: true });
+      continue;
+    }
+
+    if (LINE_TERMINATOR.test(char)) {
+      newlineBefore = true;
+      index++;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // Comments
+    if (char === '/' && code[index + 1] === '/') {
+      while (index < code.length && !LINE_TERMINATOR.test(code[index])) index++;
+      push('comment', start, { comment: 'line' });
+      continue;
+    }
+
+    if (char === '/' && code[index + 1] === '*') {
+      const close = code.indexOf('*/', index + 2);
+      if (close === -1) throw lexError('Unterminated comment', code, start);
+      index = close + 2;
+      const hadNewline = LINE_TERMINATOR.test(code.slice(start, index));
+      push('comment', start, { comment: 'block' });
+      if (hadNewline) newlineBefore = true;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === '\'') {
+      index++;
+      while (index < code.length && code[index] !== char) {
+        if (code[index] === '\\') index++;
+        else if (code[index] === '\n') throw lexError('Unterminated string literal', code, start);
+        index++;
+      }
+      if (index >= code.length) throw lexError('Unterminated string literal', code, start);
+      index++;
+      push('string', start);
+      continue;
+    }
+
+    // Templates
+    if (char === '`') {
+      index++;
+      readTemplateChunk(start, 'full', 'head');
+      continue;
+    }
+
+    if (char === '}' && stack[stack.length - 1] === 'template') {
+      stack.pop();
+      index++;
+      readTemplateChunk(start, 'tail', 'middle');
+      continue;
+    }
+
+    // Regex literals
+    if (char === '/' && regexAllowed()) {
+      let inClass = false;
+      index++;
+      while (index < code.length) {
+        const c = code[index];
+        if (LINE_TERMINATOR.test(c)) throw lexError('Unterminated regular expression', code, start);
+        if (c === '\\') index++;
+        else if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) break;
+        index++;
+      }
+      if (index >= code.length) throw lexError('Unterminated regular expression', code, start);
+      index++;
+      while (index < code.length && IDENTIFIER_PART.test(code[index])) index++;
+      push('regex', start);
+      continue;
+    }
+
+    // Numbers
+    if (/\d/.test(char) || (char === '.' && /\d/.test(code[index + 1] || ''))) {
+      NUMBER_PATTERN.lastIndex = index;
+      const match = NUMBER_PATTERN.exec(code);
+      index += match[0].length;
+      push('number', start);
+      continue;
+    }
+
+    // Identifiers, keywords and #private names
+    if (IDENTIFIER_START.test(char)) {
+      index++;
+      while (index < code.length && IDENTIFIER_PART.test(code[index])) {
+        index += code[index] === '\\' ? 6 : 1;
+      }
+      push('name', start);
+      continue;
+    }
+
+    // Punctuators
+    const punctuator = PUNCTUATORS.find(p => code.startsWith(p, index) &&
+      !(p === '?.' && /\d/.test(code[index + 2] || '')));
+    if (!punctuator) throw lexError(`Unexpected character '${char}'`, code, start);
+
+    index += punctuator.length;
+    const extra = {};
+
+    if (punctuator === '{') {
+      stack.push(braceKind());
+    } else if (punctuator === '(') {
+      stack.push(last && last.type === 'name' && CONTROL_KEYWORDS.has(last.value) ? 'cond' : 'paren');
+    } else if (punctuator === '}' || punctuator === ')') {
+      extra.closes = stack.pop();
+      if (extra.closes === 'jsx') jsxModes.pop();
+    }
+
+    push('punctuator', start, extra);
+  }
+
+  if (stack.includes('template')) {
+    throw lexError('Unterminated template literal', code, code.length);
+  }
+  if (jsxModes.length > 0) {
+    throw lexError('Unterminated JSX element', code, code.length);
+  }
+
+  return tokens;
+}
+
+/**
+ * Replace the contents of comments, strings, template text and regex
+ * literals with spaces. Offsets and line breaks are preserved, so a match
+ * found in the masked text maps straight back onto the original source.
+ * @param {string} code - Source text
+ * @param {Array<Object>} [tokens] - Tokens from tokenize(code)
+ * @returns {string} Masked source
+ */
+function maskNonCode(code, tokens = tokenize(code)) {
+  const chars = code.split('');
+
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (!LINE_TERMINATOR.test(chars[i])) chars[i] = ' ';
+    }
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'comment') {
+      blank(token.start, token.end);
+    } else if (token.type === 'string' || token.type === 'regex') {
+      const close = token.type === 'regex' ? token.value.lastIndexOf('/') : token.value.length - 1;
+      blank(token.start + 1, token.start + close);
+    } else if (token.type === 'template') {
+      // Keep the ` or } that opens the chunk and the ` or ${ that closes it
+      const close = token.templateKind === 'head' || token.templateKind === 'middle' ? 2 : 1;
+      blank(token.start + 1, token.end - close);
+    }
+  });
+
+  return chars.join('');
+}
+
+module.exports = { tokenize, maskNonCode, PUNCTUATORS };
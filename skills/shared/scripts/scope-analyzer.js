@@ -0,0 +1,587 @@
+#!/usr/bin/env node
+
+/**
+ * JavaScript Scope Analyzer
+ * Builds the scope tree of an ESTree Program from js-parser.js, declaring
+ * every binding where JavaScript hoists it and resolving each identifier
+ * reference to the variable it reads or writes. classifyVarDeclaration()
+ * uses the tree to tell whether a var can become let or const.
+ *
+ * Usage:
+ *   const { analyzeScopes } = require('../../shared/scripts/scope-analyzer');
+ *   const { globalScope, scopes, declaredVariables } = analyzeScopes(ast);
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const { VISITOR_KEYS } = require('./js-parser');
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+/**
+ * A lexical scope
+ */
+class Scope {
+  constructor(type, block, parent) {
+    this.type = type;
+    this.block = block;
+    this.parent = parent;
+    this.variables = new Map();
+    this.references = [];
+    this.childScopes = [];
+    this.functionScope = (type === 'function' || type === 'global' || type === 'module' || !parent)
+      ? this
+      : parent.functionScope;
+    if (parent) parent.childScopes.push(this);
+  }
+
+  declare(name, def) {
+    let variable = this.variables.get(name);
+    if (!variable) {
+      variable = { name, scope: this, defs: [], references: [], exported: false, implicit: false };
+      this.variables.set(name, variable);
+    }
+    if (def) variable.defs.push(def);
+    return variable;
+  }
+
+  resolve(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.variables.has(name)) return scope.variables.get(name);
+    }
+    return null;
+  }
+}
+
+/**
+ * Collect the identifiers bound by a declaration pattern
+ * @returns {Array<Object>} Identifier nodes
+ */
+function getPatternIdentifiers(pattern, out = []) {
+  if (!pattern) return out;
+
+  switch (pattern.type) {
+    case 'Identifier':
+      out.push(pattern);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(prop => getPatternIdentifiers(prop.type === 'RestElement' ? prop : prop.value, out));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(el => getPatternIdentifiers(el, out));
+      break;
+    case 'RestElement':
+      getPatternIdentifiers(pattern.argument, out);
+      break;
+    case 'AssignmentPattern':
+      getPatternIdentifiers(pattern.left, out);
+      break;
+    default:
+  }
+
+  return out;
+}
+
+/**
+ * Build the scope tree for a Program
+ * @param {Object} ast - Program node from js-parser.js
+ * @returns {Object} { globalScope, scopes, declaredVariables, through, scopeOf }
+ *   declaredVariables maps declaration nodes to the variables they create;
+ *   through lists references that resolve to no declaration (globals);
+ *   scopeOf(node) returns the scope a function, block or program creates
+ */
+function analyzeScopes(ast) {
+  const rootType = ast.sourceType === 'module' ? 'module' : 'global';
+  const globalScope = new Scope(rootType, ast, null);
+  const scopes = [globalScope];
+  const scopeByNode = new Map([[ast, globalScope]]);
+  const declaredVariables = new Map();
+  const references = [];
+
+  const createScope = (type, block, parent) => {
+    const scope = new Scope(type, block, parent);
+    scopes.push(scope);
+    scopeByNode.set(block, scope);
+    return scope;
+  };
+
+  const declare = (scope, identifier, def) => {
+    const variable = scope.declare(identifier.name, { ...def, name: identifier });
+    variable.identifiers = variable.identifiers || [];
+    variable.identifiers.push(identifier);
+    if (def.node) {
+      if (!declaredVariables.has(def.node)) declaredVariables.set(def.node, []);
+      const list = declaredVariables.get(def.node);
+      if (!list.includes(variable)) list.push(variable);
+    }
+    return variable;
+  };
+
+  const reference = (identifier, scope, flags = {}) => {
+    const ref = {
+      identifier,
+      from: scope,
+      resolved: null,
+      isRead: flags.read !== false,
+      isWrite: Boolean(flags.write),
+      init: Boolean(flags.init),
+      writeExpr: flags.writeExpr || null
+    };
+    scope.references.push(ref);
+    references.push(ref);
+    return ref;
+  };
+
+  // Default values and computed keys inside a pattern are ordinary reads
+  const visitPatternExpressions = (pattern, scope) => {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'ObjectPattern':
+        pattern.properties.forEach(prop => {
+          if (prop.type === 'RestElement') return visitPatternExpressions(prop.argument, scope);
+          if (prop.computed) visit(prop.key, scope);
+          visitPatternExpressions(prop.value, scope);
+        });
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(el => visitPatternExpressions(el, scope));
+        break;
+      case 'RestElement':
+        visitPatternExpressions(pattern.argument, scope);
+        break;
+      case 'AssignmentPattern':
+        visitPatternExpressions(pattern.left, scope);
+        visit(pattern.right, scope);
+        break;
+      case 'MemberExpression':
+        visit(pattern, scope);
+        break;
+      default:
+    }
+  };
+
+  // Write to every identifier an assignment pattern targets
+  const visitAssignmentTarget = (target, scope, flags) => {
+    visitPatternExpressions(target, scope);
+    getPatternIdentifiers(target).forEach(id => reference(id, scope, { read: false, write: true, ...flags }));
+  };
+
+  const visitDecorators = (node, scope) => (node.decorators || []).forEach(decorator => visit(decorator, scope));
+
+  // `<Foo>` and `<foo.Bar>` read a variable; `<div>` and `<svg:rect>` name
+  // built-in elements
+  const visitJSXName = (name, scope) => {
+    let root = name;
+    while (root.type === 'JSXMemberExpression') root = root.object;
+    if (root.type !== 'JSXIdentifier' || root.name === 'this') return;
+    if (root === name && /^[a-z]/.test(name.name)) return;
+    reference(root, scope);
+  };
+
+  const visitFunction = (node, scope) => {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      declare(scope, node.id, { type: 'function', node, parent: null });
+    }
+
+    const fnScope = createScope('function', node, scope);
+
+    if (node.type === 'FunctionExpression' && node.id) {
+      declare(fnScope, node.id, { type: 'function-name', node, parent: null });
+    }
+
+    if (node.type !== 'ArrowFunctionExpression') {
+      const args = fnScope.declare('arguments');
+      args.implicit = true;
+    }
+
+    node.params.forEach(param => {
+      visitDecorators(param, scope);
+      getPatternIdentifiers(param).forEach(id => declare(fnScope, id, { type: 'parameter', node, parent: null }));
+      visitPatternExpressions(param, fnScope);
+    });
+
+    if (node.body.type === 'BlockStatement') {
+      scopeByNode.set(node.body, fnScope);
+      node.body.body.forEach(statement => visit(statement, fnScope));
+    } else {
+      visit(node.body, fnScope);
+    }
+  };
+
+  const visitClass = (node, scope) => {
+    visitDecorators(node, scope);
+    if (node.type === 'ClassDeclaration' && node.id) {
+      declare(scope, node.id, { type: 'class', node, parent: null });
+    }
+    if (node.superClass) visit(node.superClass, scope);
+
+    const classScope = createScope('class', node, scope);
+    if (node.type === 'ClassExpression' && node.id) {
+      declare(classScope, node.id, { type: 'class-name', node, parent: null });
+    }
+
+    node.body.body.forEach(member => {
+      if (member.type === 'StaticBlock') {
+        const blockScope = createScope('class-static-block', member, classScope);
+        member.body.forEach(statement => visit(statement, blockScope));
+        return;
+      }
+      visitDecorators(member, classScope);
+      if (member.computed) visit(member.key, classScope);
+      if (!member.value) return;
+      if (member.type === 'MethodDefinition') {
+        visitFunction(member.value, classScope);
+      } else {
+        // Field initializers run like a method body with their own `this`
+        const fieldScope = createScope('class-field-initializer', member.value, classScope);
+        visit(member.value, fieldScope);
+      }
+    });
+  };
+
+  const visitDeclaration = (node, scope) => {
+    const target = node.kind === 'var' ? scope.functionScope : scope;
+
+    node.declarations.forEach(declarator => {
+      getPatternIdentifiers(declarator.id).forEach(id => {
+        declare(target, id, { type: 'variable', kind: node.kind, node, parent: declarator });
+      });
+    });
+
+    node.declarations.forEach(declarator => {
+      visitPatternExpressions(declarator.id, scope);
+      if (declarator.init) {
+        visit(declarator.init, scope);
+        getPatternIdentifiers(declarator.id).forEach(id => {
+          reference(id, scope, { read: false, write: true, init: true, writeExpr: declarator.init });
+        });
+      }
+    });
+  };
+
+  const markExported = (identifier, scope) => {
+    const ref = reference(identifier, scope);
+    ref.exported = true;
+  };
+
+  const visit = (node, scope) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'Identifier':
+        reference(node, scope);
+        return;
+
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        visitFunction(node, scope);
+        return;
+
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        visitClass(node, scope);
+        return;
+
+      case 'VariableDeclaration':
+        visitDeclaration(node, scope);
+        return;
+
+      case 'BlockStatement': {
+        const blockScope = createScope('block', node, scope);
+        node.body.forEach(statement => visit(statement, blockScope));
+        return;
+      }
+
+      case 'SwitchStatement': {
+        visit(node.discriminant, scope);
+        const switchScope = createScope('switch', node, scope);
+        node.cases.forEach(c => {
+          visit(c.test, switchScope);
+          c.consequent.forEach(statement => visit(statement, switchScope));
+        });
+        return;
+      }
+
+      case 'ForStatement': {
+        const forScope = createScope('for', node, scope);
+        visit(node.init, forScope);
+        visit(node.test, forScope);
+        visit(node.update, forScope);
+        visit(node.body, forScope);
+        return;
+      }
+
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const forScope = createScope('for', node, scope);
+        visit(node.right, forScope);
+        if (node.left.type === 'VariableDeclaration') {
+          visitDeclaration(node.left, forScope);
+          getPatternIdentifiers(node.left.declarations[0].id).forEach(id => {
+            reference(id, forScope, { read: false, write: true, init: true, writeExpr: node.right });
+          });
+        } else {
+          visitAssignmentTarget(node.left, forScope, { writeExpr: node.right });
+        }
+        visit(node.body, forScope);
+        return;
+      }
+
+      case 'CatchClause': {
+        const catchScope = createScope('catch', node, scope);
+        if (node.param) {
+          getPatternIdentifiers(node.param).forEach(id => declare(catchScope, id, { type: 'catch', node, parent: null }));
+          visitPatternExpressions(node.param, catchScope);
+        }
+        visit(node.body, catchScope);
+        return;
+      }
+
+      case 'AssignmentExpression':
+        if (node.left.type === 'Identifier') {
+          reference(node.left, scope, { read: node.operator !== '=', write: true, writeExpr: node.right });
+        } else if (node.left.type === 'MemberExpression') {
+          visit(node.left, scope);
+        } else {
+          visitAssignmentTarget(node.left, scope, { writeExpr: node.right });
+        }
+        visit(node.right, scope);
+        return;
+
+      case 'UpdateExpression':
+        if (node.argument.type === 'Identifier') {
+          reference(node.argument, scope, { read: true, write: true });
+        } else {
+          visit(node.argument, scope);
+        }
+        return;
+
+      case 'MemberExpression':
+        visit(node.object, scope);
+        if (node.computed) visit(node.property, scope);
+        return;
+
+      case 'Property':
+      case 'MethodDefinition':
+      case 'PropertyDefinition':
+        if (node.computed) visit(node.key, scope);
+        visit(node.value, scope);
+        return;
+
+      case 'LabeledStatement':
+        visit(node.body, scope);
+        return;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+      case 'PrivateIdentifier':
+        return;
+
+      case 'ImportDeclaration':
+        node.specifiers.forEach(spec => declare(globalScope, spec.local, { type: 'import', node, parent: spec }));
+        return;
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          visit(node.declaration, scope);
+          const declared = node.declaration.type === 'VariableDeclaration'
+            ? node.declaration.declarations.flatMap(d => getPatternIdentifiers(d.id))
+            : [node.declaration.id];
+          declared.filter(Boolean).forEach(id => {
+            const variable = scope.variables.get(id.name);
+            if (variable) variable.exported = true;
+          });
+        } else if (!node.source) {
+          node.specifiers.forEach(spec => {
+            if (spec.local.type === 'Identifier') markExported(spec.local, scope);
+          });
+        }
+        return;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        if (declaration.type === 'Identifier') {
+          markExported(declaration, scope);
+        } else {
+          visit(declaration, scope);
+          if (declaration.id && (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration')) {
+            const variable = scope.variables.get(declaration.id.name);
+            if (variable) variable.exported = true;
+          }
+        }
+        return;
+      }
+
+      case 'ExportAllDeclaration':
+        return;
+
+      case 'JSXOpeningElement':
+        visitJSXName(node.name, scope);
+        node.attributes.forEach(attribute => visit(attribute, scope));
+        return;
+
+      case 'JSXClosingElement':
+        return;
+
+      case 'JSXAttribute':
+        visit(node.value, scope);
+        return;
+
+      default: {
+        const keys = VISITOR_KEYS[node.type] || [];
+        keys.forEach(key => {
+          const child = node[key];
+          if (Array.isArray(child)) child.forEach(item => visit(item, scope));
+          else visit(child, scope);
+        });
+      }
+    }
+  };
+
+  ast.body.forEach(statement => visit(statement, globalScope));
+
+  // Resolve once everything is declared, so hoisted bindings are found
+  const through = [];
+  references.forEach(ref => {
+    const variable = ref.from.resolve(ref.identifier.name);
+    if (variable) {
+      ref.resolved = variable;
+      variable.references.push(ref);
+      if (ref.exported) variable.exported = true;
+    } else {
+      through.push(ref);
+    }
+  });
+
+  return {
+    globalScope,
+    scopes,
+    declaredVariables,
+    through,
+    scopeOf: node => scopeByNode.get(node) || null
+  };
+}
+
+/**
+ * Map every node to its parent
+ * @returns {Map<Object, Object>}
+ */
+function buildParentMap(ast) {
+  const parents = new Map();
+
+  const walk = (node, parent) => {
+    if (!node || typeof node.type !== 'string') return;
+    parents.set(node, parent);
+    (VISITOR_KEYS[node.type] || []).forEach(key => {
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(item => walk(item, node));
+      else walk(child, node);
+    });
+  };
+
+  walk(ast, null);
+  return parents;
+}
+
+// Statements whose body a `let` may be declared in; `if (a) let b;` and a
+// loop or label body without braces are syntax errors
+const LET_BLOCKS = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase']);
+
+const within = (node, container) => node.start >= container.start && node.end <= container.end;
+
+/**
+ * Find the node a `let` declared at `declaration` would be scoped to, as far
+ * as its uses are concerned: the case clause it is in rather than the whole
+ * switch, since jumping to another case skips the declaration and leaves
+ * the binding in its TDZ
+ * @returns {Object|null} null where a `let` may not be declared at all
+ */
+function blockScopeOf(declaration, getParent) {
+  const parent = getParent(declaration);
+  if (!parent) return null;
+  if (parent.type === 'ExportNamedDeclaration') return getParent(parent);
+  if (/^For/.test(parent.type)) return parent.init === declaration || parent.left === declaration ? parent : null;
+  return LET_BLOCKS.has(parent.type) ? parent : null;
+}
+
+/**
+ * Nearest enclosing loop of a node, stopping at function boundaries
+ */
+function enclosingLoop(node, getParent) {
+  for (let current = getParent(node); current; current = getParent(current)) {
+    if (FUNCTION_TYPES.has(current.type)) return null;
+    if (LOOP_TYPES.has(current.type)) return current;
+  }
+  return null;
+}
+
+/**
+ * Decide between let and const for a var declaration, or explain why
+ * converting it at all would change behavior
+ * @param {Object} declaration - VariableDeclaration of kind var
+ * @param {Array<Object>} variables - The variables it declares, from
+ *   analyzeScopes().declaredVariables
+ * @param {Function} getParent - Parent of a node, e.g. from buildParentMap()
+ * @returns {Object} { kind, unsafe: string[] }
+ */
+function classifyVarDeclaration(declaration, variables, getParent) {
+  const unsafe = new Set();
+  const scopeNode = blockScopeOf(declaration, getParent);
+  const loop = enclosingLoop(declaration, getParent);
+  const parent = getParent(declaration);
+  const isForInOf = parent && (parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === declaration;
+  let reassigned = false;
+
+  if (!scopeNode) unsafe.add('let cannot be declared directly in an if, loop or label body');
+
+  variables.forEach(variable => {
+    if (variable.defs.length > 1) {
+      unsafe.add(`\`${variable.name}\` is declared more than once in the same function`);
+    }
+
+    variable.references.forEach(ref => {
+      const id = ref.identifier;
+      const isOwnInit = ref.init && within(id, declaration);
+      if (ref.isWrite && !isOwnInit) reassigned = true;
+      if (isOwnInit) return;
+
+      if (scopeNode && !within(id, scopeNode)) {
+        unsafe.add(scopeNode.type === 'SwitchCase'
+          ? `\`${variable.name}\` is used outside the case it is declared in`
+          : `\`${variable.name}\` is used outside the block it is declared in`);
+      }
+
+      if (id.start < declaration.start) {
+        const nested = ref.from.functionScope !== variable.scope.functionScope;
+        unsafe.add(nested
+          ? `\`${variable.name}\` is referenced from a function defined before the declaration (possible TDZ error)`
+          : `\`${variable.name}\` is used before its declaration (would be in the TDZ)`);
+      }
+
+      if (loop && within(id, loop) && ref.from.functionScope !== variable.scope.functionScope) {
+        unsafe.add(`\`${variable.name}\` is captured by a closure inside a loop; let gives each iteration its own binding`);
+      }
+    });
+  });
+
+  const uninitialized = declaration.declarations.some(d => !d.init) && !isForInOf;
+  if (loop && uninitialized && !(parent && parent.type === 'ForStatement' && parent.init === declaration)) {
+    unsafe.add('declared without an initializer inside a loop; let would reset it on every iteration');
+  }
+
+  const kind = reassigned || uninitialized ? 'let' : 'const';
+  return { kind, unsafe: [...unsafe] };
+}
+
+module.exports = {
+  analyzeScopes,
+  buildParentMap,
+  classifyVarDeclaration,
+  getPatternIdentifiers,
+  FUNCTION_TYPES,
+  LOOP_TYPES
+};
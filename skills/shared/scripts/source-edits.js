@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Source Edits
+ * Applies non-overlapping text edits to source code, renders the change as
+ * a unified diff and writes the result without ever leaving a half-written
+ * file. Shared by the fixers of es6-converter.js and validate-fundamentals.js.
+ *
+ * Usage:
+ *   const { applyEdits, createUnifiedDiff, writeFileAtomic } = require('../../shared/scripts/source-edits');
+ *   const { code } = applyEdits(source, [{ start, end, edits: [{ start, end, text }] }]);
+ *   process.stdout.write(createUnifiedDiff(source, code, 'app.js'));
+ *   writeFileAtomic('app.js', code);
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Lines of unchanged context around each diff hunk
+const DIFF_CONTEXT = 3;
+
+/**
+ * Check whether two edits touch the same text
+ */
+function editsOverlap(a, b) {
+  if (a.start === a.end && b.start === b.end) return a.start === b.start;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Apply a set of fix groups, dropping any group that overlaps one already accepted
+ * @returns {Object} { code, applied, skipped }
+ */
+function applyEdits(code, fixes) {
+  const accepted = [];
+  const acceptedEdits = [];
+  const skipped = [];
+
+  const ordered = [...fixes].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  for (const fix of ordered) {
+    const conflicts = fix.edits.some(edit => acceptedEdits.some(other => editsOverlap(edit, other)));
+
+    if (conflicts) {
+      skipped.push(fix);
+    } else {
+      accepted.push(fix);
+      acceptedEdits.push(...fix.edits);
+    }
+  }
+
+  let output = code;
+  acceptedEdits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .forEach(edit => {
+      output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    });
+
+  return { code: output, applied: accepted, skipped };
+}
+
+/**
+ * Shortest edit script between two line arrays (Myers' O(ND) algorithm)
+ * @returns {Array<Object>} Operations of type 'equal', 'delete' or 'insert'
+ */
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break outer;
+    }
+  }
+
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'insert', line: b[--y] });
+      else ops.push({ type: 'delete', line: a[--x] });
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Render a unified diff between two versions of a file
+ * @returns {string} Diff text, empty when nothing changed
+ */
+function createUnifiedDiff(oldCode, newCode, filename) {
+  if (oldCode === newCode) return '';
+
+  const ops = diffLines(oldCode.split('\n'), newCode.split('\n'));
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailingEqual = 0;
+
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') {
+      if (hunk) {
+        const nextChange = ops.slice(i + 1, i + 1 + DIFF_CONTEXT * 2).some(o => o.type !== 'equal');
+        if (trailingEqual < DIFF_CONTEXT || nextChange) {
+          hunk.lines.push(` ${op.line}`);
+          hunk.oldCount++;
+          hunk.newCount++;
+          trailingEqual++;
+        } else {
+          hunks.push(hunk);
+          hunk = null;
+        }
+      }
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!hunk) {
+      const context = [];
+      for (let j = i - 1; j >= 0 && context.length < DIFF_CONTEXT && ops[j].type === 'equal'; j--) {
+        context.unshift(` ${ops[j].line}`);
+      }
+      hunk = {
+        oldStart: oldLine - context.length,
+        newStart: newLine - context.length,
+        oldCount: context.length,
+        newCount: context.length,
+        lines: context
+      };
+    }
+
+    trailingEqual = 0;
+    if (op.type === 'delete') {
+      hunk.lines.push(`-${op.line}`);
+      hunk.oldCount++;
+      oldLine++;
+    } else {
+      hunk.lines.push(`+${op.line}`);
+      hunk.newCount++;
+      newLine++;
+    }
+  });
+
+  if (hunk) hunks.push(hunk);
+
+  const output = [`--- a/${filename}`, `+++ b/${filename}`];
+  hunks.forEach(h => {
+    output.push(`@@ -${h.oldStart},${h.oldCount} +${h.newStart},${h.newCount} @@`);
+    output.push(...h.lines);
+  });
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Write a file via a temporary sibling and rename, so an interrupted
+ * write never leaves a half-written source file behind
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  const { mode } = fs.statSync(filePath);
+
+  try {
+    fs.writeFileSync(tempPath, content, { mode });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    throw error;
+  }
+}
+
+module.exports = { applyEdits, createUnifiedDiff, writeFileAtomic };
@@ -0,0 +1,93 @@
+/**
+ * Tests for the shared JavaScript parser
+ *
+ * Usage:
+ *   node --test skills/shared/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, traverse, createLineIndex } = require('../scripts/js-parser');
+
+// Node types in traversal order
+const typesOf = (ast) => {
+  const types = [];
+  traverse(ast, { enter(node) { types.push(node.type); } });
+  return types;
+};
+
+test('parse reads a script and records offsets', () => {
+  const ast = parse('const answer = 6 * 7;\n');
+  assert.strictEqual(ast.sourceType, 'script');
+  const [declaration] = ast.body;
+  assert.strictEqual(declaration.kind, 'const');
+  assert.deepStrictEqual([declaration.start, declaration.end], [0, 21]);
+  assert.strictEqual(declaration.declarations[0].init.operator, '*');
+});
+
+test('parse reads imports and exports as a module', () => {
+  const ast = parse('import x from "y";\nexport const z = x?.w ?? 1;\n');
+  assert.strictEqual(ast.sourceType, 'module');
+  assert.deepStrictEqual(ast.body.map(node => node.type), ['ImportDeclaration', 'ExportNamedDeclaration']);
+});
+
+test('parse gives binary operators their precedence', () => {
+  const [{ expression }] = parse('a + b * c ** d;').body;
+  assert.strictEqual(expression.operator, '+');
+  assert.strictEqual(expression.right.operator, '*');
+  assert.strictEqual(expression.right.right.operator, '**');
+});
+
+test('parse reads destructuring, defaults and rest in arrow parameters', () => {
+  const [{ declarations: [{ init }] }] = parse('const f = async ({ a, ...r }, [b] = []) => await a;').body;
+  assert.strictEqual(init.type, 'ArrowFunctionExpression');
+  assert.strictEqual(init.async, true);
+  assert.deepStrictEqual(init.params.map(param => param.type), ['ObjectPattern', 'AssignmentPattern']);
+  assert.strictEqual(init.params[0].properties[1].type, 'RestElement');
+  assert.strictEqual(init.body.type, 'AwaitExpression');
+});
+
+test('parse reads classes with fields, private members and static blocks', () => {
+  const [klass] = parse('class A extends B { #x = 1; static { init(); } get x() { return this.#x; } }').body;
+  assert.strictEqual(klass.superClass.name, 'B');
+  assert.deepStrictEqual(klass.body.body.map(member => member.type), ['PropertyDefinition', 'StaticBlock', 'MethodDefinition']);
+});
+
+test('parse drops TypeScript types and lists the names they mention', () => {
+  const ast = parse('interface Shape { size: Size }\nconst area = (s: Shape): number => s.size;\n', { typescript: true });
+  assert.strictEqual(ast.body[0].type, 'TSInterfaceDeclaration');
+  assert.strictEqual(ast.body[1].declarations[0].init.params[0].type, 'Identifier');
+  assert.ok(ast.typeNames.includes('Size'));
+});
+
+test('parse reads JSX when asked to', () => {
+  assert.ok(typesOf(parse('const el = <div className="a">{text}</div>;', { jsx: true })).includes('JSXElement'));
+  assert.throws(() => parse('const el = <div />;'), SyntaxError);
+});
+
+test('parse fails with the line and column of the unexpected token', () => {
+  assert.throws(() => parse('let x = ;'), error => error instanceof SyntaxError && error.line === 1 && error.column === 9);
+});
+
+test('traverse visits parents before children and can skip a subtree', () => {
+  const ast = parse('function f() { return g(); }\nh();\n');
+  assert.deepStrictEqual(typesOf(ast).slice(0, 3), ['Program', 'FunctionDeclaration', 'Identifier']);
+
+  const calls = [];
+  traverse(ast, {
+    enter(node) {
+      if (node.type === 'FunctionDeclaration') return false;
+      if (node.type === 'CallExpression') calls.push(node.callee.name);
+      return undefined;
+    }
+  });
+  assert.deepStrictEqual(calls, ['h']);
+});
+
+test('createLineIndex maps offsets to lines and columns', () => {
+  const locate = createLineIndex('a\nbc\nd');
+  assert.deepStrictEqual(locate(3), { line: 2, column: 2 });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the shared JavaScript tokenizer
+ *
+ * Usage:
+ *   node --test skills/shared/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, maskNonCode } = require('../scripts/js-tokenizer');
+
+const regexes = code => tokenize(code).filter(token => token.type === 'regex').map(token => token.value);
+
+[
+  ['a division chain', 'a / b / c', []],
+  ['a division after a call', 'f(a) / 2 / g', []],
+  ['a division after a postfix increment', 'let y = x++ / 2 / 3', []],
+  ['a division on the next line', 'a = b\n/re/g', []],
+  ['a regex after an assignment', 'x = /re/g.test(y)', ['/re/g']],
+  ['a regex after an if condition', 'if (a) /x/.test(b);', ['/x/']],
+  ['a regex after return', 'return /=/.test(s)', ['/=/']],
+  ['a regex with a slash in a class', 'const r = /[/]+/;', ['/[/]+/']]
+].forEach(([name, code, expected]) => {
+  test(`tokenize reads ${name}`, () => {
+    assert.deepStrictEqual(regexes(code), expected);
+  });
+});
+
+test('tokenize splits a template around its substitutions, nested braces included', () => {
+  const tokens = tokenize('`a${ {b: 1}.b }c`');
+  assert.deepStrictEqual(tokens.map(token => [token.type, token.value]), [
+    ['template', '`a${'],
+    ['punctuator', '{'],
+    ['name', 'b'],
+    ['punctuator', ':'],
+    ['number', '1'],
+    ['punctuator', '}'],
+    ['punctuator', '.'],
+    ['name', 'b'],
+    ['template', '}c`']
+  ]);
+});
+
+test('tokenize takes the longest punctuator and records offsets', () => {
+  const tokens = tokenize('a >>>= b ?? c');
+  assert.deepStrictEqual(tokens.map(token => token.value), ['a', '>>>=', 'b', '??', 'c']);
+  assert.deepStrictEqual([tokens[1].start, tokens[1].end], [2, 6]);
+});
+
+test('tokenize marks tokens that follow a line break', () => {
+  const tokens = tokenize('a\nb');
+  assert.deepStrictEqual(tokens.map(token => token.newlineBefore), [false, true]);
+});
+
+test('tokenize fails on an unterminated string with its position', () => {
+  assert.throws(() => tokenize('const s = \'open;\n'), error => error instanceof SyntaxError && error.line === 1);
+});
+
+test('maskNonCode blanks strings, comments, regexes and template text, keeping offsets', () => {
+  const code = 'f("s==t"); // a==b\n/x==y/.test(`a${b==c}d`)';
+  const masked = maskNonCode(code);
+  assert.strictEqual(masked, 'f("    ");        \n/    /.test(` ${b==c} `)');
+  assert.strictEqual(masked.length, code.length);
+});
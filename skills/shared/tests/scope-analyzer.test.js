@@ -0,0 +1,94 @@
+/**
+ * Tests for the shared scope analyzer and var → let/const classification
+ *
+ * Usage:
+ *   node --test skills/shared/tests/
+ *
+ * @author Dr. Umit Kacar & Muhsin Elcicek
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../scripts/js-parser');
+const { analyzeScopes, buildParentMap, classifyVarDeclaration } = require('../scripts/scope-analyzer');
+
+// classifyVarDeclaration() of every var declaration, in source order
+const classify = (code) => {
+  const ast = parse(code);
+  const { declaredVariables } = analyzeScopes(ast);
+  const parents = buildParentMap(ast);
+  return [...declaredVariables]
+    .filter(([declaration]) => declaration.type === 'VariableDeclaration' && declaration.kind === 'var')
+    .sort(([a], [b]) => a.start - b.start)
+    .map(([declaration, variables]) => classifyVarDeclaration(declaration, variables, node => parents.get(node)));
+};
+
+test('analyzeScopes declares each binding in its scope and lists unresolved references', () => {
+  const { scopes, through } = analyzeScopes(parse('var g = 1;\nfunction f(p) { let q = p; return g + q + h; }\n'));
+  assert.deepStrictEqual(scopes.map(scope => [scope.type, [...scope.variables.keys()]]), [
+    ['global', ['g', 'f']],
+    ['function', ['arguments', 'p', 'q']]
+  ]);
+  assert.deepStrictEqual(through.map(ref => ref.identifier.name), ['h']);
+});
+
+test('analyzeScopes hoists var to the function and keeps let in its block', () => {
+  const { scopes } = analyzeScopes(parse('function f() { if (x) { var a = 1; let b = 2; } }\n'));
+  const [, fn, block] = scopes;
+  assert.ok(fn.variables.has('a'));
+  assert.ok(!fn.variables.has('b'));
+  assert.strictEqual(block.type, 'block');
+  assert.ok(block.variables.has('b'));
+});
+
+test('analyzeScopes resolves a reference to the nearest declaration', () => {
+  const { scopes } = analyzeScopes(parse('const x = 1;\nfunction f() { const x = 2; return x; }\nx;\n'));
+  const [global, fn] = scopes;
+  assert.strictEqual(fn.variables.get('x').references.length, 2);
+  assert.strictEqual(global.variables.get('x').references.length, 2);
+});
+
+test('analyzeScopes tells reads from writes', () => {
+  const { scopes } = analyzeScopes(parse('let n = 0;\nn += 1;\nf(n);\n'));
+  const refs = scopes[0].variables.get('n').references;
+  assert.deepStrictEqual(refs.map(ref => [ref.init, ref.isWrite, ref.isRead]), [
+    [true, true, false],
+    [false, true, true],
+    [false, false, true]
+  ]);
+});
+
+test('analyzeScopes gives a module its own scope', () => {
+  const { globalScope } = analyzeScopes(parse('import x from "y";\nexport const z = x;\n'));
+  assert.strictEqual(globalScope.type, 'module');
+  assert.deepStrictEqual([...globalScope.variables.keys()], ['x', 'z']);
+});
+
+[
+  ['a var that is never reassigned', 'var a = 1; f(a);', 'const'],
+  ['a var that is reassigned', 'var a = 1; a++;', 'let'],
+  ['a var without an initializer', 'var a; a = 1;', 'let'],
+  ['a for-in variable', 'for (var k in o) f(k);', 'const'],
+  ['a var used only in its own case', 'switch (k) { case 1: var a = 1; f(a); }', 'const']
+].forEach(([name, code, kind]) => {
+  test(`${name} becomes ${kind}`, () => {
+    assert.deepStrictEqual(classify(code), [{ kind, unsafe: [] }]);
+  });
+});
+
+[
+  ['used outside its block', 'if (x) { var a = 1; } f(a);', /used outside the block/],
+  ['used in another case of the switch', 'switch (k) { case 1: var a = 1; break; case 2: f(a); }', /used outside the case/],
+  ['used before its declaration', 'f(a); var a = 1;', /would be in the TDZ/],
+  ['read before it is declared by a function defined earlier', 'function g() { return a; }\nvar a = 1;', /possible TDZ error/],
+  ['captured by a closure in a loop', 'for (var i = 0; i < 3; i++) fs.push(() => i);', /captured by a closure/],
+  ['declared without an initializer in a loop', 'while (x) { var a; f(a); }', /reset it on every iteration/],
+  ['declared twice', 'var a = 1; var a = 2;', /declared more than once/],
+  ['declared directly in an if body', 'if (x) var a = 1;', /cannot be declared directly/]
+].forEach(([name, code, reason]) => {
+  test(`a var ${name} is not converted`, () => {
+    const [{ unsafe }] = classify(code);
+    assert.ok(unsafe.some(message => reason.test(message)), unsafe.join('; '));
+  });
+});